@@ -0,0 +1,125 @@
+#!/usr/bin/env python3
+"""
+scripts/build_cjk_tiers.py
+
+Builds http_root/corpus/cjk/cjk_tiers.json, the frequency-tiered character
+sets WordMaster measures CJK fonts against.  A CJK font maps tens of
+thousands of characters, so one flat word-list charset says little about
+it; the national standards instead split their repertoires into a common
+and a less common level, which is what designers and foundries report on.
+
+The JSON has the shape:
+  {
+    "simplified-chinese": {
+      "label": "Simplified Chinese",
+      "lang":  "zh-Hans",
+      "tiers": [
+        {"name": "GB 2312 level 1", "characters": "啊阿埃挨…"},
+        ...
+      ]
+    },
+    ...
+  }
+
+Every tier is decoded from the standard's own code table through Python's
+codecs, so no character list has to be kept in the repository:
+
+  Simplified Chinese   GB 2312 level 1 (3755), level 2 (3008)
+  Traditional Chinese  Big5 frequently used (5401), less frequently used (7652)
+  Japanese             JIS X 0208 kana, level 1 (2965), level 2 (3390)
+  Korean               KS X 1001 Hangul (2350), all modern Hangul syllables
+                       (11172), KS X 1001 Hanja (4888)
+
+Run via:  npm run build:cjk
+      or:  python3 scripts/build_cjk_tiers.py
+"""
+
+import json
+import os
+
+OUTPUT_DIR  = os.path.join(os.path.dirname(__file__), '..', 'http_root', 'corpus', 'cjk')
+OUTPUT_FILE = os.path.join(OUTPUT_DIR, 'cjk_tiers.json')
+
+
+def decode_rows(codec: str, leads: range, trails: list[range]) -> str:
+    """Decode every double-byte code in the given lead/trail byte ranges."""
+    chars: list[str] = []
+    for lead in leads:
+        for trail_range in trails:
+            for trail in trail_range:
+                try:
+                    char = bytes([lead, trail]).decode(codec)
+                except UnicodeDecodeError:
+                    continue   # unassigned cell
+                if len(char) == 1 and char not in chars:
+                    chars.append(char)
+    return ''.join(chars)
+
+
+EUC_TRAILS  = [range(0xA1, 0xFF)]
+BIG5_TRAILS = [range(0x40, 0x7F), range(0xA1, 0xFF)]
+
+
+def big5_range(first: int, last: int) -> str:
+    """Big5 characters from code `first` to `last`, both inclusive."""
+    chars = decode_rows('big5', range(first >> 8, (last >> 8) + 1), BIG5_TRAILS)
+    first_char = bytes([first >> 8, first & 0xFF]).decode('big5')
+    last_char  = bytes([last >> 8, last & 0xFF]).decode('big5')
+    return chars[chars.index(first_char):chars.index(last_char) + 1]
+
+
+def build() -> dict[str, dict]:
+    return {
+        'simplified-chinese': {
+            'label': 'Simplified Chinese',
+            'lang':  'zh-Hans',
+            'tiers': [
+                {'name': 'GB 2312 level 1', 'characters': decode_rows('gb2312', range(0xB0, 0xD8), EUC_TRAILS)},
+                {'name': 'GB 2312 level 2', 'characters': decode_rows('gb2312', range(0xD8, 0xF8), EUC_TRAILS)},
+            ],
+        },
+        'traditional-chinese': {
+            'label': 'Traditional Chinese',
+            'lang':  'zh-Hant',
+            'tiers': [
+                {'name': 'Big5 frequently used',        'characters': big5_range(0xA440, 0xC67E)},
+                {'name': 'Big5 less frequently used',   'characters': big5_range(0xC940, 0xF9D5)},
+            ],
+        },
+        'japanese': {
+            'label': 'Japanese',
+            'lang':  'ja',
+            'tiers': [
+                {'name': 'JIS X 0208 kana',    'characters': decode_rows('euc_jp', range(0xA4, 0xA6), EUC_TRAILS)},
+                {'name': 'JIS X 0208 level 1', 'characters': decode_rows('euc_jp', range(0xB0, 0xD0), EUC_TRAILS)},
+                {'name': 'JIS X 0208 level 2', 'characters': decode_rows('euc_jp', range(0xD0, 0xF5), EUC_TRAILS)},
+            ],
+        },
+        'korean': {
+            'label': 'Korean',
+            'lang':  'ko',
+            'tiers': [
+                {'name': 'KS X 1001 Hangul',       'characters': decode_rows('euc_kr', range(0xB0, 0xC9), EUC_TRAILS)},
+                {'name': 'Modern Hangul syllables', 'characters': ''.join(chr(cp) for cp in range(0xAC00, 0xD7A4))},
+                {'name': 'KS X 1001 Hanja',        'characters': decode_rows('euc_kr', range(0xCA, 0xFE), EUC_TRAILS)},
+            ],
+        },
+    }
+
+
+def main() -> None:
+    result = build()
+    os.makedirs(OUTPUT_DIR, exist_ok=True)
+
+    for key, charset in result.items():
+        for tier in charset['tiers']:
+            print(f'  {key:<20} {tier["name"]:<28} {len(tier["characters"]):>6} characters')
+
+    with open(OUTPUT_FILE, 'w', encoding='utf-8') as fh:
+        json.dump(result, fh, ensure_ascii=False, indent=2)
+
+    print(f'\nWrote {len(result)} CJK character sets → {OUTPUT_FILE}')
+
+
+if __name__ == '__main__':
+    main()
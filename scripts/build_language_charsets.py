@@ -16,6 +16,11 @@ Each array contains the sorted, unique Unicode codepoints found in that
 language's word list file.  Control characters and ASCII space (U+0020)
 are excluded.
 
+Arabic presentation forms (U+FB50–U+FDFF, U+FE70–U+FEFF) are folded to the
+letters they show, because joining forms come from the font's GSUB rather
+than its cmap.  Joining and direction controls (ZWNJ, ZWJ, LRM, RLM, ALM)
+and the tatweel are left out, as fonts need not map them.
+
 Run via:  npm run build:charsets
       or:  python3 scripts/build_language_charsets.py
 """
@@ -23,19 +28,32 @@ Run via:  npm run build:charsets
 import json
 import os
 import sys
+import unicodedata
 
 WORDS_DIR   = os.path.join(os.path.dirname(__file__), '..', 'http_root', 'corpus', 'words')
 OUTPUT_FILE = os.path.join(WORDS_DIR, 'language_charsets.json')
 SKIP_FILES  = {'language_charsets.json'}
 
+PRESENTATION_FORMS = [(0xFB50, 0xFDFF), (0xFE70, 0xFEFF)]
+NOT_REQUIRED       = {0x200C, 0x200D, 0x200E, 0x200F, 0x061C, 0x0640}
+
+
+def base_characters(char: str) -> str:
+    """Fold an Arabic presentation form to the letters it shows."""
+    cp = ord(char)
+    if any(start <= cp <= end for start, end in PRESENTATION_FORMS):
+        return unicodedata.normalize('NFKC', char)
+    return char
+
 
 def codepoints_for_text(text: str) -> list[int]:
     """Return sorted unique codepoints present in text, excluding control chars and space."""
     points: set[int] = set()
     for char in text:
-        cp = ord(char)
-        if cp > 0x0020:          # skip NUL, control chars, and ASCII space
-            points.add(cp)
+        for base in base_characters(char):
+            cp = ord(base)
+            if cp > 0x0020 and cp not in NOT_REQUIRED:   # skip NUL, control chars, and ASCII space
+                points.add(cp)
     return sorted(points)
 
 
@@ -0,0 +1,15 @@
+// =============================================================================
+// brotli.d.ts
+// Ambient type declarations for the vendored brotli.js decoder, which is loaded
+// as a plain <script> tag and therefore exposes a global `brotli` namespace.
+// =============================================================================
+
+declare namespace brotli {
+  /**
+   * Decompresses a raw Brotli stream.
+   *
+   * @param outSize  Expected decompressed size; when omitted it is read from
+   *                 the stream's metadata.
+   */
+  function decompress(buffer: Uint8Array, outSize?: number): Uint8Array;
+}
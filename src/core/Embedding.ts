@@ -0,0 +1,64 @@
+// =============================================================================
+// core/Embedding.ts
+// Decodes the OS/2 fsType embedding permissions and recognises the common
+// open font licences from the licence name IDs (13 and 14).
+// =============================================================================
+
+import type { EmbeddingPermissions, EmbeddingUsage } from './Types.js';
+
+const FS_TYPE_RESTRICTED    = 0x0002;
+const FS_TYPE_PREVIEW_PRINT = 0x0004;
+const FS_TYPE_EDITABLE      = 0x0008;
+const FS_TYPE_NO_SUBSETTING = 0x0100;
+const FS_TYPE_BITMAP_ONLY   = 0x0200;
+
+export const EMBEDDING_USAGE_LABELS = {
+  'installable':   'Installable',
+  'editable':      'Editable',
+  'preview-print': 'Preview & Print',
+  'restricted':    'Restricted licence',
+} as const satisfies Record<EmbeddingUsage, string>;
+
+/** Licences that allow embedding whatever fsType says, matched on text or URL. */
+const OPEN_LICENCES: ReadonlyArray<[pattern: RegExp, name: string]> = [
+  [/SIL Open Font License|scripts\.sil\.org\/OFL|openfontlicense\.org/i, 'SIL Open Font License'],
+  [/Apache License|apache\.org\/licenses/i,                                'Apache License'],
+  [/Ubuntu Font Licen[cs]e/i,                                              'Ubuntu Font Licence'],
+];
+
+/**
+ * Decodes fsType. Usage bits 1–3 should be exclusive; when a font sets more
+ * than one, the least restrictive applies, as the OpenType spec asks.
+ */
+export function decodeFsType(fsType: number | null): EmbeddingPermissions {
+  const bits = fsType ?? 0;
+  return {
+    fsType,
+    usage:
+      bits & FS_TYPE_EDITABLE      ? 'editable'      :
+      bits & FS_TYPE_PREVIEW_PRINT ? 'preview-print' :
+      bits & FS_TYPE_RESTRICTED    ? 'restricted'    : 'installable',
+    noSubsetting: (bits & FS_TYPE_NO_SUBSETTING) !== 0,
+    bitmapOnly:   (bits & FS_TYPE_BITMAP_ONLY)   !== 0,
+  };
+}
+
+/** Usage level followed by any subsetting or bitmap restriction. */
+export function describeEmbedding({ usage, noSubsetting, bitmapOnly }: EmbeddingPermissions): string[] {
+  return [
+    EMBEDDING_USAGE_LABELS[usage],
+    ...(noSubsetting ? ['No subsetting']         : []),
+    ...(bitmapOnly   ? ['Bitmap embedding only'] : []),
+  ];
+}
+
+/** True when the font may not be embedded or shown outside the licensee's own use. */
+export function isRestricted({ usage }: EmbeddingPermissions): boolean {
+  return usage === 'restricted';
+}
+
+/** Names a well-known open licence from the licence description or URL, or returns null. */
+export function identifyLicence(license: string, licenseURL: string): string | null {
+  const text = `${license} ${licenseURL}`;
+  return OPEN_LICENCES.find(([pattern]) => pattern.test(text))?.[1] ?? null;
+}
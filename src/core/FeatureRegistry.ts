@@ -0,0 +1,189 @@
+// =============================================================================
+// core/FeatureRegistry.ts
+// Names and categories of the OpenType layout features, after the feature
+// tag registry of the OpenType specification, and which features browsers
+// apply by default.
+// =============================================================================
+
+export type FeatureCategory = 'ligatures' | 'figures' | 'capitals' | 'stylistic' | 'positioning' | 'other';
+
+/** Categories in the order they are listed in the control panel. */
+export const FEATURE_CATEGORIES: ReadonlyArray<{ readonly key: FeatureCategory; readonly label: string }> = [
+  { key: 'ligatures',   label: 'Ligatures' },
+  { key: 'figures',     label: 'Figures' },
+  { key: 'capitals',    label: 'Capitals' },
+  { key: 'stylistic',   label: 'Stylistic' },
+  { key: 'positioning', label: 'Positioning' },
+  { key: 'other',       label: 'Script and other' },
+];
+
+const FEATURE_NAMES: Readonly<Record<string, string>> = {
+  aalt: 'Access All Alternates',
+  abvf: 'Above-base Forms',
+  abvm: 'Above-base Mark Positioning',
+  abvs: 'Above-base Substitutions',
+  afrc: 'Alternative Fractions',
+  akhn: 'Akhand',
+  apkn: 'Kerning for Alternate Proportional Widths',
+  blwf: 'Below-base Forms',
+  blwm: 'Below-base Mark Positioning',
+  blws: 'Below-base Substitutions',
+  c2pc: 'Petite Capitals From Capitals',
+  c2sc: 'Small Capitals From Capitals',
+  calt: 'Contextual Alternates',
+  case: 'Case-Sensitive Forms',
+  ccmp: 'Glyph Composition / Decomposition',
+  cfar: 'Conjunct Form After Ro',
+  chws: 'Contextual Half-width Spacing',
+  cjct: 'Conjunct Forms',
+  clig: 'Contextual Ligatures',
+  cpct: 'Centered CJK Punctuation',
+  cpsp: 'Capital Spacing',
+  cswh: 'Contextual Swash',
+  curs: 'Cursive Positioning',
+  dist: 'Distances',
+  dlig: 'Discretionary Ligatures',
+  dnom: 'Denominators',
+  dtls: 'Dotless Forms',
+  expt: 'Expert Forms',
+  falt: 'Final Glyph on Line Alternates',
+  fin2: 'Terminal Forms #2',
+  fin3: 'Terminal Forms #3',
+  fina: 'Terminal Forms',
+  flac: 'Flattened Accent Forms',
+  frac: 'Fractions',
+  fwid: 'Full Widths',
+  half: 'Half Forms',
+  haln: 'Halant Forms',
+  halt: 'Alternate Half Widths',
+  hist: 'Historical Forms',
+  hkna: 'Horizontal Kana Alternates',
+  hlig: 'Historical Ligatures',
+  hngl: 'Hangul',
+  hojo: 'Hojo Kanji Forms',
+  hwid: 'Half Widths',
+  init: 'Initial Forms',
+  isol: 'Isolated Forms',
+  ital: 'Italics',
+  jalt: 'Justification Alternates',
+  jp04: 'JIS2004 Forms',
+  jp78: 'JIS78 Forms',
+  jp83: 'JIS83 Forms',
+  jp90: 'JIS90 Forms',
+  kern: 'Kerning',
+  lfbd: 'Left Bounds',
+  liga: 'Standard Ligatures',
+  ljmo: 'Leading Jamo Forms',
+  lnum: 'Lining Figures',
+  locl: 'Localized Forms',
+  ltra: 'Left-to-right Alternates',
+  ltrm: 'Left-to-right Mirrored Forms',
+  mark: 'Mark Positioning',
+  med2: 'Medial Forms #2',
+  medi: 'Medial Forms',
+  mgrk: 'Mathematical Greek',
+  mkmk: 'Mark to Mark Positioning',
+  mset: 'Mark Positioning via Substitution',
+  nalt: 'Alternate Annotation Forms',
+  nlck: 'NLC Kanji Forms',
+  nukt: 'Nukta Forms',
+  numr: 'Numerators',
+  onum: 'Oldstyle Figures',
+  opbd: 'Optical Bounds',
+  ordn: 'Ordinals',
+  ornm: 'Ornaments',
+  palt: 'Proportional Alternate Widths',
+  pcap: 'Petite Capitals',
+  pkna: 'Proportional Kana',
+  pnum: 'Proportional Figures',
+  pref: 'Pre-base Forms',
+  pres: 'Pre-base Substitutions',
+  pstf: 'Post-base Forms',
+  psts: 'Post-base Substitutions',
+  pwid: 'Proportional Widths',
+  qwid: 'Quarter Widths',
+  rand: 'Randomize',
+  rclt: 'Required Contextual Alternates',
+  rkrf: 'Rakar Forms',
+  rlig: 'Required Ligatures',
+  rphf: 'Reph Form',
+  rtbd: 'Right Bounds',
+  rtla: 'Right-to-left Alternates',
+  rtlm: 'Right-to-left Mirrored Forms',
+  ruby: 'Ruby Notation Forms',
+  rvrn: 'Required Variation Alternates',
+  salt: 'Stylistic Alternates',
+  sinf: 'Scientific Inferiors',
+  size: 'Optical Size',
+  smcp: 'Small Capitals',
+  smpl: 'Simplified Forms',
+  ssty: 'Math Script-style Alternates',
+  stch: 'Stretching Glyph Decomposition',
+  subs: 'Subscript',
+  sups: 'Superscript',
+  swsh: 'Swash',
+  titl: 'Titling',
+  tjmo: 'Trailing Jamo Forms',
+  tnam: 'Traditional Name Forms',
+  tnum: 'Tabular Figures',
+  trad: 'Traditional Forms',
+  twid: 'Third Widths',
+  unic: 'Unicase',
+  valt: 'Alternate Vertical Metrics',
+  vapk: 'Kerning for Alternate Proportional Vertical Metrics',
+  vatu: 'Vattu Variants',
+  vchw: 'Vertical Contextual Half-width Spacing',
+  vert: 'Vertical Alternates',
+  vhal: 'Alternate Vertical Half Metrics',
+  vjmo: 'Vowel Jamo Forms',
+  vkna: 'Vertical Kana Alternates',
+  vkrn: 'Vertical Kerning',
+  vpal: 'Proportional Alternate Vertical Metrics',
+  vrt2: 'Vertical Alternates and Rotation',
+  vrtr: 'Vertical Alternates for Rotation',
+  zero: 'Slashed Zero',
+};
+
+const CATEGORY_TAGS: Readonly<Record<Exclude<FeatureCategory, 'other'>, readonly string[]>> = {
+  ligatures:   ['liga', 'clig', 'dlig', 'hlig', 'rlig', 'calt'],
+  figures:     ['lnum', 'onum', 'pnum', 'tnum', 'frac', 'afrc', 'numr', 'dnom', 'sups', 'subs', 'sinf', 'ordn', 'zero'],
+  capitals:    ['smcp', 'c2sc', 'pcap', 'c2pc', 'unic', 'titl', 'case', 'cpsp'],
+  stylistic:   ['salt', 'swsh', 'cswh', 'hist', 'aalt', 'nalt', 'ornm', 'rand', 'ital', 'jalt', 'falt', 'flac', 'dtls', 'ssty', 'mgrk', 'expt'],
+  positioning: ['kern', 'mark', 'mkmk', 'dist', 'curs', 'abvm', 'blwm', 'cpct', 'opbd', 'lfbd', 'rtbd',
+                'palt', 'halt', 'chws', 'apkn', 'vkrn', 'vpal', 'vhal', 'valt', 'vchw', 'vapk', 'size'],
+};
+
+const TAG_CATEGORIES: ReadonlyMap<string, FeatureCategory> = new Map(
+  Object.entries(CATEGORY_TAGS).flatMap(([category, tags]) =>
+    tags.map(tag => [tag, category as FeatureCategory] as const)),
+);
+
+/**
+ * Features browsers apply to horizontal text of every script unless told
+ * otherwise; turning one of these off takes an explicit `"tag" 0`. Script
+ * shaping features such as `init` or `half` are left out: they only apply
+ * inside their script's shaper, so in other text they are off like any other.
+ */
+const DEFAULT_ON_FEATURES: ReadonlySet<string> = new Set([
+  'ccmp', 'locl', 'rvrn', 'rlig', 'liga', 'clig', 'calt', 'kern', 'mark', 'mkmk',
+]);
+
+/** Registry name of a feature, e.g. "Tabular Figures" or "Stylistic Set 3"; null for unregistered tags. */
+export function featureName(tag: string): string | null {
+  const numbered = /^(ss|cv)(\d\d)$/.exec(tag);
+  if (numbered) {
+    return `${numbered[1] === 'ss' ? 'Stylistic Set' : 'Character Variant'} ${parseInt(numbered[2]!, 10)}`;
+  }
+  return FEATURE_NAMES[tag] ?? null;
+}
+
+/** Category a feature is listed under; unregistered and script features go under "other". */
+export function featureCategory(tag: string): FeatureCategory {
+  if (/^(ss|cv)\d\d$/.test(tag)) return 'stylistic';
+  return TAG_CATEGORIES.get(tag) ?? 'other';
+}
+
+/** True when browsers apply the feature without `font-feature-settings`. */
+export function isDefaultOnFeature(tag: string): boolean {
+  return DEFAULT_ON_FEATURES.has(tag);
+}
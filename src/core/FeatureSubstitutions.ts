@@ -0,0 +1,133 @@
+// =============================================================================
+// core/FeatureSubstitutions.ts
+// The glyph substitutions a GSUB feature makes, read from its lookups: single,
+// multiple, alternate and ligature substitutions, and the lookups contextual
+// rules apply. Used to preview what a feature changes before turning it on.
+// =============================================================================
+
+export type SubstitutionKind = 'single' | 'multiple' | 'alternate' | 'ligature';
+
+export interface GlyphSubstitution {
+  kind:       SubstitutionKind;
+  /** Glyph IDs replaced; more than one for a ligature. */
+  input:      number[];
+  /** Glyph IDs put in their place; for alternates, every alternate. */
+  output:     number[];
+  /** Made by a lookup that only applies in the context of other glyphs. */
+  contextual: boolean;
+}
+
+const SINGLE           = 1;
+const MULTIPLE         = 2;
+const ALTERNATE        = 3;
+const LIGATURE         = 4;
+const CONTEXT          = 5;
+const CHAINING_CONTEXT = 6;
+const EXTENSION        = 7;
+const REVERSE_CHAINING = 8;
+
+/**
+ * Every substitution the lookups of a GSUB feature make, in lookup order.
+ * Lookups reached through contextual rules are followed once each and their
+ * substitutions marked contextual. A tag registered more than once (one
+ * feature record per script) contributes the lookups of all its records.
+ */
+export function featureSubstitutions(font: opentype.Font, tag: string): GlyphSubstitution[] {
+  const gsub = font.tables.gsub;
+  if (!gsub?.lookups) return [];
+
+  const lookups = gsub.lookups;
+  const visited = new Set<number>();
+  const result: GlyphSubstitution[] = [];
+
+  const visit = (index: number, contextual: boolean): void => {
+    if (visited.has(index)) return;
+    visited.add(index);
+
+    const lookup = lookups[index];
+    for (const wrapper of lookup?.subtables ?? []) {
+      const isExtension = lookup?.lookupType === EXTENSION;
+      const type        = isExtension ? wrapper.lookupType : lookup?.lookupType;
+      const subtable    = isExtension ? wrapper.extension : wrapper;
+      if (!subtable || type === undefined) continue;
+
+      if (type === CONTEXT || type === CHAINING_CONTEXT) {
+        for (const record of lookupRecords(subtable)) visit(record.lookupListIndex, true);
+      } else {
+        result.push(...subtableSubstitutions(type, subtable, contextual));
+      }
+    }
+  };
+
+  for (const record of gsub.features) {
+    if (record.tag !== tag) continue;
+    for (const index of record.feature.lookupListIndexes) visit(index, false);
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function subtableSubstitutions(
+  type: number,
+  subtable: OpentypeLookupSubtable,
+  contextual: boolean,
+): GlyphSubstitution[] {
+  const covered = subtable.coverage ? coverageGlyphs(subtable.coverage) : [];
+  const result: GlyphSubstitution[] = [];
+
+  covered.forEach((glyph, i) => {
+    switch (type) {
+      case SINGLE: {
+        const output = subtable.deltaGlyphId !== undefined
+          ? (glyph + subtable.deltaGlyphId) & 0xFFFF
+          : subtable.substitute?.[i];
+        if (output !== undefined) result.push({ kind: 'single', input: [glyph], output: [output], contextual });
+        break;
+      }
+      case MULTIPLE: {
+        const output = subtable.sequences?.[i];
+        if (output) result.push({ kind: 'multiple', input: [glyph], output, contextual });
+        break;
+      }
+      case ALTERNATE: {
+        const output = subtable.alternateSets?.[i];
+        if (output?.length) result.push({ kind: 'alternate', input: [glyph], output, contextual });
+        break;
+      }
+      case LIGATURE:
+        for (const { ligGlyph, components } of subtable.ligatureSets?.[i] ?? []) {
+          result.push({ kind: 'ligature', input: [glyph, ...components], output: [ligGlyph], contextual });
+        }
+        break;
+      case REVERSE_CHAINING: {
+        const output = subtable.substitutes?.[i];
+        if (output !== undefined) result.push({ kind: 'single', input: [glyph], output: [output], contextual: true });
+        break;
+      }
+    }
+  });
+  return result;
+}
+
+/** The glyphs of a coverage table, in coverage index order. */
+function coverageGlyphs(coverage: OpentypeCoverage): number[] {
+  if (coverage.format === 1) return coverage.glyphs;
+
+  const glyphs: number[] = [];
+  for (const { start, end, index } of coverage.ranges) {
+    for (let glyph = start; glyph <= end; glyph++) glyphs[index + glyph - start] = glyph;
+  }
+  return glyphs;
+}
+
+/** Lookup records of every rule of a contextual or chaining contextual subtable. */
+function lookupRecords(subtable: OpentypeLookupSubtable): OpentypeLookupRecord[] {
+  const ruleSets = [subtable.ruleSets, subtable.classSets, subtable.chainRuleSets, subtable.chainClassSet];
+  return [
+    ...(subtable.lookupRecords ?? []),
+    ...ruleSets.flatMap(sets => (sets ?? []).flatMap(rules => (rules ?? []).flatMap(rule => rule.lookupRecords))),
+  ];
+}
@@ -2,7 +2,19 @@
 // core/FontInfo.ts
 // =============================================================================
 
-import { AXIS_NAMES, type AxisDefinition, type FontInformation, type FontOpenTypeFeature, type VariableInstance } from './Types.js';
+import { AXIS_NAMES, CONTAINER_NAMES, type AxisDefinition, type FontSource, type FontInformation, type FontOpenTypeFeature, type NameRecord, type VariableInstance } from './Types.js';
+import {
+  readNameRecords,
+  findPlatformMismatches,
+  platformLabel,
+  encodingLabel,
+  languageLabel,
+  nameIdLabel,
+} from './NameTable.js';
+import { getMetricsReport } from './MetricsInspector.js';
+import { decodeFsType } from './Embedding.js';
+import { escapeHtml } from './Html.js';
+import type { DecodedFont } from './WebFontDecoder.js';
 
 // ---------------------------------------------------------------------------
 // FontInfoRenderer — static helpers that inject HTML into DOM containers
@@ -23,6 +35,7 @@ export class FontInfoRenderer {
         <p><strong>Font file</strong><br>
         Filename &rarr; ${info.filename}<br>
         File format &rarr; ${info.format}<br>
+        ${info.collectionFace ? `Collection face &rarr; ${info.collectionFace.index + 1} of ${info.collectionFace.count}<br>` : ''}
         Variable font &rarr; ${info.axes.length > 0 ? 'Yes' : 'No'}<br>
         Monospaced &rarr; ${info.isFixedPitch}<br>
         Units per Em &rarr; ${info.unitsPerEm}<br>
@@ -52,32 +65,86 @@ export class FontInfoRenderer {
         <p><strong>Licence</strong><br>
         ${info.license}<br>
         ${info.licenseURL !== 'Unknown' ? `Licence URL &rarr; ${info.licenseURL}</p>` : '</p>'}
+
+        ${FontInfoRenderer.nameTableHTML(info.nameRecords)}
     `;
+
+    const filter = container.querySelector<HTMLInputElement>('.name-table-filter');
+    if (filter) {
+      const rows = container.querySelectorAll<HTMLElement>('.name-record');
+      filter.addEventListener('input', () => {
+        const query = filter.value.trim().toLowerCase();
+        rows.forEach(row => {
+          row.hidden = !!query && !(row.dataset['search'] ?? '').includes(query);
+        });
+      });
+      // Keep app shortcuts (space, f, s, j/k …) from firing while typing here.
+      filter.addEventListener('keydown', (e) => { e.stopPropagation(); });
+    }
+  }
+
+  /**
+   * Lists every name record with its platform, encoding, language and name
+   * ID, after any names that differ between platforms.
+   */
+  private static nameTableHTML(records: readonly NameRecord[]): string {
+    if (records.length === 0) return '';
+
+    const mismatches = findPlatformMismatches(records);
+    const mismatched = new Set(mismatches.map(m => m.nameId));
+
+    const warnings = mismatches.map(({ nameId, values }) => `
+        <p class="name-mismatch"><strong>${nameIdLabel(nameId)} (ID ${nameId}) differs between platforms</strong><br>
+        ${values.map(([platform, value]) => `${platform} &rarr; ${escapeHtml(value)}`).join('<br>')}</p>`).join('');
+
+    const rows = records.map(record => {
+      const meta = [
+        `${record.nameId} ${nameIdLabel(record.nameId)}`,
+        platformLabel(record.platformId),
+        encodingLabel(record.platformId, record.encodingId),
+        languageLabel(record),
+      ].join(' · ');
+      const search = `${meta} ${record.languageTag ?? ''} ${record.value}`.toLowerCase();
+      return `
+          <div class="name-record${mismatched.has(record.nameId) ? ' name-record-mismatch' : ''}" data-search="${escapeHtml(search)}">
+            <span class="name-record-meta">${escapeHtml(meta)}</span><br>
+            ${escapeHtml(record.value) || '<em>empty</em>'}
+          </div>`;
+    }).join('');
+
+    return `
+        <p><strong>Name table (${records.length} records)</strong><br>
+        <input type="search" class="name-table-filter" placeholder="Filter by name, platform, language…"></p>
+        ${warnings}
+        <div class="name-table">${rows}
+        </div>`;
   }
 
   /**
-   * Renders glyph information into a container element.
+   * Renders glyph information into a container element. `glyph` is a
+   * character, or the index of a glyph no character is mapped to.
    */
   static renderGlyphInfo(
     container: HTMLElement | null,
     font: opentype.Font | null,
-    glyph: string,
+    glyph: string | number,
   ): void {
     if (!container) return;
 
-    if (!font || !glyph) {
+    if (!font || glyph === '') {
       container.innerHTML = '<p>No glyph selected</p>';
       return;
     }
 
-    const glyphIndex = font.charToGlyphIndex(glyph);
+    const glyphIndex = typeof glyph === 'number' ? glyph : font.charToGlyphIndex(glyph);
     const glyphObj   = font.glyphs.get(glyphIndex);
+    const character  = typeof glyph === 'number' ? '<em>unencoded</em>' : escapeHtml(glyph);
 
     container.innerHTML = `
     <div class="glyph-info-container">
       <div class="info-column">
         <p><strong>Glyph information</strong><br>
-        Character &rarr; ${glyph}<br>
+        Character &rarr; ${character}<br>
         Name &rarr; <span class="monospaced">${glyphObj.name}</span><br>
         Unicode &rarr; <span class="monospaced">U+${glyphObj.unicode?.toString(16).toUpperCase().padStart(4, '0') ?? 'N/A'}</span><br>
         Index &rarr; <span class="monospaced">${glyphIndex}</span><br>
@@ -104,8 +171,17 @@ export class FontInfoRenderer {
 
 /**
  * Extracts comprehensive information about a font file.
+ *
+ * @param source  The container the file was loaded from (before any WOFF/WOFF2
+ *                decompression) and, for collections, the chosen face. When it
+ *                carries the decoded sfnt, the raw name records are read too.
  */
-export function getFontInformation(font: opentype.Font, filename: string): FontInformation {
+export function getFontInformation(
+  font:     opentype.Font,
+  filename: string,
+  source:   FontSource | DecodedFont = { container: 'sfnt' },
+): FontInformation {
+  const { container } = source;
   const names = font.names;
   const os2   = font.tables.os2;
   const head  = font.tables.head;
@@ -137,7 +213,13 @@ export function getFontInformation(font: opentype.Font, filename: string): FontI
     license:         extractFontName(names.windows?.license),
     licenseURL:      extractFontName(names.windows?.licenseURL),
     vendorID:        os2?.achVendID ?? 'Unknown',
-    format:          font.outlinesFormat,
+    format:          container === 'sfnt'
+      ? font.outlinesFormat
+      : `${font.outlinesFormat} (${CONTAINER_NAMES[container]})`,
+    container,
+    collectionFace:  source.faceIndex !== undefined
+      ? { index: source.faceIndex, count: source.faceCount ?? 1 }
+      : null,
     unitsPerEm:      head?.unitsPerEm ?? 'Unknown',
     created:         head?.created  ? new Date(head.created  * 1000).toLocaleDateString() : 'Unknown',
     modified:        head?.modified ? new Date(head.modified * 1000).toLocaleDateString() : 'Unknown',
@@ -147,6 +229,9 @@ export function getFontInformation(font: opentype.Font, filename: string): FontI
     features:        extractOpenTypeFeatures(font),
     axes:            extractVariableAxes(font),
     instances:       extractVariableInstances(font),
+    nameRecords:     'buffer' in source ? readNameRecords(source.buffer) : [],
+    metrics:         getMetricsReport(font),
+    embedding:       decodeFsType(os2?.fsType ?? null),
   };
 
   console.log('Full font axes information:', {
@@ -206,11 +291,13 @@ function extractFontStyle(font: opentype.Font): string {
 
 function extractOpenTypeFeatures(font: opentype.Font): FontOpenTypeFeature[] {
   const features: FontOpenTypeFeature[] = [];
-  const gsub = font.tables.gsub;
-  if (gsub) {
-    for (const feature of gsub.features) {
+  const tables = [['GSUB', font.tables.gsub], ['GPOS', font.tables.gpos]] as const;
+  for (const [table, layout] of tables) {
+    if (!layout) continue;
+    for (const feature of layout.features) {
       features.push({
         tag:     feature.tag,
+        table,
         scripts: feature.feature.lookupListIndexes,
       });
     }
@@ -2,19 +2,51 @@
 // core/FontLoader.ts
 // =============================================================================
 
-import { getFontInformation } from './FontInfo.js';
-import { saveFont, getSavedFont, saveInstanceIndex, saveAxisSettings, saveLastChanged } from '../shared/FontSession.js';
-import type { FontLoadResult, FontLoaderOptions } from './Types.js';
+import { parseFontFile } from './FontParser.js';
+import {
+  saveFonts,
+  getSavedFonts,
+  saveActiveStyle,
+  getSavedActiveStyle,
+  saveInstanceIndex,
+  saveAxisSettings,
+  saveLastChanged,
+} from '../shared/FontSession.js';
+import { addToLibrary, getLibraryFile } from '../shared/FontLibrary.js';
+import { pickCollectionFace } from '../shared/FacePicker.js';
+import { showLoadProgress } from '../shared/LoadProgress.js';
+import type { FontFile, FontInformation, FontLoadResult, FontLoaderOptions, FontLoadStage, FontRef } from './Types.js';
 
-export type { FontLoadResult, FontLoaderOptions };
+export type { FontFile, FontLoadResult, FontLoaderOptions };
 
 interface LoadFontOptions {
   preserveInstance?: boolean;
+  /** Face to load from a TTC/OTC collection; the user is asked when omitted. */
+  faceIndex?:        number;
 }
 
+interface LoadFamilyOptions {
+  preserveInstance?: boolean;
+  /** Index (after sorting) of the style to show first. */
+  activeStyle?:      number;
+}
+
+/** A parsed style together with the file it came from. */
+interface LoadedStyle {
+  readonly file:   FontFile;
+  readonly result: FontLoadResult;
+}
+
+let fontFaceCounter = 0;
+
 export class FontLoader {
   public currentFont: opentype.Font | null = null;
+  /** Every style of the loaded family, ordered by weight, width and italic. */
+  public styles:      FontLoadResult[]     = [];
+  public activeStyleIndex                  = 0;
   private readonly callbacks: FontLoaderOptions;
+  /** Bumped on every load so a slow library write cannot overwrite a newer session. */
+  private loadGeneration = 0;
 
   constructor(options: FontLoaderOptions = {}) {
     this.callbacks = options;
@@ -23,62 +55,138 @@ export class FontLoader {
   /**
    * Loads a font from an ArrayBuffer, registers it with the browser as a
    * FontFace, and returns a FontLoadResult.
+   *
+   * Decoding, parsing and info extraction run in a Web Worker; progress is
+   * reported through onProgress (the shared indicator by default).
+   *
+   * WOFF and WOFF2 files are decompressed to a plain sfnt first; the
+   * returned `buffer` is always the decompressed sfnt, while the font
+   * library keeps the original (smaller) file. For TTC/OTC collections only
+   * the chosen face is parsed and registered.
    */
   async loadFont(
     buffer: ArrayBuffer,
     filename: string = '',
-    { preserveInstance = false }: LoadFontOptions = {},
-  ): Promise<FontLoadResult> {
-    try {
-      const font = opentype.parse(buffer);
+    { preserveInstance = false, faceIndex }: LoadFontOptions = {},
+  ): Promise<FontLoadResult | null> {
+    return this.loadFamily([{ buffer, filename, faceIndex }], { preserveInstance });
+  }
 
-      console.log('OpenType parsed font:', {
-        tables:  Object.keys(font.tables),
-        hasFvar: !!font.tables.fvar,
-        axes:    font.tables.fvar?.axes,
-      });
+  /**
+   * Loads several fonts as the styles of one family. The styles are sorted by
+   * OS/2 weight class, width class and italic bit; the active one is passed to
+   * onFontLoaded and the rest are available through switchStyle().
+   *
+   * Files that fail to parse are skipped with a warning, unless none succeed.
+   * Every loaded file is added to the local font library and the session
+   * remembers the family by library reference.
+   *
+   * Resolves with null, leaving the loaded font in place, when the user
+   * cancels the collection face picker.
+   */
+  async loadFamily(
+    files: readonly FontFile[],
+    { preserveInstance = false, activeStyle = 0 }: LoadFamilyOptions = {},
+  ): Promise<FontLoadResult | null> {
+    const generation = ++this.loadGeneration;
+    const onProgress = this.callbacks.onProgress ?? showLoadProgress;
+    try {
+      const loaded: LoadedStyle[] = [];
+      let firstError: unknown     = null;
 
-      const uniqueFontName = `Font_${Date.now()}`;
-      const fontFace = new FontFace(uniqueFontName, buffer);
-      await fontFace.load();
-      document.fonts.add(fontFace);
+      for (const [i, file] of files.entries()) {
+        const report = (stage: FontLoadStage): void => {
+          onProgress({ stage, filename: file.filename, file: i + 1, files: files.length });
+        };
+        try {
+          loaded.push(await this.loadFontFile(file, report));
+        } catch (err) {
+          if (files.length === 1 || isAbortError(err)) throw err;
+          console.warn(`Skipping ${file.filename || 'font'}:`, err);
+          firstError ??= err;
+        }
+      }
+      if (loaded.length === 0) throw firstError ?? new Error('No fonts to load');
 
-      this.currentFont = font;
-      const fontInfo = getFontInformation(font, filename);
+      loaded.sort((a, b) => compareStyles(a.result.fontInfo, b.result.fontInfo));
 
-      console.log('Font info generated:', fontInfo);
+      this.styles           = loaded.map(l => l.result);
+      this.activeStyleIndex = Math.min(Math.max(activeStyle, 0), this.styles.length - 1);
+      const result          = this.styles[this.activeStyleIndex]!;
+      this.currentFont      = result.font;
 
-      saveFont(buffer, filename);
+      saveActiveStyle(this.activeStyleIndex);
       if (!preserveInstance) {
         saveInstanceIndex(null);
         saveAxisSettings(null);
         saveLastChanged(null);
       }
 
-      const result: FontLoadResult = { font, fontInfo, fontFamily: uniqueFontName, buffer };
       this.callbacks.onFontLoaded?.(result);
+
+      const refs = await this.addToLibrary(loaded);
+      if (generation === this.loadGeneration) saveFonts(refs);
       return result;
 
     } catch (err) {
+      if (isAbortError(err)) return null;
       const error = err instanceof Error ? err : new Error(String(err));
       console.error('Error loading font:', error);
       this.callbacks.onError?.(error);
       throw error;
+
+    } finally {
+      if (generation === this.loadGeneration) {
+        onProgress({ stage: 'done', filename: '', file: files.length, files: files.length });
+      }
     }
   }
 
   /**
-   * Restores the last loaded font from sessionStorage (survives page navigation).
-   * Safe to call on DOMContentLoaded — a no-op when no font has been saved.
+   * Makes another style of the loaded family active. The index wraps around,
+   * so `activeStyleIndex ± 1` cycles through the family. Returns null when
+   * there is nothing to switch to.
+   */
+  switchStyle(index: number): FontLoadResult | null {
+    const count = this.styles.length;
+    if (count < 2) return null;
+
+    this.activeStyleIndex = ((index % count) + count) % count;
+    const result          = this.styles[this.activeStyleIndex]!;
+    this.currentFont      = result.font;
+    saveActiveStyle(this.activeStyleIndex);
+
+    (this.callbacks.onStyleChanged ?? this.callbacks.onFontLoaded)?.(result);
+    return result;
+  }
+
+  /**
+   * Restores the last loaded fonts from the font library, using the
+   * references kept in sessionStorage (survives page navigation).
+   * Safe to call on DOMContentLoaded — a no-op when no font has been saved
+   * or the saved fonts have since been deleted from the library.
    */
   async restoreFromSession(): Promise<void> {
-    const saved = getSavedFont();
-    if (!saved) return;
+    const refs = getSavedFonts();
+    if (refs.length === 0) return;
+
+    let saved: FontFile[];
+    try {
+      const files = await Promise.all(refs.map(ref => getLibraryFile(ref)));
+      saved = files.filter((file): file is FontFile => file !== null);
+    } catch (err) {
+      console.warn('Could not read the font library:', err);
+      return;
+    }
+    if (saved.length === 0) return;
 
     const dropText = document.getElementById('drop-text');
     dropText?.remove();
 
-    await this.loadFont(saved.buffer, saved.filename, { preserveInstance: true });
+    await this.loadFamily(saved, {
+      preserveInstance: true,
+      activeStyle:      getSavedActiveStyle() ?? 0,
+    });
   }
 
   /** Removes any FontFace instances attached by this loader and clears state. */
@@ -90,6 +198,91 @@ export class FontLoader {
         }
       });
       this.currentFont = null;
+      this.styles      = [];
+    }
+  }
+
+  /**
+   * Stores the loaded files in the font library and returns their references.
+   * Files that cannot be stored (no IndexedDB, quota) are left out with a
+   * warning; the fonts stay loaded either way.
+   */
+  private async addToLibrary(loaded: readonly LoadedStyle[]): Promise<FontRef[]> {
+    const refs: FontRef[] = [];
+    for (const { file, result } of loaded) {
+      try {
+        const { hash } = await addToLibrary(file.buffer, file.filename, result.fontInfo);
+        refs.push({ hash, ...(file.faceIndex !== undefined ? { faceIndex: file.faceIndex } : {}) });
+      } catch (err) {
+        console.warn(`Could not add ${file.filename || 'font'} to the font library:`, err);
+      }
     }
+    return refs;
   }
+
+  /**
+   * Parses a single file in the worker, then builds a lazily-parsed
+   * opentype.Font from the returned sfnt and registers it as a FontFace.
+   * The returned file records the chosen collection face so a restore does
+   * not ask again.
+   */
+  private async loadFontFile(
+    file:   FontFile,
+    report: (stage: FontLoadStage) => void,
+  ): Promise<LoadedStyle> {
+    const { buffer, filename } = file;
+
+    const selectFace = this.callbacks.selectFace ?? pickCollectionFace;
+    const { sfnt, summary } = await parseFontFile(file, {
+      chooseFace: (faces) => selectFace(faces, filename),
+      onStage:    report,
+    });
+    const { fontInfo, unicodes, findings, faceIndex } = summary;
+
+    // The worker has done the full parse. The Font the apps work with is
+    // parsed here only when first read, so styles of a family that are never
+    // shown are never parsed on the main thread.
+    let font: opentype.Font | null = null;
+
+    report('registering');
+    const uniqueFontName = `Font_${Date.now()}_${fontFaceCounter++}`;
+    const fontFace = new FontFace(uniqueFontName, sfnt);
+    await fontFace.load();
+    document.fonts.add(fontFace);
+
+    return {
+      file:   { buffer, filename, ...(faceIndex !== undefined ? { faceIndex } : {}) },
+      result: {
+        get font(): opentype.Font {
+          return font ??= opentype.parse(sfnt, { lowMemory: true });
+        },
+        fontInfo,
+        fontFamily: uniqueFontName,
+        buffer:     sfnt,
+        unicodes,
+        findings,
+      },
+    };
+  }
+}
+
+/** A load the user called off, e.g. by cancelling the collection face picker. */
+function isAbortError(err: unknown): boolean {
+  return err instanceof DOMException && err.name === 'AbortError';
+}
+
+// ---------------------------------------------------------------------------
+// Style ordering
+// ---------------------------------------------------------------------------
+
+/**
+ * Orders styles by OS/2 usWeightClass, then usWidthClass, then upright before
+ * italic, from the worker's summary so no style has to be parsed to sort.
+ */
+function compareStyles(a: FontInformation, b: FontInformation): number {
+  const key = ({ metrics, fontStyle }: FontInformation): [number, number, number] =>
+    [metrics.weightClass ?? 400, metrics.widthClass ?? 5, fontStyle === 'Upright' ? 0 : 1];
+  const [wa, da, ia] = key(a);
+  const [wb, db, ib] = key(b);
+  return wa - wb || da - db || ia - ib;
 }
@@ -0,0 +1,51 @@
+// =============================================================================
+// core/FontParseWorker.ts
+// Module worker behind core/FontParser. The vendored opentype.js and brotli.js
+// bundles are imported only for the globals they define.
+// =============================================================================
+
+import '../opentypejs/opentype.js';
+import '../brotlijs/brotli.js';
+import { summariseFontFile, type WorkerRequest, type WorkerResponse } from './FontParser.js';
+
+interface FaceReply {
+  readonly resolve: (index: number) => void;
+  readonly reject:  (error: Error) => void;
+}
+
+/** Collection face requests waiting for the main thread's face picker. */
+const faceReplies = new Map<number, FaceReply>();
+
+function post(message: WorkerResponse, transfer: Transferable[] = []): void {
+  self.postMessage(message, { transfer });
+}
+
+async function handleParse({ id, file }: Extract<WorkerRequest, { type: 'parse' }>): Promise<void> {
+  try {
+    const result = await summariseFontFile(file, {
+      onStage:    (stage) => { post({ type: 'stage', id, stage }); },
+      chooseFace: (faces) => new Promise<number>((resolve, reject) => {
+        faceReplies.set(id, { resolve, reject });
+        post({ type: 'chooseFace', id, faces: [...faces] });
+      }),
+    });
+    post({ type: 'done', id, result }, [result.sfnt]);
+  } catch (err) {
+    post({ type: 'error', id, message: err instanceof Error ? err.message : String(err) });
+  }
+}
+
+self.addEventListener('message', (event: MessageEvent<WorkerRequest>) => {
+  const request = event.data;
+  if (request.type === 'face') {
+    faceReplies.get(request.id)?.resolve(request.index);
+    faceReplies.delete(request.id);
+    return;
+  }
+  if (request.type === 'cancel') {
+    faceReplies.get(request.id)?.reject(new Error('Face selection cancelled'));
+    faceReplies.delete(request.id);
+    return;
+  }
+  void handleParse(request);
+});
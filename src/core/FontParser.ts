@@ -0,0 +1,203 @@
+// =============================================================================
+// core/FontParser.ts
+// Decodes, parses and summarises font files in a Web Worker
+// (core/FontParseWorker), so big fonts no longer freeze the UI or stall the
+// running animations. The main thread gets back the decompressed sfnt and a
+// structured-cloneable summary.
+// =============================================================================
+
+import { decodeFontContainer, type FaceChooser } from './WebFontDecoder.js';
+import { getFontInformation } from './FontInfo.js';
+import { validateFont } from './FontValidator.js';
+import type { CollectionFace, FontFile, FontInformation, FontLoadStage, ValidationFinding } from './Types.js';
+
+/** What the worker learns about a font; everything here survives postMessage. */
+export interface FontSummary {
+  readonly fontInfo:   FontInformation;
+  /** Primary code point of every encoded glyph, in glyph order. */
+  readonly unicodes:   number[];
+  readonly findings:   ValidationFinding[];
+  /** Face that was loaded from a TTC/OTC collection. */
+  readonly faceIndex?: number;
+}
+
+export interface ParsedFontFile {
+  /** Decompressed sfnt of the (chosen face of the) font. */
+  readonly sfnt:    ArrayBuffer;
+  readonly summary: FontSummary;
+}
+
+export interface ParseCallbacks {
+  /** Asked only for collections, and only when the file names no face. */
+  chooseFace: FaceChooser;
+  onStage:    (stage: FontLoadStage) => void;
+}
+
+// ---------------------------------------------------------------------------
+// Worker messages
+// ---------------------------------------------------------------------------
+
+export type WorkerRequest =
+  | { readonly type: 'parse'; readonly id: number; readonly file: FontFile }
+  | { readonly type: 'face';   readonly id: number; readonly index: number }
+  /** The face picker was dismissed; the job is abandoned. */
+  | { readonly type: 'cancel'; readonly id: number };
+
+export type WorkerResponse =
+  | { readonly type: 'stage';      readonly id: number; readonly stage: FontLoadStage }
+  | { readonly type: 'chooseFace'; readonly id: number; readonly faces: CollectionFace[] }
+  | { readonly type: 'done';       readonly id: number; readonly result: ParsedFontFile }
+  | { readonly type: 'error';      readonly id: number; readonly message: string };
+
+// ---------------------------------------------------------------------------
+// Parsing (runs inside the worker)
+// ---------------------------------------------------------------------------
+
+/**
+ * Decodes any container, fully parses the font with opentype.js, extracts
+ * its FontInformation and encoded code points, and validates it. Runs in
+ * the worker, or on the main thread when module workers are unavailable.
+ */
+export async function summariseFontFile(
+  { buffer, filename, faceIndex }: FontFile,
+  { chooseFace, onStage }: ParseCallbacks,
+): Promise<ParsedFontFile> {
+  onStage('decoding');
+  const decoded = await decodeFontContainer(buffer, (faces) =>
+    faceIndex !== undefined && faceIndex < faces.length
+      ? Promise.resolve(faceIndex)
+      : chooseFace(faces),
+  );
+
+  onStage('parsing');
+  const font = opentype.parse(decoded.buffer);
+
+  console.log('OpenType parsed font:', {
+    tables:  Object.keys(font.tables),
+    hasFvar: !!font.tables.fvar,
+    axes:    font.tables.fvar?.axes,
+  });
+
+  onStage('analysing');
+  const fontInfo = getFontInformation(font, filename, decoded);
+
+  console.log('Font info generated:', fontInfo);
+
+  const unicodes: number[] = [];
+  for (let i = 0; i < font.glyphs.length; i++) {
+    const glyph = font.glyphs.get(i);
+    if (glyph.name === '.notdef' || glyph.unicode === undefined) continue;
+    unicodes.push(glyph.unicode);
+  }
+
+  onStage('validating');
+  const findings = validateFont(font, decoded.buffer, decoded);
+
+  return {
+    sfnt:    decoded.buffer,
+    summary: {
+      fontInfo,
+      unicodes,
+      findings,
+      ...(decoded.faceIndex !== undefined ? { faceIndex: decoded.faceIndex } : {}),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Main-thread client
+// ---------------------------------------------------------------------------
+
+interface PendingParse {
+  readonly file:      FontFile;
+  readonly callbacks: ParseCallbacks;
+  readonly resolve:   (result: ParsedFontFile) => void;
+  readonly reject:    (error: Error) => void;
+}
+
+/** One worker is shared by every FontLoader, so switching apps does not leak workers. */
+let worker: Worker | null = null;
+let workerUnavailable     = false;
+let nextRequestId         = 0;
+const pending             = new Map<number, PendingParse>();
+
+/**
+ * Parses a font file in the shared worker. The original buffer is copied,
+ * not transferred, so the caller can still store it in the font library.
+ */
+export function parseFontFile(file: FontFile, callbacks: ParseCallbacks): Promise<ParsedFontFile> {
+  const parser = getWorker();
+  if (!parser) return summariseFontFile(file, callbacks);
+
+  return new Promise<ParsedFontFile>((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { file, callbacks, resolve, reject });
+    parser.postMessage({ type: 'parse', id, file } satisfies WorkerRequest);
+  });
+}
+
+function getWorker(): Worker | null {
+  if (worker || workerUnavailable) return worker;
+
+  try {
+    worker = new Worker(new URL('./FontParseWorker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    fallBackToMainThread(err);
+    return null;
+  }
+
+  worker.addEventListener('message', (e: MessageEvent<WorkerResponse>) => {
+    handleWorkerMessage(e.data);
+  });
+  // Only fires when the worker script itself fails to load or run.
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    fallBackToMainThread(e.message);
+  });
+  return worker;
+}
+
+function handleWorkerMessage(message: WorkerResponse): void {
+  const job = pending.get(message.id);
+  if (!job) return;
+
+  switch (message.type) {
+    case 'stage':
+      job.callbacks.onStage(message.stage);
+      break;
+    case 'chooseFace':
+      job.callbacks.chooseFace(message.faces).then(
+        (index) => { worker?.postMessage({ type: 'face', id: message.id, index } satisfies WorkerRequest); },
+        (err: unknown) => {
+          pending.delete(message.id);
+          worker?.postMessage({ type: 'cancel', id: message.id } satisfies WorkerRequest);
+          job.reject(err instanceof Error ? err : new Error(String(err)));
+        },
+      );
+      break;
+    case 'done':
+      pending.delete(message.id);
+      job.resolve(message.result);
+      break;
+    case 'error':
+      pending.delete(message.id);
+      job.reject(new Error(message.message));
+      break;
+  }
+}
+
+/** Re-runs every outstanding job on the main thread and stops using the worker. */
+function fallBackToMainThread(reason: unknown): void {
+  console.warn('Font worker unavailable, parsing on the main thread:', reason);
+  worker?.terminate();
+  worker            = null;
+  workerUnavailable = true;
+
+  const jobs = [...pending.values()];
+  pending.clear();
+  for (const job of jobs) {
+    summariseFontFile(job.file, job.callbacks).then(job.resolve, (err: unknown) => {
+      job.reject(err instanceof Error ? err : new Error(String(err)));
+    });
+  }
+}
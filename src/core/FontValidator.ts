@@ -0,0 +1,465 @@
+// =============================================================================
+// core/FontValidator.ts
+// Sanity checks run after opentype.parse: fonts that parse but are broken in
+// ways that only show up later (checksums, missing OS/2 fields, empty cmap
+// glyphs, hhea/OS/2 metric mismatches) produce findings with a severity.
+// =============================================================================
+
+import { readTableDirectory, type TableRecord } from './WebFontDecoder.js';
+import { escapeHtml } from './Html.js';
+import type { FontSource, ValidationFinding, ValidationSeverity } from './Types.js';
+
+// ---------------------------------------------------------------------------
+// FontHealthRenderer — injects the findings into the "Font health" panel
+// ---------------------------------------------------------------------------
+
+const SEVERITY_HEADINGS = {
+  error:   'Errors',
+  warning: 'Warnings',
+  info:    'Notes',
+} as const satisfies Record<ValidationSeverity, string>;
+
+export class FontHealthRenderer {
+  /**
+   * Renders validation findings grouped by severity. The panel's toggle gets
+   * a `data-severity` attribute with the worst severity, so it can be flagged.
+   */
+  static renderFindings(
+    container: HTMLElement | null,
+    findings:  readonly ValidationFinding[],
+  ): void {
+    if (!container) return;
+
+    const worst  = findings[0]?.severity;
+    const toggle = document.getElementById('font-health-toggle');
+    if (worst) toggle?.setAttribute('data-severity', worst);
+    else       toggle?.removeAttribute('data-severity');
+
+    if (findings.length === 0) {
+      container.innerHTML = `
+        <p><strong>Font health</strong><br>
+        No problems found.</p>`;
+      return;
+    }
+
+    const sections = (Object.keys(SEVERITY_HEADINGS) as ValidationSeverity[])
+      .map(severity => {
+        const group = findings.filter(f => f.severity === severity);
+        if (group.length === 0) return '';
+        return `
+        <p class="health-${severity}"><strong>${SEVERITY_HEADINGS[severity]} (${group.length})</strong><br>
+        ${group.map(f => `${escapeHtml(f.table)} &rarr; ${escapeHtml(f.message)}`).join('<br>')}</p>`;
+      })
+      .join('');
+
+    container.innerHTML = sections;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const REQUIRED_TABLES = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post'];
+const SEVERITY_ORDER: Record<ValidationSeverity, number> = { error: 0, warning: 1, info: 2 };
+
+/** OS/2 table length required by each version. */
+const OS2_LENGTHS = [78, 86, 96, 96, 96, 100];
+
+const HEAD_MAGIC                    = 0x5F0F3CF5;
+const CHECKSUM_MAGIC                = 0xB1B0AFBA;
+const FS_SELECTION_ITALIC           = 1 << 0;
+const FS_SELECTION_BOLD             = 1 << 5;
+const FS_SELECTION_REGULAR          = 1 << 6;
+const FS_SELECTION_USE_TYPO_METRICS = 1 << 7;
+
+/** How many example characters to name in a finding. */
+const MAX_EXAMPLES = 8;
+
+/** Characters that are expected to have no outline. */
+const INVISIBLE_CHAR = /^[\p{White_Space}\p{Cc}\p{Default_Ignorable_Code_Point}]$/u;
+
+interface ValidationContext {
+  readonly font:   opentype.Font;
+  readonly data:   DataView;
+  readonly tables: ReadonlyMap<string, TableRecord>;
+  readonly source: FontSource;
+  readonly add:    (severity: ValidationSeverity, table: string, message: string) => void;
+}
+
+/**
+ * Validates a parsed font against its decompressed sfnt. Returns the
+ * findings sorted from most to least severe; an empty array means healthy.
+ */
+export function validateFont(
+  font:   opentype.Font,
+  sfnt:   ArrayBuffer,
+  source: FontSource,
+): ValidationFinding[] {
+  const data     = new DataView(sfnt);
+  const findings: ValidationFinding[] = [];
+  const ctx: ValidationContext = {
+    font,
+    data,
+    tables: new Map(readTableDirectory(data, 0).map(t => [t.tag, t])),
+    source,
+    add: (severity, table, message) => { findings.push({ severity, table, message }); },
+  };
+
+  // Later checks read tables directly and assume they are in bounds.
+  if (!checkStructure(ctx)) return sortFindings(findings);
+
+  checkChecksums(ctx);
+  checkHead(ctx);
+  checkOs2(ctx);
+  checkHhea(ctx);
+  checkCmap(ctx);
+  checkNames(ctx);
+  checkPost(ctx);
+
+  return sortFindings(findings);
+}
+
+function sortFindings(findings: ValidationFinding[]): ValidationFinding[] {
+  return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+// ---------------------------------------------------------------------------
+// Individual checks
+// ---------------------------------------------------------------------------
+
+/** Required tables present and inside the file. Returns false when later checks cannot run. */
+function checkStructure({ tables, data, add }: ValidationContext): boolean {
+  let ok = true;
+
+  for (const tag of REQUIRED_TABLES) {
+    if (!tables.has(tag)) {
+      add('error', 'sfnt', `Required table "${tag}" is missing`);
+      if (tag !== 'OS/2' && tag !== 'name' && tag !== 'post') ok = false;
+    }
+  }
+
+  const hasGlyf = tables.has('glyf') && tables.has('loca');
+  if (!hasGlyf && !tables.has('CFF ') && !tables.has('CFF2')) {
+    add('error', 'sfnt', 'No outlines: neither glyf/loca nor CFF/CFF2 is present');
+  }
+
+  for (const table of tables.values()) {
+    if (table.offset + table.length > data.byteLength) {
+      add('error', table.tag, `Table runs past the end of the file (${table.offset + table.length} > ${data.byteLength} bytes)`);
+      ok = false;
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * Compares stored table checksums with the data. WOFF2 stores no checksums
+ * (the decoder computes them), so there is nothing to compare there; the
+ * whole-file checkSumAdjustment only holds for a plain, unrepacked sfnt.
+ */
+function checkChecksums({ data, tables, source, add }: ValidationContext): void {
+  if (source.container === 'woff2') return;
+
+  const head       = tables.get('head');
+  const adjustment = head && head.length >= 12 ? data.getUint32(head.offset + 8) : 0;
+
+  for (const table of tables.values()) {
+    let computed = checksum(data, table.offset, table.length);
+    // head is summed with checkSumAdjustment treated as zero.
+    if (table.tag === 'head') computed = (computed - adjustment) >>> 0;
+    if (computed !== table.checksum) {
+      add('warning', table.tag, `Checksum mismatch: stored ${hex(table.checksum)}, computed ${hex(computed)}`);
+    }
+  }
+
+  if (head && source.container === 'sfnt') {
+    const fileSum  = (checksum(data, 0, data.byteLength) - adjustment) >>> 0;
+    const expected = (CHECKSUM_MAGIC - fileSum) >>> 0;
+    if (expected !== adjustment) {
+      add('warning', 'head', `checkSumAdjustment is ${hex(adjustment)}, expected ${hex(expected)}`);
+    }
+  }
+}
+
+function checkHead({ data, tables, add }: ValidationContext): void {
+  const head = tables.get('head');
+  if (!head) return;
+  if (head.length < 54) {
+    add('error', 'head', `Table is ${head.length} bytes, expected 54`);
+    return;
+  }
+
+  const magic = data.getUint32(head.offset + 12);
+  if (magic !== HEAD_MAGIC) {
+    add('error', 'head', `magicNumber is ${hex(magic)}, expected ${hex(HEAD_MAGIC)}`);
+  }
+
+  const unitsPerEm = data.getUint16(head.offset + 18);
+  if (unitsPerEm < 16 || unitsPerEm > 16384) {
+    add('error', 'head', `unitsPerEm is ${unitsPerEm}; it must be between 16 and 16384`);
+  }
+
+  const indexToLocFormat = data.getInt16(head.offset + 50);
+  if (indexToLocFormat !== 0 && indexToLocFormat !== 1) {
+    add('error', 'head', `indexToLocFormat is ${indexToLocFormat}; it must be 0 or 1`);
+  }
+}
+
+function checkOs2({ data, tables, add }: ValidationContext): void {
+  const os2 = tables.get('OS/2');
+  if (!os2) return;
+
+  const base    = os2.offset;
+  const version = data.getUint16(base);
+  const minimum = OS2_LENGTHS[Math.min(version, OS2_LENGTHS.length - 1)]!;
+  if (os2.length < minimum) {
+    add('error', 'OS/2', `Table is ${os2.length} bytes, but version ${version} needs ${minimum}`);
+    return;
+  }
+
+  const weight = data.getUint16(base + 4);
+  if (weight < 1 || weight > 1000) {
+    add('error', 'OS/2', `usWeightClass is ${weight}; it must be between 1 and 1000`);
+  }
+
+  const width = data.getUint16(base + 6);
+  if (width < 1 || width > 9) {
+    add('error', 'OS/2', `usWidthClass is ${width}; it must be between 1 and 9`);
+  }
+
+  const vendor = String.fromCharCode(
+    data.getUint8(base + 58), data.getUint8(base + 59),
+    data.getUint8(base + 60), data.getUint8(base + 61),
+  );
+  if (vendor.replace(/[\0 ]/g, '') === '') {
+    add('info', 'OS/2', 'achVendID is blank');
+  }
+
+  const fsSelection = data.getUint16(base + 62);
+  const macStyle    = tables.has('head') ? data.getUint16(tables.get('head')!.offset + 44) : null;
+  if (macStyle !== null) {
+    if (Boolean(fsSelection & FS_SELECTION_ITALIC) !== Boolean(macStyle & 2)) {
+      add('warning', 'OS/2', 'fsSelection ITALIC and head.macStyle italic disagree');
+    }
+    if (Boolean(fsSelection & FS_SELECTION_BOLD) !== Boolean(macStyle & 1)) {
+      add('warning', 'OS/2', 'fsSelection BOLD and head.macStyle bold disagree');
+    }
+  }
+  if (fsSelection & FS_SELECTION_REGULAR && fsSelection & (FS_SELECTION_ITALIC | FS_SELECTION_BOLD)) {
+    add('warning', 'OS/2', 'fsSelection REGULAR is set together with ITALIC or BOLD');
+  }
+
+  const typoDescender = data.getInt16(base + 70);
+  if (typoDescender > 0) {
+    add('warning', 'OS/2', `sTypoDescender is ${typoDescender}; it should be zero or negative`);
+  }
+
+  const winAscent  = data.getUint16(base + 74);
+  const winDescent = data.getUint16(base + 76);
+  if (winAscent === 0 || winDescent === 0) {
+    add('warning', 'OS/2', `usWinAscent/usWinDescent are ${winAscent}/${winDescent}; Windows will clip the glyphs`);
+  }
+
+  if (version < 2) {
+    add('info', 'OS/2', `Version ${version} has no sxHeight or sCapHeight`);
+  } else {
+    const xHeight   = data.getInt16(base + 86);
+    const capHeight = data.getInt16(base + 88);
+    if (xHeight <= 0)   add('warning', 'OS/2', `sxHeight is ${xHeight}`);
+    if (capHeight <= 0) add('warning', 'OS/2', `sCapHeight is ${capHeight}`);
+  }
+}
+
+function checkHhea({ font, data, tables, add }: ValidationContext): void {
+  const hhea = tables.get('hhea');
+  if (!hhea || hhea.length < 36) {
+    if (hhea) add('error', 'hhea', `Table is ${hhea.length} bytes, expected 36`);
+    return;
+  }
+
+  const ascender  = data.getInt16(hhea.offset + 4);
+  const descender = data.getInt16(hhea.offset + 6);
+  const lineGap   = data.getInt16(hhea.offset + 8);
+  const numberOfHMetrics = data.getUint16(hhea.offset + 34);
+
+  if (numberOfHMetrics === 0 || numberOfHMetrics > font.numGlyphs) {
+    add('error', 'hhea', `numberOfHMetrics is ${numberOfHMetrics} for ${font.numGlyphs} glyphs`);
+  }
+  if (descender > 0) {
+    add('warning', 'hhea', `descender is ${descender}; it should be zero or negative`);
+  }
+
+  const os2 = tables.get('OS/2');
+  if (!os2 || os2.length < 78) return;
+
+  const fsSelection = data.getUint16(os2.offset + 62);
+  if (fsSelection & FS_SELECTION_USE_TYPO_METRICS) {
+    const typo = [
+      data.getInt16(os2.offset + 68),
+      data.getInt16(os2.offset + 70),
+      data.getInt16(os2.offset + 72),
+    ];
+    if (ascender !== typo[0] || descender !== typo[1] || lineGap !== typo[2]) {
+      add('warning', 'hhea',
+        `Ascender/descender/line gap ${ascender}/${descender}/${lineGap} differ from OS/2 typo metrics `
+        + `${typo.join('/')} while USE_TYPO_METRICS is set; line spacing will differ between macOS and Windows`);
+    }
+  } else {
+    const winAscent  = data.getUint16(os2.offset + 74);
+    const winDescent = data.getUint16(os2.offset + 76);
+    if (ascender !== winAscent || -descender !== winDescent || lineGap !== 0) {
+      add('info', 'hhea',
+        `Ascender/descender/line gap ${ascender}/${descender}/${lineGap} differ from OS/2 win metrics `
+        + `${winAscent}/${-winDescent}/0; line spacing may differ between macOS and Windows`);
+    }
+  }
+}
+
+function checkCmap({ font, data, tables, add }: ValidationContext): void {
+  const map = font.tables.cmap?.glyphIndexMap;
+  if (!map) {
+    add('error', 'cmap', 'No usable Unicode subtable');
+    return;
+  }
+
+  const isEmpty = emptyGlyphTest(font, data, tables);
+  const outOfRange: number[] = [];
+  const toNotdef:   number[] = [];
+  const toEmpty:    number[] = [];
+
+  for (const [key, glyphIndex] of Object.entries(map)) {
+    const codePoint = Number(key);
+    if (glyphIndex >= font.numGlyphs) outOfRange.push(codePoint);
+    else if (glyphIndex === 0)        toNotdef.push(codePoint);
+    else if (!INVISIBLE_CHAR.test(String.fromCodePoint(codePoint)) && isEmpty(glyphIndex)) {
+      toEmpty.push(codePoint);
+    }
+  }
+
+  if (outOfRange.length > 0) {
+    add('error', 'cmap', `${outOfRange.length} characters map to glyphs that do not exist: ${listChars(outOfRange)}`);
+  }
+  if (toNotdef.length > 0) {
+    add('warning', 'cmap', `${toNotdef.length} characters map to .notdef: ${listChars(toNotdef)}`);
+  }
+  if (toEmpty.length > 0) {
+    add('warning', 'cmap', `${toEmpty.length} visible characters map to empty glyphs: ${listChars(toEmpty)}`);
+  }
+}
+
+/**
+ * Returns a test for outline-less glyphs. TrueType glyphs are empty when
+ * their loca entries are equal, which avoids parsing every outline; CFF
+ * glyphs have to be drawn.
+ */
+function emptyGlyphTest(
+  font:   opentype.Font,
+  data:   DataView,
+  tables: ReadonlyMap<string, TableRecord>,
+): (glyphIndex: number) => boolean {
+  const loca = tables.get('loca');
+  const head = tables.get('head');
+  if (loca && head && tables.has('glyf')) {
+    const long   = data.getInt16(head.offset + 50) === 1;
+    const stride = long ? 4 : 2;
+    const offsetAt = (i: number): number => long
+      ? data.getUint32(loca.offset + i * stride)
+      : data.getUint16(loca.offset + i * stride) * 2;
+    return (i) => (i + 2) * stride <= loca.length && offsetAt(i) === offsetAt(i + 1);
+  }
+  return (i) => font.glyphs.get(i).path.commands.length === 0;
+}
+
+function checkNames({ font, add }: ValidationContext): void {
+  const names = font.names.windows ?? font.names.macintosh;
+  if (!names) {
+    add('error', 'name', 'No Windows or Macintosh names');
+    return;
+  }
+
+  const required: Array<[string, number, string]> = [
+    ['fontFamily',     1, 'family name'],
+    ['fontSubfamily',  2, 'subfamily name'],
+    ['fullName',       4, 'full name'],
+    ['postScriptName', 6, 'PostScript name'],
+  ];
+  for (const [key, id, label] of required) {
+    if (!firstName(names[key])) add('warning', 'name', `Name ID ${id} (${label}) is missing`);
+  }
+
+  const postScriptName = firstName(names['postScriptName']);
+  if (postScriptName) {
+    if (postScriptName.length > 63) {
+      add('warning', 'name', `PostScript name is ${postScriptName.length} characters; the limit is 63`);
+    }
+    if (/[^\x21-\x7E]|[[\](){}<>/%]/.test(postScriptName)) {
+      add('warning', 'name', `PostScript name "${postScriptName}" contains characters that are not allowed`);
+    }
+  }
+}
+
+function checkPost({ font, data, tables, add }: ValidationContext): void {
+  const post = tables.get('post');
+  const hhea = tables.get('hhea');
+  const hmtx = tables.get('hmtx');
+  if (!post || !hhea || !hmtx || post.length < 16) return;
+
+  const isFixedPitch     = data.getUint32(post.offset + 12) !== 0;
+  const numberOfHMetrics = Math.min(data.getUint16(hhea.offset + 34), font.numGlyphs, Math.floor(hmtx.length / 4));
+
+  const advances = new Set<number>();
+  for (let i = 0; i < numberOfHMetrics; i++) {
+    const advance = data.getUint16(hmtx.offset + i * 4);
+    if (advance > 0) advances.add(advance);
+  }
+
+  if (isFixedPitch && advances.size > 1) {
+    add('warning', 'post', `isFixedPitch is set, but glyphs have ${advances.size} different advance widths`);
+  } else if (!isFixedPitch && advances.size === 1 && font.numGlyphs > 1) {
+    add('info', 'post', 'All glyphs share one advance width, but isFixedPitch is not set');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Sums big-endian uint32 words; a short last word is zero-padded. */
+function checksum(data: DataView, offset: number, length: number): number {
+  let sum = 0;
+  const whole = offset + (length & ~3);
+  for (let p = offset; p < whole; p += 4) {
+    sum = (sum + data.getUint32(p)) >>> 0;
+  }
+  if (length & 3) {
+    let last = 0;
+    for (let i = 0; i < 4; i++) {
+      const p = whole + i;
+      last = (last << 8) | (i < (length & 3) && p < data.byteLength ? data.getUint8(p) : 0);
+    }
+    sum = (sum + (last >>> 0)) >>> 0;
+  }
+  return sum;
+}
+
+function firstName(entry: opentype.NameEntry | undefined): string | null {
+  if (!entry) return null;
+  const value = Object.values(entry).find(v => v.trim() !== '');
+  return value ?? null;
+}
+
+function listChars(codePoints: number[]): string {
+  const shown = codePoints.slice(0, MAX_EXAMPLES).map(cp => {
+    const code = `U+${cp.toString(16).toUpperCase().padStart(4, '0')}`;
+    return cp > 0x20 && cp <= 0x10FFFF && !INVISIBLE_CHAR.test(String.fromCodePoint(cp))
+      ? `${code} ${String.fromCodePoint(cp)}`
+      : code;
+  });
+  return shown.join(', ') + (codePoints.length > MAX_EXAMPLES ? ', …' : '');
+}
+
+function hex(value: number): string {
+  return `0x${value.toString(16).toUpperCase().padStart(8, '0')}`;
+}
@@ -0,0 +1,61 @@
+// =============================================================================
+// core/GlyphOutline.ts
+// Draws a glyph from its outline as inline SVG, so glyphs without a Unicode
+// code point (alternates, ligatures, small capitals) can be shown in the font
+// where text cannot reach them.
+// =============================================================================
+
+import { escapeHtml } from './Html.js';
+
+/** SVG path data of a glyph's outline, y pointing down with the baseline at 0. */
+export function glyphPathData(glyph: opentype.Glyph): string {
+  return glyph.path.commands.map((c) => {
+    switch (c.type) {
+      case 'M':
+      case 'L': return `${c.type}${c.x} ${-(c.y ?? 0)}`;
+      case 'Q': return `Q${c.x1} ${-(c.y1 ?? 0)} ${c.x} ${-(c.y ?? 0)}`;
+      case 'C': return `C${c.x1} ${-(c.y1 ?? 0)} ${c.x2} ${-(c.y2 ?? 0)} ${c.x} ${-(c.y ?? 0)}`;
+      case 'Z': return 'Z';
+    }
+  }).join('');
+}
+
+/**
+ * An `<svg>` of one glyph, `height` pixels tall from the font's descender to
+ * its ascender and as wide as the glyph's advance or ink, whichever is wider,
+ * so zero-width marks stay visible. Filled with the current text colour.
+ */
+export function glyphSvg(font: opentype.Font, glyphIndex: number, height: number): string {
+  const glyph  = font.glyphs.get(glyphIndex);
+  const left   = Math.min(0, glyph.xMin ?? 0);
+  const right  = Math.max(glyph.advanceWidth, glyph.xMax ?? 0);
+  const width  = right > left ? right - left : font.unitsPerEm / 2;
+  const top    = -font.ascender;
+  const depth  = font.ascender - font.descender;
+  const pixels = Math.max(1, Math.round(height * width / depth));
+
+  return `<svg class="glyph-outline" viewBox="${left} ${top} ${width} ${depth}" `
+    + `width="${pixels}" height="${height}" aria-hidden="true">`
+    + `<path d="${glyphPathData(glyph)}" fill="currentColor"/></svg>`;
+}
+
+/**
+ * An `<svg>` that takes the place of a glyph set as text: sized in `em`, so
+ * it follows the font size of its element, as wide as the glyph's advance
+ * and as tall as the typo ascender to descender. Ink beyond the advance is
+ * not clipped; zero-width marks are as wide as their ink.
+ */
+export function glyphTextSvg(font: opentype.Font, glyphIndex: number): string {
+  const glyph     = font.glyphs.get(glyphIndex);
+  const ascender  = font.tables.os2?.sTypoAscender  ?? font.ascender;
+  const descender = font.tables.os2?.sTypoDescender ?? font.descender;
+  const left      = glyph.advanceWidth > 0 ? 0 : Math.min(0, glyph.xMin ?? 0);
+  const right     = glyph.advanceWidth > 0 ? glyph.advanceWidth : Math.max(0, glyph.xMax ?? 0);
+  const width     = right > left ? right - left : font.unitsPerEm / 2;
+  const depth     = ascender - descender;
+  const em        = (units: number) => `${units / font.unitsPerEm}em`;
+
+  return `<svg class="glyph-outline glyph-text-outline" viewBox="${left} ${-ascender} ${width} ${depth}" `
+    + `style="width: ${em(width)}; height: ${em(depth)};" role="img" aria-label="${escapeHtml(glyph.name)}">`
+    + `<path d="${glyphPathData(glyph)}" fill="currentColor"/></svg>`;
+}
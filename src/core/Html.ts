@@ -0,0 +1,18 @@
+// =============================================================================
+// core/Html.ts
+// Escaping for text from fonts and files that ends up in innerHTML, in text or
+// in attribute values.
+// =============================================================================
+
+const HTML_ESCAPES: Readonly<Record<string, string>> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/** `text` with `& < > " '` escaped, safe inside elements and quoted attributes. */
+export function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]!);
+}
@@ -0,0 +1,280 @@
+// =============================================================================
+// core/KerningPairs.ts
+// Kerning read from the raw sfnt: GPOS pair adjustment lookups of the `kern`
+// feature, glyph pairs (format 1) and class pairs (format 2), also inside
+// extension lookups, and format 0 subtables of the legacy `kern` table.
+// opentype.js does not follow GPOS extension lookups, where large fonts keep
+// their kerning, so the tables are read here directly.
+// =============================================================================
+
+export type KerningSource = 'gpos-glyph' | 'gpos-class' | 'kern-table';
+
+export interface KerningPair {
+  /** Glyph IDs on the left; more than one for a class pair. */
+  left:   number[];
+  right:  number[];
+  /** Horizontal advance adjustment of the left glyph, in font units. */
+  value:  number;
+  source: KerningSource;
+  /** Class numbers of the left and right side, for class pairs. */
+  leftClass?:  number;
+  rightClass?: number;
+}
+
+export interface KerningData {
+  pairs:      KerningPair[];
+  /** Pairs per source, before any filtering. */
+  counts:     Record<KerningSource, number>;
+  hasGpos:    boolean;
+  hasKern:    boolean;
+}
+
+const PAIR_ADJUSTMENT = 2;
+const EXTENSION       = 9;
+const X_PLACEMENT     = 0x0001;
+const Y_PLACEMENT     = 0x0002;
+const X_ADVANCE       = 0x0004;
+
+/**
+ * All kerning pairs with a non-zero value. Class pairs are kept as classes:
+ * expanding them into glyph pairs can run into the millions.
+ */
+export function readKerning(buffer: ArrayBuffer): KerningData {
+  const data   = new DataView(buffer);
+  const tables = tableOffsets(data);
+  const pairs: KerningPair[] = [];
+
+  const gpos = tables.get('GPOS');
+  const kern = tables.get('kern');
+  if (gpos !== undefined) pairs.push(...readGposPairs(data, gpos));
+  if (kern !== undefined) pairs.push(...readKernTable(data, kern));
+
+  const counts: Record<KerningSource, number> = { 'gpos-glyph': 0, 'gpos-class': 0, 'kern-table': 0 };
+  for (const pair of pairs) counts[pair.source]++;
+
+  return { pairs, counts, hasGpos: gpos !== undefined, hasKern: kern !== undefined };
+}
+
+// ---------------------------------------------------------------------------
+// Table directory
+// ---------------------------------------------------------------------------
+
+function tableOffsets(data: DataView): Map<string, number> {
+  const sfntOffset = tagAt(data, 0) === 'ttcf' ? data.getUint32(12) : 0;
+  const numTables  = data.getUint16(sfntOffset + 4);
+  const offsets    = new Map<string, number>();
+  for (let i = 0; i < numTables; i++) {
+    const record = sfntOffset + 12 + i * 16;
+    offsets.set(tagAt(data, record), data.getUint32(record + 8));
+  }
+  return offsets;
+}
+
+function tagAt(data: DataView, offset: number): string {
+  return String.fromCharCode(
+    data.getUint8(offset), data.getUint8(offset + 1), data.getUint8(offset + 2), data.getUint8(offset + 3),
+  );
+}
+
+// ---------------------------------------------------------------------------
+// GPOS
+// ---------------------------------------------------------------------------
+
+/** Pair adjustments of every lookup the `kern` feature uses, in lookup order. */
+function readGposPairs(data: DataView, gpos: number): KerningPair[] {
+  const featureList = gpos + data.getUint16(gpos + 6);
+  const lookupList  = gpos + data.getUint16(gpos + 8);
+
+  const lookupIndexes = new Set<number>();
+  const featureCount  = data.getUint16(featureList);
+  for (let i = 0; i < featureCount; i++) {
+    const record = featureList + 2 + i * 6;
+    if (tagAt(data, record) !== 'kern') continue;
+    const feature     = featureList + data.getUint16(record + 4);
+    const lookupCount = data.getUint16(feature + 2);
+    for (let j = 0; j < lookupCount; j++) lookupIndexes.add(data.getUint16(feature + 4 + j * 2));
+  }
+
+  const pairs: KerningPair[] = [];
+  const lookupCount = data.getUint16(lookupList);
+  for (const index of [...lookupIndexes].sort((a, b) => a - b)) {
+    if (index >= lookupCount) continue;
+    const lookup        = lookupList + data.getUint16(lookupList + 2 + index * 2);
+    const lookupType    = data.getUint16(lookup);
+    const subtableCount = data.getUint16(lookup + 4);
+
+    for (let i = 0; i < subtableCount; i++) {
+      let subtable = lookup + data.getUint16(lookup + 6 + i * 2);
+      let type     = lookupType;
+      if (type === EXTENSION) {
+        type     = data.getUint16(subtable + 2);
+        subtable = subtable + data.getUint32(subtable + 4);
+      }
+      if (type === PAIR_ADJUSTMENT) pairs.push(...readPairSubtable(data, subtable));
+    }
+  }
+  return pairs;
+}
+
+function readPairSubtable(data: DataView, subtable: number): KerningPair[] {
+  const format       = data.getUint16(subtable);
+  const coverage     = coverageGlyphs(data, subtable + data.getUint16(subtable + 2));
+  const valueFormat1 = data.getUint16(subtable + 4);
+  const valueFormat2 = data.getUint16(subtable + 6);
+  const size1        = valueRecordSize(valueFormat1);
+  const size2        = valueRecordSize(valueFormat2);
+  const pairs: KerningPair[] = [];
+
+  if (format === 1) {
+    const pairSetCount = data.getUint16(subtable + 8);
+    for (let i = 0; i < pairSetCount && i < coverage.length; i++) {
+      const pairSet = subtable + data.getUint16(subtable + 10 + i * 2);
+      const count   = data.getUint16(pairSet);
+      for (let j = 0; j < count; j++) {
+        const record = pairSet + 2 + j * (2 + size1 + size2);
+        const value  = xAdvance(data, record + 2, valueFormat1);
+        if (value !== 0) {
+          pairs.push({ left: [coverage[i]!], right: [data.getUint16(record)], value, source: 'gpos-glyph' });
+        }
+      }
+    }
+  } else if (format === 2) {
+    const classDef1   = classDefinition(data, subtable + data.getUint16(subtable + 8));
+    const classDef2   = classDefinition(data, subtable + data.getUint16(subtable + 10));
+    const class1Count = data.getUint16(subtable + 12);
+    const class2Count = data.getUint16(subtable + 14);
+
+    // Class 0 on the left is every covered glyph without a class; class 0 on
+    // the right is every other glyph in the font and is not listed.
+    const leftClasses = classMembers(classDef1, class1Count);
+    leftClasses[0]    = coverage.filter(glyph => !classDef1.has(glyph));
+    const rightClasses = classMembers(classDef2, class2Count);
+    const covered      = new Set(coverage);
+    for (let c1 = 0; c1 < class1Count; c1++) {
+      leftClasses[c1] = leftClasses[c1]!.filter(glyph => covered.has(glyph));
+    }
+
+    for (let c1 = 0; c1 < class1Count; c1++) {
+      if (leftClasses[c1]!.length === 0) continue;
+      for (let c2 = 1; c2 < class2Count; c2++) {
+        if (rightClasses[c2]!.length === 0) continue;
+        const record = subtable + 16 + (c1 * class2Count + c2) * (size1 + size2);
+        const value  = xAdvance(data, record, valueFormat1);
+        if (value !== 0) {
+          pairs.push({
+            left:       leftClasses[c1]!,
+            right:      rightClasses[c2]!,
+            value,
+            source:     'gpos-class',
+            leftClass:  c1,
+            rightClass: c2,
+          });
+        }
+      }
+    }
+  }
+  return pairs;
+}
+
+/** Each value record field takes two bytes. */
+function valueRecordSize(valueFormat: number): number {
+  let size = 0;
+  for (let bits = valueFormat; bits; bits >>= 1) size += (bits & 1) * 2;
+  return size;
+}
+
+/** XAdvance of a value record, or 0 when the format has none. */
+function xAdvance(data: DataView, record: number, valueFormat: number): number {
+  if (!(valueFormat & X_ADVANCE)) return 0;
+  const skip = (valueFormat & X_PLACEMENT ? 2 : 0) + (valueFormat & Y_PLACEMENT ? 2 : 0);
+  return data.getInt16(record + skip);
+}
+
+function coverageGlyphs(data: DataView, coverage: number): number[] {
+  const format = data.getUint16(coverage);
+  const count  = data.getUint16(coverage + 2);
+  const glyphs: number[] = [];
+
+  if (format === 1) {
+    for (let i = 0; i < count; i++) glyphs.push(data.getUint16(coverage + 4 + i * 2));
+  } else if (format === 2) {
+    for (let i = 0; i < count; i++) {
+      const range = coverage + 4 + i * 6;
+      const start = data.getUint16(range);
+      const end   = data.getUint16(range + 2);
+      const index = data.getUint16(range + 4);
+      for (let glyph = start; glyph <= end; glyph++) glyphs[index + glyph - start] = glyph;
+    }
+  }
+  return glyphs;
+}
+
+/** Glyph → class of a ClassDef table; glyphs in class 0 are left out. */
+function classDefinition(data: DataView, classDef: number): Map<number, number> {
+  const format  = data.getUint16(classDef);
+  const classes = new Map<number, number>();
+
+  if (format === 1) {
+    const startGlyph = data.getUint16(classDef + 2);
+    const count      = data.getUint16(classDef + 4);
+    for (let i = 0; i < count; i++) {
+      const cls = data.getUint16(classDef + 6 + i * 2);
+      if (cls !== 0) classes.set(startGlyph + i, cls);
+    }
+  } else if (format === 2) {
+    const count = data.getUint16(classDef + 2);
+    for (let i = 0; i < count; i++) {
+      const range = classDef + 4 + i * 6;
+      const cls   = data.getUint16(range + 4);
+      if (cls === 0) continue;
+      for (let glyph = data.getUint16(range); glyph <= data.getUint16(range + 2); glyph++) classes.set(glyph, cls);
+    }
+  }
+  return classes;
+}
+
+function classMembers(classes: Map<number, number>, classCount: number): number[][] {
+  const members: number[][] = Array.from({ length: classCount }, () => []);
+  for (const [glyph, cls] of classes) members[cls]?.push(glyph);
+  return members;
+}
+
+// ---------------------------------------------------------------------------
+// kern table
+// ---------------------------------------------------------------------------
+
+/**
+ * Format 0 subtables of the Windows (version 0) and Apple (version 1) kern
+ * table. Cross-stream and minimum-value subtables are skipped.
+ */
+function readKernTable(data: DataView, kern: number): KerningPair[] {
+  const pairs: KerningPair[] = [];
+  const isApple = data.getUint16(kern) === 1;
+  const nTables = isApple ? data.getUint32(kern + 4) : data.getUint16(kern + 2);
+  let subtable  = kern + (isApple ? 8 : 4);
+
+  for (let t = 0; t < nTables; t++) {
+    const length   = isApple ? data.getUint32(subtable) : data.getUint16(subtable + 2);
+    const coverage = data.getUint16(subtable + 4);
+    const format   = isApple ? coverage & 0xFF : coverage >> 8;
+    // Windows: bit 0 horizontal, bit 1 minimum, bit 2 cross-stream.
+    // Apple:   0x8000 vertical, 0x4000 cross-stream, 0x2000 variation.
+    const horizontal = isApple ? (coverage & 0xE000) === 0 : (coverage & 0x0007) === 0x0001;
+    const pairData   = subtable + (isApple ? 8 : 6);
+
+    if (format === 0 && horizontal) {
+      const nPairs = data.getUint16(pairData);
+      for (let i = 0; i < nPairs; i++) {
+        const record = pairData + 8 + i * 6;
+        const value  = data.getInt16(record + 4);
+        if (value !== 0) {
+          pairs.push({ left: [data.getUint16(record)], right: [data.getUint16(record + 2)], value, source: 'kern-table' });
+        }
+      }
+    }
+    // Windows subtables with more than 10 920 pairs overflow the 16-bit
+    // length; step over the pairs instead.
+    subtable += format === 0 && !isApple ? 14 + data.getUint16(pairData) * 6 : length;
+  }
+  return pairs;
+}
@@ -0,0 +1,214 @@
+// =============================================================================
+// core/LanguageSystems.ts
+// The scripts and language systems a font's GSUB and GPOS tables register,
+// with the BCP 47 tag that makes browsers shape text with each of them. A
+// `lang` attribute is the only way CSS reaches a language system, so locl
+// substitutions can be checked by setting it.
+// =============================================================================
+
+/** One script of the ScriptList and the language systems under it. */
+export interface FontScript {
+  /** OpenType script tag, e.g. "latn" or "dev2". */
+  tag:       string;
+  name:      string;
+  /** LangSys tags without padding, e.g. ["ROM", "MOL"]; the default language system is not listed. */
+  languages: string[];
+}
+
+/** A script and language system pair; `language` is null for the script's default. */
+export interface LanguageSystem {
+  script:   string;
+  language: string | null;
+}
+
+/** OpenType script tag → name and ISO 15924 subtag. */
+const SCRIPTS: Readonly<Record<string, readonly [name: string, subtag: string | null]>> = {
+  DFLT: ['Default',          null],
+  latn: ['Latin',            'Latn'],
+  cyrl: ['Cyrillic',         'Cyrl'],
+  grek: ['Greek',            'Grek'],
+  armn: ['Armenian',         'Armn'],
+  geor: ['Georgian',         'Geor'],
+  arab: ['Arabic',           'Arab'],
+  hebr: ['Hebrew',           'Hebr'],
+  syrc: ['Syriac',           'Syrc'],
+  thaa: ['Thaana',           'Thaa'],
+  deva: ['Devanagari',       'Deva'],
+  dev2: ['Devanagari',       'Deva'],
+  beng: ['Bengali',          'Beng'],
+  bng2: ['Bengali',          'Beng'],
+  guru: ['Gurmukhi',         'Guru'],
+  gur2: ['Gurmukhi',         'Guru'],
+  gujr: ['Gujarati',         'Gujr'],
+  gjr2: ['Gujarati',         'Gujr'],
+  orya: ['Odia',             'Orya'],
+  ory2: ['Odia',             'Orya'],
+  taml: ['Tamil',            'Taml'],
+  tml2: ['Tamil',            'Taml'],
+  telu: ['Telugu',           'Telu'],
+  tel2: ['Telugu',           'Telu'],
+  knda: ['Kannada',          'Knda'],
+  knd2: ['Kannada',          'Knda'],
+  mlym: ['Malayalam',        'Mlym'],
+  mlm2: ['Malayalam',        'Mlym'],
+  sinh: ['Sinhala',          'Sinh'],
+  thai: ['Thai',             'Thai'],
+  'lao ': ['Lao',             'Laoo'],
+  tibt: ['Tibetan',          'Tibt'],
+  mymr: ['Myanmar',          'Mymr'],
+  mym2: ['Myanmar',          'Mymr'],
+  khmr: ['Khmer',            'Khmr'],
+  ethi: ['Ethiopic',         'Ethi'],
+  hani: ['CJK Ideographic',  'Hani'],
+  kana: ['Kana',             'Kana'],
+  hang: ['Hangul',           'Hang'],
+  math: ['Mathematical',     null],
+};
+
+/** OpenType language system tag → name and BCP 47 language tag. */
+const LANGUAGES: Readonly<Record<string, readonly [name: string, bcp47: string]>> = {
+  AFK: ['Afrikaans',             'af'],
+  ARA: ['Arabic',                'ar'],
+  ATH: ['Athapaskan',            'ath'],
+  AZE: ['Azerbaijani',           'az'],
+  BEL: ['Belarusian',            'be'],
+  BEN: ['Bengali',               'bn'],
+  BGR: ['Bulgarian',             'bg'],
+  BOS: ['Bosnian',               'bs'],
+  BRE: ['Breton',                'br'],
+  BRM: ['Burmese',               'my'],
+  BSH: ['Bashkir',               'ba'],
+  CAT: ['Catalan',               'ca'],
+  CHU: ['Chuvash',               'cv'],
+  CRT: ['Crimean Tatar',         'crh'],
+  CSY: ['Czech',                 'cs'],
+  DAN: ['Danish',                'da'],
+  DEU: ['German',                'de'],
+  ELL: ['Greek',                 'el'],
+  ENG: ['English',               'en'],
+  ESP: ['Spanish',               'es'],
+  ETI: ['Estonian',              'et'],
+  EUQ: ['Basque',                'eu'],
+  FAR: ['Persian',               'fa'],
+  FIN: ['Finnish',               'fi'],
+  FRA: ['French',                'fr'],
+  FRI: ['Frisian',               'fy'],
+  GAE: ['Scottish Gaelic',       'gd'],
+  GAL: ['Galician',              'gl'],
+  GUA: ['Guarani',               'gn'],
+  GUJ: ['Gujarati',              'gu'],
+  HIN: ['Hindi',                 'hi'],
+  HRV: ['Croatian',              'hr'],
+  HUN: ['Hungarian',             'hu'],
+  HYE: ['Armenian',              'hy'],
+  IPPH: ['IPA Phonetic',         'und-fonipa'],
+  IRI: ['Irish',                 'ga'],
+  ISL: ['Icelandic',             'is'],
+  ISM: ['Inari Sami',            'smn'],
+  ITA: ['Italian',               'it'],
+  IWR: ['Hebrew',                'he'],
+  JAN: ['Japanese',              'ja'],
+  KAL: ['Greenlandic',           'kl'],
+  KAN: ['Kannada',               'kn'],
+  KAT: ['Georgian',              'ka'],
+  KAZ: ['Kazakh',                'kk'],
+  KHM: ['Khmer',                 'km'],
+  KIR: ['Kyrgyz',                'ky'],
+  KOR: ['Korean',                'ko'],
+  KUR: ['Kurdish',               'ku'],
+  LSM: ['Lule Sami',             'smj'],
+  LTH: ['Lithuanian',            'lt'],
+  LTZ: ['Luxembourgish',         'lb'],
+  LVI: ['Latvian',               'lv'],
+  MAL: ['Malayalam',             'ml'],
+  MAR: ['Marathi',               'mr'],
+  MKD: ['Macedonian',            'mk'],
+  MLT: ['Maltese',               'mt'],
+  MOL: ['Moldavian',             'mo'],
+  NAV: ['Navajo',                'nv'],
+  NEP: ['Nepali',                'ne'],
+  NLD: ['Dutch',                 'nl'],
+  NOR: ['Norwegian',             'nb'],
+  NSM: ['Northern Sami',         'se'],
+  NYN: ['Norwegian Nynorsk',     'nn'],
+  ORI: ['Odia',                  'or'],
+  PAN: ['Punjabi',               'pa'],
+  PGR: ['Polytonic Greek',       'el-polyton'],
+  PLK: ['Polish',                'pl'],
+  PTG: ['Portuguese',            'pt'],
+  ROM: ['Romanian',              'ro'],
+  RUS: ['Russian',               'ru'],
+  SAN: ['Sanskrit',              'sa'],
+  SKS: ['Skolt Sami',            'sms'],
+  SKY: ['Slovak',                'sk'],
+  SLV: ['Slovenian',             'sl'],
+  SND: ['Sindhi',                'sd'],
+  SNH: ['Sinhala',               'si'],
+  SQI: ['Albanian',              'sq'],
+  SRB: ['Serbian',               'sr'],
+  SSM: ['Southern Sami',         'sma'],
+  SVE: ['Swedish',               'sv'],
+  TAM: ['Tamil',                 'ta'],
+  TAT: ['Tatar',                 'tt'],
+  TEL: ['Telugu',                'te'],
+  THA: ['Thai',                  'th'],
+  TRK: ['Turkish',               'tr'],
+  UKR: ['Ukrainian',             'uk'],
+  URD: ['Urdu',                  'ur'],
+  VIT: ['Vietnamese',            'vi'],
+  WEL: ['Welsh',                 'cy'],
+  YID: ['Yiddish',               'yi'],
+  ZHH: ['Chinese, Hong Kong',    'zh-HK'],
+  ZHS: ['Chinese, Simplified',   'zh-Hans'],
+  ZHT: ['Chinese, Traditional',  'zh-Hant'],
+};
+
+/** Languages commonly written in more than one script. */
+const MULTI_SCRIPT_LANGUAGES = new Set(['az', 'bs', 'kk', 'ku', 'pa', 'sd', 'sr', 'uz']);
+
+/** Name of an OpenType script tag, e.g. "Latin"; the tag itself when unknown. */
+export function scriptName(tag: string): string {
+  return SCRIPTS[tag]?.[0] ?? tag.trim();
+}
+
+/** Name of an OpenType language system tag, e.g. "Romanian"; the tag itself when unknown. */
+export function languageSystemName(tag: string): string {
+  return LANGUAGES[tag]?.[0] ?? tag;
+}
+
+/**
+ * Every script in the font's GSUB and GPOS ScriptLists, in table order, with
+ * the language systems registered under it in either table.
+ */
+export function fontScripts(font: opentype.Font): FontScript[] {
+  const scripts = new Map<string, Set<string>>();
+
+  for (const table of [font.tables.gsub, font.tables.gpos]) {
+    for (const record of table?.scripts ?? []) {
+      const languages = scripts.get(record.tag) ?? new Set<string>();
+      for (const { tag } of record.script.langSysRecords) languages.add(tag.trim());
+      scripts.set(record.tag, languages);
+    }
+  }
+
+  return Array.from(scripts, ([tag, languages]) => ({
+    tag,
+    name:      scriptName(tag),
+    languages: Array.from(languages).sort(),
+  }));
+}
+
+/**
+ * The `lang` value that selects a language system, e.g. "ro" for latn/ROM or
+ * "sr-Cyrl" for cyrl/SRB. The script subtag is added only where a language
+ * is written in several scripts. Null for a script's default language system
+ * and for language systems with no BCP 47 equivalent.
+ */
+export function languageSystemLang({ script, language }: LanguageSystem): string | null {
+  if (language === null) return null;
+  const bcp47 = LANGUAGES[language]?.[1];
+  if (!bcp47) return null;
+
+  const subtag = SCRIPTS[script]?.[1];
+  return subtag && MULTI_SCRIPT_LANGUAGES.has(bcp47) ? `${bcp47}-${subtag}` : bcp47;
+}
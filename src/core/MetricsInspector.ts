@@ -0,0 +1,368 @@
+// =============================================================================
+// core/MetricsInspector.ts
+// Decodes the OS/2, hhea, head and post values that decide line spacing and
+// classification, and points out the cross-table inconsistencies that make a
+// font set lines differently on macOS, Windows and in browsers.
+// =============================================================================
+
+import { decodeFsType, describeEmbedding } from './Embedding.js';
+import type { MetricsReport, ValidationSeverity, VerticalMetrics } from './Types.js';
+
+const FS_SELECTION_USE_TYPO_METRICS = 1 << 7;
+
+export type MetricsSource = 'typo' | 'win' | 'hhea';
+
+export interface MetricsIssue {
+  readonly severity: Exclude<ValidationSeverity, 'error'>;
+  readonly message:  string;
+  /** Rows of the metrics table the issue is about. */
+  readonly sources:  readonly MetricsSource[];
+}
+
+export interface LineHeights {
+  /** CoreText uses hhea. */
+  readonly macOS:   VerticalMetrics | null;
+  /** GDI and DirectWrite use win, or typo when USE_TYPO_METRICS is set. */
+  readonly windows: VerticalMetrics | null;
+}
+
+const WEIGHT_NAMES: Record<number, string> = {
+  100: 'Thin',
+  200: 'Extra Light',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'Semi Bold',
+  700: 'Bold',
+  800: 'Extra Bold',
+  900: 'Black',
+};
+
+const WIDTH_NAMES = [
+  '', 'Ultra-condensed', 'Extra-condensed', 'Condensed', 'Semi-condensed',
+  'Medium', 'Semi-expanded', 'Expanded', 'Extra-expanded', 'Ultra-expanded',
+];
+
+/** PANOSE digit 1, the family kind, which decides how the other digits read. */
+const PANOSE_FAMILY_KINDS = [
+  'Any', 'No fit', 'Latin Text', 'Latin Hand Written', 'Latin Decorative', 'Latin Symbol',
+];
+
+const FS_SELECTION_BITS = [
+  'ITALIC', 'UNDERSCORE', 'NEGATIVE', 'OUTLINED', 'STRIKEOUT',
+  'BOLD', 'REGULAR', 'USE_TYPO_METRICS', 'WWS', 'OBLIQUE',
+];
+
+/** OS/2 ulUnicodeRange bits, by bit number. */
+const UNICODE_RANGE_NAMES = [
+  'Basic Latin', 'Latin-1 Supplement', 'Latin Extended-A', 'Latin Extended-B',
+  'IPA Extensions', 'Spacing Modifier Letters', 'Combining Diacritical Marks', 'Greek and Coptic',
+  'Coptic', 'Cyrillic', 'Armenian', 'Hebrew',
+  'Vai', 'Arabic', 'NKo', 'Devanagari',
+  'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya',
+  'Tamil', 'Telugu', 'Kannada', 'Malayalam',
+  'Thai', 'Lao', 'Georgian', 'Balinese',
+  'Hangul Jamo', 'Latin Extended Additional', 'Greek Extended', 'General Punctuation',
+  'Superscripts and Subscripts', 'Currency Symbols', 'Combining Marks for Symbols', 'Letterlike Symbols',
+  'Number Forms', 'Arrows', 'Mathematical Operators', 'Miscellaneous Technical',
+  'Control Pictures', 'Optical Character Recognition', 'Enclosed Alphanumerics', 'Box Drawing',
+  'Block Elements', 'Geometric Shapes', 'Miscellaneous Symbols', 'Dingbats',
+  'CJK Symbols and Punctuation', 'Hiragana', 'Katakana', 'Bopomofo',
+  'Hangul Compatibility Jamo', 'Phags-pa', 'Enclosed CJK Letters and Months', 'CJK Compatibility',
+  'Hangul Syllables', 'Non-Plane 0', 'Phoenician', 'CJK Unified Ideographs',
+  'Private Use Area (plane 0)', 'CJK Strokes', 'Alphabetic Presentation Forms', 'Arabic Presentation Forms-A',
+  'Combining Half Marks', 'Vertical Forms', 'Small Form Variants', 'Arabic Presentation Forms-B',
+  'Halfwidth and Fullwidth Forms', 'Specials', 'Tibetan', 'Syriac',
+  'Thaana', 'Sinhala', 'Myanmar', 'Ethiopic',
+  'Cherokee', 'Unified Canadian Aboriginal Syllabics', 'Ogham', 'Runic',
+  'Khmer', 'Mongolian', 'Braille Patterns', 'Yi Syllables',
+  'Tagalog, Hanunoo, Buhid, Tagbanwa', 'Old Italic', 'Gothic', 'Deseret',
+  'Byzantine Musical Symbols', 'Mathematical Alphanumeric Symbols', 'Private Use (planes 15 and 16)', 'Variation Selectors',
+  'Tags', 'Limbu', 'Tai Le', 'New Tai Lue',
+  'Buginese', 'Glagolitic', 'Tifinagh', 'Yijing Hexagram Symbols',
+  'Syloti Nagri', 'Linear B', 'Ancient Greek Numbers', 'Ugaritic',
+  'Old Persian', 'Shavian', 'Osmanya', 'Cypriot Syllabary',
+  'Kharoshthi', 'Tai Xuan Jing Symbols', 'Cuneiform', 'Counting Rod Numerals',
+  'Sundanese', 'Lepcha', 'Ol Chiki', 'Saurashtra',
+  'Kayah Li', 'Rejang', 'Cham', 'Ancient Symbols',
+  'Phaistos Disc', 'Carian, Lycian, Lydian', 'Domino and Mahjong Tiles',
+];
+
+/** OS/2 ulCodePageRange bits, by bit number. */
+const CODE_PAGE_NAMES: Record<number, string> = {
+  0:  '1252 Latin 1',
+  1:  '1250 Latin 2: Eastern Europe',
+  2:  '1251 Cyrillic',
+  3:  '1253 Greek',
+  4:  '1254 Turkish',
+  5:  '1255 Hebrew',
+  6:  '1256 Arabic',
+  7:  '1257 Windows Baltic',
+  8:  '1258 Vietnamese',
+  16: '874 Thai',
+  17: '932 JIS/Japan',
+  18: '936 Chinese: Simplified',
+  19: '949 Korean Wansung',
+  20: '950 Chinese: Traditional',
+  21: '1361 Korean Johab',
+  29: 'Macintosh Character Set (US Roman)',
+  30: 'OEM Character Set',
+  31: 'Symbol Character Set',
+  48: '869 IBM Greek',
+  49: '866 MS-DOS Russian',
+  50: '865 MS-DOS Nordic',
+  51: '864 Arabic',
+  52: '863 MS-DOS Canadian French',
+  53: '862 Hebrew',
+  54: '861 MS-DOS Icelandic',
+  55: '860 MS-DOS Portuguese',
+  56: '857 IBM Turkish',
+  57: '855 IBM Cyrillic',
+  58: '852 Latin 2',
+  59: '775 MS-DOS Baltic',
+  60: '737 Greek',
+  61: '708 Arabic (ASMO 708)',
+  62: '850 WE/Latin 1',
+  63: '437 US',
+};
+
+const SOURCE_LABELS: Record<MetricsSource, string> = {
+  typo: 'OS/2 typo',
+  win:  'OS/2 win',
+  hhea: 'hhea',
+};
+
+// ---------------------------------------------------------------------------
+// MetricsInspectorRenderer — injects the inspector into its panel
+// ---------------------------------------------------------------------------
+
+export class MetricsInspectorRenderer {
+  /**
+   * Renders the metrics inspector. Rows of the vertical metrics table that
+   * take part in an inconsistency are highlighted.
+   */
+  static renderMetrics(container: HTMLElement | null, metrics: MetricsReport | null): void {
+    if (!container) return;
+    if (!metrics) {
+      container.innerHTML = '<p>No font loaded</p>';
+      return;
+    }
+
+    const issues  = findMetricsIssues(metrics);
+    const flagged = new Set(issues.flatMap(issue => issue.sources));
+    const { macOS, windows } = lineHeights(metrics);
+    const em = metrics.unitsPerEm;
+
+    const row = (source: MetricsSource, m: VerticalMetrics | null): string => m ? `
+          <tr${flagged.has(source) ? ' class="metrics-mismatch"' : ''}>
+            <th>${SOURCE_LABELS[source]}</th>
+            <td>${m.ascender}</td><td>${m.descender}</td><td>${m.lineGap}</td><td>${lineHeight(m)}</td>
+          </tr>` : '';
+
+    container.innerHTML = `
+        <p><strong>Line height</strong><br>
+        macOS &rarr; ${formatLineHeight(macOS, em)}<br>
+        Windows &rarr; ${formatLineHeight(windows, em)}<br>
+        USE_TYPO_METRICS &rarr; ${metrics.useTypoMetrics ? 'Yes' : 'No'}</p>
+
+        ${issues.map(issue => `
+        <p class="metrics-issue metrics-issue-${issue.severity}">${issue.message}</p>`).join('')}
+
+        <table class="metrics-table">
+          <tr><th></th><th>Asc</th><th>Desc</th><th>Gap</th><th>Total</th></tr>
+          ${row('typo', metrics.typo)}
+          ${row('win', metrics.win)}
+          ${row('hhea', metrics.hhea)}
+        </table>
+
+        <p><strong>Heights</strong><br>
+        Units per Em &rarr; ${em}<br>
+        x-height &rarr; ${metrics.xHeight ?? 'Unknown'}<br>
+        Cap height &rarr; ${metrics.capHeight ?? 'Unknown'}<br>
+        Bounding box yMax &rarr; ${metrics.yMax ?? 'Unknown'}<br>
+        Bounding box yMin &rarr; ${metrics.yMin ?? 'Unknown'}<br>
+        Italic angle &rarr; ${metrics.italicAngle ?? 'Unknown'}<br>
+        Underline &rarr; ${metrics.underlinePosition ?? 'Unknown'}, thickness ${metrics.underlineThickness ?? 'Unknown'}</p>
+
+        <p><strong>Classification</strong><br>
+        OS/2 version &rarr; ${metrics.os2Version ?? 'No OS/2 table'}<br>
+        Weight class &rarr; ${describeWeightClass(metrics.weightClass)}<br>
+        Width class &rarr; ${describeWidthClass(metrics.widthClass)}<br>
+        PANOSE &rarr; ${describePanose(metrics.panose)}<br>
+        Embedding (fsType) &rarr; ${metrics.fsType === null ? 'Unknown' : describeEmbedding(decodeFsType(metrics.fsType)).join(', ')}<br>
+        fsSelection &rarr; ${describeFsSelection(metrics.fsSelection)}</p>
+
+        <p><strong>Unicode ranges (${metrics.unicodeRanges.length})</strong><br>
+        ${metrics.unicodeRanges.map(bit => `${bit} ${UNICODE_RANGE_NAMES[bit] ?? 'Reserved'}`).join('<br>') || 'None'}</p>
+
+        <p><strong>Code pages (${metrics.codePageRanges.length})</strong><br>
+        ${metrics.codePageRanges.map(bit => CODE_PAGE_NAMES[bit] ?? `Reserved bit ${bit}`).join('<br>') || 'None'}</p>
+    `;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Decoding
+// ---------------------------------------------------------------------------
+
+/** Collects the metrics from the parsed tables; safe to postMessage. */
+export function getMetricsReport(font: opentype.Font): MetricsReport {
+  const { os2, hhea, head, post } = font.tables;
+
+  return {
+    unitsPerEm:         head?.unitsPerEm ?? font.unitsPerEm,
+    os2Version:         os2?.version ?? null,
+    typo:               os2
+      ? { ascender: os2.sTypoAscender, descender: os2.sTypoDescender, lineGap: os2.sTypoLineGap }
+      : null,
+    win:                os2
+      ? { ascender: os2.usWinAscent, descender: -os2.usWinDescent, lineGap: 0 }
+      : null,
+    hhea:               hhea
+      ? { ascender: hhea.ascender, descender: hhea.descender, lineGap: hhea.lineGap }
+      : null,
+    useTypoMetrics:     !!os2 && (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0,
+    xHeight:            os2 && os2.version >= 2 ? os2.sxHeight   : null,
+    capHeight:          os2 && os2.version >= 2 ? os2.sCapHeight : null,
+    yMin:               head?.yMin ?? null,
+    yMax:               head?.yMax ?? null,
+    weightClass:        os2?.usWeightClass ?? null,
+    widthClass:         os2?.usWidthClass  ?? null,
+    fsType:             os2?.fsType        ?? null,
+    fsSelection:        os2?.fsSelection   ?? null,
+    panose:             os2?.panose ? [...os2.panose] : null,
+    unicodeRanges:      os2
+      ? setBits([os2.ulUnicodeRange1, os2.ulUnicodeRange2, os2.ulUnicodeRange3, os2.ulUnicodeRange4])
+      : [],
+    codePageRanges:     os2 && os2.version >= 1
+      ? setBits([os2.ulCodePageRange1 ?? 0, os2.ulCodePageRange2 ?? 0])
+      : [],
+    italicAngle:        post?.italicAngle        ?? null,
+    underlinePosition:  post?.underlinePosition  ?? null,
+    underlineThickness: post?.underlineThickness ?? null,
+  };
+}
+
+/** The vertical metrics each platform actually lays lines out with. */
+export function lineHeights(metrics: MetricsReport): LineHeights {
+  return {
+    macOS:   metrics.hhea,
+    windows: metrics.useTypoMetrics ? metrics.typo : metrics.win,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Consistency checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds the classic metric inconsistencies: different line heights or
+ * baselines on macOS and Windows, unused typo metrics that disagree with the
+ * others, a USE_TYPO_METRICS bit older renderers ignore, and win metrics
+ * that clip the font's bounding box.
+ */
+export function findMetricsIssues(metrics: MetricsReport): MetricsIssue[] {
+  const issues: MetricsIssue[] = [];
+  const { typo, win, hhea, useTypoMetrics } = metrics;
+  const { macOS, windows } = lineHeights(metrics);
+  const windowsSource: MetricsSource = useTypoMetrics ? 'typo' : 'win';
+
+  if (macOS && windows) {
+    if (lineHeight(macOS) !== lineHeight(windows)) {
+      issues.push({
+        severity: 'warning',
+        message:  `Line height is ${lineHeight(macOS)} on macOS (hhea) but ${lineHeight(windows)} on Windows `
+          + `(${SOURCE_LABELS[windowsSource]})`,
+        sources:  ['hhea', windowsSource],
+      });
+    } else if (macOS.ascender + macOS.lineGap !== windows.ascender + windows.lineGap) {
+      issues.push({
+        severity: 'info',
+        message:  `Line height matches, but the first baseline sits ${macOS.ascender + macOS.lineGap} units down `
+          + `on macOS and ${windows.ascender + windows.lineGap} on Windows`,
+        sources:  ['hhea', windowsSource],
+      });
+    }
+  }
+
+  if (typo && !useTypoMetrics) {
+    const others = [hhea, win].filter((m): m is VerticalMetrics => m !== null);
+    if (others.some(m => lineHeight(m) !== lineHeight(typo))) {
+      issues.push({
+        severity: 'info',
+        message:  `Typo line height ${lineHeight(typo)} is unused because USE_TYPO_METRICS is off; `
+          + 'apps that read typo metrics anyway will space lines differently',
+        sources:  ['typo'],
+      });
+    }
+  }
+
+  if (useTypoMetrics && metrics.os2Version !== null && metrics.os2Version < 4) {
+    issues.push({
+      severity: 'warning',
+      message:  `USE_TYPO_METRICS is set, but it is only defined from OS/2 version 4 (this is version ${metrics.os2Version})`,
+      sources:  ['typo'],
+    });
+  }
+
+  if (win && metrics.yMax !== null && metrics.yMin !== null) {
+    if (win.ascender < metrics.yMax || win.descender > metrics.yMin) {
+      issues.push({
+        severity: 'warning',
+        message:  `usWinAscent/usWinDescent ${win.ascender}/${-win.descender} do not cover the bounding box `
+          + `${metrics.yMax}/${-metrics.yMin}; Windows clips glyphs outside them`,
+        sources:  ['win'],
+      });
+    }
+  }
+
+  return issues;
+}
+
+// ---------------------------------------------------------------------------
+// Private helpers
+// ---------------------------------------------------------------------------
+
+function lineHeight({ ascender, descender, lineGap }: VerticalMetrics): number {
+  return ascender - descender + lineGap;
+}
+
+function formatLineHeight(metrics: VerticalMetrics | null, unitsPerEm: number): string {
+  if (!metrics) return 'Unknown';
+  const height = lineHeight(metrics);
+  return `${(height / unitsPerEm).toFixed(3)} em (${height} units)`;
+}
+
+function setBits(words: readonly number[]): number[] {
+  const bits: number[] = [];
+  words.forEach((word, i) => {
+    for (let bit = 0; bit < 32; bit++) {
+      if ((word >>> bit) & 1) bits.push(i * 32 + bit);
+    }
+  });
+  return bits;
+}
+
+function describeWeightClass(weight: number | null): string {
+  if (weight === null) return 'Unknown';
+  const name = WEIGHT_NAMES[Math.round(weight / 100) * 100];
+  return name ? `${weight} (${name})` : String(weight);
+}
+
+function describeWidthClass(width: number | null): string {
+  if (width === null) return 'Unknown';
+  const name = WIDTH_NAMES[width];
+  return name ? `${width} (${name})` : String(width);
+}
+
+function describePanose(panose: readonly number[] | null): string {
+  if (!panose) return 'Unknown';
+  const kind = PANOSE_FAMILY_KINDS[panose[0] ?? 0];
+  return `${panose.join(' ')}${kind ? ` (${kind})` : ''}`;
+}
+
+function describeFsSelection(fsSelection: number | null): string {
+  if (fsSelection === null) return 'Unknown';
+  const set = FS_SELECTION_BITS.filter((_, bit) => fsSelection & (1 << bit));
+  return set.length > 0 ? set.join(', ') : 'None';
+}
@@ -0,0 +1,295 @@
+// =============================================================================
+// core/NameTable.ts
+// Reads every record of the sfnt `name` table with its platform, encoding and
+// language, which opentype.js folds away into font.names. Used by the name
+// table browser in the font info panel.
+// =============================================================================
+
+import { readTableDirectory } from './WebFontDecoder.js';
+import type { NameRecord } from './Types.js';
+
+const PLATFORM_UNICODE   = 0;
+const PLATFORM_MACINTOSH = 1;
+const PLATFORM_ISO       = 2;
+const PLATFORM_WINDOWS   = 3;
+
+const PLATFORM_NAMES: Record<number, string> = {
+  [PLATFORM_UNICODE]:   'Unicode',
+  [PLATFORM_MACINTOSH]: 'Macintosh',
+  [PLATFORM_ISO]:       'ISO',
+  [PLATFORM_WINDOWS]:   'Windows',
+};
+
+const ENCODING_NAMES: Record<number, Record<number, string>> = {
+  [PLATFORM_UNICODE]: {
+    0: 'Unicode 1.0',
+    1: 'Unicode 1.1',
+    2: 'ISO 10646',
+    3: 'Unicode BMP',
+    4: 'Unicode full',
+  },
+  [PLATFORM_MACINTOSH]: {
+    0: 'Roman',
+    1: 'Japanese',
+    2: 'Chinese (Traditional)',
+    3: 'Korean',
+    4: 'Arabic',
+    5: 'Hebrew',
+    6: 'Greek',
+    7: 'Russian',
+    21: 'Thai',
+    25: 'Chinese (Simplified)',
+  },
+  [PLATFORM_ISO]: {
+    0: 'ASCII',
+    1: 'ISO 10646',
+    2: 'ISO 8859-1',
+  },
+  [PLATFORM_WINDOWS]: {
+    0:  'Symbol',
+    1:  'Unicode BMP',
+    2:  'ShiftJIS',
+    3:  'PRC',
+    4:  'Big5',
+    5:  'Wansung',
+    6:  'Johab',
+    10: 'Unicode full',
+  },
+};
+
+/** TextDecoder labels for the Macintosh script codes browsers can decode. */
+const MAC_DECODERS: Record<number, string> = {
+  1:  'shift_jis',
+  2:  'big5',
+  3:  'euc-kr',
+  7:  'x-mac-cyrillic',
+  25: 'gbk',
+};
+
+/** Predefined name IDs; 256 and above are font-specific (fvar, STAT, features). */
+const NAME_ID_LABELS: Record<number, string> = {
+  0:  'Copyright',
+  1:  'Family',
+  2:  'Subfamily',
+  3:  'Unique ID',
+  4:  'Full name',
+  5:  'Version',
+  6:  'PostScript name',
+  7:  'Trademark',
+  8:  'Manufacturer',
+  9:  'Designer',
+  10: 'Description',
+  11: 'Vendor URL',
+  12: 'Designer URL',
+  13: 'Licence',
+  14: 'Licence URL',
+  16: 'Typographic family',
+  17: 'Typographic subfamily',
+  18: 'Compatible full name',
+  19: 'Sample text',
+  20: 'PostScript CID name',
+  21: 'WWS family',
+  22: 'WWS subfamily',
+  23: 'Light background palette',
+  24: 'Dark background palette',
+  25: 'Variations PostScript prefix',
+};
+
+/** Macintosh language codes (the common ones; the rest are shown as numbers). */
+const MAC_LANGUAGES: Record<number, string> = {
+  0: 'en', 1: 'fr', 2: 'de', 3: 'it', 4: 'nl', 5: 'sv', 6: 'es', 7: 'da',
+  8: 'pt', 9: 'no', 10: 'he', 11: 'ja', 12: 'ar', 13: 'fi', 14: 'el',
+  15: 'is', 16: 'mt', 17: 'tr', 18: 'hr', 19: 'zh-Hant', 20: 'ur', 21: 'hi',
+  22: 'th', 23: 'ko', 24: 'lt', 25: 'pl', 26: 'hu', 27: 'et', 28: 'lv',
+  30: 'fo', 31: 'fa', 32: 'ru', 33: 'zh-Hans', 35: 'ga', 36: 'sq', 37: 'ro',
+  38: 'cs', 39: 'sk', 40: 'sl', 42: 'sr', 43: 'mk', 44: 'bg', 45: 'uk',
+  46: 'be', 47: 'uz', 48: 'kk', 51: 'hy', 52: 'ka', 80: 'vi', 81: 'id',
+  83: 'ms', 128: 'cy', 129: 'eu', 130: 'ca',
+};
+
+/** Windows LCIDs whose region matters for telling records apart. */
+const WINDOWS_LOCALES: Record<number, string> = {
+  0x0409: 'en-US', 0x0809: 'en-GB', 0x0C09: 'en-AU', 0x1009: 'en-CA',
+  0x0407: 'de-DE', 0x0807: 'de-CH', 0x0C07: 'de-AT',
+  0x040C: 'fr-FR', 0x0C0C: 'fr-CA', 0x100C: 'fr-CH',
+  0x0C0A: 'es-ES', 0x080A: 'es-MX', 0x0416: 'pt-BR', 0x0816: 'pt-PT',
+  0x0804: 'zh-CN', 0x0404: 'zh-TW', 0x0C04: 'zh-HK', 0x1004: 'zh-SG',
+  0x0411: 'ja-JP', 0x0412: 'ko-KR',
+};
+
+/** Windows primary language IDs (low ten bits of the LCID). */
+const WINDOWS_LANGUAGES: Record<number, string> = {
+  0x01: 'ar', 0x02: 'bg', 0x03: 'ca', 0x04: 'zh', 0x05: 'cs', 0x06: 'da',
+  0x07: 'de', 0x08: 'el', 0x09: 'en', 0x0A: 'es', 0x0B: 'fi', 0x0C: 'fr',
+  0x0D: 'he', 0x0E: 'hu', 0x0F: 'is', 0x10: 'it', 0x11: 'ja', 0x12: 'ko',
+  0x13: 'nl', 0x14: 'no', 0x15: 'pl', 0x16: 'pt', 0x18: 'ro', 0x19: 'ru',
+  0x1A: 'hr', 0x1B: 'sk', 0x1C: 'sq', 0x1D: 'sv', 0x1E: 'th', 0x1F: 'tr',
+  0x20: 'ur', 0x21: 'id', 0x22: 'uk', 0x23: 'be', 0x24: 'sl', 0x25: 'et',
+  0x26: 'lv', 0x27: 'lt', 0x29: 'fa', 0x2A: 'vi', 0x2B: 'hy', 0x2D: 'eu',
+  0x2F: 'mk', 0x36: 'af', 0x37: 'ka', 0x39: 'hi', 0x3E: 'ms', 0x3F: 'kk',
+  0x45: 'bn', 0x46: 'pa', 0x47: 'gu', 0x49: 'ta', 0x4A: 'te', 0x4B: 'kn',
+  0x4C: 'ml', 0x4E: 'mr', 0x50: 'mn', 0x52: 'cy', 0x54: 'lo', 0x5B: 'si',
+  0x61: 'ne', 0x63: 'ps', 0x5E: 'am',
+};
+
+/** Platforms whose names are compared, each with its language ID for English. */
+const COMPARED_PLATFORMS: ReadonlyArray<[platformId: number, languageId: number]> = [
+  [PLATFORM_WINDOWS,   0x0409],
+  [PLATFORM_MACINTOSH, 0],
+  [PLATFORM_UNICODE,   0],
+];
+
+export interface NameMismatch {
+  readonly nameId: number;
+  /** One entry per platform that has the name, e.g. ["Windows", "Foo Sans"]. */
+  readonly values: ReadonlyArray<readonly [platform: string, value: string]>;
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads every record of the `name` table of a plain sfnt, in table order.
+ * Records whose string cannot be decoded are kept with an empty value.
+ */
+export function readNameRecords(sfnt: ArrayBuffer): NameRecord[] {
+  const data      = new DataView(sfnt);
+  const nameTable = readTableDirectory(data, 0).find(t => t.tag === 'name');
+  if (!nameTable || nameTable.length < 6) return [];
+
+  const base          = nameTable.offset;
+  const format        = data.getUint16(base);
+  const count         = data.getUint16(base + 2);
+  const storageOffset = base + data.getUint16(base + 4);
+  const end           = base + nameTable.length;
+
+  const readString = (offset: number, length: number, label: string): string => {
+    if (offset + length > end) return '';
+    try {
+      return new TextDecoder(label).decode(new Uint8Array(sfnt, offset, length));
+    } catch {
+      return '';
+    }
+  };
+
+  // Format 1 tables list BCP 47 tags for language IDs from 0x8000 up.
+  const langTags: string[] = [];
+  const langTagBase = base + 6 + count * 12;
+  if (format === 1 && langTagBase + 2 <= end) {
+    const langTagCount = data.getUint16(langTagBase);
+    for (let i = 0; i < langTagCount; i++) {
+      const rec = langTagBase + 2 + i * 4;
+      if (rec + 4 > end) break;
+      langTags.push(readString(storageOffset + data.getUint16(rec + 2), data.getUint16(rec), 'utf-16be'));
+    }
+  }
+
+  const records: NameRecord[] = [];
+  for (let i = 0; i < count; i++) {
+    const rec = base + 6 + i * 12;
+    if (rec + 12 > end) break;
+
+    const platformId = data.getUint16(rec);
+    const encodingId = data.getUint16(rec + 2);
+    const languageId = data.getUint16(rec + 4);
+    const nameId     = data.getUint16(rec + 6);
+    const length     = data.getUint16(rec + 8);
+    const offset     = storageOffset + data.getUint16(rec + 10);
+
+    records.push({
+      platformId,
+      encodingId,
+      languageId,
+      nameId,
+      languageTag: languageId >= 0x8000
+        ? langTags[languageId - 0x8000] || null
+        : languageTagFor(platformId, languageId),
+      value:       readString(offset, length, decoderFor(platformId, encodingId)),
+    });
+  }
+  return records;
+}
+
+function decoderFor(platformId: number, encodingId: number): string {
+  switch (platformId) {
+    case PLATFORM_MACINTOSH: return MAC_DECODERS[encodingId] ?? 'macintosh';
+    case PLATFORM_ISO:       return encodingId === 1 ? 'utf-16be' : encodingId === 2 ? 'iso-8859-1' : 'ascii';
+    default:                 return 'utf-16be';
+  }
+}
+
+function languageTagFor(platformId: number, languageId: number): string | null {
+  switch (platformId) {
+    case PLATFORM_MACINTOSH: return MAC_LANGUAGES[languageId] ?? null;
+    case PLATFORM_WINDOWS:   return WINDOWS_LOCALES[languageId] ?? WINDOWS_LANGUAGES[languageId & 0x3FF] ?? null;
+    default:                 return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Labels
+// ---------------------------------------------------------------------------
+
+export function platformLabel(platformId: number): string {
+  return PLATFORM_NAMES[platformId] ?? `Platform ${platformId}`;
+}
+
+export function encodingLabel(platformId: number, encodingId: number): string {
+  return ENCODING_NAMES[platformId]?.[encodingId] ?? `Encoding ${encodingId}`;
+}
+
+export function nameIdLabel(nameId: number): string {
+  return NAME_ID_LABELS[nameId] ?? (nameId >= 256 ? 'Font-specific' : 'Reserved');
+}
+
+let languageNames: Intl.DisplayNames | null | undefined;
+
+/** "English (United States)" where the browser knows the tag, else the tag or raw ID. */
+export function languageLabel(record: NameRecord): string {
+  const raw = `0x${record.languageId.toString(16).toUpperCase().padStart(4, '0')}`;
+  if (!record.languageTag) return record.platformId === PLATFORM_UNICODE ? `Any (${raw})` : raw;
+
+  if (languageNames === undefined) {
+    try {
+      languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    } catch {
+      languageNames = null;
+    }
+  }
+  try {
+    return languageNames?.of(record.languageTag) ?? record.languageTag;
+  } catch {
+    return record.languageTag;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Cross-platform consistency
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds name IDs whose English value differs between the Windows, Macintosh
+ * and Unicode platforms. Names that exist on only one platform are not
+ * reported.
+ */
+export function findPlatformMismatches(records: readonly NameRecord[]): NameMismatch[] {
+  const byNameId = new Map<number, Map<string, string>>();
+
+  for (const [platformId, languageId] of COMPARED_PLATFORMS) {
+    for (const record of records) {
+      if (record.platformId !== platformId || record.languageId !== languageId || !record.value) continue;
+      const values = byNameId.get(record.nameId) ?? new Map<string, string>();
+      if (!values.has(platformLabel(platformId))) values.set(platformLabel(platformId), record.value.trim());
+      byNameId.set(record.nameId, values);
+    }
+  }
+
+  const mismatches: NameMismatch[] = [];
+  for (const [nameId, values] of [...byNameId].sort(([a], [b]) => a - b)) {
+    if (new Set(values.values()).size > 1) {
+      mismatches.push({ nameId, values: [...values] });
+    }
+  }
+  return mismatches;
+}
@@ -17,6 +17,50 @@ export const AXIS_NAMES = {
 
 export type KnownAxisTag = keyof typeof AXIS_NAMES;
 
+// ---------------------------------------------------------------------------
+// Font file containers
+// ---------------------------------------------------------------------------
+
+/** The binary wrapper a font file arrived in; 'sfnt' is a plain TTF/OTF. */
+export type FontContainerFormat = 'sfnt' | 'woff' | 'woff2' | 'collection';
+
+export const CONTAINER_NAMES = {
+  sfnt:       'OpenType',
+  woff:       'WOFF',
+  woff2:      'WOFF2',
+  collection: 'TTC/OTC',
+} as const satisfies Record<FontContainerFormat, string>;
+
+/** Where a loaded font came from, before decompression / face extraction. */
+export interface FontSource {
+  readonly container:  FontContainerFormat;
+  /** Chosen face within a TTC/OTC collection; absent for single fonts. */
+  readonly faceIndex?: number;
+  readonly faceCount?: number;
+}
+
+/** A font file as dropped or restored from the session, before parsing. */
+export interface FontFile {
+  readonly buffer:     ArrayBuffer;
+  readonly filename:   string;
+  /** Face to load when the file is a TTC/OTC collection. */
+  readonly faceIndex?: number;
+}
+
+/** A font in the local library, referenced from the session by content hash. */
+export interface FontRef {
+  readonly hash:       string;
+  /** Face to load when the file is a TTC/OTC collection. */
+  readonly faceIndex?: number;
+}
+
+/** One face of a TrueType/OpenType collection, as listed in the face picker. */
+export interface CollectionFace {
+  readonly index:      number;
+  readonly familyName: string;
+  readonly styleName:  string;
+}
+
 // ---------------------------------------------------------------------------
 // Font metrics (all values in font units)
 // ---------------------------------------------------------------------------
@@ -56,9 +100,79 @@ export interface VariableInstance {
 
 export interface FontOpenTypeFeature {
   readonly tag:     string;
+  /** Layout table the feature record is in. */
+  readonly table:   'GSUB' | 'GPOS';
   readonly scripts: number[];
 }
 
+// ---------------------------------------------------------------------------
+// One record of the sfnt name table (core/NameTable.ts)
+// ---------------------------------------------------------------------------
+
+export interface NameRecord {
+  readonly platformId:  number;
+  readonly encodingId:  number;
+  readonly languageId:  number;
+  readonly nameId:      number;
+  /** BCP 47 tag for the language ID, or null when it is not known. */
+  readonly languageTag: string | null;
+  readonly value:       string;
+}
+
+// ---------------------------------------------------------------------------
+// OS/2, hhea, head and post values decoded by core/MetricsInspector.ts
+// ---------------------------------------------------------------------------
+
+/** One set of vertical metrics, with the descender negative as in hhea. */
+export interface VerticalMetrics {
+  readonly ascender:  number;
+  readonly descender: number;
+  readonly lineGap:   number;
+}
+
+export interface MetricsReport {
+  readonly unitsPerEm:         number;
+  /** Null when the font has no OS/2 table; so are all OS/2 fields below. */
+  readonly os2Version:         number | null;
+  readonly typo:               VerticalMetrics | null;
+  /** usWinAscent and the negated usWinDescent; Windows has no line gap. */
+  readonly win:                VerticalMetrics | null;
+  readonly hhea:               VerticalMetrics | null;
+  readonly useTypoMetrics:     boolean;
+  readonly xHeight:            number | null;
+  readonly capHeight:          number | null;
+  /** Font bounding box from head. */
+  readonly yMin:               number | null;
+  readonly yMax:               number | null;
+  readonly weightClass:        number | null;
+  readonly widthClass:         number | null;
+  readonly fsType:             number | null;
+  readonly fsSelection:        number | null;
+  readonly panose:             number[] | null;
+  /** Indices of the set OS/2 ulUnicodeRange bits (0–127). */
+  readonly unicodeRanges:      number[];
+  /** Indices of the set OS/2 ulCodePageRange bits (0–63). */
+  readonly codePageRanges:     number[];
+  readonly italicAngle:        number | null;
+  readonly underlinePosition:  number | null;
+  readonly underlineThickness: number | null;
+}
+
+// ---------------------------------------------------------------------------
+// Embedding permissions from OS/2 fsType (core/Embedding.ts)
+// ---------------------------------------------------------------------------
+
+/** The fsType usage level, from most to least permissive. */
+export type EmbeddingUsage = 'installable' | 'editable' | 'preview-print' | 'restricted';
+
+export interface EmbeddingPermissions {
+  /** Raw OS/2 fsType, or null when the font has no OS/2 table. */
+  readonly fsType:       number | null;
+  readonly usage:        EmbeddingUsage;
+  readonly noSubsetting: boolean;
+  readonly bitmapOnly:   boolean;
+}
+
 // ---------------------------------------------------------------------------
 // The canonical font-information object produced by getFontInformation()
 // ---------------------------------------------------------------------------
@@ -76,7 +190,11 @@ export interface FontInformation {
   readonly license:         string;
   readonly licenseURL:      string;
   readonly vendorID:        string;
+  /** Outline format, suffixed with the container for web fonts, e.g. "truetype (WOFF2)". */
   readonly format:          string;
+  readonly container:       FontContainerFormat;
+  /** Face index and count when the font was picked from a TTC/OTC collection. */
+  readonly collectionFace:  { readonly index: number; readonly count: number } | null;
   readonly unitsPerEm:      number | string;
   readonly created:         string;
   readonly modified:        string;
@@ -86,6 +204,58 @@ export interface FontInformation {
   readonly features:        FontOpenTypeFeature[];
   readonly axes:            AxisDefinition[];
   readonly instances:       VariableInstance[];
+  /** Every name table record, across all platforms and languages. */
+  readonly nameRecords:     NameRecord[];
+  readonly metrics:         MetricsReport;
+  readonly embedding:       EmbeddingPermissions;
+}
+
+// ---------------------------------------------------------------------------
+// Local font library (IndexedDB)
+// ---------------------------------------------------------------------------
+
+/**
+ * Metadata kept for each file in the font library. The binary itself is
+ * stored separately under the same hash so that listing stays cheap.
+ */
+export interface FontLibraryEntry {
+  /** Hex SHA-256 of the file as dropped (compressed WOFF/WOFF2 included). */
+  readonly hash:       string;
+  readonly filename:   string;
+  readonly byteLength: number;
+  readonly fontFamily: string;
+  readonly fullName:   string;
+  readonly fontStyle:  string;
+  readonly format:     string;
+  readonly version:    string;
+  readonly designer:   string;
+  readonly glyphCount: number;
+  readonly isVariable: boolean;
+  /** Milliseconds since the epoch. */
+  readonly addedAt:    number;
+  readonly lastUsedAt: number;
+}
+
+// ---------------------------------------------------------------------------
+// Custom text corpora (IndexedDB, shared/CustomCorpus.ts)
+// ---------------------------------------------------------------------------
+
+/** The app a custom corpus replaces the bundled text of. */
+export type CorpusTarget = 'wordmaster' | 'galleyproof';
+
+export type CorpusFormat = 'text' | 'markdown' | 'html';
+
+/** A dropped or pasted text used instead of the bundled word lists or galley text. */
+export interface CustomCorpus {
+  readonly target:   CorpusTarget;
+  /** File name, or "Pasted text". */
+  readonly name:     string;
+  readonly format:   CorpusFormat;
+  readonly text:     string;
+  /** Word-list language key (e.g. "german") chosen by the user; null to infer it. */
+  readonly language: string | null;
+  /** Milliseconds since the epoch. */
+  readonly addedAt:  number;
 }
 
 // ---------------------------------------------------------------------------
@@ -93,10 +263,58 @@ export interface FontInformation {
 // ---------------------------------------------------------------------------
 
 export interface FontLoadResult {
+  /**
+   * Parsed with opentype.js `lowMemory`, so glyphs load on demand and
+   * `font.glyphs.length` stays 0 — use `font.numGlyphs` or `unicodes`.
+   * The worker has already parsed the font; this main-thread copy is only
+   * parsed the first time `font` is read.
+   */
   readonly font:       opentype.Font;
   readonly fontInfo:   FontInformation;
   readonly fontFamily: string;
+  /** Decompressed sfnt binary — never WOFF/WOFF2. */
   readonly buffer:     ArrayBuffer;
+  /** Primary code point of every encoded glyph, in glyph order (.notdef excluded). */
+  readonly unicodes:   readonly number[];
+  /** Problems found by validateFont(), most severe first. */
+  readonly findings:   readonly ValidationFinding[];
+}
+
+// ---------------------------------------------------------------------------
+// Font validation (core/FontValidator.ts)
+// ---------------------------------------------------------------------------
+
+export type ValidationSeverity = 'error' | 'warning' | 'info';
+
+export interface ValidationFinding {
+  readonly severity: ValidationSeverity;
+  /** Table the finding is about, e.g. "OS/2", or "sfnt" for the file structure. */
+  readonly table:    string;
+  readonly message:  string;
+}
+
+// ---------------------------------------------------------------------------
+// Loading progress
+// ---------------------------------------------------------------------------
+
+/** Steps of loading one file; 'done' is reported once the whole load has finished or failed. */
+export type FontLoadStage = 'decoding' | 'parsing' | 'analysing' | 'validating' | 'registering' | 'done';
+
+export const LOAD_STAGE_LABELS = {
+  decoding:    'Decompressing',
+  parsing:     'Parsing',
+  analysing:   'Reading font info',
+  validating:  'Checking',
+  registering: 'Registering with the browser',
+  done:        'Done',
+} as const satisfies Record<FontLoadStage, string>;
+
+export interface FontLoadProgress {
+  readonly stage:    FontLoadStage;
+  readonly filename: string;
+  /** 1-based position of the file within the family being loaded. */
+  readonly file:     number;
+  readonly files:    number;
 }
 
 // ---------------------------------------------------------------------------
@@ -104,6 +322,16 @@ export interface FontLoadResult {
 // ---------------------------------------------------------------------------
 
 export interface FontLoaderOptions {
-  onFontLoaded?: (result: FontLoadResult) => void;
-  onError?:      (error: Error) => void;
+  onFontLoaded?:   (result: FontLoadResult) => void;
+  onError?:        (error: Error) => void;
+  /**
+   * Called instead of onFontLoaded when the user switches to another style of
+   * an already-loaded family, so apps can keep their glyph, word or scroll
+   * position. Falls back to onFontLoaded when omitted.
+   */
+  onStyleChanged?: (result: FontLoadResult) => void;
+  /** Chooses a face from a TTC/OTC collection. Defaults to the shared face picker. */
+  selectFace?:     (faces: readonly CollectionFace[], filename: string) => Promise<number>;
+  /** Reports loading steps. Defaults to the shared progress indicator. */
+  onProgress?:     (progress: FontLoadProgress) => void;
 }
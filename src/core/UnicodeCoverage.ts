@@ -0,0 +1,257 @@
+// =============================================================================
+// core/UnicodeCoverage.ts
+// Groups the code points of a font's cmap by Unicode block and by script, with
+// the assigned code points each group is missing, and exports the result as
+// CSV or JSON for quoting character set support.
+//
+// Totals count assigned code points only, as known to the browser's Unicode
+// version, and leave out control characters, which fonts do not draw. Private
+// use blocks have no standard repertoire, so they are never reported as
+// incomplete.
+// =============================================================================
+
+import { UNICODE_BLOCKS } from './UnicodeBlocks.js';
+
+export interface CoverageGroup {
+  readonly name:    string;
+  /** First and last code point, for blocks only. */
+  readonly range?:  readonly [start: number, end: number];
+  readonly covered: number;
+  readonly total:   number;
+  readonly missing: number[];
+}
+
+export interface CoverageReport {
+  readonly fontName:   string;
+  readonly codepoints: number;
+  /** Only the blocks and scripts the font has at least one character of. */
+  readonly blocks:     CoverageGroup[];
+  readonly scripts:    CoverageGroup[];
+}
+
+/** Unicode 15.1 script names, as accepted by \p{Script=…}. */
+const SCRIPT_NAMES = [
+  'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Syriac', 'Thaana',
+  'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya', 'Tamil', 'Telugu', 'Kannada',
+  'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar', 'Georgian', 'Hangul',
+  'Ethiopic', 'Cherokee', 'Canadian_Aboriginal', 'Ogham', 'Runic', 'Khmer', 'Mongolian',
+  'Hiragana', 'Katakana', 'Bopomofo', 'Han', 'Yi', 'Old_Italic', 'Gothic', 'Deseret',
+  'Inherited', 'Common', 'Tagalog', 'Hanunoo', 'Buhid', 'Tagbanwa', 'Limbu', 'Tai_Le',
+  'Linear_B', 'Ugaritic', 'Shavian', 'Osmanya', 'Cypriot', 'Braille', 'Buginese', 'Coptic',
+  'New_Tai_Lue', 'Glagolitic', 'Tifinagh', 'Syloti_Nagri', 'Old_Persian', 'Kharoshthi',
+  'Balinese', 'Cuneiform', 'Phoenician', 'Phags_Pa', 'Nko', 'Sundanese', 'Lepcha', 'Ol_Chiki',
+  'Vai', 'Saurashtra', 'Kayah_Li', 'Rejang', 'Lycian', 'Carian', 'Lydian', 'Cham', 'Tai_Tham',
+  'Tai_Viet', 'Avestan', 'Egyptian_Hieroglyphs', 'Samaritan', 'Lisu', 'Bamum', 'Javanese',
+  'Meetei_Mayek', 'Imperial_Aramaic', 'Old_South_Arabian', 'Inscriptional_Parthian',
+  'Inscriptional_Pahlavi', 'Old_Turkic', 'Kaithi', 'Batak', 'Brahmi', 'Mandaic', 'Chakma',
+  'Meroitic_Cursive', 'Meroitic_Hieroglyphs', 'Miao', 'Sharada', 'Sora_Sompeng', 'Takri',
+  'Caucasian_Albanian', 'Bassa_Vah', 'Duployan', 'Elbasan', 'Grantha', 'Pahawh_Hmong',
+  'Khojki', 'Linear_A', 'Mahajani', 'Manichaean', 'Mende_Kikakui', 'Modi', 'Mro',
+  'Old_North_Arabian', 'Nabataean', 'Palmyrene', 'Pau_Cin_Hau', 'Old_Permic', 'Psalter_Pahlavi',
+  'Siddham', 'Khudawadi', 'Tirhuta', 'Warang_Citi', 'Ahom', 'Anatolian_Hieroglyphs', 'Hatran',
+  'Multani', 'Old_Hungarian', 'SignWriting', 'Adlam', 'Bhaiksuki', 'Marchen', 'Newa', 'Osage',
+  'Tangut', 'Masaram_Gondi', 'Nushu', 'Soyombo', 'Zanabazar_Square', 'Dogra', 'Gunjala_Gondi',
+  'Makasar', 'Medefaidrin', 'Hanifi_Rohingya', 'Sogdian', 'Old_Sogdian', 'Elymaic',
+  'Nandinagari', 'Nyiakeng_Puachue_Hmong', 'Wancho', 'Chorasmian', 'Dives_Akuru',
+  'Khitan_Small_Script', 'Yezidi', 'Cypro_Minoan', 'Old_Uyghur', 'Tangsa', 'Toto', 'Vithkuqi',
+  'Kawi', 'Nag_Mundari',
+];
+
+const UNKNOWN_SCRIPT = 'Unknown';
+
+/** Where assigned characters of every script live: planes 0–3 and plane 14. */
+const SCRIPT_SCAN_RANGES: ReadonlyArray<readonly [number, number]> = [
+  [0x0000,  0x323AF],
+  [0xE0000, 0xE01EF],
+];
+
+const CONTROL     = /^[\p{Cc}\p{Cs}]$/u;
+/** Unassigned, control and surrogate code points are not counted in totals. */
+const UNCOUNTED   = /^[\p{Cn}\p{Cc}\p{Cs}]$/u;
+const PRIVATE_USE = /^\p{Co}$/u;
+
+/** Built on first use; scripts newer than the browser's Unicode data are left out. */
+let scriptPatterns: Map<string, RegExp> | null = null;
+/** The script scriptOf() matched last. */
+let lastScript: [name: string, pattern: RegExp] | null = null;
+
+// ---------------------------------------------------------------------------
+// Building the report
+// ---------------------------------------------------------------------------
+
+/** Every code point the font's cmap maps to a glyph other than .notdef, sorted. */
+export function cmapCodepoints(font: opentype.Font): number[] {
+  const map = font.tables.cmap?.glyphIndexMap ?? {};
+  return Object.keys(map)
+    .map(Number)
+    .filter(codepoint => map[codepoint] !== 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Groups `codepoints` by block and by script. Totals come from a scan of
+ * every assigned code point, so call it only on demand.
+ */
+export function buildCoverageReport(codepoints: readonly number[], fontName: string): CoverageReport {
+  const present = new Set(codepoints.filter(codepoint => !CONTROL.test(String.fromCodePoint(codepoint))));
+  return {
+    fontName,
+    codepoints: present.size,
+    blocks:     blockCoverage(present),
+    scripts:    scriptCoverage(present),
+  };
+}
+
+function blockCoverage(present: ReadonlySet<number>): CoverageGroup[] {
+  const groups: CoverageGroup[] = [];
+
+  for (const [start, end, name] of UNICODE_BLOCKS) {
+    let covered = 0;
+    for (const codepoint of present) {
+      if (codepoint >= start && codepoint <= end) covered++;
+    }
+    if (covered === 0) continue;
+
+    if (name.includes('Private Use') || name.includes('Surrogates')) {
+      groups.push({ name, range: [start, end], covered, total: covered, missing: [] });
+      continue;
+    }
+
+    let total = 0;
+    const missing: number[] = [];
+    for (let codepoint = start; codepoint <= end; codepoint++) {
+      if (UNCOUNTED.test(String.fromCodePoint(codepoint))) continue;
+      total++;
+      if (!present.has(codepoint)) missing.push(codepoint);
+    }
+    // Characters newer than the browser's Unicode data count as assigned too.
+    groups.push({ name, range: [start, end], covered, total: Math.max(total, covered), missing });
+  }
+  return groups;
+}
+
+function scriptCoverage(present: ReadonlySet<number>): CoverageGroup[] {
+  const coveredByScript = new Map<string, number>();
+  for (const codepoint of present) {
+    if (PRIVATE_USE.test(String.fromCodePoint(codepoint))) continue;
+    const script = scriptOf(codepoint);
+    coveredByScript.set(script, (coveredByScript.get(script) ?? 0) + 1);
+  }
+
+  // One pass over every assigned code point, counted towards the scripts the font covers
+  const totals  = new Map<string, number>();
+  const missing = new Map<string, number[]>();
+  for (const [start, end] of SCRIPT_SCAN_RANGES) {
+    for (let codepoint = start; codepoint <= end; codepoint++) {
+      const char = String.fromCodePoint(codepoint);
+      if (UNCOUNTED.test(char) || PRIVATE_USE.test(char)) continue;
+      const script = scriptOf(codepoint);
+      if (script === UNKNOWN_SCRIPT || !coveredByScript.has(script)) continue;
+      totals.set(script, (totals.get(script) ?? 0) + 1);
+      if (present.has(codepoint)) continue;
+      let list = missing.get(script);
+      if (!list) missing.set(script, list = []);
+      list.push(codepoint);
+    }
+  }
+
+  const groups: CoverageGroup[] = [];
+  for (const [name, covered] of coveredByScript) {
+    // Unknown scripts are unassigned in the browser's Unicode data, so there is no total to compare with.
+    groups.push(name === UNKNOWN_SCRIPT
+      ? { name, covered, total: covered, missing: [] }
+      : { name, covered, total: totals.get(name) ?? covered, missing: missing.get(name) ?? [] });
+  }
+
+  return groups.sort((a, b) => b.covered - a.covered);
+}
+
+/**
+ * Unicode script of a code point, with spaces for underscores ("Old Italic"),
+ * or "Unknown" when the browser's Unicode data has none for it.
+ */
+export function scriptOf(codepoint: number): string {
+  const char = String.fromCodePoint(codepoint);
+  // Neighbouring characters mostly share a script, so the last match is tried first
+  if (lastScript?.[1].test(char)) return lastScript[0];
+  for (const [name, pattern] of getScriptPatterns()) {
+    if (pattern.test(char)) {
+      lastScript = [name.replace(/_/g, ' '), pattern];
+      return lastScript[0];
+    }
+  }
+  return UNKNOWN_SCRIPT;
+}
+
+function getScriptPatterns(): Map<string, RegExp> {
+  if (scriptPatterns) return scriptPatterns;
+
+  scriptPatterns = new Map();
+  for (const name of SCRIPT_NAMES) {
+    try {
+      scriptPatterns.set(name, new RegExp(`^\\p{Script=${name}}$`, 'u'));
+    } catch {
+      // Not in this browser's Unicode version.
+    }
+  }
+  return scriptPatterns;
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/** "U+00E9"-style code point label. */
+export function formatCodepoint(codepoint: number): string {
+  return `U+${codepoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+export function coveragePercent({ covered, total }: CoverageGroup): number {
+  return total > 0 ? (covered / total) * 100 : 100;
+}
+
+/** One row per block and per script; missing code points are space-separated. */
+export function coverageToCSV(report: CoverageReport): string {
+  const rows = [['type', 'name', 'first', 'last', 'covered', 'total', 'percent', 'missing']];
+
+  const addRows = (type: string, groups: readonly CoverageGroup[]): void => {
+    for (const group of groups) {
+      rows.push([
+        type,
+        group.name,
+        group.range ? formatCodepoint(group.range[0]) : '',
+        group.range ? formatCodepoint(group.range[1]) : '',
+        String(group.covered),
+        String(group.total),
+        coveragePercent(group).toFixed(1),
+        group.missing.map(formatCodepoint).join(' '),
+      ]);
+    }
+  };
+  addRows('block',  report.blocks);
+  addRows('script', report.scripts);
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function coverageToJSON(report: CoverageReport): string {
+  const toJSON = (group: CoverageGroup) => ({
+    name:    group.name,
+    ...(group.range ? { first: formatCodepoint(group.range[0]), last: formatCodepoint(group.range[1]) } : {}),
+    covered: group.covered,
+    total:   group.total,
+    percent: Number(coveragePercent(group).toFixed(1)),
+    missing: group.missing.map(formatCodepoint),
+  });
+
+  return JSON.stringify({
+    font:       report.fontName,
+    codepoints: report.codepoints,
+    blocks:     report.blocks.map(toJSON),
+    scripts:    report.scripts.map(toJSON),
+  }, null, 2);
+}
+
+function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -0,0 +1,711 @@
+// =============================================================================
+// core/WebFontDecoder.ts
+// Unwraps WOFF and WOFF2 containers, and single faces of TTC/OTC collections,
+// into a plain sfnt (TTF/OTF) buffer so the rest of the suite — opentype.js,
+// the FontFace API and the raw-table readers in OpenTypeFeatures — only ever
+// deals with one binary layout.
+//
+// WOFF tables are zlib streams and go through the browser's built-in
+// DecompressionStream. WOFF2 uses Brotli, decoded by the vendored
+// http_root/brotlijs/brotli.js, plus the glyf/loca and hmtx transforms from
+// https://www.w3.org/TR/WOFF2/ which are reversed here.
+// =============================================================================
+
+import type { CollectionFace, FontContainerFormat, FontSource } from './Types.js';
+
+export interface DecodedFont extends FontSource {
+  /** Plain sfnt binary, ready for opentype.parse() and new FontFace(). */
+  readonly buffer: ArrayBuffer;
+}
+
+/** Picks one face of a collection; resolves to its index. */
+export type FaceChooser = (faces: readonly CollectionFace[]) => Promise<number>;
+
+interface SfntTable {
+  tag:       string;
+  data:      Uint8Array;
+  checksum?: number;
+}
+
+const SFNT_TRUETYPE = 0x00010000;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Identifies the container from the first four bytes of a font file.
+ * Returns null when the signature is not a recognised font container.
+ */
+export function detectFontContainer(buffer: ArrayBuffer): FontContainerFormat | null {
+  if (buffer.byteLength < 4) return null;
+  const data = new DataView(buffer);
+  switch (readTag(data, 0)) {
+    case 'wOFF': return 'woff';
+    case 'wOF2': return 'woff2';
+    case 'ttcf': return 'collection';
+    case 'OTTO':
+    case 'true':
+    case 'typ1': return 'sfnt';
+  }
+  return data.getUint32(0) === SFNT_TRUETYPE ? 'sfnt' : null;
+}
+
+/**
+ * Returns a plain sfnt buffer for any supported container. Plain TTF/OTF
+ * buffers are passed through untouched; for collections `chooseFace` is asked
+ * which face to extract (the only face is taken without asking).
+ */
+export async function decodeFontContainer(
+  buffer:     ArrayBuffer,
+  chooseFace: FaceChooser = async () => 0,
+): Promise<DecodedFont> {
+  const container = detectFontContainer(buffer);
+  switch (container) {
+    case 'woff':  return { buffer: await decodeWoff(buffer),  container };
+    case 'woff2': return { buffer: decodeWoff2(buffer), container };
+    case 'sfnt':  return { buffer, container };
+    case 'collection': {
+      const faces     = listCollectionFaces(buffer);
+      const faceIndex = faces.length === 1 ? 0 : await chooseFace(faces);
+      if (!Number.isInteger(faceIndex) || faceIndex < 0 || faceIndex >= faces.length) {
+        throw new Error(`Collection has no face ${faceIndex}`);
+      }
+      return {
+        buffer:    extractCollectionFace(buffer, faceIndex),
+        container,
+        faceIndex,
+        faceCount: faces.length,
+      };
+    }
+    default:      throw new Error('Unrecognised font file signature');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// TrueType / OpenType collections
+// ---------------------------------------------------------------------------
+
+/** Lists every face of a TTC/OTC with its name-table family and style. */
+export function listCollectionFaces(buffer: ArrayBuffer): CollectionFace[] {
+  const data = new DataView(buffer);
+  return collectionOffsets(data).map((sfntOffset, index) => ({
+    index,
+    familyName: readFaceName(data, sfntOffset, [16, 1]) ?? `Face ${index + 1}`,
+    styleName:  readFaceName(data, sfntOffset, [17, 2]) ?? '',
+  }));
+}
+
+/** Copies one face's tables out of a collection into a standalone sfnt. */
+export function extractCollectionFace(buffer: ArrayBuffer, faceIndex: number): ArrayBuffer {
+  const data       = new DataView(buffer);
+  const sfntOffset = collectionOffsets(data)[faceIndex];
+  if (sfntOffset === undefined) throw new Error(`Collection has no face ${faceIndex}`);
+
+  const tables: SfntTable[] = readTableDirectory(data, sfntOffset).map(rec => ({
+    tag:      rec.tag,
+    data:     new Uint8Array(buffer, rec.offset, rec.length).slice(),
+    checksum: rec.checksum,
+  }));
+  return buildSfnt(data.getUint32(sfntOffset), tables);
+}
+
+function collectionOffsets(data: DataView): number[] {
+  const numFonts = data.getUint32(8);
+  return Array.from({ length: numFonts }, (_, i) => data.getUint32(12 + i * 4));
+}
+
+export interface TableRecord {
+  tag:      string;
+  checksum: number;
+  offset:   number;
+  length:   number;
+}
+
+/** Reads the table records of the sfnt that starts at `sfntOffset`. */
+export function readTableDirectory(data: DataView, sfntOffset: number): TableRecord[] {
+  const numTables = data.getUint16(sfntOffset + 4);
+  return Array.from({ length: numTables }, (_, i) => {
+    const rec = sfntOffset + 12 + i * 16;
+    return {
+      tag:      readTag(data, rec),
+      checksum: data.getUint32(rec + 4),
+      offset:   data.getUint32(rec + 8),
+      length:   data.getUint32(rec + 12),
+    };
+  });
+}
+
+/**
+ * Reads the first available name for the given IDs (in priority order),
+ * preferring Windows English, then any Windows language, then Macintosh Roman.
+ */
+function readFaceName(data: DataView, sfntOffset: number, nameIds: readonly number[]): string | null {
+  const nameTable = readTableDirectory(data, sfntOffset).find(t => t.tag === 'name');
+  if (!nameTable) return null;
+
+  const base          = nameTable.offset;
+  const count         = data.getUint16(base + 2);
+  const storageOffset = base + data.getUint16(base + 4);
+
+  interface Candidate { rank: number; platformId: number; offset: number; length: number }
+
+  for (const nameId of nameIds) {
+    let best: Candidate | null = null;
+    for (let i = 0; i < count; i++) {
+      const rec = base + 6 + i * 12;
+      if (data.getUint16(rec + 6) !== nameId) continue;
+
+      const platformId = data.getUint16(rec);
+      const encodingId = data.getUint16(rec + 2);
+      const languageId = data.getUint16(rec + 4);
+      const rank =
+        platformId === 3 && languageId === 0x0409                 ? 0 :
+        platformId === 3                                           ? 1 :
+        platformId === 0                                           ? 2 :
+        platformId === 1 && encodingId === 0 && languageId === 0 ? 3 : -1;
+      if (rank < 0 || (best && best.rank <= rank)) continue;
+
+      best = {
+        rank,
+        platformId,
+        offset: storageOffset + data.getUint16(rec + 10),
+        length: data.getUint16(rec + 8),
+      };
+    }
+    if (!best) continue;
+
+    const bytes = new Uint8Array(data.buffer, data.byteOffset + best.offset, best.length);
+    const text  = new TextDecoder(best.platformId === 1 ? 'macintosh' : 'utf-16be').decode(bytes).trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// WOFF 1.0
+// ---------------------------------------------------------------------------
+
+async function decodeWoff(buffer: ArrayBuffer): Promise<ArrayBuffer> {
+  const data      = new DataView(buffer);
+  const flavor    = data.getUint32(4);
+  const numTables = data.getUint16(12);
+  const tables: SfntTable[] = [];
+
+  for (let i = 0; i < numTables; i++) {
+    const rec              = 44 + i * 20;
+    const tag              = readTag(data, rec);
+    const offset           = data.getUint32(rec + 4);
+    const compressedLength = data.getUint32(rec + 8);
+    const origLength       = data.getUint32(rec + 12);
+    const checksum         = data.getUint32(rec + 16);
+
+    const raw   = new Uint8Array(buffer, offset, compressedLength);
+    const bytes = compressedLength < origLength ? await inflate(raw) : raw.slice();
+    if (bytes.length !== origLength) {
+      throw new Error(`WOFF table "${tag}" decompressed to ${bytes.length} bytes, expected ${origLength}`);
+    }
+    tables.push({ tag, data: bytes, checksum });
+  }
+
+  return buildSfnt(flavor, tables);
+}
+
+/** zlib-wrapped deflate, as used by every compressed WOFF 1.0 table. */
+async function inflate(bytes: Uint8Array<ArrayBuffer>): Promise<Uint8Array> {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ---------------------------------------------------------------------------
+// WOFF 2.0
+// ---------------------------------------------------------------------------
+
+/** Tags addressable by a 6-bit index in the WOFF2 table directory. */
+const WOFF2_KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post',
+  'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+  'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea',
+  'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+  'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar',
+  'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+  'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+  'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill',
+] as const;
+
+interface Woff2TableEntry {
+  tag:              string;
+  origLength:       number;
+  transformVersion: number;
+  transformLength:  number;
+}
+
+function decodeWoff2(buffer: ArrayBuffer): ArrayBuffer {
+  if (typeof brotli === 'undefined') {
+    throw new Error('WOFF2 support requires brotlijs/brotli.js to be loaded');
+  }
+
+  const reader    = new ByteReader(buffer);
+  reader.skip(4);                              // signature
+  const flavor    = reader.u32();
+  reader.skip(4);                              // length
+  const numTables = reader.u16();
+  reader.skip(2);                              // reserved
+  reader.skip(4);                              // totalSfntSize
+  const totalCompressedSize = reader.u32();
+  reader.skip(24);                             // version, metadata and private blocks
+
+  if (readTag(new DataView(buffer), 4) === 'ttcf') {
+    throw new Error('WOFF2 font collections are not supported');
+  }
+
+  const entries: Woff2TableEntry[] = [];
+  for (let i = 0; i < numTables; i++) {
+    const flags      = reader.u8();
+    const tagIndex   = flags & 0x3f;
+    const tag        = tagIndex === 0x3f ? reader.tag() : WOFF2_KNOWN_TAGS[tagIndex];
+    if (tag === undefined) throw new Error(`Invalid WOFF2 table tag index ${tagIndex}`);
+
+    const transformVersion = (flags >> 6) & 0x03;
+    const origLength       = reader.uintBase128();
+    // glyf/loca use version 0 for "transformed"; every other table uses 0 for "null transform".
+    const isGlyfOrLoca = tag === 'glyf' || tag === 'loca';
+    const transformed  = isGlyfOrLoca ? transformVersion === 0 : transformVersion !== 0;
+    const transformLength = transformed ? reader.uintBase128() : origLength;
+
+    entries.push({ tag, origLength, transformVersion, transformLength });
+  }
+
+  const streamSize = entries.reduce((sum, e) => sum + e.transformLength, 0);
+  const compressed = new Uint8Array(buffer, reader.offset, totalCompressedSize);
+  const stream     = brotli.decompress(compressed, streamSize);
+  if (stream.length < streamSize) {
+    throw new Error('WOFF2 Brotli stream is shorter than its table directory declares');
+  }
+
+  const tableData = new Map<string, Uint8Array>();
+  let   cursor    = 0;
+  for (const entry of entries) {
+    tableData.set(entry.tag, stream.subarray(cursor, cursor + entry.transformLength));
+    cursor += entry.transformLength;
+  }
+
+  const tables: SfntTable[] = [];
+  const glyfEntry = entries.find(e => e.tag === 'glyf');
+  let   glyphXMins: Int16Array | null = null;
+
+  if (glyfEntry && glyfEntry.transformVersion === 0) {
+    const { glyf, loca, xMins } = reconstructGlyfLoca(tableData.get('glyf')!);
+    glyphXMins = xMins;
+    tables.push({ tag: 'glyf', data: glyf }, { tag: 'loca', data: loca });
+  }
+
+  for (const entry of entries) {
+    if (tables.some(t => t.tag === entry.tag)) continue;
+    const data = tableData.get(entry.tag)!;
+
+    if (entry.tag === 'hmtx' && entry.transformVersion === 1) {
+      if (!glyphXMins) throw new Error('WOFF2 hmtx transform requires a transformed glyf table');
+      tables.push({ tag: 'hmtx', data: reconstructHmtx(data, glyphXMins, tableData.get('hhea')) });
+      continue;
+    }
+    if (entry.transformLength !== entry.origLength) {
+      throw new Error(`Unsupported WOFF2 transform on table "${entry.tag}"`);
+    }
+    tables.push({ tag: entry.tag, data: data.slice() });
+  }
+
+  return buildSfnt(flavor, tables);
+}
+
+// ---------------------------------------------------------------------------
+// WOFF2 glyf / loca transform
+// ---------------------------------------------------------------------------
+
+const FLAG_ON_CURVE      = 0x01;
+const FLAG_X_SHORT       = 0x02;
+const FLAG_Y_SHORT       = 0x04;
+const FLAG_X_SAME        = 0x10;
+const FLAG_Y_SAME        = 0x20;
+const FLAG_OVERLAP       = 0x40;
+
+const COMPOSITE_ARGS_ARE_WORDS  = 0x0001;
+const COMPOSITE_HAVE_SCALE      = 0x0008;
+const COMPOSITE_MORE_COMPONENTS = 0x0020;
+const COMPOSITE_HAVE_XY_SCALE   = 0x0040;
+const COMPOSITE_HAVE_2X2        = 0x0080;
+const COMPOSITE_HAVE_INSTRUCTIONS = 0x0100;
+
+interface ReconstructedGlyf {
+  glyf:  Uint8Array;
+  loca:  Uint8Array;
+  xMins: Int16Array;
+}
+
+function reconstructGlyfLoca(transformed: Uint8Array): ReconstructedGlyf {
+  const header = new ByteReader(transformed);
+  header.skip(2);                               // reserved
+  const optionFlags = header.u16();
+  const numGlyphs   = header.u16();
+  const indexFormat = header.u16();
+
+  const sizes = Array.from({ length: 7 }, () => header.u32());
+  const [nContourSize, nPointsSize, flagSize, glyphSize, compositeSize, bboxSize, instructionSize] =
+    sizes as [number, number, number, number, number, number, number];
+
+  let offset = header.offset;
+  const sub = (length: number): ByteReader => {
+    const r = new ByteReader(transformed.subarray(offset, offset + length));
+    offset += length;
+    return r;
+  };
+
+  const nContourStream    = sub(nContourSize);
+  const nPointsStream     = sub(nPointsSize);
+  const flagStream        = sub(flagSize);
+  const glyphStream       = sub(glyphSize);
+  const compositeStream   = sub(compositeSize);
+  const bboxStream        = sub(bboxSize);
+  const instructionStream = sub(instructionSize);
+  const overlapBitmap     = optionFlags & 0x0001
+    ? transformed.subarray(offset, offset + ((numGlyphs + 7) >> 3))
+    : null;
+
+  const bboxBitmapLength = ((numGlyphs + 31) >> 5) * 4;
+  const bboxBitmap       = bboxStream.bytes(bboxBitmapLength);
+  const hasExplicitBbox  = (i: number): boolean => ((bboxBitmap[i >> 3]! >> (7 - (i & 7))) & 1) === 1;
+  const hasOverlap       = (i: number): boolean =>
+    overlapBitmap !== null && ((overlapBitmap[i >> 3]! >> (7 - (i & 7))) & 1) === 1;
+
+  const out     = new ByteWriter(transformed.length * 2);
+  const offsets = new Uint32Array(numGlyphs + 1);
+  const xMins   = new Int16Array(numGlyphs);
+
+  for (let i = 0; i < numGlyphs; i++) {
+    offsets[i]    = out.length;
+    const nContours = nContourStream.i16();
+
+    if (nContours === 0) {
+      if (hasExplicitBbox(i)) throw new Error(`WOFF2 empty glyph ${i} has an explicit bounding box`);
+      continue;
+    }
+
+    if (nContours < 0) {
+      // Composite glyph — component records are copied verbatim.
+      if (!hasExplicitBbox(i)) throw new Error(`WOFF2 composite glyph ${i} is missing its bounding box`);
+      const bbox  = [bboxStream.i16(), bboxStream.i16(), bboxStream.i16(), bboxStream.i16()] as const;
+      const start = compositeStream.offset;
+      let haveInstructions = false;
+      let flags: number;
+      do {
+        flags = compositeStream.u16();
+        haveInstructions ||= (flags & COMPOSITE_HAVE_INSTRUCTIONS) !== 0;
+        let argBytes = 2 + (flags & COMPOSITE_ARGS_ARE_WORDS ? 4 : 2);
+        if (flags & COMPOSITE_HAVE_SCALE)         argBytes += 2;
+        else if (flags & COMPOSITE_HAVE_XY_SCALE) argBytes += 4;
+        else if (flags & COMPOSITE_HAVE_2X2)      argBytes += 8;
+        compositeStream.skip(argBytes);
+      } while (flags & COMPOSITE_MORE_COMPONENTS);
+      const components = compositeStream.slice(start, compositeStream.offset);
+
+      out.i16(-1);
+      for (const v of bbox) out.i16(v);
+      xMins[i] = bbox[0];
+      out.bytes(components);
+      if (haveInstructions) {
+        const instructionLength = glyphStream.uint255();
+        out.u16(instructionLength);
+        out.bytes(instructionStream.bytes(instructionLength));
+      }
+      out.align4();
+      continue;
+    }
+
+    // Simple glyph
+    const endPoints: number[] = [];
+    let totalPoints = 0;
+    for (let c = 0; c < nContours; c++) {
+      totalPoints += nPointsStream.uint255();
+      endPoints.push(totalPoints - 1);
+    }
+
+    const xs = new Int32Array(totalPoints);
+    const ys = new Int32Array(totalPoints);
+    const onCurve = new Uint8Array(totalPoints);
+    let x = 0;
+    let y = 0;
+    for (let p = 0; p < totalPoints; p++) {
+      const flag = flagStream.u8();
+      const [dx, dy] = decodeTriplet(flag & 0x7f, glyphStream);
+      x += dx;
+      y += dy;
+      xs[p] = x;
+      ys[p] = y;
+      onCurve[p] = flag >> 7 ? 0 : 1;
+    }
+
+    const instructionLength = glyphStream.uint255();
+    const instructions      = instructionStream.bytes(instructionLength);
+
+    let xMin: number, yMin: number, xMax: number, yMax: number;
+    if (hasExplicitBbox(i)) {
+      xMin = bboxStream.i16(); yMin = bboxStream.i16();
+      xMax = bboxStream.i16(); yMax = bboxStream.i16();
+    } else if (totalPoints > 0) {
+      xMin = Math.min(...xs); yMin = Math.min(...ys);
+      xMax = Math.max(...xs); yMax = Math.max(...ys);
+    } else {
+      xMin = yMin = xMax = yMax = 0;
+    }
+    xMins[i] = xMin;
+
+    out.i16(nContours);
+    out.i16(xMin); out.i16(yMin); out.i16(xMax); out.i16(yMax);
+    for (const end of endPoints) out.u16(end);
+    out.u16(instructionLength);
+    out.bytes(instructions);
+
+    // Emit flags and coordinates without repeat compression — simple and valid.
+    const xBytes = new ByteWriter(totalPoints * 2);
+    const yBytes = new ByteWriter(totalPoints * 2);
+    let prevX = 0;
+    let prevY = 0;
+    for (let p = 0; p < totalPoints; p++) {
+      let flag = onCurve[p] ? FLAG_ON_CURVE : 0;
+      if (p === 0 && hasOverlap(i)) flag |= FLAG_OVERLAP;
+
+      const dx = xs[p]! - prevX;
+      const dy = ys[p]! - prevY;
+      prevX = xs[p]!;
+      prevY = ys[p]!;
+
+      if (dx === 0)                    flag |= FLAG_X_SAME;
+      else if (dx > -256 && dx < 256) { flag |= FLAG_X_SHORT | (dx > 0 ? FLAG_X_SAME : 0); xBytes.u8(Math.abs(dx)); }
+      else                             xBytes.i16(dx);
+
+      if (dy === 0)                    flag |= FLAG_Y_SAME;
+      else if (dy > -256 && dy < 256) { flag |= FLAG_Y_SHORT | (dy > 0 ? FLAG_Y_SAME : 0); yBytes.u8(Math.abs(dy)); }
+      else                             yBytes.i16(dy);
+
+      out.u8(flag);
+    }
+    out.bytes(xBytes.toBytes());
+    out.bytes(yBytes.toBytes());
+    out.align4();
+  }
+  offsets[numGlyphs] = out.length;
+
+  const loca = new ByteWriter((numGlyphs + 1) * (indexFormat ? 4 : 2));
+  for (const o of offsets) {
+    if (indexFormat) loca.u32(o);
+    else             loca.u16(o >> 1);
+  }
+
+  return { glyf: out.toBytes(), loca: loca.toBytes(), xMins };
+}
+
+/** Decodes one packed (dx, dy) point delta from the WOFF2 glyph stream. */
+function decodeTriplet(flag: number, stream: ByteReader): [number, number] {
+  const withSign = (f: number, value: number): number => (f & 1 ? value : -value);
+
+  if (flag < 10) {
+    return [0, withSign(flag, ((flag & 14) << 7) + stream.u8())];
+  }
+  if (flag < 20) {
+    return [withSign(flag, (((flag - 10) & 14) << 7) + stream.u8()), 0];
+  }
+  if (flag < 84) {
+    const b0 = flag - 20;
+    const b1 = stream.u8();
+    return [
+      withSign(flag,      1 + (b0 & 0x30) + (b1 >> 4)),
+      withSign(flag >> 1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f)),
+    ];
+  }
+  if (flag < 120) {
+    const b0 = flag - 84;
+    return [
+      withSign(flag,      1 + (Math.floor(b0 / 12) << 8) + stream.u8()),
+      withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + stream.u8()),
+    ];
+  }
+  if (flag < 124) {
+    const b1 = stream.u8();
+    const b2 = stream.u8();
+    const b3 = stream.u8();
+    return [withSign(flag, (b1 << 4) + (b2 >> 4)), withSign(flag >> 1, ((b2 & 0x0f) << 8) + b3)];
+  }
+  const x = stream.u16();
+  const y = stream.u16();
+  return [withSign(flag, x), withSign(flag >> 1, y)];
+}
+
+// ---------------------------------------------------------------------------
+// WOFF2 hmtx transform
+// ---------------------------------------------------------------------------
+
+function reconstructHmtx(transformed: Uint8Array, xMins: Int16Array, hhea: Uint8Array | undefined): Uint8Array {
+  if (!hhea) throw new Error('WOFF2 hmtx transform requires an hhea table');
+  const numHMetrics = new DataView(hhea.buffer, hhea.byteOffset, hhea.byteLength).getUint16(34);
+  const numGlyphs   = xMins.length;
+
+  const reader = new ByteReader(transformed);
+  const flags  = reader.u8();
+  const advances = Array.from({ length: numHMetrics }, () => reader.u16());
+
+  const out = new ByteWriter(numHMetrics * 4 + (numGlyphs - numHMetrics) * 2);
+  for (let i = 0; i < numHMetrics; i++) {
+    out.u16(advances[i]!);
+    out.i16(flags & 0x01 ? xMins[i]! : reader.i16());
+  }
+  for (let i = numHMetrics; i < numGlyphs; i++) {
+    out.i16(flags & 0x02 ? xMins[i]! : reader.i16());
+  }
+  return out.toBytes();
+}
+
+// ---------------------------------------------------------------------------
+// sfnt assembly
+// ---------------------------------------------------------------------------
+
+/** Writes a table directory plus 4-byte aligned tables, sorted by tag. */
+function buildSfnt(flavor: number, tables: SfntTable[]): ArrayBuffer {
+  tables.sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+
+  const numTables     = tables.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange   = (1 << entrySelector) * 16;
+  const headerSize    = 12 + numTables * 16;
+  const totalSize     = tables.reduce((sum, t) => sum + ((t.data.length + 3) & ~3), headerSize);
+
+  const out  = new Uint8Array(totalSize);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, flavor);
+  view.setUint16(4, numTables);
+  view.setUint16(6, searchRange);
+  view.setUint16(8, entrySelector);
+  view.setUint16(10, numTables * 16 - searchRange);
+
+  let offset = headerSize;
+  tables.forEach((table, i) => {
+    const rec = 12 + i * 16;
+    for (let c = 0; c < 4; c++) view.setUint8(rec + c, table.tag.charCodeAt(c));
+    out.set(table.data, offset);
+    view.setUint32(rec + 4,  table.checksum ?? tableChecksum(out, offset, table.data.length));
+    view.setUint32(rec + 8,  offset);
+    view.setUint32(rec + 12, table.data.length);
+    offset += (table.data.length + 3) & ~3;
+  });
+
+  return out.buffer;
+}
+
+function tableChecksum(bytes: Uint8Array, offset: number, length: number): number {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  let sum = 0;
+  const end = offset + ((length + 3) & ~3);
+  for (let p = offset; p < end; p += 4) {
+    sum = (sum + view.getUint32(p)) >>> 0;
+  }
+  return sum;
+}
+
+function readTag(data: DataView, offset: number): string {
+  return String.fromCharCode(
+    data.getUint8(offset), data.getUint8(offset + 1),
+    data.getUint8(offset + 2), data.getUint8(offset + 3),
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Byte-level helpers
+// ---------------------------------------------------------------------------
+
+class ByteReader {
+  private readonly view:  DataView;
+  private readonly bytesView: Uint8Array;
+  public  offset = 0;
+
+  constructor(source: ArrayBuffer | Uint8Array) {
+    this.bytesView = source instanceof Uint8Array ? source : new Uint8Array(source);
+    this.view      = new DataView(this.bytesView.buffer, this.bytesView.byteOffset, this.bytesView.byteLength);
+  }
+
+  skip(n: number): void { this.offset += n; }
+  u8():  number { const v = this.view.getUint8(this.offset);  this.offset += 1; return v; }
+  u16(): number { const v = this.view.getUint16(this.offset); this.offset += 2; return v; }
+  i16(): number { const v = this.view.getInt16(this.offset);  this.offset += 2; return v; }
+  u32(): number { const v = this.view.getUint32(this.offset); this.offset += 4; return v; }
+  tag(): string { const v = readTag(this.view, this.offset);  this.offset += 4; return v; }
+
+  bytes(n: number): Uint8Array {
+    if (this.offset + n > this.bytesView.length) throw new Error('WOFF2 stream overrun');
+    const v = this.bytesView.subarray(this.offset, this.offset + n);
+    this.offset += n;
+    return v;
+  }
+
+  slice(start: number, end: number): Uint8Array {
+    return this.bytesView.subarray(start, end);
+  }
+
+  /** UIntBase128 — variable-length 32-bit integer used in the WOFF2 directory. */
+  uintBase128(): number {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.u8();
+      if (i === 0 && byte === 0x80) throw new Error('WOFF2 UIntBase128 has a leading zero');
+      if (value & 0xfe000000) throw new Error('WOFF2 UIntBase128 overflow');
+      value = (value << 7) | (byte & 0x7f);
+      if ((byte & 0x80) === 0) return value >>> 0;
+    }
+    throw new Error('WOFF2 UIntBase128 exceeds five bytes');
+  }
+
+  /** 255UInt16 — variable-length 16-bit integer used in the glyf streams. */
+  uint255(): number {
+    const code = this.u8();
+    if (code === 253) return this.u16();
+    if (code === 254) return this.u8() + 506;
+    if (code === 255) return this.u8() + 253;
+    return code;
+  }
+}
+
+class ByteWriter {
+  private buf:  Uint8Array;
+  private view: DataView;
+  public  length = 0;
+
+  constructor(initialSize: number) {
+    this.buf  = new Uint8Array(Math.max(initialSize, 64));
+    this.view = new DataView(this.buf.buffer);
+  }
+
+  private ensure(n: number): void {
+    if (this.length + n <= this.buf.length) return;
+    const next = new Uint8Array(Math.max(this.buf.length * 2, this.length + n));
+    next.set(this.buf);
+    this.buf  = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(v: number):  void { this.ensure(1); this.view.setUint8(this.length, v);  this.length += 1; }
+  u16(v: number): void { this.ensure(2); this.view.setUint16(this.length, v); this.length += 2; }
+  i16(v: number): void { this.ensure(2); this.view.setInt16(this.length, v);  this.length += 2; }
+  u32(v: number): void { this.ensure(4); this.view.setUint32(this.length, v); this.length += 4; }
+
+  bytes(b: Uint8Array): void {
+    this.ensure(b.length);
+    this.buf.set(b, this.length);
+    this.length += b.length;
+  }
+
+  align4(): void {
+    while (this.length & 3) this.u8(0);
+  }
+
+  toBytes(): Uint8Array {
+    return this.buf.slice(0, this.length);
+  }
+}
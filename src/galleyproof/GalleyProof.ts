@@ -2,25 +2,58 @@
 // galleyproof/GalleyProof.ts
 // =============================================================================
 
-import { FontLoader }       from '../core/FontLoader.js';
-import { FontInfoRenderer } from '../core/FontInfo.js';
-import { UIControls }       from '../shared/UIControls.js';
-import { DragAndDrop }      from '../shared/DragAndDrop.js';
-import { OpenTypeFeatures } from '../wordmaster/OpenTypeFeatures.js';
-import { VariationAxes }    from '../shared/VariationAxes.js';
-import { initAppNav }       from '../shared/AppNav.js';
+import { FontLoader }               from '../core/FontLoader.js';
+import { FontInfoRenderer }         from '../core/FontInfo.js';
+import { FontHealthRenderer }       from '../core/FontValidator.js';
+import { MetricsInspectorRenderer } from '../core/MetricsInspector.js';
+import { UIControls }               from '../shared/UIControls.js';
+import { DragAndDrop }              from '../shared/DragAndDrop.js';
+import { StyleSwitcher }            from '../shared/StyleSwitcher.js';
+import { FontLibraryPanel }         from '../shared/FontLibraryPanel.js';
+import { EmbeddingBadge }           from '../shared/EmbeddingBadge.js';
+import { CoveragePanel }            from '../shared/CoveragePanel.js';
+import { CorpusPanel }              from '../shared/CorpusPanel.js';
+import { getCustomCorpus, corpusToHTML, corpusToText } from '../shared/CustomCorpus.js';
+import { textDirection }            from '../wordmaster/LanguageDetector.js';
+import { OpenTypeFeatures }         from '../wordmaster/OpenTypeFeatures.js';
+import { LanguageSystemSelect }     from '../wordmaster/LanguageSystemSelect.js';
+import { VariationAxes }            from '../shared/VariationAxes.js';
+import { initAppNav }               from '../shared/AppNav.js';
+import {
+  saveGalleyWritingMode,
+  getSavedGalleyWritingMode,
+  type GalleyWritingMode,
+} from '../shared/FontSession.js';
 import type { FontLoadResult } from '../core/Types.js';
 
+/**
+ * Vertical alternates and rotation, added to the chosen features in vertical
+ * mode for fonts that have them. `vrt2` takes the place of `vert`, which
+ * browsers apply to vertical text themselves; the two are not applied together.
+ */
+const VERTICAL_FEATURES = '"vrt2" 1';
+
 export class GalleyProof {
   public readonly fontLoader: FontLoader;
 
   private readonly uiControls:       UIControls;
   private readonly dragAndDrop:      DragAndDrop;
+  private readonly styleSwitcher:    StyleSwitcher;
+  private readonly fontLibrary:      FontLibraryPanel;
+  private readonly embeddingBadge:   EmbeddingBadge;
+  private readonly coveragePanel:    CoveragePanel;
+  private readonly corpusPanel:      CorpusPanel;
   private readonly openTypeFeatures: OpenTypeFeatures;
+  private readonly languageSystem:   LanguageSystemSelect;
   private readonly variationAxes:    VariationAxes;
   private readonly container:        HTMLElement | null;
 
   private currentVariationSettings = 'normal';
+  private featureString            = 'normal';
+  private columnWidth              = 60;
+  private writingMode:             GalleyWritingMode = getSavedGalleyWritingMode();
+  /** The font has a `vrt2` feature to apply in vertical mode. */
+  private hasVrt2                  = false;
 
   private readonly _keyHandler: (e: KeyboardEvent) => void;
 
@@ -40,18 +73,37 @@ export class GalleyProof {
     this.openTypeFeatures = new OpenTypeFeatures((featureString) => {
       this.updateFeatures(featureString);
     });
+    this.languageSystem = new LanguageSystemSelect(() => {
+      this.applyLanguageSystem();
+    });
 
     this.uiControls = new UIControls();
 
     this.fontLoader = new FontLoader({
-      onFontLoaded: (result) => { this.handleFontLoaded(result); },
+      onFontLoaded:   (result) => { this.handleFontLoaded(result); },
+      onStyleChanged: (result) => { this.handleStyleChanged(result); },
     });
 
     this.dragAndDrop = new DragAndDrop({
-      dropZone: document.body,
-      onDrop:   (buffer, filename) => {
+      dropZone:       document.body,
+      onDrop:         (buffer, filename) => {
         void this.fontLoader.loadFont(buffer, filename);
       },
+      onDropMultiple: (files) => {
+        void this.fontLoader.loadFamily(files);
+      },
+      onDropText:     (text, filename) => { void this.corpusPanel.setText(text, filename); },
+    });
+
+    this.styleSwitcher  = new StyleSwitcher({ fontLoader: this.fontLoader });
+    this.fontLibrary    = new FontLibraryPanel({
+      onOpen: (files) => { void this.fontLoader.loadFamily(files); },
+    });
+    this.embeddingBadge = new EmbeddingBadge({ uiControls: this.uiControls });
+    this.coveragePanel  = new CoveragePanel();
+    this.corpusPanel    = new CorpusPanel({
+      target:   'galleyproof',
+      onChange: () => { void this.loadText(); },
     });
 
     this.variationAxes = new VariationAxes({
@@ -69,6 +121,7 @@ export class GalleyProof {
 
     this.setupEventListeners();
     this.initializeSliders();
+    this.initializeWritingMode();
   }
 
   // ---------------------------------------------------------------------------
@@ -115,8 +168,8 @@ export class GalleyProof {
         display.textContent = `${val}%`;
       },
       (val) => {
-        const firstChild = this.container?.firstChild as HTMLElement | null;
-        if (firstChild) firstChild.style.width = `${val}%`;
+        this.columnWidth = val;
+        this.applyWritingMode();
       },
       (val) => `${val}%`,
       parseInt,
@@ -180,6 +233,59 @@ export class GalleyProof {
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Writing mode
+  // ---------------------------------------------------------------------------
+
+  private initializeWritingMode(): void {
+    document.querySelectorAll<HTMLButtonElement>('[data-writing-mode]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.writingMode = button.dataset['writingMode'] as GalleyWritingMode;
+        saveGalleyWritingMode(this.writingMode);
+        button.blur();
+        this.applyWritingMode();
+      });
+    });
+    this.applyWritingMode();
+  }
+
+  /**
+   * Sets the galley horizontally or in vertical-rl columns. In vertical mode
+   * the column width slider sets the column height, and the font's vertical
+   * alternates are switched on.
+   */
+  private applyWritingMode(): void {
+    const vertical = this.writingMode === 'vertical';
+    document.querySelectorAll<HTMLButtonElement>('[data-writing-mode]').forEach(button => {
+      button.classList.toggle('active', button.dataset['writingMode'] === this.writingMode);
+    });
+
+    const textEl = this.container?.firstChild as HTMLElement | null;
+    if (!textEl) return;
+    textEl.classList.toggle('galley-vertical', vertical);
+    textEl.style.width               = vertical ? 'auto' : `${this.columnWidth}%`;
+    textEl.style.height              = vertical ? `${this.columnWidth}%` : '';
+    textEl.style.fontFeatureSettings = this.featureSettings();
+  }
+
+  /** The chosen OpenType features, plus the font's vrt2 when set vertically. */
+  private featureSettings(): string {
+    if (this.writingMode !== 'vertical' || !this.hasVrt2) return this.featureString;
+    return this.featureString === 'normal' ? VERTICAL_FEATURES : `${this.featureString}, ${VERTICAL_FEATURES}`;
+  }
+
+  /**
+   * Sets the galley's `lang` to the chosen language system's, so its locl
+   * forms are shown; without one the text carries no language.
+   */
+  private applyLanguageSystem(): void {
+    const textEl = this.container?.firstChild as HTMLElement | null;
+    if (!textEl) return;
+    const lang = this.languageSystem.lang;
+    if (lang) textEl.lang = lang;
+    else      textEl.removeAttribute('lang');
+  }
+
   // ---------------------------------------------------------------------------
   // Setup / teardown
   // ---------------------------------------------------------------------------
@@ -195,21 +301,30 @@ export class GalleyProof {
 
   private async loadText(): Promise<void> {
     try {
-      const response  = await fetch('corpus/text/kongens_fald_html.txt');
-      const innerHTML = await response.text();
+      // A dropped or pasted text replaces the bundled one
+      const custom    = await getCustomCorpus('galleyproof').catch(() => null);
+      const innerHTML = custom
+        ? corpusToHTML(custom)
+        : await (await fetch('corpus/text/kongens_fald_html.txt')).text();
+      // Arabic, Hebrew or Persian text sets the whole galley right to left
+      const dir = custom ? textDirection('', corpusToText(custom)) : 'ltr';
 
       if (!this.container) return;
 
       if (!this.container.firstChild) {
         const textEl        = document.createElement('div');
         textEl.innerHTML    = innerHTML;
-        textEl.style.width  = '60%';
+        textEl.dir          = dir;
         textEl.style.fontSize   = '1rem';
         textEl.style.lineHeight = '1.5';
         this.container.appendChild(textEl);
+        this.applyWritingMode();
       } else {
-        (this.container.firstChild as HTMLElement).innerHTML = innerHTML;
+        const textEl     = this.container.firstChild as HTMLElement;
+        textEl.innerHTML = innerHTML;
+        textEl.dir       = dir;
       }
+      this.applyLanguageSystem();
     } catch (err) {
       console.error('Error loading text:', err);
     }
@@ -219,14 +334,16 @@ export class GalleyProof {
   // Font loaded
   // ---------------------------------------------------------------------------
 
-  private handleFontLoaded({ font, fontInfo, fontFamily, buffer }: FontLoadResult): void {
-    FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+  private handleFontLoaded(result: FontLoadResult): void {
+    const { fontFamily } = result;
+    this.applyFont(result);
+    this.styleSwitcher.refresh();
 
     void this.loadText().then(() => {
       const textEl = this.container?.firstChild as HTMLElement | null;
       if (textEl) {
         textEl.style.fontFamily             = `"${fontFamily}"`;
-        textEl.style.fontFeatureSettings    = 'normal';
+        textEl.style.fontFeatureSettings    = this.featureSettings();
         textEl.style.fontVariationSettings  = this.currentVariationSettings;
         textEl.style.letterSpacing          = '0em';
         textEl.style.wordSpacing            = '0em';
@@ -252,10 +369,35 @@ export class GalleyProof {
         resetSlider(sliders[4], '0',    '0 em');
       }
     });
+  }
+
+  /**
+   * Swaps in another style of the loaded family without reloading the text,
+   * so the scroll position and spacing sliders are kept.
+   */
+  private handleStyleChanged(result: FontLoadResult): void {
+    this.applyFont(result);
+    const textEl = this.container?.firstChild as HTMLElement | null;
+    if (textEl) {
+      textEl.style.fontFamily          = `"${result.fontFamily}"`;
+      textEl.style.fontFeatureSettings = this.featureSettings();
+    }
+  }
+
+  /** Shows a newly loaded font or style in the panels and the feature and axis controls. */
+  private applyFont({ font, fontInfo, buffer, findings }: FontLoadResult): void {
+    FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+    FontHealthRenderer.renderFindings(document.getElementById('font-health-content'), findings);
+    MetricsInspectorRenderer.renderMetrics(document.getElementById('metrics-inspector-content'), fontInfo.metrics);
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
 
+    this.featureString = 'normal';
+    this.hasVrt2       = fontInfo.features.some(({ tag }) => tag === 'vrt2');
     this.openTypeFeatures.clear();
     this.openTypeFeatures.extractFeatures(fontInfo, font, buffer);
     this.openTypeFeatures.createButtons();
+    this.languageSystem.setFont(font);
 
     if (fontInfo.axes.length > 0) {
       this.variationAxes.createAxesControls(fontInfo.axes, fontInfo.instances);
@@ -263,14 +405,21 @@ export class GalleyProof {
   }
 
   private updateFeatures(featureString: string): void {
+    this.featureString = featureString;
     const firstChild = this.container?.firstChild as HTMLElement | null;
-    if (firstChild) firstChild.style.fontFeatureSettings = featureString;
+    if (firstChild) firstChild.style.fontFeatureSettings = this.featureSettings();
   }
 
   destroy(): void {
     document.removeEventListener('keydown', this._keyHandler);
     this.uiControls.destroy();
     this.dragAndDrop.destroy();
+    this.styleSwitcher.destroy();
+    this.fontLibrary.destroy();
+    this.embeddingBadge.destroy();
+    this.coveragePanel.destroy();
+    this.corpusPanel.destroy();
+    this.openTypeFeatures.destroy();
   }
 }
 
@@ -0,0 +1,130 @@
+// =============================================================================
+// hyperflip/GhostLayers.ts
+// Layers behind HyperFlip's glyph for consistency checks: ghosts of the glyphs
+// before it in the sequence (onion skin), or the same glyph in a reference
+// font. Every ghost is drawn from its outline, centred like the live glyph
+// and standing on the live font's baseline from the metrics overlay.
+// =============================================================================
+
+import { glyphPathData }      from '../core/GlyphOutline.js';
+import { glyphBaseline }      from '../shared/MetricsOverlay.js';
+import type { AnimatedGlyph } from './GlyphAnimator.js';
+import type { GhostSettings } from '../shared/FontSession.js';
+
+export const DEFAULT_GHOST_SETTINGS: Readonly<GhostSettings> = {
+  mode:       'off',
+  count:      3,
+  colour:     '#ff3b30',
+  opacity:    0.4,
+  difference: false,
+};
+
+/** A ghost to draw: a glyph of a font, at an opacity relative to the setting. */
+interface Ghost {
+  font:   opentype.Font;
+  index:  number;
+  weight: number;
+}
+
+export class GhostLayers {
+  private readonly layers: HTMLElement;
+  public settings: GhostSettings = { ...DEFAULT_GHOST_SETTINGS };
+
+  private reference:      opentype.Font | null        = null;
+  private referenceName   = '';
+  /** Glyph indices of the reference font by name, for unencoded glyphs. */
+  private referenceNames: Map<string, number> | null = null;
+
+  /** Adds the layer element just before `displayElement`, so it is drawn underneath. */
+  constructor(displayElement: HTMLElement) {
+    this.layers = document.createElement('div');
+    this.layers.id = 'glyph-ghost-layers';
+    this.layers.setAttribute('aria-hidden', 'true');
+    displayElement.before(this.layers);
+  }
+
+  get referenceFilename(): string | null {
+    return this.reference ? this.referenceName : null;
+  }
+
+  setReferenceFont(font: opentype.Font, filename: string): void {
+    this.reference      = font;
+    this.referenceName  = filename;
+    this.referenceNames = null;
+  }
+
+  /**
+   * Draws the ghosts of `glyph` shown in `glyphElement` in `font`: the
+   * `previous` glyphs of the sequence, or the same glyph in the reference
+   * font. Returns a note for the user when there is nothing to draw.
+   */
+  render(
+    font:         opentype.Font | null,
+    glyphElement: HTMLElement | null,
+    glyph:        AnimatedGlyph | null,
+    previous:     readonly AnimatedGlyph[],
+  ): string {
+    this.layers.innerHTML = '';
+    const { mode, colour, opacity, difference } = this.settings;
+    this.layers.classList.toggle('difference', difference);
+    if (mode === 'off' || !font || !glyphElement || !glyph) return '';
+
+    let ghosts: Ghost[];
+    let note = '';
+    if (mode === 'previous') {
+      // Fading with age: the nearest glyph at the full opacity
+      ghosts = previous.map((g, i) => ({ font, index: g.index, weight: 1 - i / previous.length }));
+    } else if (!this.reference) {
+      return 'Load or drop a reference font';
+    } else {
+      const index = this.referenceIndex(font, glyph);
+      ghosts = index > 0 ? [{ font: this.reference, index, weight: 1 }] : [];
+      if (index <= 0) note = `Not in ${this.referenceName}`;
+    }
+
+    const fontSize = parseInt(getComputedStyle(glyphElement).fontSize, 10);
+    const rect     = glyphElement.getBoundingClientRect();
+    const baseline = glyphBaseline(font, glyphElement);
+    const centre   = rect.left + rect.width / 2;
+    // Difference blending with white inverts whatever is underneath, so the
+    // ghost and the glyph cancel where they overlap in either colour scheme
+    const fill     = difference ? '#ffffff' : colour;
+
+    for (const ghost of ghosts) {
+      const glyphOfGhost = ghost.font.glyphs.get(ghost.index);
+      const scale        = fontSize / ghost.font.unitsPerEm;
+      const originX      = centre - glyphOfGhost.advanceWidth * scale / 2;
+
+      const layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      layer.setAttribute('class', 'ghost-layer');
+      layer.setAttribute('width',  String(window.innerWidth));
+      layer.setAttribute('height', String(window.innerHeight));
+      layer.style.opacity = String(opacity * ghost.weight);
+      layer.innerHTML = `<path transform="translate(${originX} ${baseline}) scale(${scale})" `
+        + `d="${glyphPathData(glyphOfGhost)}" fill="${fill}"/>`;
+      this.layers.appendChild(layer);
+    }
+    return note;
+  }
+
+  /** Removes the layer element. */
+  destroy(): void {
+    this.layers.remove();
+  }
+
+  /** The reference glyph for `glyph`: by character, or by name for an unencoded glyph; 0 when missing. */
+  private referenceIndex(font: opentype.Font, glyph: AnimatedGlyph): number {
+    const reference = this.reference!;
+    if (glyph.char !== null) return reference.charToGlyphIndex(glyph.char);
+
+    if (!this.referenceNames) {
+      this.referenceNames = new Map();
+      for (let index = 0; index < reference.numGlyphs; index++) {
+        const name = reference.glyphs.get(index).name;
+        if (name && !this.referenceNames.has(name)) this.referenceNames.set(name, index);
+      }
+    }
+    const name = font.glyphs.get(glyph.index).name;
+    return name ? this.referenceNames.get(name) ?? 0 : 0;
+  }
+}
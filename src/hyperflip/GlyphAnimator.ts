@@ -2,17 +2,58 @@
 // hyperflip/GlyphAnimator.ts
 // =============================================================================
 
+import { glyphTextSvg }  from '../core/GlyphOutline.js';
+import { filterGlyphs }  from './GlyphFilter.js';
+import type { GlyphFilter } from '../shared/FontSession.js';
+
+/** A glyph in the animation: set as text when encoded, drawn from its outline when not. */
+export interface AnimatedGlyph {
+  index: number;
+  /** The character mapped to the glyph, or null for an unencoded glyph. */
+  char:  string | null;
+}
+
+export interface GlyphSequenceOptions {
+  /** Add the glyphs no code point maps to (alternates, ligatures, small capitals). */
+  includeUnencoded: boolean;
+  filter:           GlyphFilter;
+}
+
 export interface GlyphAnimatorOptions {
   displayElement: HTMLElement | null;
-  onGlyphChange?: (glyph: string) => void;
+  onGlyphChange?: (glyph: AnimatedGlyph) => void;
+}
+
+/**
+ * The glyphs of `font` before any filter: one per code point of `unicodes`,
+ * and with `includeUnencoded` the unencoded glyphs too, all in glyph order.
+ */
+export function fontGlyphs(font: opentype.Font, unicodes: readonly number[], includeUnencoded: boolean): AnimatedGlyph[] {
+  const encoded: AnimatedGlyph[] = unicodes.map(u => {
+    const char = String.fromCodePoint(u);
+    return { index: font.charToGlyphIndex(char), char };
+  });
+  if (!includeUnencoded) return encoded;
+
+  const mapped = new Set(Object.values(font.tables.cmap?.glyphIndexMap ?? {}));
+  const unencoded: AnimatedGlyph[] = [];
+  // Glyph 0 is .notdef
+  for (let index = 1; index < font.numGlyphs; index++) {
+    if (!mapped.has(index)) unencoded.push({ index, char: null });
+  }
+  return [...encoded, ...unencoded].sort((a, b) => a.index - b.index);
 }
 
 export class GlyphAnimator {
   public readonly displayElement: HTMLElement;
-  private readonly onGlyphChange?: (glyph: string) => void;
-
-  public  glyphs:           string[]         = [];
-  private sequentialGlyphs: string[]         = [];
+  private readonly onGlyphChange?: (glyph: AnimatedGlyph) => void;
+
+  private font:             opentype.Font | null = null;
+  public  glyphs:           AnimatedGlyph[]      = [];
+  private sequentialGlyphs: AnimatedGlyph[]      = [];
+  private shownGlyph:       AnimatedGlyph | null = null;
+  /** Position of the shown glyph in `glyphs`. */
+  private shownPosition:    number               = 0;
   public  currentIndex:     number           = 0;
   public  isAnimating:       boolean          = false;
   private animationFrameId:  number | null    = null;
@@ -27,18 +68,35 @@ export class GlyphAnimator {
     this.onGlyphChange  = options.onGlyphChange;
   }
 
-  async setGlyphsFromFont(font: opentype.Font): Promise<void> {
-    const chars: string[] = [];
-    for (let i = 0; i < font.glyphs.length; i++) {
-      const glyph = font.glyphs.get(i);
-      if (glyph.name === '.notdef' || glyph.unicode === undefined) continue;
-      chars.push(String.fromCodePoint(glyph.unicode));
-    }
-    this.glyphs           = chars;
-    this.sequentialGlyphs = [...chars];
+  /**
+   * Uses FontLoadResult.unicodes — the encoded glyphs in glyph order. With
+   * `includeUnencoded` the unencoded glyphs are added at their place in
+   * glyph order. The sequence is then narrowed and ordered by `filter`.
+   */
+  setGlyphsFromFont(
+    font:     opentype.Font,
+    unicodes: readonly number[],
+    { includeUnencoded, filter }: GlyphSequenceOptions,
+  ): void {
+    const glyphs = filterGlyphs(font, fontGlyphs(font, unicodes, includeUnencoded), filter);
+
+    this.font             = font;
+    this.sequentialGlyphs = [...glyphs];
+    this.glyphs           = this.isRandomOrder ? this.shuffleArray(glyphs) : glyphs;
     this.currentIndex     = 0;
   }
 
+  /** The glyph on display, or null before the first frame. */
+  get currentGlyph(): AnimatedGlyph | null {
+    return this.shownGlyph;
+  }
+
+  /** Name of the glyph on display, in the font the sequence was built from. */
+  get currentGlyphName(): string | null {
+    if (!this.shownGlyph || !this.font) return null;
+    return this.font.glyphs.get(this.shownGlyph.index).name || null;
+  }
+
   start(interval: number): void {
     if (this.glyphs.length === 0) {
       console.error('No glyphs available for animation');
@@ -64,12 +122,7 @@ export class GlyphAnimator {
     const elapsed = currentTime - this.lastFrameTime;
 
     if (elapsed >= this.interval) {
-      const currentChar = this.glyphs[this.currentIndex];
-      if (currentChar !== undefined) {
-        this.displayElement.textContent = currentChar;
-        this.onGlyphChange?.(currentChar);
-      }
-
+      this.show(this.currentIndex);
       this.currentIndex  = (this.currentIndex + 1) % this.glyphs.length;
       this.lastFrameTime = currentTime - (elapsed % this.interval);
     }
@@ -78,21 +131,50 @@ export class GlyphAnimator {
   }
 
   moveForward(steps = 1): void {
+    if (this.glyphs.length === 0) return;
     this.currentIndex = (this.currentIndex + steps) % this.glyphs.length;
-    const currentChar = this.glyphs[this.currentIndex];
-    if (currentChar !== undefined) {
-      this.displayElement.textContent = currentChar;
-      this.onGlyphChange?.(currentChar);
-    }
+    this.show(this.currentIndex);
   }
 
   moveBack(steps = 1): void {
+    if (this.glyphs.length === 0) return;
     this.currentIndex = (this.currentIndex - steps + this.glyphs.length) % this.glyphs.length;
-    const currentChar = this.glyphs[this.currentIndex];
-    if (currentChar !== undefined) {
-      this.displayElement.textContent = currentChar;
-      this.onGlyphChange?.(currentChar);
+    this.show(this.currentIndex);
+  }
+
+  /** Shows the glyph at `index` and continues the sequence from there. */
+  jumpTo(index: number): void {
+    if (this.glyphs.length === 0) return;
+    this.currentIndex = ((index % this.glyphs.length) + this.glyphs.length) % this.glyphs.length;
+    this.show(this.currentIndex);
+  }
+
+  /**
+   * Up to `count` glyphs that come before the shown one in the sequence,
+   * nearest first, wrapping around at the start.
+   */
+  previousGlyphs(count: number): AnimatedGlyph[] {
+    if (!this.shownGlyph) return [];
+    const length   = this.glyphs.length;
+    const previous: AnimatedGlyph[] = [];
+    for (let step = 1; step <= Math.min(count, length - 1); step++) {
+      previous.push(this.glyphs[(this.shownPosition - step + length) % length]!);
+    }
+    return previous;
+  }
+
+  /** Sets an encoded glyph as text; draws an unencoded one from its outline. */
+  private show(position: number): void {
+    const glyph = this.glyphs[position];
+    if (glyph === undefined) return;
+    if (glyph.char !== null) {
+      this.displayElement.textContent = glyph.char;
+    } else if (this.font) {
+      this.displayElement.innerHTML = glyphTextSvg(this.font, glyph.index);
     }
+    this.shownGlyph    = glyph;
+    this.shownPosition = position;
+    this.onGlyphChange?.(glyph);
   }
 
   toggleOrder(): void {
@@ -105,7 +187,7 @@ export class GlyphAnimator {
     this.currentIndex  = 0;
   }
 
-  private shuffleArray(array: string[]): string[] {
+  private shuffleArray<T>(array: T[]): T[] {
     for (let i = array.length - 1; i > 0; i--) {
       const j = Math.floor(Math.random() * (i + 1));
       // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
@@ -0,0 +1,157 @@
+// =============================================================================
+// hyperflip/GlyphFilter.ts
+// Narrows HyperFlip's glyph sequence by Unicode category, script, block or
+// glyph name, and orders it. Unencoded glyphs are judged by the character of
+// their base glyph: `a.sc` and `a.ss01` count as the letter a, `one.tf` as a
+// figure and `f_f_i` as the letter f.
+// =============================================================================
+
+import { blockOf }  from '../core/UnicodeBlocks.js';
+import { scriptOf } from '../core/UnicodeCoverage.js';
+import type { AnimatedGlyph }              from './GlyphAnimator.js';
+import type { GlyphCategory, GlyphFilter } from '../shared/FontSession.js';
+
+export const DEFAULT_GLYPH_FILTER: Readonly<GlyphFilter> = {
+  category:    'all',
+  script:      null,
+  block:       null,
+  namePattern: '',
+  order:       'index',
+};
+
+const CATEGORY_PATTERNS: Readonly<Record<Exclude<GlyphCategory, 'all'>, RegExp>> = {
+  letters:     /^\p{L}$/u,
+  figures:     /^\p{N}$/u,
+  punctuation: /^\p{P}$/u,
+  symbols:     /^\p{S}$/u,
+  marks:       /^\p{M}$/u,
+};
+
+/** `uni00E9`, `u1F600`: the code point production names spell out. */
+const UNI_NAME = /^(?:uni([0-9A-F]{4})|u([0-9A-F]{4,6}))$/;
+
+/** The scripts and blocks a font's characters belong to, for the filter menus. */
+export interface GlyphFilterOptions {
+  /** Most characters first. */
+  scripts: string[];
+  /** In code point order. */
+  blocks:  string[];
+}
+
+export function glyphFilterOptions(unicodes: readonly number[]): GlyphFilterOptions {
+  const scripts = new Map<string, number>();
+  const blocks  = new Set<string>();
+  for (const codepoint of [...unicodes].sort((a, b) => a - b)) {
+    const script = scriptOf(codepoint);
+    scripts.set(script, (scripts.get(script) ?? 0) + 1);
+    const block = blockOf(codepoint);
+    if (block) blocks.add(block);
+  }
+  return {
+    scripts: [...scripts].sort((a, b) => b[1] - a[1]).map(([script]) => script),
+    blocks:  [...blocks],
+  };
+}
+
+/** The name pattern as a regular expression; null when empty or invalid. */
+export function compileNamePattern(pattern: string): RegExp | null {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'u');
+  } catch {
+    return null;
+  }
+}
+
+/** The glyphs that pass `filter`, in its order. */
+export function filterGlyphs(
+  font:   opentype.Font,
+  glyphs: readonly AnimatedGlyph[],
+  filter: GlyphFilter,
+): AnimatedGlyph[] {
+  const names = new Map<number, string>();
+  const nameOf = (glyph: AnimatedGlyph): string => {
+    let name = names.get(glyph.index);
+    if (name === undefined) {
+      name = font.glyphs.get(glyph.index).name || '';
+      names.set(glyph.index, name);
+    }
+    return name;
+  };
+
+  // Code points of encoded glyphs by name, to look up the base of an unencoded one
+  let encodedByName: Map<string, number> | null = null;
+  const codepointOf = (glyph: AnimatedGlyph): number | null => {
+    if (glyph.char !== null) return glyph.char.codePointAt(0)!;
+    if (!encodedByName) {
+      encodedByName = new Map();
+      for (const other of glyphs) {
+        if (other.char !== null && !encodedByName.has(nameOf(other))) {
+          encodedByName.set(nameOf(other), other.char.codePointAt(0)!);
+        }
+      }
+    }
+    const base = nameOf(glyph).split('.')[0]!.split('_')[0]!;
+    const uni  = UNI_NAME.exec(base);
+    if (uni) return parseInt(uni[1] ?? uni[2]!, 16);
+    return encodedByName.get(base) ?? null;
+  };
+
+  const category    = filter.category !== 'all' ? CATEGORY_PATTERNS[filter.category] : null;
+  const namePattern = compileNamePattern(filter.namePattern);
+
+  const passed = glyphs.filter(glyph => {
+    if (namePattern && !namePattern.test(nameOf(glyph))) return false;
+    if (!category && filter.script === null && filter.block === null) return true;
+
+    const codepoint = codepointOf(glyph);
+    if (codepoint === null) return false;
+    if (category && !category.test(String.fromCodePoint(codepoint))) return false;
+    if (filter.script !== null && scriptOf(codepoint) !== filter.script) return false;
+    if (filter.block  !== null && blockOf(codepoint)  !== filter.block)  return false;
+    return true;
+  });
+
+  return orderGlyphs(font, passed, filter, nameOf, codepointOf);
+}
+
+function orderGlyphs(
+  font:        opentype.Font,
+  glyphs:      AnimatedGlyph[],
+  { order }:   GlyphFilter,
+  nameOf:      (glyph: AnimatedGlyph) => string,
+  codepointOf: (glyph: AnimatedGlyph) => number | null,
+): AnimatedGlyph[] {
+  const byIndex = (a: AnimatedGlyph, b: AnimatedGlyph) => a.index - b.index;
+
+  switch (order) {
+    case 'index':
+      return glyphs;
+    case 'unicode': {
+      // Unencoded glyphs follow the character of their base glyph; those without one come last
+      const key = (glyph: AnimatedGlyph) => codepointOf(glyph) ?? Infinity;
+      return glyphs.sort((a, b) => key(a) - key(b) || Number(a.char === null) - Number(b.char === null) || byIndex(a, b));
+    }
+    case 'name':
+      return glyphs.sort((a, b) => compare(nameOf(a), nameOf(b)) || byIndex(a, b));
+    case 'advance': {
+      const advance = (glyph: AnimatedGlyph) => font.glyphs.get(glyph.index).advanceWidth;
+      return glyphs.sort((a, b) => advance(a) - advance(b) || byIndex(a, b));
+    }
+    case 'group': {
+      // A glyph and its variants (a, a.sc, a.ss01) together, where the first of them is
+      const group = (glyph: AnimatedGlyph) => nameOf(glyph).split('.')[0]!;
+      const first = new Map<string, number>();
+      for (const glyph of glyphs) {
+        const key = group(glyph);
+        first.set(key, Math.min(first.get(key) ?? Infinity, glyph.index));
+      }
+      return glyphs.sort((a, b) =>
+        first.get(group(a))! - first.get(group(b))! || compare(group(a), group(b)) || byIndex(a, b));
+    }
+  }
+}
+
+function compare(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,271 @@
+// =============================================================================
+// hyperflip/GlyphSearch.ts
+// The search HyperFlip opens with `/`: finds a glyph of the font by its
+// character, its U+ code point, its name or its glyph index, suggesting
+// matches as you type, and jumps to the one picked. Glyphs the glyph filter
+// leaves out of the animation are found too, and marked as such.
+// =============================================================================
+
+import { escapeHtml }         from '../core/Html.js';
+import { glyphTextSvg }       from '../core/GlyphOutline.js';
+import { formatCodepoint }    from '../core/UnicodeCoverage.js';
+import type { AnimatedGlyph } from './GlyphAnimator.js';
+
+/** A glyph that matches the search, at `position` in the glyphs searched. */
+export interface GlyphMatch {
+  position: number;
+  glyph:    AnimatedGlyph;
+  name:     string;
+}
+
+export interface GlyphSearchOptions {
+  /** Called with the glyph picked, which may be one the glyph filter leaves out. */
+  onPick: (glyph: AnimatedGlyph) => void;
+}
+
+const MAX_SUGGESTIONS = 50;
+
+/** `U+00E9`, `u+1f600`, `0xE9`: a code point, or the start of one while typing. */
+const CODEPOINT_QUERY = /^(?:U\+|0x)([0-9A-F]{1,6})$/i;
+/** `#42` or `42`: a glyph index. */
+const INDEX_QUERY     = /^#?(\d+)$/;
+
+/**
+ * The glyphs of `glyphs` that match `query`, best first: the typed
+ * character, code point or glyph index, then names that are equal to the
+ * query, start with it or contain it. Names are compared ignoring case.
+ */
+export function searchGlyphs(
+  glyphs: readonly AnimatedGlyph[],
+  nameOf: (glyph: AnimatedGlyph) => string,
+  query:  string,
+  limit = MAX_SUGGESTIONS,
+): GlyphMatch[] {
+  const text = query.trim();
+  if (!text) return [];
+
+  const lower      = text.toLowerCase();
+  const codepoint  = CODEPOINT_QUERY.exec(text)?.[1]?.toUpperCase() ?? null;
+  const index      = INDEX_QUERY.exec(text)?.[1];
+  const glyphIndex = index !== undefined ? parseInt(index, 10) : null;
+  // A single character, however many UTF-16 units it takes
+  const char       = [...text].length === 1 ? text : null;
+
+  const rank = (glyph: AnimatedGlyph, name: string): number | null => {
+    if (char !== null && glyph.char === char) return 0;
+    if (glyphIndex !== null && glyph.index === glyphIndex) return 0;
+    if (codepoint !== null && glyph.char !== null) {
+      const hex = glyph.char.codePointAt(0)!.toString(16).toUpperCase();
+      if (hex === codepoint.replace(/^0+(?=.)/, '')) return 0;
+      if (hex.padStart(4, '0').startsWith(codepoint)) return 3;
+    }
+    if (name === text) return 1;
+    const lowerName = name.toLowerCase();
+    if (lowerName === lower) return 2;
+    if (lowerName.startsWith(lower)) return 3;
+    if (lowerName.includes(lower)) return 4;
+    return null;
+  };
+
+  const ranked: (GlyphMatch & { rank: number })[] = [];
+  glyphs.forEach((glyph, position) => {
+    const name = nameOf(glyph);
+    const r    = rank(glyph, name);
+    if (r !== null) ranked.push({ position, glyph, name, rank: r });
+  });
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.position - b.position)
+    .slice(0, limit)
+    .map(({ position, glyph, name }) => ({ position, glyph, name }));
+}
+
+export class GlyphSearch {
+  private readonly onPick: (glyph: AnimatedGlyph) => void;
+  private readonly panel:  HTMLElement;
+  private readonly input:  HTMLInputElement;
+  private readonly list:   HTMLElement;
+  private readonly hint:   HTMLElement;
+
+  private font:     opentype.Font | null     = null;
+  private glyphs:   readonly AnimatedGlyph[] = [];
+  /** Keys of the glyphs in the animation's sequence; the others are filtered out. */
+  private shown:    Set<string>              = new Set();
+  private names:    Map<number, string>      = new Map();
+  private matches:  GlyphMatch[]             = [];
+  private selected: number                   = 0;
+
+  constructor(options: GlyphSearchOptions) {
+    this.onPick = options.onPick;
+
+    this.panel = document.createElement('div');
+    this.panel.id            = 'glyph-search';
+    this.panel.style.display = 'none';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-label', 'Jump to glyph');
+    this.panel.innerHTML = `
+      <input type="search" class="glyph-search-input" placeholder="Character, U+0041, glyph name or index"
+        aria-label="Find a glyph" aria-controls="glyph-search-results" autocomplete="off" spellcheck="false">
+      <p class="glyph-search-hint"></p>
+      <ol id="glyph-search-results" class="glyph-search-results" role="listbox"></ol>`;
+
+    this.input = this.panel.querySelector('.glyph-search-input')   as HTMLInputElement;
+    this.list  = this.panel.querySelector('.glyph-search-results') as HTMLElement;
+    this.hint  = this.panel.querySelector('.glyph-search-hint')    as HTMLElement;
+
+    this.input.addEventListener('input', () => { this.update(); });
+    this.panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      this.handleKeyDown(e);
+    });
+    // Picking with the mouse keeps the focus in the input until the jump
+    this.list.addEventListener('mousedown', (e) => { e.preventDefault(); });
+    this.list.addEventListener('click', (e) => {
+      const option = (e.target as HTMLElement).closest<HTMLElement>('[data-match]');
+      if (option) this.pick(parseInt(option.dataset['match']!, 10));
+    });
+    this.panel.addEventListener('focusout', (e) => {
+      if (!this.panel.contains(e.relatedTarget as Node | null)) this.close();
+    });
+
+    document.body.appendChild(this.panel);
+  }
+
+  get isOpen(): boolean {
+    return this.panel.style.display !== 'none';
+  }
+
+  /**
+   * Opens the search over `glyphs`, every glyph of the font, marking those
+   * missing from `sequence`, the animation's, and showing the suggestions in
+   * `fontFamily`.
+   */
+  open(
+    font:       opentype.Font,
+    glyphs:     readonly AnimatedGlyph[],
+    sequence:   readonly AnimatedGlyph[],
+    fontFamily: string,
+  ): void {
+    if (font !== this.font) this.names.clear();
+    this.font   = font;
+    this.glyphs = glyphs;
+    this.shown  = new Set(sequence.map(glyphKey));
+    this.list.style.fontFamily = fontFamily;
+
+    this.panel.style.display = '';
+    this.input.select();
+    this.input.focus();
+    this.update();
+  }
+
+  close(): void {
+    if (!this.isOpen) return;
+    this.panel.style.display = 'none';
+    this.input.blur();
+  }
+
+  /** Removes the panel. */
+  destroy(): void {
+    this.panel.remove();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suggestions
+  // ---------------------------------------------------------------------------
+
+  private nameOf = (glyph: AnimatedGlyph): string => {
+    let name = this.names.get(glyph.index);
+    if (name === undefined) {
+      name = this.font?.glyphs.get(glyph.index).name || '';
+      this.names.set(glyph.index, name);
+    }
+    return name;
+  };
+
+  private update(): void {
+    const query   = this.input.value;
+    this.matches  = searchGlyphs(this.glyphs, this.nameOf, query);
+    this.selected = 0;
+
+    const filteredOut = this.matches.filter(match => this.isFilteredOut(match.glyph)).length;
+    if (!query.trim()) {
+      this.hint.textContent = `${this.glyphs.length} ${this.glyphs.length === 1 ? 'glyph' : 'glyphs'} to search`;
+    } else if (this.matches.length === 0) {
+      this.hint.textContent = 'No glyph in the font matches';
+    } else {
+      this.hint.textContent = (this.matches.length === MAX_SUGGESTIONS
+        ? `First ${MAX_SUGGESTIONS} matches`
+        : `${this.matches.length} ${this.matches.length === 1 ? 'match' : 'matches'}`)
+        + (filteredOut ? `, ${filteredOut} hidden by the glyph filter: picking one clears the filter` : '');
+    }
+
+    this.list.innerHTML = this.matches.map((match, i) => this.optionHTML(match, i)).join('');
+    this.highlight();
+  }
+
+  private optionHTML({ glyph, name }: GlyphMatch, i: number): string {
+    const sample = glyph.char !== null
+      ? escapeHtml(glyph.char)
+      : (this.font ? glyphTextSvg(this.font, glyph.index) : '');
+    const code   = glyph.char !== null ? formatCodepoint(glyph.char.codePointAt(0)!) : 'unencoded';
+    const hidden = this.isFilteredOut(glyph);
+    return `
+      <li id="glyph-search-match-${i}" class="glyph-search-match${hidden ? ' filtered-out' : ''}" role="option" data-match="${i}">
+        <span class="glyph-search-sample">${sample}</span>
+        <span class="glyph-search-name">${escapeHtml(name) || '<em>unnamed</em>'}</span>
+        <span class="glyph-search-code">${code} &middot; #${glyph.index}${hidden ? '<br>hidden by filter' : ''}</span>
+      </li>`;
+  }
+
+  private isFilteredOut(glyph: AnimatedGlyph): boolean {
+    return !this.shown.has(glyphKey(glyph));
+  }
+
+  private highlight(): void {
+    this.list.querySelectorAll<HTMLElement>('[data-match]').forEach((option, i) => {
+      const selected = i === this.selected;
+      option.classList.toggle('selected', selected);
+      option.setAttribute('aria-selected', String(selected));
+      if (selected) option.scrollIntoView({ block: 'nearest' });
+    });
+    if (this.matches.length) {
+      this.input.setAttribute('aria-activedescendant', `glyph-search-match-${this.selected}`);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  private handleKeyDown(event: KeyboardEvent): void {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (this.matches.length) this.selected = (this.selected + 1) % this.matches.length;
+        this.highlight();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (this.matches.length) this.selected = (this.selected - 1 + this.matches.length) % this.matches.length;
+        this.highlight();
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.pick(this.selected);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+    }
+  }
+
+  private pick(i: number): void {
+    const match = this.matches[i];
+    if (!match) return;
+    this.close();
+    this.onPick(match.glyph);
+  }
+}
+
+/** Tells apart the glyphs of the sequence: by character, or by index when unencoded. */
+function glyphKey({ index, char }: AnimatedGlyph): string {
+  return char ?? `#${index}`;
+}
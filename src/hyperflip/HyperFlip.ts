@@ -3,31 +3,65 @@
 // =============================================================================
 
 import { FontLoader }                            from '../core/FontLoader.js';
-import { saveHyperFlipState, getSavedHyperFlipState, type HyperFlipState } from '../shared/FontSession.js';
+import {
+  saveHyperFlipState,
+  getSavedHyperFlipState,
+  type HyperFlipState,
+  type GlyphFilter,
+  type GlyphCategory,
+  type GlyphOrder,
+  type GhostMode,
+} from '../shared/FontSession.js';
 import { FontInfoRenderer }                      from '../core/FontInfo.js';
-import { GlyphAnimator }                         from './GlyphAnimator.js';
+import { FontHealthRenderer }                    from '../core/FontValidator.js';
+import { parseFontFile }                         from '../core/FontParser.js';
+import { MetricsInspectorRenderer }              from '../core/MetricsInspector.js';
+import { GlyphAnimator, fontGlyphs, type AnimatedGlyph } from './GlyphAnimator.js';
+import { OutlineOverlay }                        from './OutlineOverlay.js';
+import { GlyphSearch }                           from './GlyphSearch.js';
+import { GhostLayers, DEFAULT_GHOST_SETTINGS }   from './GhostLayers.js';
+import { DEFAULT_GLYPH_FILTER, compileNamePattern, glyphFilterOptions } from './GlyphFilter.js';
 import { MetricsOverlay }                        from '../shared/MetricsOverlay.js';
 import { VariationAxes }                         from '../shared/VariationAxes.js';
 import { UIControls }                            from '../shared/UIControls.js';
 import { DragAndDrop }                           from '../shared/DragAndDrop.js';
+import { StyleSwitcher }                         from '../shared/StyleSwitcher.js';
+import { FontLibraryPanel }                      from '../shared/FontLibraryPanel.js';
+import { EmbeddingBadge }                        from '../shared/EmbeddingBadge.js';
+import { CoveragePanel }                         from '../shared/CoveragePanel.js';
 import { initAppNav }                            from '../shared/AppNav.js';
-import type { FontLoadResult }                   from '../core/Types.js';
+import { pickCollectionFace }                    from '../shared/FacePicker.js';
+import { showLoadProgress }                      from '../shared/LoadProgress.js';
+import type { FontFile, FontLoadResult, FontLoadStage } from '../core/Types.js';
 
 class FontViewer {
   public readonly fontLoader: FontLoader;
 
   private readonly glyphAnimator:  GlyphAnimator;
   private readonly metricsOverlay: MetricsOverlay;
+  private readonly outlineOverlay: OutlineOverlay;
+  private readonly glyphSearch:    GlyphSearch;
+  private readonly ghostLayers:    GhostLayers;
   private readonly variationAxes:  VariationAxes;
   private readonly uiControls:     UIControls;
   private readonly dragAndDrop:    DragAndDrop;
+  private readonly styleSwitcher:  StyleSwitcher;
+  private readonly fontLibrary:    FontLibraryPanel;
+  private readonly embeddingBadge: EmbeddingBadge;
+  private readonly coveragePanel:  CoveragePanel;
   private readonly _resizeObserver: ResizeObserver;
   private readonly _keyHandler:    (e: KeyboardEvent) => void;
 
+  /** Also flip through the glyphs no character is mapped to, drawn from their outlines. */
+  private includeUnencoded = false;
+  private glyphFilter:     GlyphFilter       = { ...DEFAULT_GLYPH_FILTER };
+  private unicodes:        readonly number[] = [];
+
   constructor() {
     this.fontLoader = new FontLoader({
-      onFontLoaded: (result) => { this.handleFontLoaded(result); },
-      onError:      (error)  => { this.handleError(error); },
+      onFontLoaded:   (result) => { this.handleFontLoaded(result); },
+      onStyleChanged: (result) => { this.handleStyleChanged(result); },
+      onError:        (error)  => { this.handleError(error); },
     });
 
     this.glyphAnimator = new GlyphAnimator({
@@ -39,6 +73,16 @@ class FontViewer {
       document.getElementById('font-metrics-overlay'),
     );
 
+    this.outlineOverlay = new OutlineOverlay(
+      document.getElementById('glyph-outline-overlay'),
+    );
+
+    this.ghostLayers = new GhostLayers(this.glyphAnimator.displayElement);
+
+    this.glyphSearch = new GlyphSearch({
+      onPick: (glyph) => { this.jumpToGlyph(glyph); },
+    });
+
     this.variationAxes = new VariationAxes({
       container: document.getElementById('controls') as HTMLElement,
       onChange:  (settings) => { this.handleAxesChange(settings); },
@@ -47,20 +91,21 @@ class FontViewer {
     this.uiControls = new UIControls();
 
     this.dragAndDrop = new DragAndDrop({
-      dropZone: document.body,
-      onDrop:   (buffer, filename) => { void this.handleFontDrop(buffer, filename); },
+      dropZone:       document.body,
+      onDrop:         (buffer, filename) => { void this.handleFontDrop([{ buffer, filename }]); },
+      onDropMultiple: (files)            => { void this.handleFontDrop(files); },
     });
 
+    this.styleSwitcher  = new StyleSwitcher({ fontLoader: this.fontLoader });
+    this.fontLibrary    = new FontLibraryPanel({
+      onOpen: (files) => { void this.handleFontDrop(files); },
+    });
+    this.embeddingBadge = new EmbeddingBadge({ uiControls: this.uiControls });
+    this.coveragePanel  = new CoveragePanel();
+
     this._keyHandler = (e) => { this.handleKeyPress(e); };
 
-    this._resizeObserver = new ResizeObserver(() => {
-      if (this.metricsOverlay.isVisible) {
-        this.metricsOverlay.render(
-          this.fontLoader.currentFont,
-          this.glyphAnimator.displayElement,
-        );
-      }
-    });
+    this._resizeObserver = new ResizeObserver(() => { this.renderOverlays(); });
 
     this.setupEventListeners();
   }
@@ -99,8 +144,22 @@ class FontViewer {
       metricsToggle.textContent = this.metricsOverlay.isVisible ? 'Hide metrics' : 'Show metrics';
     });
 
+    // Outline toggle
+    document.getElementById('outline-toggle')?.addEventListener('click', () => {
+      this.toggleOutline();
+    });
+
+    // Unencoded glyphs toggle
+    document.getElementById('unencoded-toggle')?.addEventListener('click', () => {
+      this.includeUnencoded = !this.includeUnencoded;
+      this.updateUnencodedToggle();
+      this.rebuildGlyphs();
+    });
+
     document.addEventListener('keydown', this._keyHandler);
     this.setupSliderControls();
+    this.setupGlyphFilter();
+    this.setupGhostControls();
   }
 
   private setupSliderControls(): void {
@@ -109,9 +168,7 @@ class FontViewer {
       const newSize = fontSizeSlider.value;
       this.glyphAnimator.displayElement.style.fontSize = `${newSize}px`;
       (fontSizeSlider.nextElementSibling as HTMLElement | null)!.textContent = `${newSize}px`;
-      if (this.metricsOverlay.isVisible) {
-        this.metricsOverlay.render(this.fontLoader.currentFont, this.glyphAnimator.displayElement);
-      }
+      this.renderOverlays();
     });
 
     const speedSlider = document.getElementById('animation-delay') as HTMLInputElement | null;
@@ -129,24 +186,262 @@ class FontViewer {
       const reversedPosition = parseInt(verticalPositionSlider.max, 10) - parseInt(verticalPositionSlider.value, 10);
       this.glyphAnimator.displayElement.style.top = `${reversedPosition - 50}%`;
       (verticalPositionSlider.nextElementSibling as HTMLElement | null)!.textContent = `${reversedPosition}%`;
-      if (this.metricsOverlay.isVisible) {
-        this.metricsOverlay.render(this.fontLoader.currentFont, this.glyphAnimator.displayElement);
-      }
+      this.renderOverlays();
     });
   }
 
-  private async handleFontDrop(buffer: ArrayBuffer, filename: string): Promise<void> {
+  // ---------------------------------------------------------------------------
+  // Glyph filter
+  // ---------------------------------------------------------------------------
+
+  private setupGlyphFilter(): void {
+    const category = document.getElementById('glyph-category') as HTMLSelectElement | null;
+    const script   = document.getElementById('glyph-script')   as HTMLSelectElement | null;
+    const block    = document.getElementById('glyph-block')    as HTMLSelectElement | null;
+    const order    = document.getElementById('glyph-order')    as HTMLSelectElement | null;
+    const pattern  = document.getElementById('glyph-name-pattern') as HTMLInputElement | null;
+
+    const onSelect = (select: HTMLSelectElement | null, update: (value: string) => void): void => {
+      select?.addEventListener('change', () => {
+        update(select.value);
+        select.blur();
+        this.rebuildGlyphs();
+      });
+    };
+    onSelect(category, (value) => { this.glyphFilter.category = value as GlyphCategory; });
+    onSelect(script,   (value) => { this.glyphFilter.script   = value || null; });
+    onSelect(block,    (value) => { this.glyphFilter.block    = value || null; });
+    onSelect(order,    (value) => { this.glyphFilter.order    = value as GlyphOrder; });
+
+    // An unfinished regular expression keeps the last valid one
+    pattern?.addEventListener('input', () => {
+      const valid = !pattern.value || compileNamePattern(pattern.value) !== null;
+      pattern.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      this.glyphFilter.namePattern = pattern.value;
+      this.rebuildGlyphs();
+    });
+  }
+
+  /** Lists the scripts and blocks of the font; a choice the font has nothing in is reset. */
+  private updateGlyphFilterOptions(): void {
+    const { scripts, blocks } = glyphFilterOptions(this.unicodes);
+    if (this.glyphFilter.script !== null && !scripts.includes(this.glyphFilter.script)) this.glyphFilter.script = null;
+    if (this.glyphFilter.block  !== null && !blocks.includes(this.glyphFilter.block))   this.glyphFilter.block  = null;
+
+    const fill = (id: string, all: string, values: readonly string[]): void => {
+      const select = document.getElementById(id) as HTMLSelectElement | null;
+      if (!select) return;
+      select.innerHTML = '';
+      select.appendChild(new Option(all, ''));
+      for (const value of values) select.appendChild(new Option(value, value));
+    };
+    fill('glyph-script', 'All scripts', scripts);
+    fill('glyph-block',  'All blocks',  blocks);
+    this.syncGlyphFilterControls();
+  }
+
+  private syncGlyphFilterControls(): void {
+    const { category, script, block, namePattern, order } = this.glyphFilter;
+    const set = (id: string, value: string): void => {
+      const control = document.getElementById(id) as HTMLSelectElement | HTMLInputElement | null;
+      if (control) control.value = value;
+    };
+    set('glyph-category',     category);
+    set('glyph-script',       script ?? '');
+    set('glyph-block',        block ?? '');
+    set('glyph-name-pattern', namePattern);
+    set('glyph-order',        order);
+  }
+
+  private updateGlyphCount(): void {
+    const count = document.getElementById('glyph-filter-count');
+    if (!count) return;
+    const shown = this.glyphAnimator.glyphs.length;
+    count.textContent = shown === 0 ? 'No glyphs match' : `${shown} ${shown === 1 ? 'glyph' : 'glyphs'}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ghost layers
+  // ---------------------------------------------------------------------------
+
+  private setupGhostControls(): void {
+    const mode       = document.getElementById('ghost-mode')           as HTMLSelectElement | null;
+    const count      = document.getElementById('ghost-count')          as HTMLSelectElement | null;
+    const colour     = document.getElementById('ghost-colour')         as HTMLInputElement | null;
+    const opacity    = document.getElementById('ghost-opacity')        as HTMLInputElement | null;
+    const difference = document.getElementById('ghost-difference');
+    const reference  = document.getElementById('ghost-reference');
+    const fileInput  = document.getElementById('ghost-reference-file') as HTMLInputElement | null;
+    const settings   = this.ghostLayers.settings;
+
+    mode?.addEventListener('change', () => {
+      settings.mode = mode.value as GhostMode;
+      mode.blur();
+      this.updateGhostControls();
+    });
+    count?.addEventListener('change', () => {
+      settings.count = parseInt(count.value, 10);
+      count.blur();
+      this.updateGhostControls();
+    });
+    colour?.addEventListener('input', () => {
+      settings.colour = colour.value;
+      this.updateGhostControls();
+    });
+    opacity?.addEventListener('input', () => {
+      settings.opacity = parseInt(opacity.value, 10) / 100;
+      this.updateGhostControls();
+    });
+    difference?.addEventListener('click', () => {
+      settings.difference = !settings.difference;
+      this.updateGhostControls();
+    });
+
+    // Picked, or dropped on the button rather than on the page, where it would replace the font
+    reference?.addEventListener('click', () => { fileInput?.click(); });
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (file) void this.loadReferenceFont(file);
+    });
+    reference?.addEventListener('dragover', (e) => { e.preventDefault(); });
+    reference?.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      document.body.classList.remove('dragover');
+      const file = e.dataTransfer?.files[0];
+      if (file) void this.loadReferenceFont(file);
+    });
+  }
+
+  private async loadReferenceFont(file: File): Promise<void> {
+    const filename = file.name;
+    const report   = (stage: FontLoadStage): void => {
+      showLoadProgress({ stage, filename, file: 1, files: 1 });
+    };
+    try {
+      const { sfnt } = await parseFontFile({ buffer: await file.arrayBuffer(), filename }, {
+        chooseFace: (faces) => pickCollectionFace(faces, filename),
+        onStage:    report,
+      });
+      this.ghostLayers.setReferenceFont(opentype.parse(sfnt, { lowMemory: true }), filename);
+      this.ghostLayers.settings.mode = 'reference';
+      this.updateGhostControls();
+    } catch (err) {
+      this.handleError(err instanceof Error ? err : new Error(String(err)));
+    } finally {
+      report('done');
+    }
+  }
+
+  /** Matches the controls to the ghost settings and redraws the ghosts. */
+  private updateGhostControls(): void {
+    const { mode, count, colour, opacity, difference } = this.ghostLayers.settings;
+    const set = (id: string, value: string): void => {
+      const control = document.getElementById(id) as HTMLSelectElement | HTMLInputElement | null;
+      if (control) control.value = value;
+    };
+    set('ghost-mode',    mode);
+    set('ghost-count',   String(count));
+    set('ghost-colour',  colour);
+    set('ghost-opacity', String(Math.round(opacity * 100)));
+
+    const opacityValue = document.getElementById('ghost-opacity')?.nextElementSibling;
+    if (opacityValue) opacityValue.textContent = `${Math.round(opacity * 100)}%`;
+
+    const countSelect = document.getElementById('ghost-count') as HTMLSelectElement | null;
+    if (countSelect) countSelect.hidden = mode !== 'previous';
+    const colourInput = document.getElementById('ghost-colour') as HTMLInputElement | null;
+    // The difference blend has no colour of its own
+    if (colourInput) colourInput.disabled = difference;
+    const differenceButton = document.getElementById('ghost-difference');
+    differenceButton?.classList.toggle('active', difference);
+    differenceButton?.setAttribute('aria-pressed', String(difference));
+
+    const referenceButton = document.getElementById('ghost-reference');
+    const filename        = this.ghostLayers.referenceFilename;
+    if (referenceButton) referenceButton.textContent = filename ? `Reference: ${filename}` : 'Load reference font';
+
+    this.renderOverlays();
+  }
+
+  private openGlyphSearch(): void {
+    const font = this.fontLoader.currentFont;
+    if (!font) return;
+    this.glyphSearch.open(
+      font,
+      fontGlyphs(font, this.unicodes, true),
+      this.glyphAnimator.glyphs,
+      this.glyphAnimator.displayElement.style.fontFamily,
+    );
+  }
+
+  /**
+   * Stops the animation on `glyph`; it continues from there. A glyph the
+   * sequence leaves out clears the glyph filter, keeping its order, and
+   * includes the unencoded glyphs when it is one.
+   */
+  private jumpToGlyph(glyph: AnimatedGlyph): void {
+    const font = this.fontLoader.currentFont;
+    if (!font) return;
+    const positionOf = (): number => this.glyphAnimator.glyphs
+      .findIndex(g => g.index === glyph.index && g.char === glyph.char);
+
+    if (positionOf() < 0) {
+      this.glyphFilter = { ...DEFAULT_GLYPH_FILTER, order: this.glyphFilter.order };
+      document.getElementById('glyph-name-pattern')?.classList.remove('invalid');
+      this.syncGlyphFilterControls();
+      if (glyph.char === null && !this.includeUnencoded) {
+        this.includeUnencoded = true;
+        this.updateUnencodedToggle();
+      }
+      this.glyphAnimator.setGlyphsFromFont(font, this.unicodes, this.glyphSequenceOptions());
+      this.updateGlyphCount();
+    }
+
+    this.glyphAnimator.stop();
+    this.glyphAnimator.jumpTo(Math.max(positionOf(), 0));
+  }
+
+  /** Shows or hides the outline of the current glyph; the live text is dimmed underneath. */
+  private toggleOutline(): void {
+    this.outlineOverlay.toggle();
+    this.glyphAnimator.displayElement.classList.toggle('outline-mode', this.outlineOverlay.isVisible);
+    const outlineToggle = document.getElementById('outline-toggle');
+    if (outlineToggle) outlineToggle.textContent = this.outlineOverlay.isVisible ? 'Hide outline' : 'Show outline';
+    this.renderOverlays();
+  }
+
+  /** Redraws the metrics and the outline around the glyph on display. */
+  private renderOverlays(): void {
+    const font       = this.fontLoader.currentFont;
+    const glyphIndex = this.glyphAnimator.currentGlyph?.index;
+    this.metricsOverlay.render(font, this.glyphAnimator.displayElement, glyphIndex);
+    this.outlineOverlay.render(font, this.glyphAnimator.displayElement, glyphIndex);
+
+    const note = this.ghostLayers.render(
+      font,
+      this.glyphAnimator.displayElement,
+      this.glyphAnimator.currentGlyph,
+      this.glyphAnimator.previousGlyphs(this.ghostLayers.settings.count),
+    );
+    const status = document.getElementById('ghost-status');
+    if (status) status.textContent = note;
+  }
+
+  private async handleFontDrop(files: FontFile[]): Promise<void> {
     document.getElementById('drop-text')?.remove();
     saveHyperFlipState(null);
     try {
-      const result = await this.fontLoader.loadFont(buffer, filename);
-      this.handleFontLoaded(result);
+      const result = await this.fontLoader.loadFamily(files);
+      if (result) this.handleFontLoaded(result);
     } catch (error) {
       this.handleError(error instanceof Error ? error : new Error(String(error)));
     }
   }
 
-  private handleFontLoaded({ font, fontInfo, fontFamily }: FontLoadResult): void {
+  private handleFontLoaded({ font, fontInfo, fontFamily, unicodes, findings }: FontLoadResult): void {
     const display = document.querySelector<HTMLElement>('.glyph-buffer');
     if (display) {
       display.style.fontFamily = `"${fontFamily}"`;
@@ -154,26 +449,96 @@ class FontViewer {
     }
 
     FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+    FontHealthRenderer.renderFindings(document.getElementById('font-health-content'), findings);
+    MetricsInspectorRenderer.renderMetrics(document.getElementById('metrics-inspector-content'), fontInfo.metrics);
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
+    this.styleSwitcher.refresh();
 
     if (fontInfo.axes.length > 0) {
       this.variationAxes.createAxesControls(fontInfo.axes, fontInfo.instances);
     }
 
-    void this.glyphAnimator.setGlyphsFromFont(font).then(() => {
-      this._restoreHyperFlipState(getSavedHyperFlipState());
-      const delaySlider = document.getElementById('animation-delay') as HTMLInputElement | null;
-      const delay = parseInt(delaySlider?.value ?? '500', 10);
-      this.glyphAnimator.start(delay);
-    });
+    const state = getSavedHyperFlipState();
+    if (state?.includeUnencoded) {
+      this.includeUnencoded = true;
+      this.updateUnencodedToggle();
+    }
+    if (state?.glyphFilter) this.glyphFilter = { ...DEFAULT_GLYPH_FILTER, ...state.glyphFilter };
+    if (state?.ghost) {
+      this.ghostLayers.settings = { ...DEFAULT_GHOST_SETTINGS, ...state.ghost };
+      this.updateGhostControls();
+    }
+
+    this.unicodes = unicodes;
+    this.updateGlyphFilterOptions();
+    this.glyphAnimator.setGlyphsFromFont(font, unicodes, this.glyphSequenceOptions());
+    this.updateGlyphCount();
+    this._restoreHyperFlipState(state);
+    const delaySlider = document.getElementById('animation-delay') as HTMLInputElement | null;
+    const delay = parseInt(delaySlider?.value ?? '500', 10);
+    this.glyphAnimator.start(delay);
   }
 
-  private handleGlyphChange(glyph: string): void {
+  /**
+   * Swaps in another style of the loaded family while keeping the current
+   * glyph, order, size and animation state.
+   */
+  private handleStyleChanged({ font, fontInfo, fontFamily, unicodes, findings }: FontLoadResult): void {
+    this.glyphAnimator.displayElement.style.fontFamily = `"${fontFamily}"`;
+
+    FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+    FontHealthRenderer.renderFindings(document.getElementById('font-health-content'), findings);
+    MetricsInspectorRenderer.renderMetrics(document.getElementById('metrics-inspector-content'), fontInfo.metrics);
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
+
+    if (fontInfo.axes.length > 0) {
+      this.variationAxes.createAxesControls(fontInfo.axes, fontInfo.instances);
+    }
+
+    this.unicodes = unicodes;
+    this.updateGlyphFilterOptions();
+    this.rebuildGlyphs();
+  }
+
+  /**
+   * Rebuilds the glyph sequence from the current font and stays on the glyph
+   * on display: the same character, or an unencoded glyph of the same name.
+   */
+  private rebuildGlyphs(): void {
+    const font = this.fontLoader.currentFont;
+    if (!font) return;
+
+    const current     = this.glyphAnimator.currentGlyph;
+    const currentName = this.glyphAnimator.currentGlyphName;
+    this.glyphAnimator.setGlyphsFromFont(font, this.unicodes, this.glyphSequenceOptions());
+    this.updateGlyphCount();
+
+    const index = this.glyphAnimator.glyphs.findIndex(glyph => current?.char
+      ? glyph.char === current.char
+      : glyph.char === null && font.glyphs.get(glyph.index).name === currentName);
+    this.glyphAnimator.jumpTo(Math.max(index, 0));
+  }
+
+  private glyphSequenceOptions(): { includeUnencoded: boolean; filter: GlyphFilter } {
+    return { includeUnencoded: this.includeUnencoded, filter: this.glyphFilter };
+  }
+
+  private updateUnencodedToggle(): void {
+    const unencodedToggle = document.getElementById('unencoded-toggle');
+    if (unencodedToggle) {
+      unencodedToggle.textContent = this.includeUnencoded ? 'Encoded glyphs only' : 'Include unencoded glyphs';
+    }
+  }
+
+  private handleGlyphChange(glyph: AnimatedGlyph): void {
     FontInfoRenderer.renderGlyphInfo(
       document.getElementById('glyph-info-content'),
       this.fontLoader.currentFont,
-      glyph,
+      glyph.char ?? glyph.index,
     );
-    this.metricsOverlay.render(this.fontLoader.currentFont, this.glyphAnimator.displayElement);
+    this.renderOverlays();
   }
 
   private handleError(error: Error): void {
@@ -186,12 +551,15 @@ class FontViewer {
     if (displayElement) {
       displayElement.style.fontVariationSettings = settings;
     }
-    if (this.metricsOverlay.isVisible) {
-      this.metricsOverlay.render(this.fontLoader.currentFont, this.glyphAnimator.displayElement);
-    }
+    this.renderOverlays();
   }
 
   private handleKeyPress(event: KeyboardEvent): void {
+    // Typing a glyph name pattern or choosing from a filter menu is not a shortcut
+    const target = event.target;
+    if (target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement) return;
+    if (target instanceof HTMLInputElement && target.type !== 'range') return;
+
     const delaySlider = document.getElementById('animation-delay') as HTMLInputElement | null;
     const delay = parseInt(delaySlider?.value ?? '100', 10);
 
@@ -207,6 +575,13 @@ class FontViewer {
       case 'f':
         this.uiControls.toggleFullscreen();
         break;
+      case 'o':
+        this.toggleOutline();
+        break;
+      case '/':
+        event.preventDefault();
+        this.openGlyphSearch();
+        break;
       case 'ArrowLeft':
       case 'h':
         this.glyphAnimator.stop();
@@ -241,6 +616,10 @@ class FontViewer {
     saveHyperFlipState({
       isRandomOrder:      this.glyphAnimator.isRandomOrder,
       isMetricsVisible:   this.metricsOverlay.isVisible,
+      isOutlineVisible:   this.outlineOverlay.isVisible,
+      includeUnencoded:   this.includeUnencoded,
+      glyphFilter:        this.glyphFilter,
+      ghost:              this.ghostLayers.settings,
       isGlyphInfoVisible: glyphInfo ? glyphInfo.style.display !== 'none' : false,
       glyphIndex:         this.glyphAnimator.currentIndex,
       fontSize:           fontSizeSlider         ? parseInt(fontSizeSlider.value, 10)         : null,
@@ -271,6 +650,8 @@ class FontViewer {
       if (btn) btn.textContent = 'Hide metrics';
     }
 
+    if (state.isOutlineVisible) this.toggleOutline();
+
     if (state.isGlyphInfoVisible) {
       const glyphInfo = document.getElementById('glyph-info');
       if (glyphInfo) glyphInfo.style.display = 'block';
@@ -318,6 +699,12 @@ class FontViewer {
     this._resizeObserver.disconnect();
     this.uiControls.destroy();
     this.dragAndDrop.destroy();
+    this.styleSwitcher.destroy();
+    this.fontLibrary.destroy();
+    this.embeddingBadge.destroy();
+    this.coveragePanel.destroy();
+    this.glyphSearch.destroy();
+    this.ghostLayers.destroy();
   }
 }
 
@@ -0,0 +1,203 @@
+// =============================================================================
+// hyperflip/OutlineOverlay.ts
+// Draws the outline of the glyph HyperFlip shows on top of the live text: the
+// path from opentype.js, its on- and off-curve points with their handles, and
+// where each contour starts and which way it runs.
+// =============================================================================
+
+import { escapeHtml }    from '../core/Html.js';
+import { glyphPathData } from '../core/GlyphOutline.js';
+import { glyphBaseline } from '../shared/MetricsOverlay.js';
+
+interface OutlinePoint {
+  x:       number;
+  y:       number;
+  onCurve: boolean;
+}
+
+/** Radius of the ring marking a contour's start point, in pixels. */
+const START_RADIUS = 7;
+const POINT_RADIUS = 3;
+/** Length of the arrow showing a contour's direction, in pixels. */
+const ARROW_LENGTH = 16;
+
+export class OutlineOverlay {
+  private readonly overlay: HTMLElement;
+  public isVisible = false;
+
+  constructor(overlayElement: HTMLElement | null = null) {
+    this.overlay = overlayElement ?? document.createElement('div');
+  }
+
+  /**
+   * Draws the outline of the glyph shown in `glyphElement`, matched to its
+   * size and position: the character it holds, or the glyph `glyphIndex`.
+   */
+  render(font: opentype.Font | null, glyphElement: HTMLElement | null, glyphIndex?: number): void {
+    if (!this.isVisible || !glyphElement || !font) return;
+
+    const currentChar = glyphElement.textContent;
+    if (glyphIndex === undefined && !currentChar) {
+      this.overlay.innerHTML = '';
+      return;
+    }
+
+    const style    = getComputedStyle(glyphElement);
+    const glyph    = font.glyphs.get(glyphIndex ?? font.charToGlyphIndex(currentChar!));
+    const fontSize = parseInt(style.fontSize, 10);
+    const scale    = fontSize / font.unitsPerEm;
+    const rect     = glyphElement.getBoundingClientRect();
+
+    // Same baseline as the metrics overlay
+    const baseline = glyphBaseline(font, glyphElement);
+    const originX  = rect.left + (rect.width - glyph.advanceWidth * scale) / 2;
+
+    const contours = glyph.points?.length
+      ? contoursFromPoints(glyph.points)
+      : contoursFromCommands(glyph.path.commands);
+    const toScreen = (p: OutlinePoint): OutlinePoint =>
+      ({ x: originX + p.x * scale, y: baseline - p.y * scale, onCurve: p.onCurve });
+    const screenContours = contours.map(contour => contour.map(toScreen));
+
+    this.overlay.innerHTML = `
+      <svg class="outline-svg" width="${window.innerWidth}" height="${window.innerHeight}" aria-hidden="true">
+        <path class="outline-path" transform="translate(${originX} ${baseline}) scale(${scale})" d="${glyphPathData(glyph)}"/>
+        ${screenContours.map(contourSvg).join('')}
+      </svg>
+      <div class="outline-legend">
+        ${legendHTML(glyph, contours)}
+        ${style.fontVariationSettings !== 'normal' ? '<br>Default outline: the axis settings are not applied' : ''}
+      </div>`;
+  }
+
+  toggle(): void {
+    this.isVisible             = !this.isVisible;
+    this.overlay.style.display = this.isVisible ? 'block' : 'none';
+    if (!this.isVisible) this.overlay.innerHTML = '';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Contours
+// ---------------------------------------------------------------------------
+
+/** TrueType points as stored in glyf, including off-curve points in a row. */
+function contoursFromPoints(points: readonly opentype.GlyphPoint[]): OutlinePoint[][] {
+  const contours: OutlinePoint[][] = [];
+  let contour: OutlinePoint[] = [];
+  for (const { x, y, onCurve, lastPointOfContour } of points) {
+    contour.push({ x, y, onCurve });
+    if (lastPointOfContour) {
+      contours.push(contour);
+      contour = [];
+    }
+  }
+  if (contour.length) contours.push(contour);
+  return contours;
+}
+
+/** Points of a path's commands, for CFF outlines, which have no point list. */
+function contoursFromCommands(commands: readonly opentype.PathCommand[]): OutlinePoint[][] {
+  const contours: OutlinePoint[][] = [];
+  let contour: OutlinePoint[] = [];
+  const close = () => {
+    // A closing line back to the start point repeats it
+    const first = contour[0];
+    const last  = contour[contour.length - 1];
+    if (contour.length > 1 && first && last && last.onCurve && first.x === last.x && first.y === last.y) contour.pop();
+    if (contour.length) contours.push(contour);
+    contour = [];
+  };
+
+  for (const c of commands) {
+    switch (c.type) {
+      case 'M':
+        close();
+        contour.push({ x: c.x ?? 0, y: c.y ?? 0, onCurve: true });
+        break;
+      case 'L':
+        contour.push({ x: c.x ?? 0, y: c.y ?? 0, onCurve: true });
+        break;
+      case 'Q':
+        contour.push({ x: c.x1 ?? 0, y: c.y1 ?? 0, onCurve: false });
+        contour.push({ x: c.x ?? 0, y: c.y ?? 0, onCurve: true });
+        break;
+      case 'C':
+        contour.push({ x: c.x1 ?? 0, y: c.y1 ?? 0, onCurve: false });
+        contour.push({ x: c.x2 ?? 0, y: c.y2 ?? 0, onCurve: false });
+        contour.push({ x: c.x ?? 0, y: c.y ?? 0, onCurve: true });
+        break;
+      case 'Z':
+        close();
+        break;
+    }
+  }
+  close();
+  return contours;
+}
+
+/** Clockwise as drawn, with y pointing up as in the font. */
+function isClockwise(contour: readonly OutlinePoint[]): boolean {
+  let area = 0;
+  contour.forEach((p, i) => {
+    const next = contour[(i + 1) % contour.length]!;
+    area += p.x * next.y - next.x * p.y;
+  });
+  return area < 0;
+}
+
+// ---------------------------------------------------------------------------
+// SVG
+// ---------------------------------------------------------------------------
+
+/** Handles, points, the start ring and the direction arrow of one contour, in screen pixels. */
+function contourSvg(contour: readonly OutlinePoint[]): string {
+  const parts: string[] = [];
+
+  // Handles join each off-curve point to its neighbours
+  contour.forEach((p, i) => {
+    if (p.onCurve) return;
+    const prev = contour[(i - 1 + contour.length) % contour.length]!;
+    const next = contour[(i + 1) % contour.length]!;
+    parts.push(`<line class="outline-handle" x1="${prev.x}" y1="${prev.y}" x2="${p.x}" y2="${p.y}"/>`);
+    if (next.onCurve) parts.push(`<line class="outline-handle" x1="${p.x}" y1="${p.y}" x2="${next.x}" y2="${next.y}"/>`);
+  });
+
+  for (const p of contour) {
+    parts.push(p.onCurve
+      ? `<rect class="outline-point on-curve" x="${p.x - POINT_RADIUS}" y="${p.y - POINT_RADIUS}" width="${POINT_RADIUS * 2}" height="${POINT_RADIUS * 2}"/>`
+      : `<circle class="outline-point off-curve" cx="${p.x}" cy="${p.y}" r="${POINT_RADIUS}"/>`);
+  }
+
+  // The arrow points from the start point towards the next point
+  const start = contour[0]!;
+  const next  = contour.find(p => p.x !== start.x || p.y !== start.y);
+  parts.push(`<circle class="outline-start" cx="${start.x}" cy="${start.y}" r="${START_RADIUS}"/>`);
+  if (next) {
+    const angle = Math.atan2(next.y - start.y, next.x - start.x);
+    const tipX  = start.x + Math.cos(angle) * (START_RADIUS + ARROW_LENGTH);
+    const tipY  = start.y + Math.sin(angle) * (START_RADIUS + ARROW_LENGTH);
+    const baseX = start.x + Math.cos(angle) * (START_RADIUS + ARROW_LENGTH / 2);
+    const baseY = start.y + Math.sin(angle) * (START_RADIUS + ARROW_LENGTH / 2);
+    const wingX = Math.sin(angle) * 4;
+    const wingY = -Math.cos(angle) * 4;
+    parts.push(`<line class="outline-direction" x1="${start.x + Math.cos(angle) * START_RADIUS}" y1="${start.y + Math.sin(angle) * START_RADIUS}" x2="${baseX}" y2="${baseY}"/>`);
+    parts.push(`<polygon class="outline-direction" points="${tipX},${tipY} ${baseX + wingX},${baseY + wingY} ${baseX - wingX},${baseY - wingY}"/>`);
+  }
+
+  return parts.join('');
+}
+
+function legendHTML(glyph: opentype.Glyph, contours: readonly OutlinePoint[][]): string {
+  if (contours.length === 0) return `<span class="monospaced">${escapeHtml(glyph.name)}</span> has no outline`;
+
+  const points    = contours.flat();
+  const onCurve   = points.filter(p => p.onCurve).length;
+  const clockwise = contours.filter(isClockwise).length;
+
+  return `<span class="monospaced">${escapeHtml(glyph.name)}</span><br>
+    Points &rarr; <span class="monospaced">${points.length}</span>
+    (<span class="monospaced">${onCurve}</span> on-curve, <span class="monospaced">${points.length - onCurve}</span> off-curve)<br>
+    Contours &rarr; <span class="monospaced">${contours.length}</span>
+    (<span class="monospaced">${clockwise}</span> clockwise, <span class="monospaced">${contours.length - clockwise}</span> counter-clockwise)`;
+}
@@ -0,0 +1,431 @@
+// =============================================================================
+// kernscope/KernScope.ts
+// Main controller for KernScope BX90000 Paragon: browses the kerning of the
+// dropped font — GPOS glyph and class pairs and the legacy kern table — as
+// live HOH·pair·HOH samples, and builds proof strings for a pair's groups.
+// =============================================================================
+
+import { FontLoader }               from '../core/FontLoader.js';
+import { FontInfoRenderer }         from '../core/FontInfo.js';
+import { FontHealthRenderer }       from '../core/FontValidator.js';
+import { MetricsInspectorRenderer } from '../core/MetricsInspector.js';
+import { readKerning }              from '../core/KerningPairs.js';
+import { escapeHtml }               from '../core/Html.js';
+import { UIControls }               from '../shared/UIControls.js';
+import { DragAndDrop }              from '../shared/DragAndDrop.js';
+import { StyleSwitcher }            from '../shared/StyleSwitcher.js';
+import { FontLibraryPanel }         from '../shared/FontLibraryPanel.js';
+import { EmbeddingBadge }           from '../shared/EmbeddingBadge.js';
+import { CoveragePanel }            from '../shared/CoveragePanel.js';
+import { initAppNav }               from '../shared/AppNav.js';
+import { pairString, proofLines }   from './KerningProof.js';
+import type { KerningData, KerningPair, KerningSource } from '../core/KerningPairs.js';
+import type { FontLoadResult } from '../core/Types.js';
+
+/** Rows drawn at once; searching narrows the rest down. */
+const MAX_ROWS = 300;
+/** Glyph names listed for one side of a class pair. */
+const MAX_LISTED_NAMES = 6;
+
+const SOURCE_LABELS = {
+  'gpos-glyph': 'GPOS glyph pair',
+  'gpos-class': 'GPOS class pair',
+  'kern-table': 'kern table',
+} as const satisfies Record<KerningSource, string>;
+
+type SortOrder    = 'value-asc' | 'value-desc' | 'left';
+type SourceFilter = 'all' | 'gpos' | 'kern-table';
+
+/** A search resolved to glyphs: one glyph on either side, or a left/right pair. */
+type PairQuery =
+  | { kind: 'all' }
+  | { kind: 'glyph'; glyph: number }
+  | { kind: 'pair'; left: number; right: number }
+  | { kind: 'none' };
+
+export class KernScope {
+  public readonly fontLoader: FontLoader;
+
+  private readonly uiControls:     UIControls;
+  private readonly dragAndDrop:    DragAndDrop;
+  private readonly styleSwitcher:  StyleSwitcher;
+  private readonly fontLibrary:    FontLibraryPanel;
+  private readonly embeddingBadge: EmbeddingBadge;
+  private readonly coveragePanel:  CoveragePanel;
+
+  private readonly pairsEl:     HTMLElement | null;
+  private readonly summaryEl:   HTMLElement | null;
+  private readonly proofEl:     HTMLElement | null;
+  private readonly searchInput: HTMLInputElement | null;
+  private readonly sortSelect:  HTMLSelectElement | null;
+  private readonly sourceSelect: HTMLSelectElement | null;
+  private readonly kernToggle:  HTMLButtonElement | null;
+
+  private font:       opentype.Font | null = null;
+  private kerning:    KerningData | null   = null;
+  /** Glyph → the lowest code point mapped to it. */
+  private glyphChars: Map<number, string>  = new Map();
+  /** Glyph name → glyph ID, built on the first search by name. */
+  private glyphNames: Map<string, number> | null = null;
+  /** Pairs after search, filter and sort. */
+  private visible:    KerningPair[] = [];
+  private selected:   KerningPair | null = null;
+  private kerningOn   = true;
+
+  private readonly _keyHandler: (e: KeyboardEvent) => void;
+
+  constructor() {
+    this.pairsEl      = document.getElementById('kern-pairs');
+    this.summaryEl    = document.getElementById('kern-summary');
+    this.proofEl      = document.getElementById('kern-proof');
+    this.searchInput  = document.getElementById('kern-search') as HTMLInputElement | null;
+    this.sortSelect   = document.getElementById('kern-sort') as HTMLSelectElement | null;
+    this.sourceSelect = document.getElementById('kern-source') as HTMLSelectElement | null;
+    this.kernToggle   = document.getElementById('kern-toggle') as HTMLButtonElement | null;
+
+    this.uiControls = new UIControls();
+
+    this.fontLoader = new FontLoader({
+      onFontLoaded:   (result) => { this.handleFontLoaded(result); },
+      onStyleChanged: (result) => { this.handleFontLoaded(result); },
+    });
+
+    this.dragAndDrop = new DragAndDrop({
+      dropZone:       document.body,
+      onDrop:         (buffer, filename) => { void this.fontLoader.loadFont(buffer, filename); },
+      onDropMultiple: (files)            => { void this.fontLoader.loadFamily(files); },
+    });
+
+    this.styleSwitcher  = new StyleSwitcher({ fontLoader: this.fontLoader });
+    this.fontLibrary    = new FontLibraryPanel({
+      onOpen: (files) => { void this.fontLoader.loadFamily(files); },
+    });
+    this.embeddingBadge = new EmbeddingBadge({ uiControls: this.uiControls });
+    this.coveragePanel  = new CoveragePanel();
+
+    this._keyHandler = (e) => { this.handleKeyPress(e); };
+
+    this.setupEventListeners();
+    this.initializeSlider();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Setup
+  // ---------------------------------------------------------------------------
+
+  private setupEventListeners(): void {
+    this.uiControls.setupSharedButtons();
+    document.addEventListener('keydown', this._keyHandler);
+
+    this.searchInput?.addEventListener('input', () => { this.update(); });
+    this.sortSelect?.addEventListener('change', () => {
+      this.sortSelect!.blur();
+      this.update();
+    });
+    this.sourceSelect?.addEventListener('change', () => {
+      this.sourceSelect!.blur();
+      this.update();
+    });
+    this.kernToggle?.addEventListener('click', () => {
+      this.kerningOn = !this.kerningOn;
+      this.kernToggle!.textContent = this.kerningOn ? 'Kerning on' : 'Kerning off';
+      this.kernToggle!.classList.toggle('active', this.kerningOn);
+      this.kernToggle!.blur();
+      document.getElementById('kern-inspector')?.classList.toggle('kerning-off', !this.kerningOn);
+    });
+
+    this.pairsEl?.addEventListener('click', (e) => {
+      const row = (e.target as HTMLElement).closest<HTMLElement>('.kern-pair');
+      if (row?.dataset['index'] !== undefined) this.select(parseInt(row.dataset['index'], 10));
+    });
+  }
+
+  private initializeSlider(): void {
+    const container = document.querySelector<HTMLElement>('.slider-container');
+    const slider    = container?.querySelector<HTMLInputElement>('input[type="range"]');
+    const value     = container?.querySelector<HTMLElement>('.value');
+
+    slider?.addEventListener('input', () => {
+      document.documentElement.style.setProperty('--kern-sample-size', `${slider.value}px`);
+      if (value) value.textContent = `${slider.value}px`;
+    });
+  }
+
+  private handleKeyPress(event: KeyboardEvent): void {
+    // Typing in the search box is not a shortcut
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    switch (event.key) {
+      case 'f':
+        this.uiControls.toggleFullscreen();
+        break;
+      case '/':
+        event.preventDefault();
+        this.searchInput?.focus();
+        break;
+      case 'j':
+      case 'k': {
+        event.preventDefault();
+        const current = this.selected ? this.visible.indexOf(this.selected) : -1;
+        const next    = current + (event.key === 'j' ? 1 : -1);
+        if (next >= 0 && next < Math.min(this.visible.length, MAX_ROWS)) this.select(next);
+        break;
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Font loaded
+  // ---------------------------------------------------------------------------
+
+  private handleFontLoaded({ font, fontInfo, fontFamily, buffer, findings }: FontLoadResult): void {
+    FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+    FontHealthRenderer.renderFindings(document.getElementById('font-health-content'), findings);
+    MetricsInspectorRenderer.renderMetrics(document.getElementById('metrics-inspector-content'), fontInfo.metrics);
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
+    this.styleSwitcher.refresh();
+
+    document.getElementById('kern-inspector')?.style.setProperty('font-family', `"${fontFamily}"`);
+
+    this.font       = font;
+    this.glyphNames = null;
+    this.glyphChars = new Map();
+    const glyphIndexMap = font.tables.cmap?.glyphIndexMap ?? {};
+    for (const cp of Object.keys(glyphIndexMap).map(Number).sort((a, b) => a - b)) {
+      const glyph = glyphIndexMap[cp]!;
+      if (!this.glyphChars.has(glyph)) this.glyphChars.set(glyph, String.fromCodePoint(cp));
+    }
+
+    try {
+      this.kerning = readKerning(buffer);
+    } catch (err) {
+      console.error('[KernScope] Could not read the kerning:', err);
+      this.kerning = { pairs: [], counts: { 'gpos-glyph': 0, 'gpos-class': 0, 'kern-table': 0 }, hasGpos: false, hasKern: false };
+    }
+
+    // Keep the pair on screen when switching styles, if the new style kerns it too
+    const previous = this.selected;
+    this.selected  = null;
+    this.update();
+    if (previous) {
+      const index = this.visible.findIndex(p =>
+        p.left.includes(previous.left[0]!) && p.right.includes(previous.right[0]!));
+      if (index >= 0 && index < MAX_ROWS) this.select(index);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search, filter and sort
+  // ---------------------------------------------------------------------------
+
+  private update(): void {
+    if (!this.kerning) return;
+
+    const query  = this.parseQuery(this.searchInput?.value ?? '');
+    const source = (this.sourceSelect?.value ?? 'all') as SourceFilter;
+    const sort   = (this.sortSelect?.value ?? 'value-asc') as SortOrder;
+
+    this.visible = this.kerning.pairs.filter(pair => {
+      if (source === 'gpos'       && pair.source === 'kern-table') return false;
+      if (source === 'kern-table' && pair.source !== 'kern-table') return false;
+      switch (query.kind) {
+        case 'all':   return true;
+        case 'none':  return false;
+        case 'glyph': return pair.left.includes(query.glyph) || pair.right.includes(query.glyph);
+        case 'pair':  return pair.left.includes(query.left) && pair.right.includes(query.right);
+      }
+    });
+
+    this.visible.sort((a, b) => {
+      if (sort === 'value-desc') return b.value - a.value;
+      if (sort === 'left')       return a.left[0]! - b.left[0]! || a.right[0]! - b.right[0]!;
+      return a.value - b.value;
+    });
+
+    if (this.selected && !this.visible.slice(0, MAX_ROWS).includes(this.selected)) {
+      this.selected = null;
+    }
+
+    this.renderSummary();
+    this.renderPairs();
+    this.renderProof();
+  }
+
+  /**
+   * Reads the search box: a character or glyph name finds the pairs it is on
+   * either side of; two characters (`AV`) or two names (`/A /V` or `A V`)
+   * find that pair.
+   */
+  private parseQuery(text: string): PairQuery {
+    const trimmed = text.trim();
+    if (!trimmed) return { kind: 'all' };
+
+    const tokens = trimmed.split(/\s+/);
+    if (tokens.length === 1) {
+      const glyph = this.resolveGlyph(tokens[0]!);
+      if (glyph !== null) return { kind: 'glyph', glyph };
+
+      // Two characters typed together are a pair
+      const chars = [...tokens[0]!.replace(/^\//, '')];
+      if (chars.length === 2) tokens.splice(0, 1, ...chars);
+    }
+    if (tokens.length === 2) {
+      const left  = this.resolveGlyph(tokens[0]!);
+      const right = this.resolveGlyph(tokens[1]!);
+      if (left !== null && right !== null) return { kind: 'pair', left, right };
+    }
+    return { kind: 'none' };
+  }
+
+  /** A glyph by name (`/A`, `A.sc`) or by the character it is mapped to. */
+  private resolveGlyph(token: string): number | null {
+    const font = this.font;
+    if (!font) return null;
+
+    const name = token.replace(/^\//, '');
+    if (!this.glyphNames) {
+      this.glyphNames = new Map();
+      for (let i = 0; i < font.numGlyphs; i++) {
+        const glyphName = font.glyphs.get(i).name;
+        if (glyphName && !this.glyphNames.has(glyphName)) this.glyphNames.set(glyphName, i);
+      }
+    }
+    const byName = this.glyphNames.get(name);
+    if (byName !== undefined) return byName;
+
+    const chars = [...token];
+    if (chars.length !== 1) return null;
+    const glyph = font.tables.cmap?.glyphIndexMap[chars[0]!.codePointAt(0)!];
+    return glyph ?? null;
+  }
+
+  private select(index: number): void {
+    this.selected = this.visible[index] ?? null;
+    this.pairsEl?.querySelectorAll('.kern-pair').forEach((row, i) => {
+      row.classList.toggle('selected', i === index);
+      if (i === index) row.scrollIntoView({ block: 'nearest' });
+    });
+    this.renderProof();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  private renderSummary(): void {
+    if (!this.summaryEl || !this.kerning) return;
+    const { counts, hasGpos, hasKern, pairs } = this.kerning;
+
+    if (pairs.length === 0) {
+      this.summaryEl.textContent = hasGpos || hasKern
+        ? 'The font has GPOS or kern tables, but no kerning pairs.'
+        : 'The font has no kerning: neither a GPOS kern feature nor a kern table.';
+      return;
+    }
+
+    const parts = (Object.keys(SOURCE_LABELS) as KerningSource[])
+      .filter(source => counts[source] > 0)
+      .map(source => `${counts[source].toLocaleString()} ${SOURCE_LABELS[source]}s`);
+    const shown = this.visible.length > MAX_ROWS
+      ? ` Showing ${MAX_ROWS} of ${this.visible.length.toLocaleString()} matching pairs; search to narrow them down.`
+      : ` ${this.visible.length.toLocaleString()} matching pairs.`;
+    this.summaryEl.textContent = `${parts.join(', ')}.${shown}`;
+  }
+
+  private renderPairs(): void {
+    if (!this.pairsEl) return;
+
+    this.pairsEl.innerHTML = this.visible.slice(0, MAX_ROWS).map((pair, index) => {
+      const left   = this.sampleChar(pair.left);
+      const right  = this.sampleChar(pair.right);
+      const sample = left !== null && right !== null
+        ? escapeHtml(pairString(left, right))
+        : '<span class="kern-pair-unencoded">not encoded</span>';
+      return `
+        <div class="kern-pair${pair === this.selected ? ' selected' : ''}" data-index="${index}">
+          <span class="kern-pair-sample">${sample}</span>
+          <span class="kern-pair-glyphs">${escapeHtml(this.sideLabel(pair.left))} <span class="kern-pair-with">+</span> ${escapeHtml(this.sideLabel(pair.right))}</span>
+          <span class="kern-pair-value">${pair.value}</span>
+          <span class="kern-pair-source">${SOURCE_LABELS[pair.source]}</span>
+        </div>`;
+    }).join('');
+  }
+
+  /** Proof strings for the selected pair's left and right groups. */
+  private renderProof(): void {
+    if (!this.proofEl) return;
+    const pair = this.selected;
+    if (!pair) {
+      this.proofEl.hidden = true;
+      return;
+    }
+
+    const encoded = (glyphs: number[]) =>
+      glyphs.map(glyph => this.glyphChars.get(glyph)).filter((char): char is string => char !== undefined);
+    const lines = proofLines(encoded(pair.left), encoded(pair.right));
+
+    this.proofEl.hidden    = false;
+    this.proofEl.innerHTML = `
+      <div class="kern-proof-header">
+        <strong>Proof: ${escapeHtml(this.sideLabel(pair.left))} + ${escapeHtml(this.sideLabel(pair.right))}</strong>
+        <button type="button" class="feature-button kern-proof-copy"${lines.length ? '' : ' disabled'}>Copy strings</button>
+      </div>
+      ${lines.length
+        ? `<div class="kern-proof-lines">${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}</div>`
+        : '<p>None of these glyphs is mapped to a character, so they cannot be typed.</p>'}`;
+
+    this.proofEl.querySelector('.kern-proof-copy')?.addEventListener('click', (e) => {
+      const button = e.currentTarget as HTMLButtonElement;
+      void navigator.clipboard.writeText(lines.join('\n')).then(
+        () => { button.textContent = 'Copied'; },
+        () => { button.textContent = 'Copy failed'; },
+      );
+      button.blur();
+    });
+  }
+
+  /** The first glyph of a side that is mapped to a character. */
+  private sampleChar(glyphs: number[]): string | null {
+    for (const glyph of glyphs) {
+      const char = this.glyphChars.get(glyph);
+      if (char !== undefined) return char;
+    }
+    return null;
+  }
+
+  /** Glyph names of one side; a class is cut after a few names. */
+  private sideLabel(glyphs: number[]): string {
+    const font  = this.font;
+    const names = glyphs.slice(0, MAX_LISTED_NAMES).map(glyph => font?.glyphs.get(glyph).name || `glyph ${glyph}`);
+    if (glyphs.length === 1) return names[0]!;
+    const more = glyphs.length > MAX_LISTED_NAMES ? ' …' : '';
+    return `[${names.join(' ')}${more}] (${glyphs.length})`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Teardown
+  // ---------------------------------------------------------------------------
+
+  destroy(): void {
+    document.removeEventListener('keydown', this._keyHandler);
+    document.documentElement.style.removeProperty('--kern-sample-size');
+    this.uiControls.destroy();
+    this.dragAndDrop.destroy();
+    this.styleSwitcher.destroy();
+    this.fontLibrary.destroy();
+    this.embeddingBadge.destroy();
+    this.coveragePanel.destroy();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Standalone bootstrap
+// ---------------------------------------------------------------------------
+
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new KernScope();
+  initAppNav();
+  void app.fontLoader.restoreFromSession();
+});
@@ -0,0 +1,27 @@
+// =============================================================================
+// kernscope/KerningProof.ts
+// Kerning proof strings: every pair set between the same control glyphs, so
+// the spacing of the pair can be judged against straight-sided letters.
+// =============================================================================
+
+/** Control string set on both sides of a pair. */
+export const CONTROL = 'HOH';
+
+/** Left and right glyphs proofed per line and per group. */
+const MAX_GROUP_SIZE = 32;
+
+/** A pair in context: `HOHAVHOH`. */
+export function pairString(left: string, right: string): string {
+  return `${CONTROL}${left}${right}${CONTROL}`;
+}
+
+/**
+ * Proof lines for a left and a right glyph group: one line per left glyph,
+ * pairing it with every right glyph, e.g. `HOHAVHOHAWHOHAYHOH`. Groups are
+ * cut at 32 glyphs each.
+ */
+export function proofLines(lefts: readonly string[], rights: readonly string[]): string[] {
+  const right = rights.slice(0, MAX_GROUP_SIZE);
+  return lefts.slice(0, MAX_GROUP_SIZE).map(left =>
+    CONTROL + right.map(r => `${left}${r}${CONTROL}`).join(''));
+}
@@ -54,14 +54,42 @@ interface OpentypeFontNames {
   [key: string]: OpentypeWindowsPlatformNames | OpentypePlatformNames | undefined;
 }
 
+interface OpentypePathCommand {
+  readonly type: 'M' | 'L' | 'C' | 'Q' | 'Z';
+  readonly x?: number;
+  readonly y?: number;
+  readonly x1?: number;
+  readonly y1?: number;
+  readonly x2?: number;
+  readonly y2?: number;
+}
+
+interface OpentypePath {
+  readonly commands: OpentypePathCommand[];
+}
+
+/** A TrueType outline point, in font units with y pointing up. */
+interface OpentypeGlyphPoint {
+  readonly x: number;
+  readonly y: number;
+  readonly onCurve: boolean;
+  readonly lastPointOfContour: boolean;
+}
+
 interface OpentypeGlyph {
   readonly name: string;
   readonly unicode?: number;
   readonly advanceWidth: number;
+  /** Parsed on first access. */
+  readonly path: OpentypePath;
+  /** TrueType glyphs only, set once `path` has been read. */
+  readonly points?: OpentypeGlyphPoint[];
   readonly xMin?: number;
   readonly xMax?: number;
   readonly yMin?: number;
   readonly yMax?: number;
+  /** The outline at `fontSize` pixels with its origin at (x, y), y pointing down. */
+  getPath(x?: number, y?: number, fontSize?: number): OpentypePath;
 }
 
 interface OpentypeGlyphSet {
@@ -88,8 +116,24 @@ interface OpentypeFvarTable {
 }
 
 interface OpentypeOS2Table {
+  readonly version: number;
+  readonly usWeightClass: number;
+  readonly usWidthClass: number;
+  readonly fsType: number;
+  /** The ten PANOSE classification digits. */
+  readonly panose: number[];
+  readonly ulUnicodeRange1: number;
+  readonly ulUnicodeRange2: number;
+  readonly ulUnicodeRange3: number;
+  readonly ulUnicodeRange4: number;
   readonly sTypoAscender: number;
   readonly sTypoDescender: number;
+  readonly sTypoLineGap: number;
+  readonly usWinAscent: number;
+  readonly usWinDescent: number;
+  /** Version 1 and later. */
+  readonly ulCodePageRange1?: number;
+  readonly ulCodePageRange2?: number;
   readonly sCapHeight: number;
   readonly sxHeight: number;
   readonly sSmallCapHeight?: number;
@@ -97,15 +141,29 @@ interface OpentypeOS2Table {
   readonly achVendID: string;
 }
 
+interface OpentypeHheaTable {
+  readonly ascender: number;
+  readonly descender: number;
+  readonly lineGap: number;
+  readonly numberOfHMetrics: number;
+}
+
 interface OpentypeHeadTable {
   readonly unitsPerEm: number;
   readonly created: number;
   readonly modified: number;
   readonly macStyle: number;
+  readonly xMin: number;
+  readonly yMin: number;
+  readonly xMax: number;
+  readonly yMax: number;
 }
 
 interface OpentypePostTable {
   readonly isFixedPitch: number;
+  readonly italicAngle: number;
+  readonly underlinePosition: number;
+  readonly underlineThickness: number;
 }
 
 interface OpentypeGsubFeature {
@@ -115,13 +173,81 @@ interface OpentypeGsubFeature {
   };
 }
 
+interface OpentypeLangSys {
+  /** 0xFFFF when the language system has no required feature. */
+  readonly reqFeatureIndex: number;
+  /** Indexes into the table's `features`. */
+  readonly featureIndexes: number[];
+}
+
+interface OpentypeScriptRecord {
+  /** OpenType script tag, e.g. "latn" or "dev2". */
+  readonly tag: string;
+  readonly script: {
+    readonly defaultLangSys?: OpentypeLangSys;
+    readonly langSysRecords: ReadonlyArray<{
+      readonly tag: string;
+      readonly langSys: OpentypeLangSys;
+    }>;
+  };
+}
+
+/** Coverage table: glyphs in coverage index order, as a list or as ranges. */
+type OpentypeCoverage =
+  | { readonly format: 1; readonly glyphs: number[] }
+  | { readonly format: 2; readonly ranges: ReadonlyArray<{ readonly start: number; readonly end: number; readonly index: number }> };
+
+/** A contextual rule's pointer to the lookup it applies at a sequence position. */
+interface OpentypeLookupRecord {
+  readonly sequenceIndex: number;
+  readonly lookupListIndex: number;
+}
+
+/** A lookup subtable; only the fields the apps read are declared. */
+interface OpentypeLookupSubtable {
+  readonly substFormat?: number;
+  /** Types 1–4, 8 and formats 1–2 of types 5–6: the glyphs the subtable applies to. */
+  readonly coverage?: OpentypeCoverage;
+  /** Type 1 format 1: added to the covered glyph ID. */
+  readonly deltaGlyphId?: number;
+  /** Type 1 format 2: the substitute of each covered glyph. */
+  readonly substitute?: number[];
+  /** Type 2: the glyph sequence replacing each covered glyph. */
+  readonly sequences?: number[][];
+  /** Type 3: the alternates of each covered glyph. */
+  readonly alternateSets?: number[][];
+  /** Type 4: ligatures starting with each covered glyph; `components` are the glyphs after the first. */
+  readonly ligatureSets?: ReadonlyArray<ReadonlyArray<{ readonly ligGlyph: number; readonly components: number[] }>>;
+  /** Types 5–6 format 3. */
+  readonly lookupRecords?: OpentypeLookupRecord[];
+  /** Types 5–6 formats 1–2: rules per covered glyph or class. */
+  readonly ruleSets?:      ReadonlyArray<ReadonlyArray<{ readonly lookupRecords: OpentypeLookupRecord[] }> | undefined>;
+  readonly classSets?:     ReadonlyArray<ReadonlyArray<{ readonly lookupRecords: OpentypeLookupRecord[] }> | undefined>;
+  readonly chainRuleSets?: ReadonlyArray<ReadonlyArray<{ readonly lookupRecords: OpentypeLookupRecord[] }> | undefined>;
+  readonly chainClassSet?: ReadonlyArray<ReadonlyArray<{ readonly lookupRecords: OpentypeLookupRecord[] }> | undefined>;
+  /** Type 8: the substitute of each covered glyph. */
+  readonly substitutes?: number[];
+  /** Type 7: the wrapped subtable and its real lookup type. */
+  readonly lookupType?: number;
+  readonly extension?: OpentypeLookupSubtable;
+}
+
 interface OpentypeGsubTable {
+  readonly scripts?: OpentypeScriptRecord[];
   readonly features: OpentypeGsubFeature[];
   readonly lookups?: ReadonlyArray<{
+    readonly lookupType?: number;
+    readonly subtables?: OpentypeLookupSubtable[];
     readonly features?: OpentypeGsubFeature[];
   }>;
 }
 
+/** GPOS shares the script and feature lists of GSUB. */
+interface OpentypeGposTable {
+  readonly scripts?: OpentypeScriptRecord[];
+  readonly features: OpentypeGsubFeature[];
+}
+
 interface OpentypeAvarAxisValueMap {
   readonly fromCoordinate: number;
   readonly toCoordinate: number;
@@ -135,11 +261,19 @@ interface OpentypeAvarTable {
   readonly axisSegmentMaps: OpentypeAvarAxisSegmentMap[];
 }
 
+interface OpentypeCmapTable {
+  /** Code point → glyph index. */
+  readonly glyphIndexMap: Record<number, number>;
+}
+
 interface OpentypeTables {
+  readonly cmap?: OpentypeCmapTable;
   readonly os2?:  OpentypeOS2Table;
+  readonly hhea?: OpentypeHheaTable;
   readonly head?: OpentypeHeadTable;
   readonly fvar?: OpentypeFvarTable;
   readonly gsub?: OpentypeGsubTable;
+  readonly gpos?: OpentypeGposTable;
   readonly post?: OpentypePostTable;
   readonly avar?: OpentypeAvarTable;
 }
@@ -148,6 +282,8 @@ interface OpentypeFont {
   readonly names: OpentypeFontNames;
   readonly tables: OpentypeTables;
   readonly glyphs: OpentypeGlyphSet;
+  /** From maxp. Unlike `glyphs.length`, also correct for lowMemory parses. */
+  readonly numGlyphs: number;
   readonly outlinesFormat: string;
   readonly unitsPerEm: number;
   readonly ascender: number;
@@ -164,12 +300,16 @@ declare namespace opentype {
   type WindowsPlatformNames = OpentypeWindowsPlatformNames;
   type PlatformNames      = OpentypePlatformNames;
   type FontNames          = OpentypeFontNames;
+  type PathCommand        = OpentypePathCommand;
+  type Path               = OpentypePath;
   type Glyph              = OpentypeGlyph;
+  type GlyphPoint         = OpentypeGlyphPoint;
   type GlyphSet           = OpentypeGlyphSet;
   type FvarAxis           = OpentypeFvarAxis;
   type FvarInstance       = OpentypeFvarInstance;
   type FvarTable          = OpentypeFvarTable;
   type OS2Table           = OpentypeOS2Table;
+  type HheaTable          = OpentypeHheaTable;
   type HeadTable          = OpentypeHeadTable;
   type PostTable          = OpentypePostTable;
   type GsubFeature        = OpentypeGsubFeature;
@@ -177,8 +317,14 @@ declare namespace opentype {
   type AvarAxisValueMap   = OpentypeAvarAxisValueMap;
   type AvarAxisSegmentMap = OpentypeAvarAxisSegmentMap;
   type AvarTable          = OpentypeAvarTable;
+  type CmapTable          = OpentypeCmapTable;
   type Tables             = OpentypeTables;
   type Font               = OpentypeFont;
 
-  function parse(buffer: ArrayBuffer): Font;
+  interface ParseOptions {
+    /** Parse glyphs on demand; `glyphs.length` then stays 0 until glyphs are read. */
+    lowMemory?: boolean;
+  }
+
+  function parse(buffer: ArrayBuffer, options?: ParseOptions): Font;
 }
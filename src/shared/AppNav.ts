@@ -14,6 +14,7 @@ const TOOLS: readonly ToolLink[] = [
   { label: 'WordMaster',  href: 'WordMasterBX90000Excelsior.html' },
   { label: 'GalleyProof', href: 'GalleyProofBX90000Zenith.html' },
   { label: 'TurboTiler',  href: 'TurboTilerBX90000Fascination.html' },
+  { label: 'KernScope',   href: 'KernScopeBX90000Paragon.html' },
 ];
 
 const HREF_TO_KEY: Readonly<Record<string, string>> = {
@@ -21,6 +22,7 @@ const HREF_TO_KEY: Readonly<Record<string, string>> = {
   'WordMasterBX90000Excelsior.html':   'wordmaster',
   'GalleyProofBX90000Zenith.html':     'galleyproof',
   'TurboTilerBX90000Fascination.html': 'turbotiler',
+  'KernScopeBX90000Paragon.html':      'kernscope',
 };
 
 /**
@@ -33,19 +33,28 @@ function topBar(extraButtons = ''): string {
       </div>`;
 }
 
-const DROP_TEXT = `<div id="drop-text">Drop your TTF or OTF font here</div>`;
+const DROP_TEXT = `<div id="drop-text">Drop your TTF, OTF, WOFF, WOFF2, TTC or OTC font here</div>`;
 
-const FONT_INFO_PANEL = `
+function infoPanels(extraPanels = ''): string {
+  return `
       <div id="info-panels">
         <div id="font-info" style="display: none;">
           <div id="font-info-content"></div>
         </div>
+        <div id="font-health" style="display: none;">
+          <div id="font-health-content"></div>
+        </div>
+        <div id="metrics-inspector" style="display: none;">
+          <div id="metrics-inspector-content"></div>
+        </div>${extraPanels}
       </div>`;
+}
 
 const OT_FEATURES = `
         <div class="buttons-container">
           <span class="controls-section-heading">OpenType features</span>
           <div class="feature-buttons-wrapper"></div>
+          <select id="opentype-language-system" class="instances-select" hidden></select>
         </div>`;
 
 function slider(id: string, label: string, attrs: string, defaultText: string): string {
@@ -76,9 +85,13 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
     html: `
       ${topBar(`
           <button id="randomise-button">Randomise glyph order</button>
+          <button id="unencoded-toggle">Include unencoded glyphs</button>
           <button id="metrics-toggle">Show metrics</button>
+          <button id="outline-toggle">Show outline</button>
           <button id="glyph-info-toggle">Show glyph info</button>
-          <button id="font-info-toggle">Show font info</button>`)}
+          <button id="font-info-toggle">Show font info</button>
+          <button id="font-health-toggle">Show font health</button>
+          <button id="metrics-inspector-toggle">Show metrics inspector</button>`)}
 
       ${DROP_TEXT}
 
@@ -93,16 +106,78 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
         <div id="font-info" style="display: none;">
           <div id="font-info-content"></div>
         </div>
+        <div id="font-health" style="display: none;">
+          <div id="font-health-content"></div>
+        </div>
+        <div id="metrics-inspector" style="display: none;">
+          <div id="metrics-inspector-content"></div>
+        </div>
       </div>
 
       <div class="metrics-container">
         <div id="font-metrics-overlay"></div>
       </div>
 
+      <div id="glyph-outline-overlay" style="display: none;"></div>
+
       <div id="controls">
         ${slider('font-size',          'Font size',         'min="100" max="1000" value="600"',     '600px')}
         ${slider('vertical-position',  'Vertical position', 'min="0" max="100" value="50"',          '50%')}
         ${slider('animation-delay',    'Animation delay',   'min="16" max="2000" value="500"',       '500ms')}
+        <div class="buttons-container glyph-filter">
+          <span class="controls-section-heading">Glyphs</span>
+          <div class="feature-buttons-wrapper">
+            <select id="glyph-category" class="instances-select" aria-label="Unicode category">
+              <option value="all">All categories</option>
+              <option value="letters">Letters</option>
+              <option value="figures">Figures</option>
+              <option value="punctuation">Punctuation</option>
+              <option value="symbols">Symbols</option>
+              <option value="marks">Marks</option>
+            </select>
+            <select id="glyph-script" class="instances-select" aria-label="Script">
+              <option value="">All scripts</option>
+            </select>
+            <select id="glyph-block" class="instances-select" aria-label="Unicode block">
+              <option value="">All blocks</option>
+            </select>
+            <input type="search" id="glyph-name-pattern" placeholder="Glyph name regex, e.g. \.sc$" aria-label="Glyph name pattern" spellcheck="false">
+            <select id="glyph-order" class="instances-select" aria-label="Glyph order">
+              <option value="index">Glyph order</option>
+              <option value="unicode">Unicode order</option>
+              <option value="name">By name</option>
+              <option value="advance">By advance width</option>
+              <option value="group">Variants together</option>
+            </select>
+            <span id="glyph-filter-count"></span>
+          </div>
+        </div>
+        <div class="buttons-container ghost-controls">
+          <span class="controls-section-heading">Ghost</span>
+          <div class="feature-buttons-wrapper">
+            <select id="ghost-mode" class="instances-select" aria-label="Ghost">
+              <option value="off">No ghost</option>
+              <option value="previous">Previous glyphs</option>
+              <option value="reference">Reference font</option>
+            </select>
+            <select id="ghost-count" class="instances-select" aria-label="Previous glyphs shown" hidden>
+              <option value="1">1 glyph back</option>
+              <option value="2">2 glyphs back</option>
+              <option value="3" selected>3 glyphs back</option>
+              <option value="4">4 glyphs back</option>
+              <option value="5">5 glyphs back</option>
+              <option value="6">6 glyphs back</option>
+              <option value="7">7 glyphs back</option>
+              <option value="8">8 glyphs back</option>
+            </select>
+            <button type="button" id="ghost-reference" class="feature-button" title="Click to choose a font, or drop one here">Load reference font</button>
+            <input type="file" id="ghost-reference-file" accept=".ttf,.otf,.ttc,.otc,.woff,.woff2" hidden>
+            <input type="color" id="ghost-colour" value="#ff3b30" aria-label="Ghost colour">
+            <button type="button" id="ghost-difference" class="feature-button" aria-pressed="false">Difference</button>
+            <span id="ghost-status"></span>
+          </div>
+        </div>
+        ${slider('ghost-opacity',      'Ghost opacity',     'min="5" max="100" value="40"',          '40%')}
       </div>
     `,
   },
@@ -112,7 +187,11 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
     module:   () => import('../wordmaster/WordMaster.js') as Promise<Record<string, unknown>>,
     getClass: (mod) => (mod['WordAnimator'] as AppConstructor),
     html: `
-      ${topBar(`<button id="font-info-toggle">Show font info</button>`)}
+      ${topBar(`
+          <button id="font-info-toggle">Show font info</button>
+          <button id="font-health-toggle">Show font health</button>
+          <button id="metrics-inspector-toggle">Show metrics inspector</button>
+          <button id="language-support-toggle">Show language support</button>`)}
 
       ${DROP_TEXT}
 
@@ -121,7 +200,10 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
         <div id="glyph-display" class="glyph-buffer"></div>
       </div>
 
-      ${FONT_INFO_PANEL}
+      ${infoPanels(`
+        <div id="language-support" style="display: none;">
+          <div id="language-support-content"></div>
+        </div>`)}
 
       <div id="font-metrics-overlay"></div>
 
@@ -129,6 +211,12 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
         ${OT_FEATURES}
         ${slider('wordmaster-font-size',       'Font size',       'min="10" max="1000" value="600"',    '600px')}
         ${slider('wordmaster-animation-delay', 'Animation delay', 'min="100" max="10000" value="3000"', '3000ms')}
+        ${slider('wordmaster-coverage-threshold', 'Coverage threshold', 'min="50" max="100" value="100"', '100%')}
+        <div class="buttons-container">
+          <span class="controls-section-heading">Languages</span>
+          <div class="feature-buttons-wrapper language-buttons-wrapper"></div>
+          <select id="wordmaster-language" class="instances-select"></select>
+        </div>
       </div>
     `,
   },
@@ -138,7 +226,10 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
     module:   () => import('../galleyproof/GalleyProof.js') as Promise<Record<string, unknown>>,
     getClass: (mod) => (mod['GalleyProof'] as AppConstructor),
     html: `
-      ${topBar(`<button id="font-info-toggle">Show font info</button>`)}
+      ${topBar(`
+          <button id="font-info-toggle">Show font info</button>
+          <button id="font-health-toggle">Show font health</button>
+          <button id="metrics-inspector-toggle">Show metrics inspector</button>`)}
 
       ${DROP_TEXT}
 
@@ -147,7 +238,7 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
         <div id="glyph-display" class="glyph-buffer"></div>
       </div>
 
-      ${FONT_INFO_PANEL}
+      ${infoPanels()}
 
       <div id="controls">
         ${OT_FEATURES}
@@ -156,6 +247,13 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
         ${slider('galley-column-width',   'Column width',   'min="20" max="100" value="60"',                 '60%')}
         ${slider('galley-letter-spacing', 'Letter spacing', 'min="-0.2" max="0.5" step="0.001" value="0"',  '0 em')}
         ${slider('galley-word-spacing',   'Word spacing',   'min="-1" max="2" step="0.001" value="0"',       '0 em')}
+        <div class="buttons-container">
+          <span class="controls-section-heading">Writing mode</span>
+          <div class="feature-buttons-wrapper">
+            <button type="button" class="feature-button" data-writing-mode="horizontal">Horizontal</button>
+            <button type="button" class="feature-button" data-writing-mode="vertical">Vertical</button>
+          </div>
+        </div>
       </div>
     `,
   },
@@ -174,6 +272,46 @@ const APPS: Readonly<Record<string, AppDescriptor>> = {
       </div>
     `,
   },
+
+  kernscope: {
+    title:    'KernScope BX90000 Paragon',
+    module:   () => import('../kernscope/KernScope.js') as Promise<Record<string, unknown>>,
+    getClass: (mod) => (mod['KernScope'] as AppConstructor),
+    html: `
+      ${topBar(`
+          <button id="font-info-toggle">Show font info</button>
+          <button id="font-health-toggle">Show font health</button>
+          <button id="metrics-inspector-toggle">Show metrics inspector</button>`)}
+
+      ${DROP_TEXT}
+
+      <div id="kern-inspector">
+        <div id="kern-toolbar">
+          <input type="search" id="kern-search" placeholder="Search a glyph or pair: A, AV, /A /V" spellcheck="false" aria-label="Search kerning pairs">
+          <select id="kern-sort" class="instances-select" aria-label="Sort pairs">
+            <option value="value-asc">Tightest first</option>
+            <option value="value-desc">Loosest first</option>
+            <option value="left">By left glyph</option>
+          </select>
+          <select id="kern-source" class="instances-select" aria-label="Kerning source">
+            <option value="all">GPOS and kern table</option>
+            <option value="gpos">GPOS only</option>
+            <option value="kern-table">kern table only</option>
+          </select>
+          <button type="button" class="feature-button active" id="kern-toggle">Kerning on</button>
+        </div>
+        <p id="kern-summary"></p>
+        <div id="kern-pairs"></div>
+        <div id="kern-proof" hidden></div>
+      </div>
+
+      ${infoPanels()}
+
+      <div id="controls">
+        ${slider('kern-sample-size', 'Sample size', 'min="16" max="160" value="48"', '48px')}
+      </div>
+    `,
+  },
 };
 
 const HREF_TO_KEY: Readonly<Record<string, string>> = {
@@ -181,6 +319,7 @@ const HREF_TO_KEY: Readonly<Record<string, string>> = {
   'WordMasterBX90000Excelsior.html':   'wordmaster',
   'GalleyProofBX90000Zenith.html':     'galleyproof',
   'TurboTilerBX90000Fascination.html': 'turbotiler',
+  'KernScopeBX90000Paragon.html':      'kernscope',
 };
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,242 @@
+// =============================================================================
+// shared/CorpusPanel.ts
+// Top-bar "Custom text" button and the panel it opens: paste or open a text to
+// use instead of the app's bundled words or galley text, choose the language
+// of a word list, or go back to the bundled text. Dropped text files arrive
+// through setText().
+// =============================================================================
+
+import {
+  getCustomCorpus,
+  saveCustomCorpus,
+  removeCustomCorpus,
+  corpusFormat,
+  corpusToText,
+  corpusToWords,
+} from './CustomCorpus.js';
+import type { CorpusFormat, CorpusTarget, CustomCorpus } from '../core/Types.js';
+
+const FORMAT_LABELS = {
+  text:     'plain text',
+  markdown: 'Markdown',
+  html:     'HTML',
+} as const satisfies Record<CorpusFormat, string>;
+
+/** Language choice for word lists; GalleyProof text has none. */
+export interface CorpusLanguageOptions {
+  /** Language keys to choose from, e.g. "german". */
+  languages: readonly string[];
+  label:     (language: string) => string;
+  /** Guesses the language of a plain text, or null when it cannot tell. */
+  infer:     (text: string) => Promise<string | null>;
+}
+
+export interface CorpusPanelOptions {
+  target:    CorpusTarget;
+  /** Called once a corpus is set, changed or removed; apps reload their text. */
+  onChange:  (corpus: CustomCorpus | null) => void;
+  language?: CorpusLanguageOptions;
+}
+
+export class CorpusPanel {
+  private readonly options:        CorpusPanelOptions;
+  private readonly button:         HTMLButtonElement;
+  private readonly panel:          HTMLElement;
+  private readonly status:         HTMLElement;
+  private readonly textarea:       HTMLTextAreaElement;
+  private readonly fileInput:      HTMLInputElement;
+  private readonly languageSelect: HTMLSelectElement | null;
+
+  private corpus: CustomCorpus | null = null;
+
+  constructor(options: CorpusPanelOptions) {
+    this.options = options;
+
+    this.button = document.createElement('button');
+    this.button.id          = 'corpus-toggle';
+    this.button.textContent = 'Custom text';
+    this.button.addEventListener('click', () => {
+      if (this.isOpen) this.close(); else this.open();
+    });
+    document.getElementById('appFunctions')
+      ?.insertBefore(this.button, document.getElementById('colour-picker'));
+
+    this.panel = document.createElement('div');
+    this.panel.id            = 'custom-corpus';
+    this.panel.style.display = 'none';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.innerHTML = `
+      <div class="custom-corpus-header">
+        <strong>Custom text</strong>
+        <button type="button" class="feature-button custom-corpus-close">Close</button>
+      </div>
+      <p class="custom-corpus-status"></p>
+      <textarea class="custom-corpus-text" rows="8"
+        placeholder="Paste text here, or drop a .txt, .md or .html file on the page"></textarea>
+      <div class="custom-corpus-actions">
+        ${options.language ? '<select class="instances-select custom-corpus-language"></select>' : ''}
+        <button type="button" class="feature-button custom-corpus-use">Use pasted text</button>
+        <button type="button" class="feature-button custom-corpus-open">Open file…</button>
+        <button type="button" class="feature-button custom-corpus-reset">Use bundled text</button>
+        <input type="file" accept=".txt,.text,.md,.markdown,.html,.htm" hidden>
+      </div>`;
+
+    this.status         = this.panel.querySelector('.custom-corpus-status')   as HTMLElement;
+    this.textarea       = this.panel.querySelector('.custom-corpus-text')     as HTMLTextAreaElement;
+    this.fileInput      = this.panel.querySelector('input[type="file"]')      as HTMLInputElement;
+    this.languageSelect = this.panel.querySelector('.custom-corpus-language');
+
+    this.panel.querySelector('.custom-corpus-close')
+      ?.addEventListener('click', () => { this.close(); });
+    this.panel.querySelector('.custom-corpus-use')
+      ?.addEventListener('click', () => {
+        if (this.textarea.value.trim()) void this.setText(this.textarea.value, 'Pasted text');
+      });
+    this.panel.querySelector('.custom-corpus-open')
+      ?.addEventListener('click', () => { this.fileInput.click(); });
+    this.panel.querySelector('.custom-corpus-reset')
+      ?.addEventListener('click', () => { void this.reset(); });
+
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files?.[0];
+      this.fileInput.value = '';
+      file?.text()
+        .then(text => this.setText(text, file.name))
+        .catch((err: unknown) => {
+          console.warn('Could not read the text file:', err);
+          alert(`${file.name} could not be read.`);
+        });
+    });
+    this.languageSelect?.addEventListener('change', () => {
+      void this.setLanguage(this.languageSelect!.value || null);
+    });
+
+    // Keep app shortcuts (space, f, s, j/k …) from firing while typing here.
+    this.panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') this.close();
+    });
+
+    document.body.appendChild(this.panel);
+    void this.reload();
+  }
+
+  get isOpen(): boolean {
+    return this.panel.style.display !== 'none';
+  }
+
+  open(): void {
+    this.panel.style.display = '';
+    this.button.textContent  = 'Hide custom text';
+    this.textarea.focus();
+    void this.render();
+  }
+
+  close(): void {
+    this.panel.style.display = 'none';
+    this.button.textContent  = 'Custom text';
+    this.button.blur();
+  }
+
+  /**
+   * Stores a dropped file or pasted text as the app's corpus, with the format
+   * taken from the file name. The language of a word list is inferred until
+   * the user picks one.
+   */
+  async setText(text: string, name: string): Promise<void> {
+    const corpus: CustomCorpus = {
+      target:   this.options.target,
+      name,
+      format:   corpusFormat(name),
+      text,
+      language: null,
+      addedAt:  Date.now(),
+    };
+    await this.store(corpus);
+    this.textarea.value = '';
+  }
+
+  /** Removes the button and the panel. */
+  destroy(): void {
+    this.button.remove();
+    this.panel.remove();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Storage
+  // ---------------------------------------------------------------------------
+
+  private async reload(): Promise<void> {
+    try {
+      this.corpus = await getCustomCorpus(this.options.target);
+    } catch (err) {
+      console.warn('Could not read the custom text:', err);
+      this.corpus = null;
+    }
+    this.button.classList.toggle('corpus-active', this.corpus !== null);
+  }
+
+  private async store(corpus: CustomCorpus): Promise<void> {
+    try {
+      await saveCustomCorpus(corpus);
+    } catch (err) {
+      console.warn('Could not store the custom text:', err);
+      alert('The custom text could not be stored in this browser.');
+      return;
+    }
+    this.corpus = corpus;
+    this.button.classList.add('corpus-active');
+    this.options.onChange(corpus);
+    if (this.isOpen) void this.render();
+  }
+
+  private async setLanguage(language: string | null): Promise<void> {
+    if (!this.corpus) return;
+    await this.store({ ...this.corpus, language });
+  }
+
+  private async reset(): Promise<void> {
+    try {
+      await removeCustomCorpus(this.options.target);
+    } catch (err) {
+      console.warn('Could not remove the custom text:', err);
+    }
+    this.corpus = null;
+    this.button.classList.remove('corpus-active');
+    this.options.onChange(null);
+    void this.render();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  private async render(): Promise<void> {
+    const { corpus } = this;
+    const bundled = this.options.target === 'wordmaster' ? 'the bundled word lists' : 'the bundled galley text';
+
+    if (!corpus) {
+      this.status.textContent = `Using ${bundled}.`;
+    } else {
+      const words = this.options.language ? `, ${corpusToWords(corpus).length} words` : '';
+      this.status.textContent = `Using ${corpus.name} (${FORMAT_LABELS[corpus.format]}${words}).`;
+    }
+
+    const language = this.options.language;
+    if (!this.languageSelect || !language) return;
+
+    this.languageSelect.disabled = corpus === null;
+    let inferred: string | null = null;
+    try {
+      if (corpus) inferred = await language.infer(corpusToText(corpus));
+    } catch (err) {
+      // Without the language data the menu still offers every language
+      console.warn('Could not detect the language of the custom text:', err);
+    }
+    this.languageSelect.innerHTML = [
+      `<option value="">${inferred ? `Detected: ${language.label(inferred)}` : 'Detect language'}</option>`,
+      ...language.languages.map(key => `<option value="${key}">${language.label(key)}</option>`),
+    ].join('');
+    this.languageSelect.value = corpus?.language ?? '';
+  }
+}
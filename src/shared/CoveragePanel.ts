@@ -0,0 +1,205 @@
+// =============================================================================
+// shared/CoveragePanel.ts
+// Top-bar "Coverage" button and the report it opens: the loaded font's cmap
+// grouped by Unicode block or script, with the missing code points of each
+// group and CSV/JSON export.
+// =============================================================================
+
+import {
+  buildCoverageReport,
+  cmapCodepoints,
+  coveragePercent,
+  coverageToCSV,
+  coverageToJSON,
+  formatCodepoint,
+  type CoverageGroup,
+  type CoverageReport,
+} from '../core/UnicodeCoverage.js';
+import type { FontInformation } from '../core/Types.js';
+
+type CoverageGrouping = 'blocks' | 'scripts';
+
+/** Missing code points listed per group; the export always has all of them. */
+const MAX_LISTED_MISSING = 400;
+
+export class CoveragePanel {
+  private readonly button:  HTMLButtonElement;
+  private readonly panel:   HTMLElement;
+  private readonly list:    HTMLElement;
+  private readonly summary: HTMLElement;
+
+  private font:     opentype.Font | null = null;
+  private fontName  = '';
+  private report:   CoverageReport | null = null;
+  private grouping: CoverageGrouping = 'blocks';
+
+  constructor() {
+    this.button = document.createElement('button');
+    this.button.id            = 'coverage-toggle';
+    this.button.textContent   = 'Coverage';
+    this.button.style.display = 'none';
+    this.button.addEventListener('click', () => {
+      if (this.isOpen) this.close(); else this.open();
+    });
+    document.getElementById('appFunctions')
+      ?.insertBefore(this.button, document.getElementById('colour-picker'));
+
+    this.panel = document.createElement('div');
+    this.panel.id            = 'coverage-report';
+    this.panel.style.display = 'none';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.innerHTML = `
+      <div class="coverage-header">
+        <strong>Unicode coverage</strong>
+        <button type="button" class="feature-button" data-grouping="blocks">By block</button>
+        <button type="button" class="feature-button" data-grouping="scripts">By script</button>
+        <button type="button" class="feature-button coverage-export-csv">Export CSV</button>
+        <button type="button" class="feature-button coverage-export-json">Export JSON</button>
+        <button type="button" class="feature-button coverage-close">Close</button>
+      </div>
+      <p class="coverage-summary"></p>
+      <div class="coverage-list"></div>`;
+
+    this.list    = this.panel.querySelector('.coverage-list')    as HTMLElement;
+    this.summary = this.panel.querySelector('.coverage-summary') as HTMLElement;
+
+    this.panel.querySelectorAll<HTMLButtonElement>('[data-grouping]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.grouping = button.dataset['grouping'] as CoverageGrouping;
+        this.render();
+      });
+    });
+    this.panel.querySelector('.coverage-export-csv')
+      ?.addEventListener('click', () => { this.export('csv'); });
+    this.panel.querySelector('.coverage-export-json')
+      ?.addEventListener('click', () => { this.export('json'); });
+    this.panel.querySelector('.coverage-close')
+      ?.addEventListener('click', () => { this.close(); });
+
+    this.panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') this.close();
+    });
+
+    document.body.appendChild(this.panel);
+  }
+
+  get isOpen(): boolean {
+    return this.panel.style.display !== 'none';
+  }
+
+  /** Uses a newly loaded font or style. The report is rebuilt when next shown. */
+  setFont(font: opentype.Font, fontInfo: FontInformation): void {
+    this.font     = font;
+    this.fontName = fontInfo.fullName !== 'Unknown' ? fontInfo.fullName : fontInfo.filename;
+    this.report   = null;
+    this.button.style.display = '';
+    if (this.isOpen) this.render();
+  }
+
+  open(): void {
+    this.panel.style.display = '';
+    this.button.textContent  = 'Hide coverage';
+    this.render();
+  }
+
+  close(): void {
+    this.panel.style.display = 'none';
+    this.button.textContent  = 'Coverage';
+    this.button.blur();
+  }
+
+  /** Removes the button and the panel. */
+  destroy(): void {
+    this.button.remove();
+    this.panel.remove();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  private getReport(): CoverageReport | null {
+    if (!this.report && this.font) {
+      this.report = buildCoverageReport(cmapCodepoints(this.font), this.fontName);
+    }
+    return this.report;
+  }
+
+  private render(): void {
+    const report = this.getReport();
+    if (!report) return;
+
+    this.panel.querySelectorAll<HTMLButtonElement>('[data-grouping]').forEach(button => {
+      button.classList.toggle('active', button.dataset['grouping'] === this.grouping);
+    });
+
+    const groups = report[this.grouping];
+    this.summary.textContent = `${report.fontName}: ${report.codepoints} code points in `
+      + `${report.blocks.length} block${report.blocks.length === 1 ? '' : 's'} and `
+      + `${report.scripts.length} script${report.scripts.length === 1 ? '' : 's'}`;
+
+    this.list.innerHTML = '';
+    for (const group of groups) {
+      this.list.appendChild(this.createRow(group));
+    }
+  }
+
+  private createRow(group: CoverageGroup): HTMLElement {
+    const percent = coveragePercent(group);
+    const row = document.createElement('details');
+    row.className = 'coverage-row';
+    if (group.missing.length === 0) row.classList.add('coverage-complete');
+
+    const range = group.range
+      ? ` <span class="coverage-range">${formatCodepoint(group.range[0])}–${formatCodepoint(group.range[1])}</span>`
+      : '';
+    row.innerHTML = `
+      <summary>
+        <span class="coverage-name">${group.name}${range}</span>
+        <span class="coverage-count">${group.covered} / ${group.total} (${percent.toFixed(1)}%)</span>
+        <meter min="0" max="100" value="${percent}"></meter>
+      </summary>`;
+
+    // Missing characters are only listed when the row is first opened.
+    row.addEventListener('toggle', () => {
+      if (!row.open || row.querySelector('.coverage-missing')) return;
+      const missing = document.createElement('div');
+      missing.className = 'coverage-missing';
+
+      if (group.missing.length === 0) {
+        missing.textContent = 'Nothing missing.';
+      } else {
+        const listed = group.missing.slice(0, MAX_LISTED_MISSING);
+        missing.textContent = listed
+          .map(codepoint => `${formatCodepoint(codepoint)} ${String.fromCodePoint(codepoint)}`)
+          .join('   ');
+        if (group.missing.length > listed.length) {
+          missing.textContent += `   … and ${group.missing.length - listed.length} more (see the export)`;
+        }
+      }
+      row.appendChild(missing);
+    });
+
+    return row;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  private export(format: 'csv' | 'json'): void {
+    const report = this.getReport();
+    if (!report) return;
+
+    const blob = format === 'csv'
+      ? new Blob([coverageToCSV(report)],  { type: 'text/csv' })
+      : new Blob([coverageToJSON(report)], { type: 'application/json' });
+
+    const link = document.createElement('a');
+    link.href     = URL.createObjectURL(blob);
+    link.download = `${report.fontName.replace(/[^\w-]+/g, '-')}-coverage.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
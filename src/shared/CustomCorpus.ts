@@ -0,0 +1,217 @@
+// =============================================================================
+// shared/CustomCorpus.ts
+// Dropped or pasted texts that replace WordMaster's word lists or GalleyProof's
+// galley text. One corpus per app is kept in IndexedDB, so it survives page
+// navigation and closing the tab, and is turned into galley HTML or a word list.
+// =============================================================================
+
+import { escapeHtml } from '../core/Html.js';
+import type { CorpusFormat, CorpusTarget, CustomCorpus } from '../core/Types.js';
+import { openDatabase, promisify, transactionDone } from './IndexedDB.js';
+
+const DB_NAME      = 'bx90000_corpora';
+const DB_VERSION   = 1;
+/** Corpus records, keyed by target app. */
+const CORPUS_STORE = 'corpora';
+
+/** Lines of a word list hold a word or a short phrase each. */
+const MAX_WORDS_PER_LINE = 3;
+
+/** Elements kept when a dropped HTML file is shown in the galley. */
+const ALLOWED_TAGS = new Set([
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BR', 'HR', 'BLOCKQUOTE', 'UL', 'OL', 'LI',
+  'EM', 'STRONG', 'I', 'B', 'U', 'S', 'SMALL', 'SUB', 'SUP', 'Q', 'CITE', 'ABBR', 'CODE', 'SPAN', 'DIV',
+]);
+/** Elements dropped together with their content. */
+const REMOVED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'HEAD', 'TITLE', 'META', 'LINK',
+  'IMG', 'SVG', 'VIDEO', 'AUDIO', 'CANVAS', 'FORM', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA',
+]);
+const ALLOWED_ATTRIBUTES = new Set(['lang', 'dir']);
+
+const BLOCK_SELECTOR = 'br, p, div, li, h1, h2, h3, h4, h5, h6, blockquote, tr';
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+/** Returns the app's custom corpus, or null when it uses the bundled text. */
+export async function getCustomCorpus(target: CorpusTarget): Promise<CustomCorpus | null> {
+  const db = await openCorpora();
+  const tx = db.transaction(CORPUS_STORE, 'readonly');
+  return (await promisify(tx.objectStore(CORPUS_STORE).get(target) as IDBRequest<CustomCorpus | undefined>)) ?? null;
+}
+
+/** Stores a corpus, replacing the app's previous one. */
+export async function saveCustomCorpus(corpus: CustomCorpus): Promise<void> {
+  const db = await openCorpora();
+  const tx = db.transaction(CORPUS_STORE, 'readwrite');
+  tx.objectStore(CORPUS_STORE).put(corpus);
+  await transactionDone(tx);
+}
+
+/** Forgets the app's custom corpus so it goes back to the bundled text. */
+export async function removeCustomCorpus(target: CorpusTarget): Promise<void> {
+  const db = await openCorpora();
+  const tx = db.transaction(CORPUS_STORE, 'readwrite');
+  tx.objectStore(CORPUS_STORE).delete(target);
+  await transactionDone(tx);
+}
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+
+/** True for the text files that can be dropped as a corpus. */
+export function isCorpusFile(filename: string): boolean {
+  return /\.(txt|text|md|markdown|html?)$/i.test(filename);
+}
+
+/** Format from the file extension; pasted text is plain text. */
+export function corpusFormat(filename: string): CorpusFormat {
+  if (/\.(md|markdown)$/i.test(filename)) return 'markdown';
+  if (/\.html?$/i.test(filename))         return 'html';
+  return 'text';
+}
+
+/**
+ * HTML for the galley. Plain text and Markdown paragraphs are separated by
+ * blank lines; HTML keeps its text markup but loses scripts, styles, media
+ * and all attributes except `lang` and `dir`.
+ */
+export function corpusToHTML({ format, text }: CustomCorpus): string {
+  switch (format) {
+    case 'html':     return sanitiseHTML(text);
+    case 'markdown': return markdownToHTML(text);
+    case 'text':
+      return paragraphs(text)
+        .map(paragraph => `<p>${escapeHtml(paragraph.replace(/\s*\n\s*/g, ' '))}</p>`)
+        .join('\n');
+  }
+}
+
+/**
+ * Words for WordMaster. A file with a word or short phrase on every line is
+ * used line by line, like the bundled lists; running text is split into its
+ * distinct words.
+ */
+export function corpusToWords(corpus: CustomCorpus): string[] {
+  const text  = corpusToText(corpus);
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+  const isList = lines.length > 0
+    && lines.filter(line => line.split(/\s+/).length <= MAX_WORDS_PER_LINE).length >= lines.length * 0.9;
+  if (isList) return [...new Set(lines)];
+
+  const words = text.match(/[\p{L}\p{M}][\p{L}\p{M}\p{N}'’-]*/gu) ?? [];
+  return [...new Set(words.filter(word => [...word].length > 1))];
+}
+
+/** The corpus as plain text, one block per line. */
+export function corpusToText({ format, text }: CustomCorpus): string {
+  switch (format) {
+    case 'html':     return htmlToText(text);
+    case 'markdown': return markdownToText(text);
+    case 'text':     return text;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+function sanitiseHTML(html: string): string {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  sanitiseChildren(body);
+  return body.innerHTML;
+}
+
+function sanitiseChildren(parent: Element): void {
+  for (const child of Array.from(parent.children)) {
+    if (REMOVED_TAGS.has(child.tagName)) {
+      child.remove();
+      continue;
+    }
+    sanitiseChildren(child);
+
+    if (!ALLOWED_TAGS.has(child.tagName)) {
+      // Unknown wrappers (a, section, table …) are replaced by their content.
+      child.replaceWith(...Array.from(child.childNodes));
+      continue;
+    }
+    for (const { name } of Array.from(child.attributes)) {
+      if (!ALLOWED_ATTRIBUTES.has(name)) child.removeAttribute(name);
+    }
+  }
+}
+
+function htmlToText(html: string): string {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  body.querySelectorAll('script, style, template').forEach(el => el.remove());
+  body.querySelectorAll(BLOCK_SELECTOR).forEach(el => el.append('\n'));
+  return body.textContent ?? '';
+}
+
+// ---------------------------------------------------------------------------
+// Markdown — headings, lists, quotes, emphasis and links, which is what a
+// proofing text needs
+// ---------------------------------------------------------------------------
+
+function markdownToHTML(markdown: string): string {
+  return paragraphs(markdown).map(block => {
+    const lines = block.split('\n');
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(block);
+    if (heading && lines.length === 1) {
+      const level = Math.min(heading[1]!.length + 2, 6);
+      return `<h${level}>${inlineMarkdown(heading[2]!)}</h${level}>`;
+    }
+    if (lines.every(line => /^\s*[-*+]\s+/.test(line))) {
+      return `<ul>${lines.map(line => `<li>${inlineMarkdown(line.replace(/^\s*[-*+]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+    if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+      return `<ol>${lines.map(line => `<li>${inlineMarkdown(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+    }
+    if (lines.every(line => /^\s*>/.test(line))) {
+      return `<blockquote><p>${inlineMarkdown(lines.map(line => line.replace(/^\s*>\s?/, '')).join(' '))}</p></blockquote>`;
+    }
+    return `<p>${inlineMarkdown(lines.join(' '))}</p>`;
+  }).join('\n');
+}
+
+function inlineMarkdown(text: string): string {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+    .replace(/(\*|_)(?=\S)(.+?)\1/g, '<em>$2</em>');
+}
+
+function markdownToText(markdown: string): string {
+  return markdown
+    .replace(/^\s*(#{1,6}|[-*+]|\d+[.)]|>)\s+/gm, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function paragraphs(text: string): string[] {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0);
+}
+
+// ---------------------------------------------------------------------------
+// IndexedDB plumbing
+// ---------------------------------------------------------------------------
+
+function openCorpora(): Promise<IDBDatabase> {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(CORPUS_STORE)) db.createObjectStore(CORPUS_STORE, { keyPath: 'target' });
+  });
+}
@@ -2,14 +2,23 @@
 // shared/DragAndDrop.ts
 // =============================================================================
 
+import { isCorpusFile } from './CustomCorpus.js';
+import type { FontFile } from '../core/Types.js';
+
 export interface DragAndDropOptions {
-  dropZone: HTMLElement;
-  onDrop:   (buffer: ArrayBuffer, filename: string) => void;
+  dropZone:        HTMLElement;
+  onDrop:          (buffer: ArrayBuffer, filename: string) => void;
+  /** Receives every valid font when several are dropped at once (a family). */
+  onDropMultiple?: (files: FontFile[]) => void;
+  /** Receives a dropped .txt, .md or .html file; without it only fonts are accepted. */
+  onDropText?:     (text: string, filename: string) => void;
 }
 
 export class DragAndDrop {
   private readonly dropZone: HTMLElement;
   private readonly onDrop:   (buffer: ArrayBuffer, filename: string) => void;
+  private readonly onDropMultiple?: (files: FontFile[]) => void;
+  private readonly onDropText?:     (text: string, filename: string) => void;
 
   // Bound listener references kept for cleanup
   private readonly _highlightHandler:   (e: Event) => void;
@@ -19,6 +28,8 @@ export class DragAndDrop {
   constructor(options: DragAndDropOptions) {
     this.dropZone = options.dropZone;
     this.onDrop   = options.onDrop;
+    this.onDropMultiple = options.onDropMultiple;
+    this.onDropText     = options.onDropText;
 
     this._highlightHandler   = () => this.highlight();
     this._unhighlightHandler = () => this.unhighlight();
@@ -78,18 +89,30 @@ export class DragAndDrop {
   }
 
   private handleDrop(e: DragEvent): void {
-    const file = e.dataTransfer?.files[0];
-    if (!file || !this.validateFontFile(file)) {
-      alert('Please drop a valid font file (.ttf or .otf)');
+    const dropped = Array.from(e.dataTransfer?.files ?? []);
+    const files   = dropped.filter(f => this.validateFontFile(f));
+    if (files.length === 0) {
+      const textFile = this.onDropText ? dropped.find(f => isCorpusFile(f.name)) : undefined;
+      if (textFile) {
+        void this.readTextFile(textFile);
+        return;
+      }
+      alert(this.onDropText
+        ? 'Please drop a valid font file (.ttf, .otf, .ttc, .otc, .woff or .woff2) or a text file (.txt, .md or .html)'
+        : 'Please drop a valid font file (.ttf, .otf, .ttc, .otc, .woff or .woff2)');
       return;
     }
 
     document.getElementById('drop-text')?.remove();
-    void this.readFile(file);
+    if (files.length > 1 && this.onDropMultiple) {
+      void this.readFiles(files);
+    } else {
+      void this.readFile(files[0]!);
+    }
   }
 
   private validateFontFile(file: File): boolean {
-    return /\.(ttf|otf)$/i.test(file.name);
+    return /\.(ttf|otf|ttc|otc|woff2?)$/i.test(file.name);
   }
 
   private async readFile(file: File): Promise<void> {
@@ -102,4 +125,28 @@ export class DragAndDrop {
       alert(`Error reading file: ${error.message}`);
     }
   }
+
+  private async readTextFile(file: File): Promise<void> {
+    try {
+      this.onDropText?.(await file.text(), file.name);
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      console.error('Error reading file:', error);
+      alert(`Error reading file: ${error.message}`);
+    }
+  }
+
+  private async readFiles(files: File[]): Promise<void> {
+    try {
+      const fontFiles = await Promise.all(files.map(async (file): Promise<FontFile> => ({
+        buffer:   await file.arrayBuffer(),
+        filename: file.name,
+      })));
+      this.onDropMultiple?.(fontFiles);
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      console.error('Error reading files:', error);
+      alert(`Error reading files: ${error.message}`);
+    }
+  }
 }
@@ -0,0 +1,185 @@
+// =============================================================================
+// shared/EmbeddingBadge.ts
+// Top-bar badge with the loaded font's fsType embedding permissions. Clicking
+// it shows the licence details and the option to be asked before presenting a
+// restricted font in fullscreen.
+// =============================================================================
+
+import {
+  EMBEDDING_USAGE_LABELS,
+  describeEmbedding,
+  identifyLicence,
+  isRestricted,
+} from '../core/Embedding.js';
+import { escapeHtml } from '../core/Html.js';
+import type { FontInformation } from '../core/Types.js';
+import type { UIControls } from './UIControls.js';
+
+const CONFIRM_FULLSCREEN_KEY = 'bx90000_confirm_restricted_fullscreen';
+/** Restricted fonts the user has already agreed to present, by name. */
+const ACKNOWLEDGED_FONTS_KEY = 'bx90000_acknowledged_restricted_fonts';
+
+export interface EmbeddingBadgeOptions {
+  /** The badge asks before this app's fullscreen toggle presents a restricted font. */
+  uiControls: UIControls;
+}
+
+export class EmbeddingBadge {
+  private readonly uiControls: UIControls;
+  private readonly button:     HTMLButtonElement;
+  private readonly panel:      HTMLElement;
+
+  private fontInfo: FontInformation | null = null;
+
+  constructor(options: EmbeddingBadgeOptions) {
+    this.uiControls = options.uiControls;
+
+    this.button = document.createElement('button');
+    this.button.id            = 'embedding-badge';
+    this.button.style.display = 'none';
+    this.button.addEventListener('click', () => { this.togglePanel(); });
+    document.getElementById('appFunctions')
+      ?.insertBefore(this.button, document.getElementById('colour-picker'));
+
+    this.panel = document.createElement('div');
+    this.panel.id            = 'embedding-details';
+    this.panel.style.display = 'none';
+    this.panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') this.togglePanel(false);
+    });
+    document.body.appendChild(this.panel);
+
+    this.uiControls.setFullscreenGuard(() => this.confirmFullscreen());
+  }
+
+  /** Shows the permissions of a newly loaded font or style. */
+  update(fontInfo: FontInformation): void {
+    this.fontInfo = fontInfo;
+
+    const { embedding } = fontInfo;
+    this.button.textContent      = describeEmbedding(embedding).join(' · ');
+    this.button.title            = `Embedding permissions (OS/2 fsType ${formatFsType(embedding.fsType)})`;
+    this.button.dataset['usage'] = embedding.usage;
+    this.button.style.display    = '';
+    this.button.classList.toggle('embedding-limited', embedding.noSubsetting || embedding.bitmapOnly);
+
+    if (this.panel.style.display !== 'none') this.renderPanel();
+  }
+
+  /** Removes the badge and its panel, and the fullscreen guard. */
+  destroy(): void {
+    this.uiControls.setFullscreenGuard(null);
+    this.button.remove();
+    this.panel.remove();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fullscreen confirmation
+  // ---------------------------------------------------------------------------
+
+  private get confirmsFullscreen(): boolean {
+    return sessionStorage.getItem(CONFIRM_FULLSCREEN_KEY) !== 'false';
+  }
+
+  private get fontName(): string {
+    if (!this.fontInfo) return '';
+    return this.fontInfo.fullName !== 'Unknown' ? this.fontInfo.fullName : this.fontInfo.filename;
+  }
+
+  private get acknowledgedFonts(): string[] {
+    try {
+      const saved: unknown = JSON.parse(sessionStorage.getItem(ACKNOWLEDGED_FONTS_KEY) ?? '[]');
+      return Array.isArray(saved) ? saved.filter((name): name is string => typeof name === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Lets fullscreen go ahead unless the font is restricted and not yet
+   * acknowledged. Then the details panel asks instead, without blocking:
+   * a dialog here would use up the click that allows requestFullscreen.
+   */
+  private confirmFullscreen(): boolean {
+    if (!this.fontInfo || !this.confirmsFullscreen || !isRestricted(this.fontInfo.embedding)) return true;
+    if (this.acknowledgedFonts.includes(this.fontName)) return true;
+
+    this.togglePanel(true, true);
+    return false;
+  }
+
+  /** Remembers the acknowledgement for the session and goes fullscreen from the same click. */
+  private acknowledgeAndPresent(): void {
+    sessionStorage.setItem(ACKNOWLEDGED_FONTS_KEY, JSON.stringify([...this.acknowledgedFonts, this.fontName]));
+    this.togglePanel(false);
+    this.uiControls.toggleFullscreen();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Details panel
+  // ---------------------------------------------------------------------------
+
+  private togglePanel(show = this.panel.style.display === 'none', askToPresent = false): void {
+    this.panel.style.display = show ? '' : 'none';
+    if (show) this.renderPanel(askToPresent);
+    else      this.button.blur();
+  }
+
+  /** `askToPresent` adds the question a blocked fullscreen request leads to. */
+  private renderPanel(askToPresent = false): void {
+    if (!this.fontInfo) return;
+    const { embedding, license, licenseURL } = this.fontInfo;
+    const openLicence = identifyLicence(license, licenseURL);
+
+    this.panel.innerHTML = `
+      ${askToPresent ? `
+      <p class="embedding-present">
+        <strong>${escapeHtml(this.fontName)}</strong> is marked
+        &ldquo;${EMBEDDING_USAGE_LABELS.restricted}&rdquo; (OS/2 fsType). Check that your licence
+        allows showing it on a presentation screen.<br>
+        <button type="button" class="feature-button embedding-present-button">Present in fullscreen</button>
+        <button type="button" class="feature-button embedding-cancel-button">Cancel</button>
+      </p>` : ''}
+
+      <p><strong>Embedding permissions</strong><br>
+      OS/2 fsType &rarr; ${formatFsType(embedding.fsType)}<br>
+      ${describeEmbedding(embedding).join('<br>')}</p>
+
+      <p><strong>Licence</strong><br>
+      ${openLicence ? `Recognised as &rarr; ${openLicence}<br>` : ''}
+      ${license !== 'Unknown' ? escapeHtml(license) : 'No licence description (name ID 13)'}
+      ${licenseURL !== 'Unknown' ? `<br>URL &rarr; ${linkOrText(licenseURL)}` : ''}</p>
+
+      ${openLicence && embedding.usage !== 'installable' ? `
+      <p class="embedding-conflict">fsType limits embedding, but the ${openLicence} allows it;
+      the licence is what counts.</p>` : ''}
+
+      <label>
+        <input type="checkbox" class="embedding-confirm"${this.confirmsFullscreen ? ' checked' : ''}>
+        Ask before presenting restricted fonts in fullscreen
+      </label>`;
+
+    this.panel.querySelector('.embedding-present-button')
+      ?.addEventListener('click', () => { this.acknowledgeAndPresent(); });
+    this.panel.querySelector('.embedding-cancel-button')
+      ?.addEventListener('click', () => { this.togglePanel(false); });
+    this.panel.querySelector<HTMLButtonElement>('.embedding-present-button')?.focus();
+
+    this.panel.querySelector<HTMLInputElement>('.embedding-confirm')
+      ?.addEventListener('change', (e) => {
+        sessionStorage.setItem(CONFIRM_FULLSCREEN_KEY, String((e.target as HTMLInputElement).checked));
+      });
+  }
+}
+
+function formatFsType(fsType: number | null): string {
+  return fsType === null ? 'missing' : `0x${fsType.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/** Only http(s) URLs from the font become links. */
+function linkOrText(url: string): string {
+  return /^https?:\/\//i.test(url)
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`
+    : escapeHtml(url);
+}
@@ -0,0 +1,69 @@
+// =============================================================================
+// shared/FacePicker.ts
+// Modal list of the faces inside a dropped TTC/OTC collection.
+// =============================================================================
+
+import { escapeHtml } from '../core/Html.js';
+import type { CollectionFace } from '../core/Types.js';
+
+/**
+ * Shows every face of a collection as a button and resolves with the index
+ * of the one the user clicks. Cancel or Escape rejects with an `AbortError`
+ * DOMException, which FontLoader treats as an aborted load. Key presses are
+ * kept from reaching the app shortcuts (space, f, j/k …) while the picker is
+ * open.
+ */
+export function pickCollectionFace(
+  faces:    readonly CollectionFace[],
+  filename: string,
+): Promise<number> {
+  return new Promise<number>((resolve, reject) => {
+    document.getElementById('face-picker')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'face-picker';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const heading = document.createElement('p');
+    heading.innerHTML = `<strong>${escapeHtml(filename || 'This font collection')}</strong><br>`
+      + `contains ${faces.length} fonts. Choose one to load:`;
+    overlay.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'face-picker-list';
+
+    for (const face of faces) {
+      const button = document.createElement('button');
+      button.type        = 'button';
+      button.className   = 'feature-button';
+      button.textContent = face.styleName ? `${face.familyName} ${face.styleName}` : face.familyName;
+      button.addEventListener('click', () => {
+        overlay.remove();
+        resolve(face.index);
+      });
+      list.appendChild(button);
+    }
+
+    overlay.appendChild(list);
+
+    const cancel = (): void => {
+      overlay.remove();
+      reject(new DOMException(`No face of ${filename || 'the collection'} was chosen`, 'AbortError'));
+    };
+    const cancelButton = document.createElement('button');
+    cancelButton.type        = 'button';
+    cancelButton.className   = 'feature-button face-picker-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', cancel);
+    overlay.appendChild(cancelButton);
+
+    overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') cancel();
+    });
+    document.body.appendChild(overlay);
+
+    list.querySelector('button')?.focus();
+  });
+}
@@ -0,0 +1,121 @@
+// =============================================================================
+// shared/FontLibrary.ts
+// Local font library in IndexedDB. Every loaded file is kept as a raw
+// ArrayBuffer, deduplicated by the SHA-256 of its bytes, so fonts survive
+// closing the tab and are not limited by the sessionStorage quota.
+// =============================================================================
+
+import type { FontFile, FontInformation, FontLibraryEntry, FontRef } from '../core/Types.js';
+import { openDatabase, promisify, transactionDone } from './IndexedDB.js';
+
+const DB_NAME    = 'bx90000_font_library';
+const DB_VERSION = 1;
+/** Metadata records, keyed by hash. */
+const META_STORE = 'fonts';
+/** Font binaries, keyed by the same hash. */
+const FILE_STORE = 'files';
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** Returns the hex SHA-256 of a font file. */
+export async function hashFontFile(buffer: ArrayBuffer): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Adds a font file to the library, or only bumps its last-used time when the
+ * same bytes are already stored. Returns the stored entry.
+ */
+export async function addToLibrary(
+  buffer:   ArrayBuffer,
+  filename: string,
+  fontInfo: FontInformation,
+): Promise<FontLibraryEntry> {
+  const hash = await hashFontFile(buffer);
+  const db   = await openLibrary();
+  const now  = Date.now();
+
+  const tx       = db.transaction([META_STORE, FILE_STORE], 'readwrite');
+  const meta     = tx.objectStore(META_STORE);
+  const existing = await promisify(meta.get(hash) as IDBRequest<FontLibraryEntry | undefined>);
+
+  const entry: FontLibraryEntry = existing
+    ? { ...existing, lastUsedAt: now }
+    : {
+        hash,
+        filename,
+        byteLength: buffer.byteLength,
+        fontFamily: fontInfo.fontFamily,
+        fullName:   fontInfo.fullName,
+        fontStyle:  fontInfo.fontStyle,
+        format:     fontInfo.format,
+        version:    fontInfo.version,
+        designer:   fontInfo.designer,
+        glyphCount: fontInfo.glyphCount,
+        isVariable: fontInfo.axes.length > 0,
+        addedAt:    now,
+        lastUsedAt: now,
+      };
+
+  meta.put(entry);
+  if (!existing) tx.objectStore(FILE_STORE).put(buffer, hash);
+  await transactionDone(tx);
+  return entry;
+}
+
+/** Lists every font in the library, ordered by family and then full name. */
+export async function listLibrary(): Promise<FontLibraryEntry[]> {
+  const db      = await openLibrary();
+  const tx      = db.transaction(META_STORE, 'readonly');
+  const entries = await promisify(tx.objectStore(META_STORE).getAll() as IDBRequest<FontLibraryEntry[]>);
+  return entries.sort((a, b) =>
+    a.fontFamily.localeCompare(b.fontFamily) || a.fullName.localeCompare(b.fullName));
+}
+
+/** Reads a library font back as a FontFile, or null when it has been deleted. */
+export async function getLibraryFile({ hash, faceIndex }: FontRef): Promise<FontFile | null> {
+  const db = await openLibrary();
+  const tx = db.transaction([META_STORE, FILE_STORE], 'readonly');
+
+  const [entry, buffer] = await Promise.all([
+    promisify(tx.objectStore(META_STORE).get(hash) as IDBRequest<FontLibraryEntry | undefined>),
+    promisify(tx.objectStore(FILE_STORE).get(hash) as IDBRequest<ArrayBuffer | undefined>),
+  ]);
+  if (!entry || !buffer) return null;
+
+  return { buffer, filename: entry.filename, ...(faceIndex !== undefined ? { faceIndex } : {}) };
+}
+
+/** Deletes a font and its metadata from the library. */
+export async function removeFromLibrary(hash: string): Promise<void> {
+  const db = await openLibrary();
+  const tx = db.transaction([META_STORE, FILE_STORE], 'readwrite');
+  tx.objectStore(META_STORE).delete(hash);
+  tx.objectStore(FILE_STORE).delete(hash);
+  await transactionDone(tx);
+}
+
+/**
+ * True when every whitespace-separated term of `query` appears in the
+ * entry's family, full name, file name, designer or format.
+ */
+export function matchesLibraryQuery(entry: FontLibraryEntry, query: string): boolean {
+  const haystack = [entry.fontFamily, entry.fullName, entry.filename, entry.designer, entry.format]
+    .join(' ')
+    .toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+// ---------------------------------------------------------------------------
+// IndexedDB plumbing
+// ---------------------------------------------------------------------------
+
+function openLibrary(): Promise<IDBDatabase> {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'hash' });
+    if (!db.objectStoreNames.contains(FILE_STORE)) db.createObjectStore(FILE_STORE);
+  });
+}
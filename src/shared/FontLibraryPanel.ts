@@ -0,0 +1,228 @@
+// =============================================================================
+// shared/FontLibraryPanel.ts
+// Top-bar "Font library" button and the panel it opens: browse, search,
+// reopen and delete the fonts kept in the local IndexedDB library.
+// =============================================================================
+
+import {
+  listLibrary,
+  getLibraryFile,
+  removeFromLibrary,
+  matchesLibraryQuery,
+} from './FontLibrary.js';
+import type { FontFile, FontLibraryEntry } from '../core/Types.js';
+
+export interface FontLibraryPanelOptions {
+  /** Loads the chosen fonts — apps pass the same handler as for a file drop. */
+  onOpen: (files: FontFile[]) => void;
+}
+
+export class FontLibraryPanel {
+  private readonly onOpen:  (files: FontFile[]) => void;
+  private readonly button:  HTMLButtonElement;
+  private readonly panel:   HTMLElement;
+  private readonly search:  HTMLInputElement;
+  private readonly list:    HTMLElement;
+  private readonly summary: HTMLElement;
+
+  private entries: FontLibraryEntry[] = [];
+
+  constructor(options: FontLibraryPanelOptions) {
+    this.onOpen = options.onOpen;
+
+    this.button = document.createElement('button');
+    this.button.id          = 'library-toggle';
+    this.button.textContent = 'Font library';
+    this.button.addEventListener('click', () => {
+      if (this.isOpen) this.close(); else void this.open();
+    });
+    document.getElementById('appFunctions')
+      ?.insertBefore(this.button, document.getElementById('colour-picker'));
+
+    this.panel = document.createElement('div');
+    this.panel.id            = 'font-library';
+    this.panel.style.display = 'none';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.innerHTML = `
+      <div class="font-library-header">
+        <strong>Font library</strong>
+        <button type="button" class="feature-button font-library-close">Close</button>
+      </div>
+      <input type="search" class="font-library-search" placeholder="Search family, style, designer…">
+      <div class="font-library-list"></div>
+      <p class="font-library-summary"></p>`;
+
+    this.search  = this.panel.querySelector('.font-library-search')  as HTMLInputElement;
+    this.list    = this.panel.querySelector('.font-library-list')    as HTMLElement;
+    this.summary = this.panel.querySelector('.font-library-summary') as HTMLElement;
+
+    this.panel.querySelector('.font-library-close')
+      ?.addEventListener('click', () => { this.close(); });
+    this.search.addEventListener('input', () => { this.render(); });
+
+    // Keep app shortcuts (space, f, s, j/k …) from firing while typing here.
+    this.panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') this.close();
+    });
+
+    document.body.appendChild(this.panel);
+  }
+
+  get isOpen(): boolean {
+    return this.panel.style.display !== 'none';
+  }
+
+  /** Shows the panel with a fresh listing of the library. */
+  async open(): Promise<void> {
+    this.panel.style.display = '';
+    this.button.textContent  = 'Hide font library';
+    this.search.focus();
+    await this.reload();
+  }
+
+  close(): void {
+    this.panel.style.display = 'none';
+    this.button.textContent  = 'Font library';
+    this.button.blur();
+  }
+
+  /** Removes the button and the panel. */
+  destroy(): void {
+    this.button.remove();
+    this.panel.remove();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Listing
+  // ---------------------------------------------------------------------------
+
+  private async reload(): Promise<void> {
+    try {
+      this.entries = await listLibrary();
+    } catch (err) {
+      this.entries = [];
+      this.showError('The font library is not available in this browser.', 'Could not read the font library:', err);
+      return;
+    }
+    this.render();
+  }
+
+  /** Replaces the listing with `message`, logging `err` to the console. */
+  private showError(message: string, logMessage: string, err: unknown): void {
+    this.list.textContent    = message;
+    this.summary.textContent = '';
+    console.warn(logMessage, err);
+  }
+
+  private render(): void {
+    const query   = this.search.value.trim();
+    const matches = this.entries.filter(entry => matchesLibraryQuery(entry, query));
+
+    this.list.innerHTML = '';
+
+    const families = new Map<string, FontLibraryEntry[]>();
+    for (const entry of matches) {
+      const styles = families.get(entry.fontFamily) ?? [];
+      styles.push(entry);
+      families.set(entry.fontFamily, styles);
+    }
+
+    for (const [family, styles] of families) {
+      const group = document.createElement('div');
+      group.className = 'font-library-family';
+
+      const heading = document.createElement('div');
+      heading.className   = 'font-library-family-name';
+      heading.textContent = family;
+      if (styles.length > 1) {
+        heading.appendChild(this.createButton(`Open all ${styles.length}`, () => {
+          void this.openEntries(styles);
+        }));
+      }
+      group.appendChild(heading);
+
+      for (const entry of styles) {
+        group.appendChild(this.createRow(entry));
+      }
+      this.list.appendChild(group);
+    }
+
+    if (matches.length === 0) {
+      this.list.textContent = this.entries.length === 0
+        ? 'No fonts yet. Every font you drop is kept here.'
+        : 'No fonts match your search.';
+    }
+
+    const totalBytes = this.entries.reduce((sum, entry) => sum + entry.byteLength, 0);
+    this.summary.textContent = `${this.entries.length} font${this.entries.length === 1 ? '' : 's'}, `
+      + `${formatBytes(totalBytes)} stored in this browser`;
+  }
+
+  private createRow(entry: FontLibraryEntry): HTMLElement {
+    const row = document.createElement('div');
+    row.className = 'font-library-row';
+
+    const open = this.createButton(entry.fullName !== 'Unknown' ? entry.fullName : entry.filename, () => {
+      void this.openEntries([entry]);
+    });
+    open.title = entry.filename;
+    row.appendChild(open);
+
+    const details = document.createElement('span');
+    details.className   = 'font-library-details';
+    details.textContent = [
+      entry.format,
+      entry.isVariable ? 'variable' : '',
+      `${entry.glyphCount} glyphs`,
+      formatBytes(entry.byteLength),
+    ].filter(Boolean).join(' · ');
+    row.appendChild(details);
+
+    row.appendChild(this.createButton('Delete', () => {
+      if (!window.confirm(`Remove ${entry.fullName} from the font library?`)) return;
+      removeFromLibrary(entry.hash)
+        .then(() => this.reload())
+        .catch((err: unknown) => {
+          this.showError(`${entry.fullName} could not be removed from the font library.`, 'Could not delete from the font library:', err);
+        });
+    }));
+
+    return row;
+  }
+
+  private createButton(label: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.type        = 'button';
+    button.className   = 'feature-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Opening
+  // ---------------------------------------------------------------------------
+
+  private async openEntries(entries: readonly FontLibraryEntry[]): Promise<void> {
+    let files: (FontFile | null)[];
+    try {
+      files = await Promise.all(entries.map(({ hash }) => getLibraryFile({ hash })));
+    } catch (err) {
+      this.showError('The fonts could not be read from the font library.', 'Could not open from the font library:', err);
+      return;
+    }
+    const found = files.filter((file): file is FontFile => file !== null);
+    if (found.length === 0) return;
+
+    this.close();
+    document.getElementById('drop-text')?.remove();
+    this.onOpen(found);
+  }
+}
+
+function formatBytes(bytes: number): string {
+  if (bytes < 1024)        return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -1,14 +1,21 @@
 // =============================================================================
 // shared/FontSession.ts
-// Persists the loaded font binary and UI state across page navigations via
-// sessionStorage.
+// Persists the loaded fonts (as font-library references) and UI state across
+// page navigations via sessionStorage.
 // =============================================================================
 
+import type { FontRef }        from '../core/Types.js';
+import type { LanguageSystem } from '../core/LanguageSystems.js';
+
 const STORAGE_KEY       = 'bx90000_font';
 const INSTANCE_KEY      = 'bx90000_instance';
 const AXIS_KEY          = 'bx90000_axes';
 const LAST_CHANGED_KEY  = 'bx90000_last_changed';
 const HYPERFLIP_KEY     = 'bx90000_hyperflip';
+const ACTIVE_STYLE_KEY  = 'bx90000_active_style';
+const LANGUAGES_KEY     = 'bx90000_wordmaster_languages';
+const WRITING_MODE_KEY  = 'bx90000_galley_writing_mode';
+const LANG_SYSTEM_KEY   = 'bx90000_language_system';
 
 // ---------------------------------------------------------------------------
 // Named instance index
@@ -81,58 +88,74 @@ export function getSavedLastChanged(): LastChangedSource | null {
 }
 
 // ---------------------------------------------------------------------------
-// Font binary
+// Loaded fonts (references into the font library)
 // ---------------------------------------------------------------------------
 
-export interface SavedFont {
-  buffer:   ArrayBuffer;
-  filename: string;
-}
-
 /**
- * Encodes the font as base-64 and persists it in sessionStorage.
- * Silently skips on quota errors.
+ * Persists the library hashes of every font of the current family, together
+ * with the face chosen from any TTC/OTC collection. Pass null to clear.
  */
-export function saveFont(buffer: ArrayBuffer, filename: string): void {
+export function saveFonts(fonts: readonly FontRef[] | null): void {
+  if (fonts === null || fonts === undefined) {
+    sessionStorage.removeItem(STORAGE_KEY);
+    return;
+  }
   try {
-    const bytes    = new Uint8Array(buffer);
-    const chunk    = 0x8000;
-    let   binary   = '';
-    for (let i = 0; i < bytes.length; i += chunk) {
-      binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
-    }
-    const b64 = btoa(binary);
-    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ b64, filename: filename ?? '' }));
-  } catch (err) {
-    console.warn('Could not save font to session:', (err as Error).message);
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(fonts));
+  } catch {
+    // Ignore
   }
 }
 
-/** Decodes and returns the saved font, or null when none is stored. */
-export function getSavedFont(): SavedFont | null {
+/**
+ * Returns the saved font references, or an empty array when none are stored.
+ * Sessions written before the library (base-64 binaries) are ignored.
+ */
+export function getSavedFonts(): FontRef[] {
   try {
     const item = sessionStorage.getItem(STORAGE_KEY);
-    if (!item) return null;
-    const { b64, filename } = JSON.parse(item) as { b64: string; filename: string };
-    const binary = atob(b64);
-    const bytes  = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    return { buffer: bytes.buffer, filename };
+    if (!item) return [];
+    const parsed: unknown = JSON.parse(item);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((ref): ref is FontRef =>
+      typeof ref === 'object' && ref !== null && typeof (ref as FontRef).hash === 'string');
   } catch {
-    return null;
+    return [];
   }
 }
 
+// ---------------------------------------------------------------------------
+// Active style within a multi-font family
+// ---------------------------------------------------------------------------
+
+/** Persists the index of the active style. Pass null to clear. */
+export function saveActiveStyle(index: number | null): void {
+  if (index === null || index === undefined) {
+    sessionStorage.removeItem(ACTIVE_STYLE_KEY);
+  } else {
+    sessionStorage.setItem(ACTIVE_STYLE_KEY, String(index));
+  }
+}
+
+/** Returns the saved active-style index, or null when none is stored. */
+export function getSavedActiveStyle(): number | null {
+  const val = sessionStorage.getItem(ACTIVE_STYLE_KEY);
+  if (val === null) return null;
+  const idx = parseInt(val, 10);
+  return isNaN(idx) ? null : idx;
+}
+
 // ---------------------------------------------------------------------------
 // OpenType feature state
 // ---------------------------------------------------------------------------
 
 const OPENTYPE_FEATURES_KEY = 'bx90000_opentype_features';
 
-/** Persists the set of active OpenType feature tags. Pass null to clear. */
-export function saveOpenTypeFeatures(features: string[] | null): void {
+/**
+ * Persists the OpenType feature values that differ from the defaults, e.g.
+ * { smcp: 1, liga: 0, cv01: 2 }. Pass null to clear.
+ */
+export function saveOpenTypeFeatures(features: Record<string, number> | null): void {
   if (features === null || features === undefined) {
     sessionStorage.removeItem(OPENTYPE_FEATURES_KEY);
     return;
@@ -144,11 +167,16 @@ export function saveOpenTypeFeatures(features: string[] | null): void {
   }
 }
 
-/** Returns the saved active OpenType feature tags, or null. */
-export function getSavedOpenTypeFeatures(): string[] | null {
+/** Returns the saved OpenType feature values, or null. */
+export function getSavedOpenTypeFeatures(): Record<string, number> | null {
   try {
     const val = sessionStorage.getItem(OPENTYPE_FEATURES_KEY);
-    return val !== null ? (JSON.parse(val) as string[]) : null;
+    if (val === null) return null;
+    const parsed = JSON.parse(val) as unknown;
+    // Older sessions stored a plain list of tags
+    return typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)
+      ? parsed as Record<string, number>
+      : null;
   } catch {
     return null;
   }
@@ -158,9 +186,45 @@ export function getSavedOpenTypeFeatures(): string[] | null {
 // HyperFlip UI state
 // ---------------------------------------------------------------------------
 
+export type GlyphCategory = 'all' | 'letters' | 'figures' | 'punctuation' | 'symbols' | 'marks';
+export type GlyphOrder    = 'index' | 'unicode' | 'name' | 'advance' | 'group';
+
+/** Which glyphs HyperFlip flips through, and in which order. */
+export interface GlyphFilter {
+  category:    GlyphCategory;
+  /** Unicode script name, e.g. "Latin"; null for every script. */
+  script:      string | null;
+  /** Unicode block name, e.g. "Latin Extended-A"; null for every block. */
+  block:       string | null;
+  /** Regular expression the glyph name must match; empty for every name. */
+  namePattern: string;
+  order:       GlyphOrder;
+}
+
+/** What HyperFlip shows behind the current glyph. */
+export type GhostMode = 'off' | 'previous' | 'reference';
+
+export interface GhostSettings {
+  mode:       GhostMode;
+  /** How many of the glyphs before the current one are shown. */
+  count:      number;
+  /** CSS colour of the ghost, e.g. "#ff3b30". */
+  colour:     string;
+  /** 0–1; the oldest of several previous glyphs is the faintest. */
+  opacity:    number;
+  /** Blend by difference, so only where the outlines differ stays inked. */
+  difference: boolean;
+}
+
 export interface HyperFlipState {
   isRandomOrder:      boolean;
   isMetricsVisible:   boolean;
+  isOutlineVisible:   boolean;
+  /** Also flip through glyphs no character is mapped to. */
+  includeUnencoded:   boolean;
+  glyphFilter:        GlyphFilter;
+  /** Reference fonts are not kept; a restored 'reference' mode waits for one. */
+  ghost:              GhostSettings;
   isGlyphInfoVisible: boolean;
   glyphIndex:         number;
   fontSize:           number | null;
@@ -190,3 +254,86 @@ export function getSavedHyperFlipState(): HyperFlipState | null {
     return null;
   }
 }
+
+// ---------------------------------------------------------------------------
+// WordMaster language selection
+// ---------------------------------------------------------------------------
+
+export interface WordMasterLanguageState {
+  /** Minimum coverage ratio (0–1) for a language to be detected */
+  threshold:         number;
+  /** Detected languages the user unticked; new fonts' languages stay ticked */
+  excludedLanguages: string[];
+  /** Single language to show regardless of detection, or null for all ticked */
+  forcedLanguage:    string | null;
+}
+
+/** Persists the WordMaster language selection. Pass null to clear. */
+export function saveWordMasterLanguages(state: WordMasterLanguageState | null): void {
+  if (state === null || state === undefined) {
+    sessionStorage.removeItem(LANGUAGES_KEY);
+    return;
+  }
+  try {
+    sessionStorage.setItem(LANGUAGES_KEY, JSON.stringify(state));
+  } catch {
+    // Ignore
+  }
+}
+
+/** Returns the saved WordMaster language selection, or null. */
+export function getSavedWordMasterLanguages(): WordMasterLanguageState | null {
+  try {
+    const val = sessionStorage.getItem(LANGUAGES_KEY);
+    return val !== null ? (JSON.parse(val) as WordMasterLanguageState) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GalleyProof writing mode
+// ---------------------------------------------------------------------------
+
+export type GalleyWritingMode = 'horizontal' | 'vertical';
+
+/** Persists the GalleyProof writing mode. */
+export function saveGalleyWritingMode(mode: GalleyWritingMode): void {
+  try {
+    sessionStorage.setItem(WRITING_MODE_KEY, mode);
+  } catch {
+    // Ignore
+  }
+}
+
+/** Returns the saved GalleyProof writing mode, horizontal when none is stored. */
+export function getSavedGalleyWritingMode(): GalleyWritingMode {
+  return sessionStorage.getItem(WRITING_MODE_KEY) === 'vertical' ? 'vertical' : 'horizontal';
+}
+
+// ---------------------------------------------------------------------------
+// OpenType language system
+// ---------------------------------------------------------------------------
+
+/** Persists the chosen script and language system. Pass null for automatic. */
+export function saveLanguageSystem(system: LanguageSystem | null): void {
+  if (system === null || system === undefined) {
+    sessionStorage.removeItem(LANG_SYSTEM_KEY);
+    return;
+  }
+  try {
+    sessionStorage.setItem(LANG_SYSTEM_KEY, JSON.stringify(system));
+  } catch {
+    // Ignore
+  }
+}
+
+/** Returns the saved script and language system, or null for automatic. */
+export function getSavedLanguageSystem(): LanguageSystem | null {
+  try {
+    const val = sessionStorage.getItem(LANG_SYSTEM_KEY);
+    return val !== null ? (JSON.parse(val) as LanguageSystem) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,47 @@
+// =============================================================================
+// shared/IndexedDB.ts
+// Promise wrappers around IndexedDB for the font library and the custom
+// corpora: one connection per database, opened on first use, and requests
+// and transactions that settle as promises.
+// =============================================================================
+
+const connections = new Map<string, Promise<IDBDatabase>>();
+
+/**
+ * Opens the database `name` at `version`, creating its object stores in
+ * `upgrade`. The connection is shared by later calls; a failed open is
+ * tried again on the next call.
+ */
+export function openDatabase(
+  name:    string,
+  version: number,
+  upgrade: (db: IDBDatabase) => void,
+): Promise<IDBDatabase> {
+  let connection = connections.get(name);
+  if (connection) return connection;
+
+  connection = new Promise<IDBDatabase>((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = () => { upgrade(req.result); };
+    req.onsuccess = () => { resolve(req.result); };
+    req.onerror   = () => { connections.delete(name); reject(req.error ?? new Error(`Could not open ${name}`)); };
+    req.onblocked = () => { connections.delete(name); reject(new Error(`${name} is open in an older tab`)); };
+  });
+  connections.set(name, connection);
+  return connection;
+}
+
+export function promisify<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    req.onsuccess = () => { resolve(req.result); };
+    req.onerror   = () => { reject(req.error ?? new Error('IndexedDB request failed')); };
+  });
+}
+
+export function transactionDone(tx: IDBTransaction): Promise<void> {
+  return new Promise<void>((resolve, reject) => {
+    tx.oncomplete = () => { resolve(); };
+    tx.onerror    = () => { reject(tx.error ?? new Error('IndexedDB transaction failed')); };
+    tx.onabort    = () => { reject(tx.error ?? new Error('IndexedDB transaction aborted')); };
+  });
+}
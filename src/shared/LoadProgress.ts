@@ -0,0 +1,44 @@
+// =============================================================================
+// shared/LoadProgress.ts
+// Small centred indicator shown while fonts are decoded and parsed.
+// =============================================================================
+
+import { LOAD_STAGE_LABELS, type FontLoadProgress, type FontLoadStage } from '../core/Types.js';
+
+/** How far through one file each stage starts, for the progress bar. */
+const STAGE_OFFSETS: Record<FontLoadStage, number> = {
+  decoding:    0,
+  parsing:     0.2,
+  analysing:   0.5,
+  validating:  0.65,
+  registering: 0.85,
+  done:        1,
+};
+
+/**
+ * Default FontLoader progress handler. Creates the indicator on first use
+ * and removes it once the load is done.
+ */
+export function showLoadProgress({ stage, filename, file, files }: FontLoadProgress): void {
+  let indicator = document.getElementById('load-progress');
+
+  if (stage === 'done') {
+    indicator?.remove();
+    return;
+  }
+
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.id = 'load-progress';
+    indicator.setAttribute('role', 'status');
+    indicator.innerHTML = `<span class="load-progress-label"></span><progress max="1" value="0"></progress>`;
+    document.body.appendChild(indicator);
+  }
+
+  const label = indicator.querySelector<HTMLElement>('.load-progress-label');
+  const bar   = indicator.querySelector<HTMLProgressElement>('progress');
+
+  const counter = files > 1 ? ` (${file} of ${files})` : '';
+  if (label) label.textContent = `${LOAD_STAGE_LABELS[stage]} ${filename || 'font'}${counter}…`;
+  if (bar)   bar.value         = (file - 1 + STAGE_OFFSETS[stage]) / files;
+}
@@ -31,6 +31,25 @@ interface CalculatedMetrics {
   originalMetrics:  OriginalMetrics;
 }
 
+/**
+ * The baseline of the glyph in `glyphElement`, in viewport pixels: the typo
+ * ascender and descender of `font` centred on the element, or its centre
+ * when the font has no OS/2 table.
+ */
+export function glyphBaseline(font: opentype.Font, glyphElement: HTMLElement): number {
+  const fontSize       = parseInt(getComputedStyle(glyphElement).fontSize, 10);
+  const glyphRect      = glyphElement.getBoundingClientRect();
+  const verticalCenter = glyphRect.top + glyphRect.height / 2;
+
+  const os2 = font.tables.os2;
+  if (!os2) return verticalCenter;
+
+  const totalHeight      = os2.sTypoAscender - os2.sTypoDescender;
+  const baselineRatio    = os2.sTypoAscender / totalHeight;
+  const totalPixelHeight = (totalHeight / font.unitsPerEm) * fontSize;
+  return verticalCenter - (totalPixelHeight / 2) + (baselineRatio * totalPixelHeight);
+}
+
 export class MetricsOverlay {
   private readonly overlay: HTMLElement;
   public isVisible = false;
@@ -40,15 +59,19 @@ export class MetricsOverlay {
     this.overlay = overlayElement ?? document.createElement('div');
   }
 
-  render(font: opentype.Font | null, glyphElement: HTMLElement | null): void {
+  /**
+   * Draws the lines around the glyph in `glyphElement`: the character it
+   * holds, or the glyph `glyphIndex` when it is drawn from its outline.
+   */
+  render(font: opentype.Font | null, glyphElement: HTMLElement | null, glyphIndex?: number): void {
     if (!this.isVisible || !glyphElement || !font) return;
 
     this.overlay.innerHTML = '';
 
     const currentChar = glyphElement.textContent;
-    if (!currentChar) return;
+    if (glyphIndex === undefined && !currentChar) return;
 
-    const metrics = this.calculateMetrics(font, glyphElement, currentChar);
+    const metrics = this.calculateMetrics(font, glyphElement, glyphIndex ?? font.charToGlyphIndex(currentChar!));
     this.renderMetricLines(metrics, font);
     this.renderBearingLines(metrics);
   }
@@ -56,7 +79,7 @@ export class MetricsOverlay {
   private calculateMetrics(
     font:         opentype.Font,
     glyphElement: HTMLElement,
-    currentChar:  string,
+    glyphIndex:   number,
   ): CalculatedMetrics {
     const computedStyle  = getComputedStyle(glyphElement);
     const fontSize       = parseInt(computedStyle.fontSize, 10);
@@ -68,8 +91,7 @@ export class MetricsOverlay {
     const verticalCenter  = glyphRect.top  + glyphRect.height / 2;
     const horizontalCenter = glyphRect.left + glyphRect.width  / 2;
 
-    const glyphIndex = font.charToGlyphIndex(currentChar);
-    const glyph      = font.glyphs.get(glyphIndex);
+    const glyph = font.glyphs.get(glyphIndex);
 
     const os2 = font.tables.os2;
     if (!os2) {
@@ -83,10 +105,7 @@ export class MetricsOverlay {
       };
     }
 
-    const totalHeight    = os2.sTypoAscender - os2.sTypoDescender;
-    const baselineRatio  = os2.sTypoAscender / totalHeight;
-    const totalPixelHeight = (totalHeight / unitsPerEm) * fontSize;
-    const baseline       = verticalCenter - (totalPixelHeight / 2) + (baselineRatio * totalPixelHeight);
+    const baseline = glyphBaseline(font, glyphElement);
 
     return {
       glyph,
@@ -0,0 +1,77 @@
+// =============================================================================
+// shared/StyleSwitcher.ts
+// Top-bar dropdown listing the styles of a multi-font family, plus the `s` /
+// `S` shortcut that cycles forward / backward through them.
+// =============================================================================
+
+import type { FontLoader } from '../core/FontLoader.js';
+
+export interface StyleSwitcherOptions {
+  fontLoader: FontLoader;
+}
+
+export class StyleSwitcher {
+  private readonly fontLoader: FontLoader;
+  private readonly select:     HTMLSelectElement;
+
+  private readonly _keyHandler: (e: KeyboardEvent) => void;
+
+  constructor(options: StyleSwitcherOptions) {
+    this.fontLoader = options.fontLoader;
+
+    this.select = document.createElement('select');
+    this.select.id            = 'style-picker';
+    this.select.title         = 'Font style (s / Shift+S)';
+    this.select.style.display = 'none';
+
+    // Sits just before the colour picker, alongside the other shared controls.
+    document.getElementById('appFunctions')
+      ?.insertBefore(this.select, document.getElementById('colour-picker'));
+
+    this.select.addEventListener('change', () => {
+      this.fontLoader.switchStyle(parseInt(this.select.value, 10));
+      this.select.blur();
+    });
+
+    this._keyHandler = (e) => { this.handleKeyPress(e); };
+    document.addEventListener('keydown', this._keyHandler);
+  }
+
+  /** Rebuilds the dropdown from the loader's styles. Hidden for single fonts. */
+  refresh(): void {
+    const { styles, activeStyleIndex } = this.fontLoader;
+
+    this.select.innerHTML = '';
+    styles.forEach(({ fontInfo }, i) => {
+      const option = document.createElement('option');
+      option.value       = String(i);
+      option.textContent = fontInfo.fullName !== 'Unknown' ? fontInfo.fullName : fontInfo.filename;
+      this.select.appendChild(option);
+    });
+    this.select.value         = String(activeStyleIndex);
+    this.select.style.display = styles.length > 1 ? '' : 'none';
+  }
+
+  private handleKeyPress(event: KeyboardEvent): void {
+    if (event.key !== 's' && event.key !== 'S') return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (isEditableTarget(event.target)) return;
+
+    const step = event.key === 'S' ? -1 : 1;
+    if (this.fontLoader.switchStyle(this.fontLoader.activeStyleIndex + step)) {
+      event.preventDefault();
+      this.refresh();
+    }
+  }
+
+  /** Removes the dropdown and the document-level key listener. */
+  destroy(): void {
+    document.removeEventListener('keydown', this._keyHandler);
+    this.select.remove();
+  }
+}
+
+function isEditableTarget(target: EventTarget | null): boolean {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
@@ -2,10 +2,13 @@
 // shared/UIControls.ts
 // =============================================================================
 
-const DARK_MODE_KEY     = 'bx90000_dark_mode';
-const FONT_INFO_KEY     = 'bx90000_font_info';
-const FULLSCREEN_KEY    = 'bx90000_fullscreen';
-const COLOUR_CHOICE_KEY = 'bx90000_colour_choice';
+const DARK_MODE_KEY         = 'bx90000_dark_mode';
+const FONT_INFO_KEY         = 'bx90000_font_info';
+const FONT_HEALTH_KEY       = 'bx90000_font_health';
+const METRICS_INSPECTOR_KEY = 'bx90000_metrics_inspector';
+const LANGUAGE_SUPPORT_KEY  = 'bx90000_language_support';
+const FULLSCREEN_KEY        = 'bx90000_fullscreen';
+const COLOUR_CHOICE_KEY     = 'bx90000_colour_choice';
 
 const DEFAULT_COLOUR = 'hsl(0deg 0% 0%)';
 
@@ -33,6 +36,9 @@ export class UIControls {
   // Bound listener — kept so destroy() can remove the exact same reference.
   private readonly _fullscreenHandler: () => void;
 
+  /** Asked before entering fullscreen; returning false cancels. */
+  private fullscreenGuard: (() => boolean) | null = null;
+
   constructor() {
     this.isDarkMode   = sessionStorage.getItem(DARK_MODE_KEY) === 'true';
     this.activeColour = sessionStorage.getItem(COLOUR_CHOICE_KEY) ?? DEFAULT_COLOUR;
@@ -79,22 +85,11 @@ export class UIControls {
       fullscreenButton.addEventListener('click', () => { this.toggleFullscreen(); });
     }
 
-    // --- Font-info toggle ---
-    const fontInfoToggle = document.getElementById('font-info-toggle');
-    const fontInfo       = document.getElementById('font-info');
-    if (fontInfoToggle && fontInfo) {
-      if (sessionStorage.getItem(FONT_INFO_KEY) === 'true') {
-        fontInfo.style.display     = 'block';
-        fontInfoToggle.textContent = 'Hide font info';
-      }
-
-      fontInfoToggle.addEventListener('click', () => {
-        const isVisible = fontInfo.style.display !== 'none';
-        fontInfo.style.display     = isVisible ? 'none' : 'block';
-        fontInfoToggle.textContent = isVisible ? 'Show font info' : 'Hide font info';
-        sessionStorage.setItem(FONT_INFO_KEY, String(!isVisible));
-      });
-    }
+    // --- Info panel toggles ---
+    this._setupPanelToggle('font-info-toggle',         'font-info',         FONT_INFO_KEY,         'font info');
+    this._setupPanelToggle('font-health-toggle',       'font-health',       FONT_HEALTH_KEY,       'font health');
+    this._setupPanelToggle('metrics-inspector-toggle', 'metrics-inspector', METRICS_INSPECTOR_KEY, 'metrics inspector');
+    this._setupPanelToggle('language-support-toggle',  'language-support',  LANGUAGE_SUPPORT_KEY,  'language support');
 
     // --- Colour picker ---
     const colourPicker = document.getElementById('colour-picker') as HTMLSelectElement | null;
@@ -130,6 +125,25 @@ export class UIControls {
   // Fullscreen helpers
   // -------------------------------------------------------------------------
 
+  /** Shows or hides an info panel, remembering the choice for the session. */
+  private _setupPanelToggle(toggleId: string, panelId: string, storageKey: string, label: string): void {
+    const toggle = document.getElementById(toggleId);
+    const panel  = document.getElementById(panelId);
+    if (!toggle || !panel) return;
+
+    if (sessionStorage.getItem(storageKey) === 'true') {
+      panel.style.display = 'block';
+      toggle.textContent  = `Hide ${label}`;
+    }
+
+    toggle.addEventListener('click', () => {
+      const isVisible = panel.style.display !== 'none';
+      panel.style.display = isVisible ? 'none' : 'block';
+      toggle.textContent  = `${isVisible ? 'Show' : 'Hide'} ${label}`;
+      sessionStorage.setItem(storageKey, String(!isVisible));
+    });
+  }
+
   private _setupEventListeners(): void {
     document.addEventListener('fullscreenchange',       this._fullscreenHandler);
     document.addEventListener('webkitfullscreenchange', this._fullscreenHandler);
@@ -148,19 +162,26 @@ export class UIControls {
   toggleFullscreen(): void {
     if (this.isFullscreen) {
       this.exitFullscreen();
-    } else {
+    } else if (this.fullscreenGuard?.() ?? true) {
       this.enterFullscreen();
     }
   }
 
+  /** Installs a check that can cancel entering fullscreen. Pass null to remove. */
+  setFullscreenGuard(guard: (() => boolean) | null): void {
+    this.fullscreenGuard = guard;
+  }
+
+  /** Browsers refuse fullscreen without a fresh user gesture; that is logged, not thrown. */
   private enterFullscreen(): void {
-    const elem = document.documentElement;
+    const elem    = document.documentElement;
+    const refused = (err: unknown): void => { console.warn('Fullscreen request refused:', err); };
     if (elem.requestFullscreen) {
-      void elem.requestFullscreen();
+      elem.requestFullscreen().catch(refused);
     } else if (elem.webkitRequestFullscreen) {
-      void elem.webkitRequestFullscreen();
+      Promise.resolve(elem.webkitRequestFullscreen()).catch(refused);
     } else if (elem.msRequestFullscreen) {
-      void elem.msRequestFullscreen();
+      Promise.resolve(elem.msRequestFullscreen()).catch(refused);
     }
   }
 
@@ -196,6 +196,21 @@ export class GlyphGrid {
     return this.getCellInfoByIndex(index);
   }
 
+  /**
+   * Switches the grid to another style of the same family in place: the
+   * cells keep their position, axes and zoom, and pick from the new style's
+   * glyphs the next time they are randomised.
+   */
+  setFontFamily(fontFamily: string, glyphList: string[]): void {
+    this.fontFamily = fontFamily;
+    if (glyphList.length > 0) this.glyphList = glyphList;
+
+    for (const cell of this.cells) {
+      const content = cell.querySelector<HTMLElement>('.grid-cell-content');
+      if (content) content.style.fontFamily = `"${fontFamily}"`;
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Cell helpers
   // ---------------------------------------------------------------------------
@@ -3,26 +3,35 @@
  * Main controller for TurboTiler BX90000 Fascination
  */
 
-import { FontLoader }   from '../core/FontLoader.js';
-import { UIControls }   from '../shared/UIControls.js';
-import { DragAndDrop }  from '../shared/DragAndDrop.js';
-import { GlyphGrid }    from './GlyphGrid.js';
-import { GridAnimator } from './GridAnimator.js';
-import { initAppNav }   from '../shared/AppNav.js';
-import type { FontLoadResult, AxisDefinition } from '../core/Types.js';
+import { FontLoader }       from '../core/FontLoader.js';
+import { UIControls }       from '../shared/UIControls.js';
+import { DragAndDrop }      from '../shared/DragAndDrop.js';
+import { StyleSwitcher }    from '../shared/StyleSwitcher.js';
+import { FontLibraryPanel } from '../shared/FontLibraryPanel.js';
+import { EmbeddingBadge }   from '../shared/EmbeddingBadge.js';
+import { CoveragePanel }    from '../shared/CoveragePanel.js';
+import { GlyphGrid }        from './GlyphGrid.js';
+import { GridAnimator }     from './GridAnimator.js';
+import { initAppNav }       from '../shared/AppNav.js';
+import type { FontFile, FontLoadResult, AxisDefinition } from '../core/Types.js';
 
 export class TurboTiler {
   public readonly fontLoader: FontLoader;
 
-  private readonly uiControls:    UIControls;
-  private readonly dragAndDrop:   DragAndDrop;
-  private readonly glyphGrid:     GlyphGrid;
-  private readonly gridAnimator:  GridAnimator;
-  private readonly zoomContainer: HTMLElement;
-  private readonly gridContainer: HTMLElement;
+  private readonly uiControls:     UIControls;
+  private readonly dragAndDrop:    DragAndDrop;
+  private readonly styleSwitcher:  StyleSwitcher;
+  private readonly fontLibrary:    FontLibraryPanel;
+  private readonly embeddingBadge: EmbeddingBadge;
+  private readonly coveragePanel:  CoveragePanel;
+  private readonly glyphGrid:      GlyphGrid;
+  private readonly gridAnimator:   GridAnimator;
+  private readonly zoomContainer:  HTMLElement;
+  private readonly gridContainer:  HTMLElement;
 
   private currentFont:       opentype.Font | null = null;
   private currentFontFamily  = '';
+  private currentUnicodes:   readonly number[]    = [];
   private resizeTimeouts:    ReturnType<typeof setTimeout>[] | null = null;
 
   private readonly _keyHandler:    (e: KeyboardEvent) => void;
@@ -38,17 +47,26 @@ export class TurboTiler {
     this.gridAnimator = new GridAnimator(gridContainer, this.glyphGrid);
 
     this.fontLoader = new FontLoader({
-      onFontLoaded: (result) => { this.handleFontLoaded(result); },
-      onError:      (err)    => { this.handleError(err); },
+      onFontLoaded:   (result) => { this.handleFontLoaded(result); },
+      onStyleChanged: (result) => { this.handleStyleChanged(result); },
+      onError:        (err)    => { this.handleError(err); },
     });
 
     this.uiControls = new UIControls();
 
     this.dragAndDrop = new DragAndDrop({
-      dropZone: document.body,
-      onDrop:   (buffer) => { this.handleFontDrop(buffer); },
+      dropZone:       document.body,
+      onDrop:         (buffer, filename) => { this.handleFontDrop([{ buffer, filename }]); },
+      onDropMultiple: (files)            => { this.handleFontDrop(files); },
     });
 
+    this.styleSwitcher  = new StyleSwitcher({ fontLoader: this.fontLoader });
+    this.fontLibrary    = new FontLibraryPanel({
+      onOpen: (files) => { this.handleFontDrop(files); },
+    });
+    this.embeddingBadge = new EmbeddingBadge({ uiControls: this.uiControls });
+    this.coveragePanel  = new CoveragePanel();
+
     this._keyHandler    = (e) => { this.handleKeyPress(e); };
     this._resizeHandler = () => { this.handleResize(); };
 
@@ -128,7 +146,7 @@ export class TurboTiler {
   // Font drop
   // ---------------------------------------------------------------------------
 
-  private handleFontDrop(arrayBuffer: ArrayBuffer): void {
+  private handleFontDrop(files: FontFile[]): void {
     console.log('Font file dropped, loading...');
     if (this.resizeTimeouts) {
       this.resizeTimeouts.forEach(id => clearTimeout(id));
@@ -136,21 +154,25 @@ export class TurboTiler {
     }
     this.gridAnimator.pause();
     this.gridAnimator.reset();
-    void this.fontLoader.loadFont(arrayBuffer);
+    void this.fontLoader.loadFamily(files);
   }
 
   // ---------------------------------------------------------------------------
   // Font loaded
   // ---------------------------------------------------------------------------
 
-  private handleFontLoaded({ font, fontInfo, fontFamily }: FontLoadResult): void {
+  private handleFontLoaded({ font, fontInfo, fontFamily, unicodes }: FontLoadResult): void {
     console.log(`Font loaded: ${font.names.fullName?.['en'] ?? 'Unknown'}`);
     console.log(`Unique family name: ${fontFamily}`);
 
     this.currentFont       = font;
     this.currentFontFamily = fontFamily;
+    this.currentUnicodes   = unicodes;
+    this.styleSwitcher.refresh();
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
 
-    const glyphList = this.extractGlyphs(font);
+    const glyphList = this.extractGlyphs(unicodes);
     const axes      = this.extractAxes(font);
     const features  = this.extractFeatures(font);
 
@@ -177,6 +199,16 @@ export class TurboTiler {
     });
   }
 
+  /** Swaps in another style of the loaded family without rebuilding the grid. */
+  private handleStyleChanged({ font, fontInfo, fontFamily, unicodes }: FontLoadResult): void {
+    this.currentFont       = font;
+    this.currentFontFamily = fontFamily;
+    this.currentUnicodes   = unicodes;
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
+    this.glyphGrid.setFontFamily(fontFamily, this.extractGlyphs(unicodes));
+  }
+
   private handleError(error: Error): void {
     console.error('Font loading error:', error);
     alert(`Error loading font: ${error.message}\nPlease check the console for details.`);
@@ -186,15 +218,12 @@ export class TurboTiler {
   // Font data extraction
   // ---------------------------------------------------------------------------
 
-  private extractGlyphs(font: opentype.Font): string[] {
+  private extractGlyphs(unicodes: readonly number[]): string[] {
     const glyphs: string[]  = [];
     const excluded = /[\p{White_Space}\p{M}\p{Diacritic}\p{C}]/u;
 
-    for (let i = 0; i < font.glyphs.length; i++) {
-      const glyph = font.glyphs.get(i);
-      if (glyph.name === '.notdef' || glyph.unicode === undefined) continue;
-
-      const char = String.fromCodePoint(glyph.unicode);
+    for (const unicode of unicodes) {
+      const char = String.fromCodePoint(unicode);
       if (excluded.test(char)) continue;
       glyphs.push(char);
     }
@@ -237,7 +266,7 @@ export class TurboTiler {
     this.syncZoomOutScaleToViewport();
     this.glyphGrid.populate(
       this.gridContainer,
-      this.extractGlyphs(this.currentFont),
+      this.extractGlyphs(this.currentUnicodes),
       this.extractAxes(this.currentFont),
       this.extractFeatures(this.currentFont),
       this.currentFontFamily,
@@ -269,6 +298,10 @@ export class TurboTiler {
     document.removeEventListener('MSFullscreenChange',       this._resizeHandler);
     this.uiControls.destroy();
     this.dragAndDrop.destroy();
+    this.styleSwitcher.destroy();
+    this.fontLibrary.destroy();
+    this.embeddingBadge.destroy();
+    this.coveragePanel.destroy();
   }
 }
 
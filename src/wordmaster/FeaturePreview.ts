@@ -0,0 +1,120 @@
+// =============================================================================
+// wordmaster/FeaturePreview.ts
+// Popup shown while hovering an OpenType feature button: the glyphs the
+// feature substitutes, as before → after pairs drawn from the font's
+// outlines, so a stylistic set can be found without toggling through them.
+// =============================================================================
+
+import { featureSubstitutions, type GlyphSubstitution } from '../core/FeatureSubstitutions.js';
+import { glyphSvg } from '../core/GlyphOutline.js';
+import { escapeHtml } from '../core/Html.js';
+
+/** Pairs drawn per feature; the rest are counted. */
+const MAX_PREVIEW_PAIRS = 48;
+const GLYPH_HEIGHT      = 36;
+/** Gap between the button and the popup, in pixels. */
+const OFFSET            = 6;
+
+export class FeaturePreview {
+  private readonly popup: HTMLElement;
+
+  private font: opentype.Font | null = null;
+  /** Substitutions per feature tag, read on first hover. */
+  private readonly cache = new Map<string, GlyphSubstitution[]>();
+
+  constructor() {
+    this.popup = document.createElement('div');
+    this.popup.id            = 'feature-preview';
+    this.popup.style.display = 'none';
+    this.popup.setAttribute('role', 'tooltip');
+    document.body.appendChild(this.popup);
+  }
+
+  /** Uses a newly loaded font; previews of the previous one are dropped. */
+  setFont(font: opentype.Font | null): void {
+    this.font = font;
+    this.cache.clear();
+    this.hide();
+  }
+
+  /** Shows what `tag` substitutes, above the hovered button. */
+  show(anchor: HTMLElement, tag: string, label: string): void {
+    if (!this.font) return;
+    const font = this.font;
+
+    let substitutions = this.cache.get(tag);
+    if (!substitutions) {
+      try {
+        substitutions = uniqueSubstitutions(featureSubstitutions(font, tag));
+      } catch (err) {
+        console.warn(`Could not read the substitutions of ${tag}:`, err);
+        substitutions = [];
+      }
+      this.cache.set(tag, substitutions);
+    }
+
+    const shown = substitutions.slice(0, MAX_PREVIEW_PAIRS);
+    const more  = substitutions.length - shown.length;
+    const count = substitutions.length === 1 ? '1 substitution' : `${substitutions.length} substitutions`;
+
+    this.popup.innerHTML = `
+      <p class="feature-preview-heading"><strong>${escapeHtml(label)}</strong> · ${count}</p>
+      ${substitutions.length === 0
+        ? '<p>No glyph substitutions. Positioning features (GPOS) move glyphs instead of replacing them.</p>'
+        : `<div class="feature-preview-pairs">${shown.map(s => pairHTML(font, s)).join('')}</div>`}
+      ${more > 0 ? `<p>… and ${more} more</p>` : ''}`;
+
+    this.popup.style.display = '';
+    this.position(anchor);
+  }
+
+  hide(): void {
+    this.popup.style.display = 'none';
+  }
+
+  /** Removes the popup. */
+  destroy(): void {
+    this.popup.remove();
+  }
+
+  /** Places the popup above the anchor, or below when there is no room. */
+  private position(anchor: HTMLElement): void {
+    const rect  = anchor.getBoundingClientRect();
+    const popup = this.popup.getBoundingClientRect();
+    const left  = Math.max(OFFSET, Math.min(rect.left, window.innerWidth - popup.width - OFFSET));
+    const above = rect.top - popup.height - OFFSET;
+
+    this.popup.style.left = `${left}px`;
+    this.popup.style.top  = `${above >= 0 ? above : rect.bottom + OFFSET}px`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Drops repeats: the same pair is often registered for several scripts or contexts. */
+function uniqueSubstitutions(substitutions: GlyphSubstitution[]): GlyphSubstitution[] {
+  const seen = new Set<string>();
+  return substitutions.filter(({ input, output }) => {
+    const key = `${input.join(',')}>${output.join(',')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function pairHTML(font: opentype.Font, substitution: GlyphSubstitution): string {
+  const { kind, input, output, contextual } = substitution;
+  const names  = (glyphs: number[]) => glyphs.map(id => font.glyphs.get(id).name || `glyph ${id}`).join(' ');
+  const glyphs = (ids: number[]) => ids.map(id => glyphSvg(font, id, GLYPH_HEIGHT)).join('');
+  const label  = `${names(input)} → ${names(output)}`
+    + (kind === 'alternate' ? ' (alternates)' : '')
+    + (contextual ? ' (in context)' : '');
+
+  return `<span class="feature-preview-pair${contextual ? ' contextual' : ''}" aria-label="${escapeHtml(label)}">`
+    + `<span class="feature-preview-before">${glyphs(input)}</span>`
+    + '<span class="feature-preview-arrow">→</span>'
+    + `<span class="feature-preview-after">${glyphs(output)}</span>`
+    + '</span>';
+}
@@ -14,10 +14,16 @@
 /** Shape of language_charsets.json — map of language name → sorted codepoints */
 export type LanguageCharsets = Record<string, number[]>;
 
-/** A word paired with its BCP 47 language tag for use in the `lang` attribute. */
+export type TextDirection = 'ltr' | 'rtl';
+
+/**
+ * A word paired with its BCP 47 language tag for use in the `lang` attribute,
+ * and the writing direction for the `dir` attribute.
+ */
 export interface WordEntry {
   word: string;
   lang: string;
+  dir:  TextDirection;
 }
 
 /**
@@ -26,6 +32,7 @@ export interface WordEntry {
  * language-specific OpenType features (locl, ss*, etc.).
  */
 export const BCP47_TAGS: Readonly<Record<string, string>> = {
+  arabic:       'ar',
   basque:       'eu',
   belarussian:  'be',
   bulgarian:    'bg',
@@ -40,6 +47,7 @@ export const BCP47_TAGS: Readonly<Record<string, string>> = {
   french:       'fr',
   german:       'de',
   greek:        'el',
+  hebrew:       'he',
   icelandic:    'is',
   irish:        'ga',
   italian:      'it',
@@ -48,6 +56,7 @@ export const BCP47_TAGS: Readonly<Record<string, string>> = {
   latvian:      'lv',
   lithuanian:   'lt',
   norwegian:    'no',
+  persian:      'fa',
   polish:       'pl',
   portuguese:   'pt',
   romansh:      'rm',
@@ -70,34 +79,55 @@ export function langToBcp47(language: string): string {
   return BCP47_TAGS[language] ?? language;
 }
 
+/** Primary language subtags of the right-to-left languages. */
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+
+/** Letters of the right-to-left scripts, to tell the direction of untagged text. */
+const RTL_LETTER = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+const ANY_LETTER = /\p{L}/u;
+
+/**
+ * Writing direction of a word: from its language tag when that is a
+ * right-to-left language, otherwise from its first letter, so untagged
+ * custom word lists work too.
+ */
+export function textDirection(lang: string, text = ''): TextDirection {
+  if (RTL_LANGUAGES.has(lang.split('-')[0]!.toLowerCase())) return 'rtl';
+  const firstLetter = [...text].find(char => ANY_LETTER.test(char));
+  return firstLetter && RTL_LETTER.test(firstLetter) ? 'rtl' : 'ltr';
+}
+
+/** Builds a word entry with its direction filled in. */
+export function toWordEntry(word: string, lang: string): WordEntry {
+  return { word, lang, dir: textDirection(lang, word) };
+}
+
+/** "german" → "German (de)", for lists and menus. */
+export function languageLabel(language: string): string {
+  return `${language.charAt(0).toUpperCase()}${language.slice(1)} (${langToBcp47(language)})`;
+}
+
 /**
  * Fraction of a language's required codepoints that must be present in the
  * font for the language to be considered supported.
  *
  *   1.0 = every character must be present (strict — no .notdef fallbacks)
  *   0.9 = 90 % must be present (tolerates a handful of missing glyphs)
+ *
+ * This is the default; WordMaster's "Coverage threshold" slider overrides it.
  */
-const COVERAGE_THRESHOLD = 1.0;
+export const COVERAGE_THRESHOLD = 1.0;
 
 // ---------------------------------------------------------------------------
 // Font codepoint extraction
 // ---------------------------------------------------------------------------
 
 /**
- * Builds the complete set of Unicode codepoints available in the given font.
+ * Builds the complete set of Unicode codepoints available in a font, from
+ * the encoded glyphs listed in FontLoadResult.unicodes.
  */
-export function buildFontCodepointSet(font: opentype.Font): Set<number> {
-  const codepoints = new Set<number>();
-  const glyphCount = font.glyphs.length;
-
-  for (let i = 0; i < glyphCount; i++) {
-    const glyph = font.glyphs.get(i);
-    if (glyph.unicode !== undefined) {
-      codepoints.add(glyph.unicode);
-    }
-  }
-
-  return codepoints;
+export function buildFontCodepointSet(unicodes: readonly number[]): Set<number> {
+  return new Set(unicodes);
 }
 
 // ---------------------------------------------------------------------------
@@ -121,10 +151,63 @@ export async function fetchLanguageCharsets(
   return response.json() as Promise<LanguageCharsets>;
 }
 
+/** Fetches a language's word list, one word per line, dropping blank lines. */
+export async function fetchWordList(corpusBase: string, language: string): Promise<string[]> {
+  const response = await fetch(`${corpusBase}/${language}.txt`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${language}.txt (${response.status})`);
+  }
+
+  const text = await response.text();
+  return text.split('\n').map(w => w.trim()).filter(w => w.length > 0);
+}
+
+// ---------------------------------------------------------------------------
+// Joining scripts
+// ---------------------------------------------------------------------------
+
+/** Arabic presentation forms A and B, which fonts reach through GSUB, not the cmap. */
+const PRESENTATION_FORMS = /[\uFB50-\uFDFF\uFE70-\uFEFF]/u;
+
+/** Joining and direction controls and the tatweel, which a font need not map. */
+const NOT_REQUIRED = new Set([0x200C, 0x200D, 0x200E, 0x200F, 0x061C, 0x0640]);
+
+/**
+ * The codepoints a font must map to show `codepoints`: presentation forms are
+ * folded to the letters they show, since the joining forms come from the
+ * font's shaping, and joining controls are dropped.
+ */
+export function requiredCodepoints(codepoints: readonly number[]): number[] {
+  const required = new Set<number>();
+  for (const cp of codepoints) {
+    const char = String.fromCodePoint(cp);
+    const base = PRESENTATION_FORMS.test(char) ? char.normalize('NFKC') : char;
+    for (const baseChar of base) {
+      const baseCp = baseChar.codePointAt(0) ?? cp;
+      if (baseCp > 0x20 && !NOT_REQUIRED.has(baseCp)) required.add(baseCp);
+    }
+  }
+  return [...required].sort((a, b) => a - b);
+}
+
 // ---------------------------------------------------------------------------
 // Detection
 // ---------------------------------------------------------------------------
 
+/** How well the font covers one language's word list. */
+export interface LanguageCoverage {
+  language:  string;
+  /** Whether the coverage ratio meets the detection threshold */
+  supported: boolean;
+  /** Fraction of required codepoints present, 0–1 */
+  ratio:     number;
+  /** Number of distinct codepoints the word list uses */
+  required:  number;
+  /** Required codepoints the font has no glyph for, sorted */
+  missing:   number[];
+}
+
 export interface DetectionResult {
   /** Language names whose word lists are fully covered by the font */
   supportedLanguages: string[];
@@ -132,6 +215,8 @@ export interface DetectionResult {
   wordListFiles: string[];
   /** Coverage ratio per language (0–1), useful for diagnostics */
   coverageReport: Record<string, number>;
+  /** Every language in the charset map, in its order, with the missing codepoints */
+  languages: LanguageCoverage[];
 }
 
 /**
@@ -149,24 +234,68 @@ export function detectSupportedLanguages(
 ): DetectionResult {
   const supportedLanguages: string[] = [];
   const coverageReport: Record<string, number> = {};
+  const languages: LanguageCoverage[] = [];
 
-  for (const [language, required] of Object.entries(charsets)) {
+  for (const [language, codepoints] of Object.entries(charsets)) {
+    const required = requiredCodepoints(codepoints);
     if (required.length === 0) continue;
 
-    const coveredCount = required.filter(cp => fontCodepoints.has(cp)).length;
-    const ratio        = coveredCount / required.length;
+    const missing = required.filter(cp => !fontCodepoints.has(cp));
+    const ratio   = (required.length - missing.length) / required.length;
 
     // Round to three decimal places for readability
     coverageReport[language] = Math.round(ratio * 1000) / 1000;
 
-    if (ratio >= threshold) {
+    const supported = ratio >= threshold;
+    if (supported) {
       supportedLanguages.push(language);
     }
+    languages.push({ language, supported, ratio, required: required.length, missing });
   }
 
   supportedLanguages.sort();
 
   const wordListFiles = supportedLanguages.map(lang => `${lang}.txt`);
 
-  return { supportedLanguages, wordListFiles, coverageReport };
+  return { supportedLanguages, wordListFiles, coverageReport, languages };
+}
+
+// ---------------------------------------------------------------------------
+// Inferring the language of a custom word list
+// ---------------------------------------------------------------------------
+
+/**
+ * Guesses which corpus language a text is in from its letters outside ASCII,
+ * which is what tells the languages apart (æ/ø for Danish, і/ї for Ukrainian
+ * …). A letter found in a language's charset scores a point and a missing one
+ * costs a point; letters of the charset the text does not use cost half a
+ * point, so the closest charset wins a tie. The charsets only hold the letters
+ * of the bundled word lists, so this is a first guess for the user to correct.
+ * Text in plain ASCII is taken to be English. Returns null when no language
+ * shares a letter with the text.
+ */
+export function inferLanguage(text: string, charsets: LanguageCharsets): string | null {
+  const letters = new Set(
+    requiredCodepoints([...text.toLowerCase()].map(char => char.codePointAt(0) ?? 0))
+      .filter(cp => cp > 0x7F && ANY_LETTER.test(String.fromCodePoint(cp))),
+  );
+  if (letters.size === 0) return 'english';
+
+  let best: string | null = null;
+  let bestScore = -Infinity;
+  for (const [language, required] of Object.entries(charsets)) {
+    const charset = new Set(required
+      .map(cp => String.fromCodePoint(cp).toLowerCase().codePointAt(0) ?? cp)
+      .filter(cp => cp > 0x7F));
+
+    const hits = [...letters].filter(letter => charset.has(letter)).length;
+    if (hits === 0) continue;
+
+    const score = hits - (letters.size - hits) - 0.5 * (charset.size - hits);
+    if (score > bestScore) {
+      best      = language;
+      bestScore = score;
+    }
+  }
+  return best;
 }
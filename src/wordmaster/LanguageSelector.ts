@@ -0,0 +1,143 @@
+// =============================================================================
+// wordmaster/LanguageSelector.ts
+// "Languages" section of the WordMaster control panel: the coverage threshold
+// for detection, a toggle per detected language and a menu to force a single
+// language. The selection is kept in the session across fonts and pages.
+// =============================================================================
+
+import {
+  saveWordMasterLanguages,
+  getSavedWordMasterLanguages,
+} from '../shared/FontSession.js';
+import {
+  COVERAGE_THRESHOLD,
+  languageLabel,
+  type LanguageCoverage,
+} from './LanguageDetector.js';
+
+export interface LanguageSelectorOptions {
+  /** Called when the threshold changes; detection has to run again. */
+  onThresholdChange: () => void;
+  /** Called when languages are ticked, unticked or forced. */
+  onSelectionChange: () => void;
+}
+
+export class LanguageSelector {
+  private readonly thresholdSlider: HTMLInputElement | null;
+  private readonly thresholdValue:  HTMLElement | null;
+  private readonly buttonsWrapper:  HTMLElement | null;
+  private readonly forceSelect:     HTMLSelectElement | null;
+  private readonly options:         LanguageSelectorOptions;
+
+  private readonly excludedLanguages: Set<string>;
+  private forcedLanguage:  string | null;
+  private detectionRatio:  number;
+  private languages:       LanguageCoverage[] = [];
+
+  constructor(options: LanguageSelectorOptions) {
+    this.options         = options;
+    this.thresholdSlider = document.getElementById('wordmaster-coverage-threshold') as HTMLInputElement | null;
+    this.thresholdValue  = this.thresholdSlider?.parentElement?.querySelector<HTMLElement>('.value') ?? null;
+    this.buttonsWrapper  = document.querySelector<HTMLElement>('.language-buttons-wrapper');
+    this.forceSelect     = document.getElementById('wordmaster-language') as HTMLSelectElement | null;
+
+    const saved = getSavedWordMasterLanguages();
+    this.detectionRatio    = saved?.threshold ?? COVERAGE_THRESHOLD;
+    this.excludedLanguages = new Set(saved?.excludedLanguages ?? []);
+    this.forcedLanguage    = saved?.forcedLanguage ?? null;
+
+    if (this.thresholdSlider) {
+      this.thresholdSlider.value = String(Math.round(this.detectionRatio * 100));
+      // The label follows the slider; detection runs again once it is let go
+      this.thresholdSlider.addEventListener('input', () => {
+        this.detectionRatio = parseInt(this.thresholdSlider!.value, 10) / 100;
+        this.updateThresholdLabel();
+      });
+      this.thresholdSlider.addEventListener('change', () => {
+        this.save();
+        this.options.onThresholdChange();
+      });
+    }
+    this.updateThresholdLabel();
+
+    this.forceSelect?.addEventListener('change', () => {
+      this.forcedLanguage = this.forceSelect!.value || null;
+      this.forceSelect!.blur();
+      this.save();
+      this.renderButtons();
+      this.options.onSelectionChange();
+    });
+  }
+
+  /** Minimum coverage ratio (0–1) for a language to count as supported. */
+  get threshold(): number {
+    return this.detectionRatio;
+  }
+
+  /** Rebuilds the toggles and the menu from a new detection result. */
+  setLanguages(languages: LanguageCoverage[]): void {
+    this.languages = languages;
+    this.renderButtons();
+    this.renderSelect();
+  }
+
+  /**
+   * The languages to take words from: the forced language, or the detected
+   * languages that are still ticked.
+   */
+  selectLanguages(supportedLanguages: readonly string[]): string[] {
+    if (this.forcedLanguage) return [this.forcedLanguage];
+    return supportedLanguages.filter(language => !this.excludedLanguages.has(language));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  private updateThresholdLabel(): void {
+    if (this.thresholdValue) {
+      this.thresholdValue.textContent = `${Math.round(this.detectionRatio * 100)}%`;
+    }
+  }
+
+  private renderButtons(): void {
+    if (!this.buttonsWrapper) return;
+    this.buttonsWrapper.innerHTML = '';
+
+    for (const { language } of this.languages.filter(l => l.supported)) {
+      const button = document.createElement('button');
+      button.className   = 'feature-button';
+      button.textContent = languageLabel(language);
+      button.disabled    = this.forcedLanguage !== null;
+      button.classList.toggle('active', !this.excludedLanguages.has(language));
+      button.addEventListener('click', () => {
+        if (this.excludedLanguages.has(language)) this.excludedLanguages.delete(language);
+        else                                       this.excludedLanguages.add(language);
+        button.classList.toggle('active', !this.excludedLanguages.has(language));
+        button.blur();
+        this.save();
+        this.options.onSelectionChange();
+      });
+      this.buttonsWrapper.appendChild(button);
+    }
+  }
+
+  private renderSelect(): void {
+    if (!this.forceSelect) return;
+
+    this.forceSelect.innerHTML = [
+      '<option value="">All ticked languages</option>',
+      ...this.languages.map(({ language, supported }) =>
+        `<option value="${language}">Only ${languageLabel(language)}${supported ? '' : ' – not covered'}</option>`),
+    ].join('');
+    this.forceSelect.value = this.forcedLanguage ?? '';
+  }
+
+  private save(): void {
+    saveWordMasterLanguages({
+      threshold:         this.detectionRatio,
+      excludedLanguages: Array.from(this.excludedLanguages),
+      forcedLanguage:    this.forcedLanguage,
+    });
+  }
+}
@@ -0,0 +1,213 @@
+// =============================================================================
+// wordmaster/LanguageSupportPanel.ts
+// Fills the "Language support" panel with every language of the word corpus:
+// whether the font passes, its coverage and the exact characters it lacks.
+// Clicking a language sets sample words from its list in the font, with the
+// missing characters highlighted. CJK character sets are listed per tier, and
+// complex scripts with their shaping support.
+// =============================================================================
+
+import { formatCodepoint } from '../core/UnicodeCoverage.js';
+import { escapeHtml } from '../core/Html.js';
+import {
+  fetchWordList,
+  langToBcp47,
+  languageLabel,
+  textDirection,
+  type LanguageCoverage,
+} from './LanguageDetector.js';
+import type { CjkCoverage, ComplexScriptSupport } from './ScriptSupport.js';
+
+/** Sample words shown for an opened language. */
+const SAMPLE_WORDS = 12;
+
+/** Missing characters listed per CJK tier or script; a tier can lack thousands. */
+const MAX_LISTED_MISSING = 60;
+
+export interface LanguageSupportPanelOptions {
+  container:  HTMLElement | null;
+  corpusBase: string;
+}
+
+export class LanguageSupportPanel {
+  private readonly container:  HTMLElement | null;
+  private readonly corpusBase: string;
+
+  /** Word lists fetched so far, kept for the page's lifetime. */
+  private readonly wordLists = new Map<string, Promise<string[]>>();
+
+  private languages:    LanguageCoverage[] = [];
+  private cjkSets:      CjkCoverage[] = [];
+  private scripts:      ComplexScriptSupport[] = [];
+  private fontFamily    = '';
+  private openLanguage: string | null = null;
+
+  constructor(options: LanguageSupportPanelOptions) {
+    this.container  = options.container;
+    this.corpusBase = options.corpusBase;
+
+    this.container?.addEventListener('click', (e) => {
+      const row = (e.target as HTMLElement).closest<HTMLElement>('.language-row');
+      const language = row?.dataset['language'];
+      if (!language) return;
+      this.openLanguage = this.openLanguage === language ? null : language;
+      this.render();
+    });
+  }
+
+  /** Shows the detection result for a newly loaded font or style. */
+  update(languages: LanguageCoverage[], fontFamily: string): void {
+    this.languages  = languages;
+    this.fontFamily = fontFamily;
+    this.render();
+  }
+
+  /**
+   * Shows the CJK tiers (empty for non-CJK fonts) and the complex scripts
+   * the font maps characters of.
+   */
+  updateScripts(cjkSets: CjkCoverage[], scripts: ComplexScriptSupport[]): void {
+    this.cjkSets = cjkSets;
+    this.scripts = scripts;
+    this.render();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  private render(): void {
+    if (!this.container) return;
+
+    const supported = this.languages.filter(l => l.supported).length;
+    this.container.innerHTML = `
+      <p><strong>Language support</strong><br>
+      ${supported} of ${this.languages.length} word lists fully covered. Click a language for samples.</p>
+      ${this.languages.map(coverage => this.rowHTML(coverage)).join('')}
+      ${this.cjkSets.length > 0 ? '<p class="script-heading"><strong>CJK character sets</strong></p>' : ''}
+      ${this.cjkSets.map(coverage => this.cjkRowHTML(coverage)).join('')}
+      ${this.scripts.length > 0 ? '<p class="script-heading"><strong>Complex scripts</strong></p>' : ''}
+      ${this.scripts.map(script => this.scriptRowHTML(script)).join('')}`;
+
+    const samples = this.container.querySelector<HTMLElement>('.language-samples');
+    const open    = this.languages.find(l => l.language === this.openLanguage);
+    if (samples && open) void this.renderSamples(samples, open);
+  }
+
+  private rowHTML(coverage: LanguageCoverage): string {
+    const { language, supported, ratio, required, missing } = coverage;
+    const status  = supported ? 'pass' : 'fail';
+    const covered = required - missing.length;
+    const isOpen  = language === this.openLanguage;
+
+    const missingChars = missing.length > 0
+      ? `<div class="language-missing">Missing &rarr; ${missing.map(codepoint =>
+          `<span title="${formatCodepoint(codepoint)}">${escapeHtml(String.fromCodePoint(codepoint))}</span>`,
+        ).join(' ')}</div>`
+      : '';
+
+    return `
+      <div class="language-row language-${status}${isOpen ? ' language-open' : ''}" data-language="${escapeHtml(language)}">
+        <div class="language-summary">
+          <span class="language-status">${supported ? 'Pass' : 'Fail'}</span>
+          <span class="language-name">${escapeHtml(languageLabel(language))}</span>
+          <span class="language-ratio">${covered}/${required} (${(ratio * 100).toFixed(1)}%)</span>
+        </div>
+        ${missingChars}
+      </div>
+      ${isOpen ? '<div class="language-samples">Loading words…</div>' : ''}`;
+  }
+
+  private cjkRowHTML({ label, lang, supported, tiers }: CjkCoverage): string {
+    const tierRows = tiers.map(({ name, total, covered, ratio, missing }) => `
+      <div class="language-summary script-tier">
+        <span class="language-name">${escapeHtml(name)}</span>
+        <span class="language-ratio">${covered}/${total} (${(ratio * 100).toFixed(1)}%)</span>
+      </div>
+      ${missingHTML(missing, lang)}`).join('');
+
+    return `
+      <div class="script-row language-${supported ? 'pass' : 'fail'}">
+        <div class="language-summary">
+          <span class="language-status">${supported ? 'Pass' : 'Fail'}</span>
+          <span class="language-name">${escapeHtml(label)} (${escapeHtml(lang)})</span>
+        </div>
+        ${tierRows}
+      </div>`;
+  }
+
+  private scriptRowHTML(script: ComplexScriptSupport): string {
+    const { name, supported, total, covered, ratio, missing, scriptTag, missingFeatures } = script;
+    const shaping = scriptTag
+      ? `Script tag ${scriptTag}${missingFeatures.length > 0
+        ? `, no ${missingFeatures.join(' ')}`
+        : ', all shaping features'}`
+      : 'No GSUB/GPOS script tag: shaped with default rules only';
+
+    return `
+      <div class="script-row language-${supported ? 'pass' : 'fail'}">
+        <div class="language-summary">
+          <span class="language-status">${supported ? 'Pass' : 'Fail'}</span>
+          <span class="language-name">${escapeHtml(name)}</span>
+          <span class="language-ratio">${covered}/${total} (${(ratio * 100).toFixed(1)}%)</span>
+        </div>
+        <div class="script-shaping${scriptTag && missingFeatures.length === 0 ? '' : ' language-missing'}">${escapeHtml(shaping)}</div>
+        ${missingHTML(missing, '')}
+      </div>`;
+  }
+
+  /**
+   * Sets sample words in the font, words using missing characters first so
+   * the gaps are visible.
+   */
+  private async renderSamples(samples: HTMLElement, coverage: LanguageCoverage): Promise<void> {
+    let words: string[];
+    try {
+      words = await this.getWordList(coverage.language);
+    } catch (err) {
+      samples.textContent = err instanceof Error ? err.message : String(err);
+      return;
+    }
+    if (!samples.isConnected) return;
+
+    const missing = new Set(coverage.missing);
+    const hasMissing = (word: string): boolean =>
+      [...word].some(char => missing.has(char.codePointAt(0) ?? 0));
+
+    const picked = [
+      ...words.filter(hasMissing),
+      ...words.filter(word => !hasMissing(word)),
+    ].slice(0, SAMPLE_WORDS);
+
+    samples.lang             = langToBcp47(coverage.language);
+    samples.dir              = textDirection(samples.lang);
+    samples.style.fontFamily = `"${this.fontFamily}"`;
+    samples.innerHTML = picked
+      .map(word => [...word]
+        .map(char => missing.has(char.codePointAt(0) ?? 0)
+          ? `<mark class="language-missing-glyph">${escapeHtml(char)}</mark>`
+          : escapeHtml(char))
+        .join(''))
+      .join(' ');
+  }
+
+  private getWordList(language: string): Promise<string[]> {
+    let list = this.wordLists.get(language);
+    if (!list) {
+      list = fetchWordList(this.corpusBase, language);
+      // Let a failed fetch be retried next time the language is opened.
+      list.catch(() => { this.wordLists.delete(language); });
+      this.wordLists.set(language, list);
+    }
+    return list;
+  }
+}
+
+function missingHTML(missing: readonly number[], lang: string): string {
+  if (missing.length === 0) return '';
+  const listed = missing.slice(0, MAX_LISTED_MISSING).map(codepoint =>
+    `<span title="${formatCodepoint(codepoint)}">${escapeHtml(String.fromCodePoint(codepoint))}</span>`,
+  ).join(' ');
+  const more = missing.length > MAX_LISTED_MISSING ? ` … and ${missing.length - MAX_LISTED_MISSING} more` : '';
+  return `<div class="language-missing"${lang ? ` lang="${escapeHtml(lang)}"` : ''}>Missing &rarr; ${listed}${more}</div>`;
+}
@@ -0,0 +1,100 @@
+// =============================================================================
+// wordmaster/LanguageSystemSelect.ts
+// Menu of the scripts and language systems in the loaded font's ScriptList,
+// next to the OpenType feature buttons. Choosing one renders the proof with
+// the matching `lang`, so the browser applies that language system's locl
+// and other substitutions. The choice is kept in the session across fonts
+// and pages, and applies to every font that has the language system.
+// =============================================================================
+
+import { escapeHtml } from '../core/Html.js';
+import {
+  fontScripts,
+  languageSystemLang,
+  languageSystemName,
+  type LanguageSystem,
+} from '../core/LanguageSystems.js';
+import {
+  saveLanguageSystem,
+  getSavedLanguageSystem,
+} from '../shared/FontSession.js';
+
+const AUTOMATIC = '';
+
+export class LanguageSystemSelect {
+  private readonly select:   HTMLSelectElement | null;
+  private readonly onChange: (lang: string | null) => void;
+
+  /** The saved choice; kept while a font without it is loaded. */
+  private chosen:    LanguageSystem | null;
+  /** `script:LANG` values of the loaded font's language systems. */
+  private available = new Set<string>();
+
+  /**
+   * @param onChange Called with the `lang` to render with, or null to go back
+   *                 to the language of the text.
+   */
+  constructor(onChange: (lang: string | null) => void) {
+    this.onChange = onChange;
+    this.select   = document.getElementById('opentype-language-system') as HTMLSelectElement | null;
+    this.chosen   = getSavedLanguageSystem();
+
+    this.select?.addEventListener('change', () => {
+      this.chosen = this.select!.value === AUTOMATIC ? null : parseValue(this.select!.value);
+      this.select!.blur();
+      saveLanguageSystem(this.chosen);
+      this.onChange(this.lang);
+    });
+  }
+
+  /**
+   * The `lang` the chosen language system needs, or null when none is chosen
+   * or the loaded font does not have it.
+   */
+  get lang(): string | null {
+    const { chosen } = this;
+    if (!chosen || !this.available.has(optionValue(chosen))) return null;
+    return languageSystemLang(chosen);
+  }
+
+  /** Rebuilds the menu from a font's GSUB and GPOS ScriptLists. */
+  setFont(font: opentype.Font): void {
+    if (!this.select) return;
+
+    const scripts  = fontScripts(font);
+    this.available = new Set(scripts.flatMap(({ tag, languages }) =>
+      languages.map(language => optionValue({ script: tag, language }))));
+
+    // A font with only the default script and language system has nothing to choose
+    this.select.hidden    = this.available.size === 0;
+    this.select.innerHTML = [
+      `<option value="${AUTOMATIC}">Language system: from the text</option>`,
+      ...scripts.filter(({ languages }) => languages.length > 0).map(({ tag, name, languages }) => `
+        <optgroup label="${escapeHtml(`${name} (${tag.trim()})`)}">
+          ${languages.map(language => {
+            const system = { script: tag, language };
+            const usable = languageSystemLang(system) !== null;
+            return `<option value="${escapeHtml(optionValue(system))}"${usable ? '' : ' disabled'}>`
+              + `${escapeHtml(`${languageSystemName(language)} (${language})`)}${usable ? '' : ' – no language tag'}</option>`;
+          }).join('')}
+        </optgroup>`),
+    ].join('');
+
+    const value = this.chosen ? optionValue(this.chosen) : AUTOMATIC;
+    this.select.value = this.available.has(value) ? value : AUTOMATIC;
+    this.onChange(this.lang);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function optionValue({ script, language }: LanguageSystem): string {
+  return `${script}:${language ?? ''}`;
+}
+
+function parseValue(value: string): LanguageSystem {
+  const [script = '', language = ''] = value.split(':');
+  return { script, language: language || null };
+}
@@ -4,6 +4,13 @@
 
 import type { FontInformation } from '../core/Types.js';
 import { saveOpenTypeFeatures, getSavedOpenTypeFeatures } from '../shared/FontSession.js';
+import {
+  FEATURE_CATEGORIES,
+  featureCategory,
+  featureName,
+  isDefaultOnFeature,
+} from '../core/FeatureRegistry.js';
+import { FeaturePreview } from './FeaturePreview.js';
 
 // ---------------------------------------------------------------------------
 // Internal types
@@ -27,29 +34,53 @@ interface FontInfoLike {
   [key: string]: unknown;
 }
 
+/** Any four printable ASCII characters, as feature tags are. */
+const FEATURE_TAG = /^[\x20-\x7E]{4}$/;
+
+/** Designer-supplied names from a cvXX feature's FeatureParams table. */
+export interface CharacterVariantParams {
+  label:       string | null;
+  tooltip:     string | null;
+  sampleText:  string | null;
+  /** Names of the alternates: index 0 names value 1, and so on. */
+  paramLabels: string[];
+  /** Characters the variant applies to. */
+  characters:  number[];
+}
+
+/** Lookup type 3 (alternate substitution) and 7 (extension). */
+const ALTERNATE_SUBSTITUTION = 3;
+const EXTENSION_SUBSTITUTION = 7;
+
 export class OpenTypeFeatures {
-  private activeFeatures:   Set<string> = new Set();
+  /**
+   * Features set away from their default: off-by-default features the user
+   * turned on, default-on features (liga, kern, calt …) turned off, and the
+   * alternate chosen for features with several.
+   */
+  private featureValues:    Map<string, number> = new Map();
   private availableFeatures: Set<string> = new Set();
   private featureNames:     Map<string, string> = new Map();
-
-  private static readonly KNOWN_FEATURE_NAMES: Readonly<Record<string, string>> = {
-    smcp: 'Small Caps',
-    c2sc: 'Caps to Small Caps',
-    liga: 'Standard Ligatures',
-    dlig: 'Discretionary Ligatures',
-  };
+  private variantParams:    Map<string, CharacterVariantParams> = new Map();
+  /** Number of alternates of features with alternate substitutions, when more than one. */
+  private alternateCounts:  Map<string, number> = new Map();
 
   private readonly buttonsContainer: Element | null;
+  private readonly preview:          FeaturePreview;
   private readonly onFeaturesChanged?: ((featureString: string) => void) | null;
 
   constructor(onFeaturesChanged?: ((featureString: string) => void) | null) {
     this.onFeaturesChanged = onFeaturesChanged;
     this.buttonsContainer  = document.querySelector('.buttons-container');
+    this.preview           = new FeaturePreview();
   }
 
   extractFeatures(fontInfo: FontInformation, font: opentype.Font, buffer: ArrayBuffer): Set<string> {
     const features: Set<string> = new Set();
-    this.featureNames = new Map();
+    this.featureNames    = new Map();
+    this.variantParams   = new Map();
+    this.alternateCounts = new Map();
+    this.preview.setFont(font);
 
     try {
       const info = fontInfo as unknown as FontInfoLike;
@@ -70,6 +101,10 @@ export class OpenTypeFeatures {
         this.processGsubTable(info.opentype.tables.GSUB, features);
       }
 
+      // GSUB and GPOS as parsed on the main thread
+      if (font.tables.gsub) this.processFeatures(font.tables.gsub.features, features);
+      if (font.tables.gpos) this.processFeatures(font.tables.gpos.features, features);
+
       // Walk top-level keys looking for an opentype-like object
       for (const key of Object.keys(info)) {
         const val = info[key];
@@ -80,8 +115,9 @@ export class OpenTypeFeatures {
         }
       }
 
-      // Extract Stylistic Set display names from the raw GSUB binary
-      this.extractSSNamesFromBuffer(buffer, font);
+      // Extract Stylistic Set and Character Variant names from the raw GSUB binary
+      this.extractFeatureParamsFromBuffer(buffer, font);
+      this.countAlternates(font);
 
     } catch (err) {
       console.error('Error extracting OpenType features:', err);
@@ -110,7 +146,11 @@ export class OpenTypeFeatures {
     return null;
   }
 
-  private extractSSNamesFromBuffer(buffer: ArrayBuffer, font: opentype.Font): void {
+  /**
+   * Reads the FeatureParams of ssXX features (a UI name) and cvXX features
+   * (label, tooltip, sample text, alternate names and characters).
+   */
+  private extractFeatureParamsFromBuffer(buffer: ArrayBuffer, font: opentype.Font): void {
     try {
       const data     = new DataView(buffer);
       const tag      = String.fromCharCode(
@@ -144,15 +184,25 @@ export class OpenTypeFeatures {
           data.getUint8(recAbs + 2), data.getUint8(recAbs + 3),
         );
 
-        if (!featureTag.startsWith('ss') || this.featureNames.has(featureTag)) continue;
+        const isStylisticSet    = /^ss\d\d$/.test(featureTag);
+        const isCharacterVariant = /^cv\d\d$/.test(featureTag);
+        if (!(isStylisticSet || isCharacterVariant) || this.featureNames.has(featureTag)) continue;
 
         const featureOffset  = data.getUint16(recAbs + 4);
         const featureAbs     = featureListAbs + featureOffset;
         const featureParamsOffset = data.getUint16(featureAbs);
         if (featureParamsOffset === 0) continue;
 
-        const ssParamsAbs = featureAbs + featureParamsOffset;
-        const uiNameID    = data.getUint16(ssParamsAbs + 2);
+        const paramsAbs = featureAbs + featureParamsOffset;
+
+        if (isCharacterVariant) {
+          const params = this.parseCharacterVariantParams(data, paramsAbs, font);
+          this.variantParams.set(featureTag, params);
+          if (params.label) this.featureNames.set(featureTag, params.label);
+          continue;
+        }
+
+        const uiNameID = data.getUint16(paramsAbs + 2);
         if (uiNameID === 0) continue;
 
         const name = this.getNameFromFont(font, uiNameID);
@@ -163,12 +213,73 @@ export class OpenTypeFeatures {
     }
   }
 
+  /**
+   * cvXX FeatureParams: format, label, tooltip and sample text name IDs, the
+   * number of named alternates and the name ID of the first, then a list of
+   * 24-bit characters.
+   */
+  private parseCharacterVariantParams(data: DataView, offset: number, font: opentype.Font): CharacterVariantParams {
+    const name = (nameId: number): string | null => (nameId === 0 ? null : this.getNameFromFont(font, nameId));
+
+    const labelNameId      = data.getUint16(offset + 2);
+    const tooltipNameId    = data.getUint16(offset + 4);
+    const sampleNameId     = data.getUint16(offset + 6);
+    const namedParameters  = data.getUint16(offset + 8);
+    const firstParamNameId = data.getUint16(offset + 10);
+    const charCount        = data.getUint16(offset + 12);
+
+    const paramLabels: string[] = [];
+    for (let i = 0; i < namedParameters && firstParamNameId !== 0; i++) {
+      paramLabels.push(name(firstParamNameId + i) ?? `Alternate ${i + 1}`);
+    }
+
+    const characters: number[] = [];
+    for (let i = 0; i < charCount; i++) {
+      const charAbs = offset + 14 + i * 3;
+      characters.push((data.getUint8(charAbs) << 16) | data.getUint16(charAbs + 1));
+    }
+
+    return {
+      label:      name(labelNameId),
+      tooltip:    name(tooltipNameId),
+      sampleText: name(sampleNameId),
+      paramLabels,
+      characters,
+    };
+  }
+
+  /**
+   * Counts the alternates of every feature with alternate substitutions
+   * (cvXX, salt, swsh, aalt …): the most any glyph offers. Features with
+   * more than one get a value selector instead of an on/off button.
+   */
+  private countAlternates(font: opentype.Font): void {
+    const gsub = font.tables.gsub;
+    if (!gsub?.lookups) return;
+
+    for (const { tag, feature } of gsub.features) {
+      let alternates = 0;
+      for (const index of feature.lookupListIndexes) {
+        const lookup = gsub.lookups[index];
+        for (const subtable of lookup?.subtables ?? []) {
+          const isExtension = lookup?.lookupType === EXTENSION_SUBSTITUTION;
+          const type        = isExtension ? subtable.lookupType : lookup?.lookupType;
+          const actual      = isExtension ? subtable.extension : subtable;
+          if (type !== ALTERNATE_SUBSTITUTION || !actual?.alternateSets) continue;
+          for (const set of actual.alternateSets) alternates = Math.max(alternates, set.length);
+        }
+      }
+      // Named parameters can outnumber the alternates a parse finds
+      alternates = Math.max(alternates, this.variantParams.get(tag)?.paramLabels.length ?? 0);
+      if (alternates > 1) this.alternateCounts.set(tag, Math.max(alternates, this.alternateCounts.get(tag) ?? 0));
+    }
+  }
+
   private processFeatures(
     features: FeatureRecord[] | Record<string, unknown>,
     featureSet: Set<string>,
   ): void {
-    const accepts = (tag: string) =>
-      tag === 'smcp' || tag === 'c2sc' || tag === 'liga' || tag === 'dlig' || tag.startsWith('ss');
+    const accepts = (tag: string) => FEATURE_TAG.test(tag);
 
     if (Array.isArray(features)) {
       for (const feature of features) {
@@ -194,63 +305,158 @@ export class OpenTypeFeatures {
   createButtons(): void {
     if (!this.buttonsContainer) return;
 
-    this.buttonsContainer.querySelectorAll('.feature-button').forEach(btn => btn.remove());
+    this.buttonsContainer.querySelectorAll('.feature-button, .feature-category').forEach(el => el.remove());
 
     const wrapper = this.buttonsContainer.querySelector('.feature-buttons-wrapper') ?? this.buttonsContainer;
 
     const savedFeatures = getSavedOpenTypeFeatures();
     if (savedFeatures) {
-      for (const tag of savedFeatures) {
-        if (this.availableFeatures.has(tag)) this.activeFeatures.add(tag);
+      for (const [tag, value] of Object.entries(savedFeatures)) {
+        if (this.availableFeatures.has(tag)) this.featureValues.set(tag, value);
       }
     }
 
-    for (const feature of this.availableFeatures) {
-      const button = document.createElement('button');
-      button.className = 'feature-button';
-      this.updateButton(button, feature);
-      button.addEventListener('click', () => { this.toggleFeature(feature, button); });
-      wrapper.appendChild(button);
+    // One row per category, features in tag order within it
+    const sorted = Array.from(this.availableFeatures).sort();
+    for (const { key, label } of FEATURE_CATEGORIES) {
+      const tags = sorted.filter(tag => featureCategory(tag) === key);
+      if (tags.length === 0) continue;
+
+      const row     = document.createElement('div');
+      row.className = 'feature-category';
+      const heading = document.createElement('span');
+      heading.className   = 'feature-category-heading';
+      heading.textContent = label;
+      row.appendChild(heading);
+
+      for (const feature of tags) {
+        row.appendChild(this.alternateCounts.has(feature)
+          ? this.createSelect(feature)
+          : this.createButton(feature));
+      }
+      wrapper.appendChild(row);
     }
 
-    if (this.activeFeatures.size > 0) {
+    if (this.featureValues.size > 0) {
       this.onFeaturesChanged?.(this.getFeatureString());
     }
   }
 
-  private updateButton(button: HTMLButtonElement, feature: string): void {
-    const isEnabled       = this.activeFeatures.has(feature);
+  /** Whether a feature currently applies: its default, unless the user changed it. */
+  isEnabled(feature: string): boolean {
+    return this.featureValue(feature) > 0;
+  }
+
+  private featureValue(feature: string): number {
+    return this.featureValues.get(feature) ?? (isDefaultOnFeature(feature) ? 1 : 0);
+  }
+
+  private createButton(feature: string): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = 'feature-button';
+    this.updateButton(button, feature);
+    button.addEventListener('click', () => {
+      this.setFeatureValue(feature, this.isEnabled(feature) ? 0 : 1);
+      this.updateButton(button, feature);
+    });
+    this.attachPreview(button, feature);
+    return button;
+  }
+
+  /**
+   * A menu for features with several alternates: off, then every alternate
+   * by the designer's name for it where the font has one.
+   */
+  private createSelect(feature: string): HTMLSelectElement {
+    const select     = document.createElement('select');
+    select.className = 'feature-button feature-select';
+    select.title     = this.featureTooltip(feature);
+
+    const label       = this.featureLabel(feature);
+    const paramLabels = this.variantParams.get(feature)?.paramLabels ?? [];
+    const count       = this.alternateCounts.get(feature) ?? 1;
+    for (let value = 0; value <= count; value++) {
+      const name   = paramLabels[value - 1];
+      const option = document.createElement('option');
+      option.value       = String(value);
+      option.textContent = value === 0 ? `${label}: off` : `${label}: ${value}${name ? ` ${name}` : ''}`;
+      select.appendChild(option);
+    }
+
+    select.value = String(this.featureValue(feature));
+    select.classList.toggle('active', this.isEnabled(feature));
+    select.addEventListener('change', () => {
+      this.setFeatureValue(feature, parseInt(select.value, 10));
+      select.classList.toggle('active', this.isEnabled(feature));
+      select.blur();
+    });
+    this.attachPreview(select, feature);
+    return select;
+  }
+
+  /** Shows the glyphs a feature substitutes while its control is hovered. */
+  private attachPreview(control: HTMLElement, feature: string): void {
+    control.addEventListener('mouseenter', () => { this.preview.show(control, feature, this.featureLabel(feature)); });
+    control.addEventListener('mouseleave', () => { this.preview.hide(); });
+  }
+
+  private featureLabel(feature: string): string {
     const displayTag      = feature.toUpperCase();
-    const descriptiveName = this.featureNames.get(feature)
-      ?? OpenTypeFeatures.KNOWN_FEATURE_NAMES[feature];
-    button.textContent    = descriptiveName ? `${displayTag} ${descriptiveName}` : displayTag;
-    button.classList.toggle('active', isEnabled);
+    const descriptiveName = this.featureNames.get(feature) ?? featureName(feature);
+    return descriptiveName ? `${displayTag} ${descriptiveName}` : displayTag;
   }
 
-  private toggleFeature(feature: string, button: HTMLButtonElement): string {
-    if (this.activeFeatures.has(feature)) {
-      this.activeFeatures.delete(feature);
+  /** Tooltip: the designer's cvXX tooltip and sample text, then the default state. */
+  private featureTooltip(feature: string): string {
+    const params = this.variantParams.get(feature);
+    const lines  = [params?.tooltip, params?.sampleText ? `Sample: ${params.sampleText}` : null];
+    lines.push(isDefaultOnFeature(feature)
+      ? `${feature} is on by default; click to turn it ${this.isEnabled(feature) ? 'off' : 'back on'}`
+      : `${feature} is off by default`);
+    return lines.filter(line => line).join('\n');
+  }
+
+  private updateButton(button: HTMLButtonElement, feature: string): void {
+    button.textContent = this.featureLabel(feature);
+    button.title       = this.featureTooltip(feature);
+    button.classList.toggle('active', this.isEnabled(feature));
+  }
+
+  private setFeatureValue(feature: string, value: number): string {
+    const defaultValue = isDefaultOnFeature(feature) ? 1 : 0;
+    if (value === defaultValue) {
+      this.featureValues.delete(feature);
     } else {
-      this.activeFeatures.add(feature);
+      this.featureValues.set(feature, value);
     }
 
-    this.updateButton(button, feature);
-    saveOpenTypeFeatures(Array.from(this.activeFeatures));
+    saveOpenTypeFeatures(Object.fromEntries(this.featureValues));
     const featureString = this.getFeatureString();
     this.onFeaturesChanged?.(featureString);
     return featureString;
   }
 
+  /**
+   * CSS `font-feature-settings` for the features set away from their
+   * default: `"smcp" 1`, `"liga" 0` or `"cv01" 2`.
+   */
   getFeatureString(): string {
-    if (this.activeFeatures.size === 0) return 'normal';
-    return Array.from(this.activeFeatures)
-      .map(f => `"${f}" 1`)
+    if (this.featureValues.size === 0) return 'normal';
+    return Array.from(this.featureValues)
+      .map(([f, value]) => `"${f}" ${value}`)
       .join(', ');
   }
 
+  /** Removes the substitution preview popup. */
+  destroy(): void {
+    this.preview.destroy();
+  }
+
   clear(): void {
-    this.activeFeatures.clear();
+    this.featureValues.clear();
     this.availableFeatures.clear();
     this.featureNames.clear();
+    this.variantParams.clear();
+    this.alternateCounts.clear();
   }
 }
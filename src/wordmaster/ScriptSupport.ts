@@ -0,0 +1,254 @@
+// =============================================================================
+// wordmaster/ScriptSupport.ts
+//
+// Proofing data for scripts a word list cannot measure. CJK fonts are checked
+// against the frequency tiers of the national character sets, one coverage
+// figure per tier. Indic and other complex scripts depend on shaping more
+// than on the cmap, so besides their letters the font's GSUB/GPOS script
+// tags and shaping features are checked.
+//
+// cjk_tiers.json is produced by:
+//   python3 scripts/build_cjk_tiers.py
+// and lives at:
+//   http_root/corpus/cjk/cjk_tiers.json
+// =============================================================================
+
+import { COVERAGE_THRESHOLD } from './LanguageDetector.js';
+
+// ---------------------------------------------------------------------------
+// CJK tiers
+// ---------------------------------------------------------------------------
+
+export interface CjkTier {
+  /** Name of the tier in its standard, e.g. "GB 2312 level 1". */
+  name:       string;
+  characters: string;
+}
+
+export interface CjkCharset {
+  label: string;
+  /** BCP 47 tag the characters are shown with, e.g. "zh-Hans". */
+  lang:  string;
+  /** Most frequent first. */
+  tiers: CjkTier[];
+}
+
+/** Shape of cjk_tiers.json — map of character set key → tiers */
+export type CjkCharsets = Record<string, CjkCharset>;
+
+export interface TierCoverage {
+  name:    string;
+  total:   number;
+  covered: number;
+  /** Fraction of the tier's characters in the font, 0–1 */
+  ratio:   number;
+  /** Characters the font has no glyph for, in tier order */
+  missing: number[];
+}
+
+export interface CjkCoverage {
+  key:       string;
+  label:     string;
+  lang:      string;
+  /** Whether the most frequent tier meets the detection threshold */
+  supported: boolean;
+  tiers:     TierCoverage[];
+}
+
+/**
+ * Fonts with at least this many ideographs, kana and Hangul syllables are
+ * treated as CJK fonts and proofed against the tiers.
+ */
+const MIN_CJK_CODEPOINTS = 500;
+
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Fetches the CJK tier data from the server.
+ * Cached by the browser after the first request.
+ */
+export async function fetchCjkCharsets(cjkBase: string): Promise<CjkCharsets> {
+  const response = await fetch(`${cjkBase}/cjk_tiers.json`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch cjk_tiers.json (${response.status})`);
+  }
+
+  return response.json() as Promise<CjkCharsets>;
+}
+
+/** True when the font maps enough CJK characters to be proofed by tier. */
+export function isCjkFont(fontCodepoints: Set<number>): boolean {
+  let count = 0;
+  for (const cp of fontCodepoints) {
+    if (CJK_CHARACTER.test(String.fromCodePoint(cp)) && ++count >= MIN_CJK_CODEPOINTS) return true;
+  }
+  return false;
+}
+
+/**
+ * Coverage of every tier of every CJK character set. A set counts as
+ * supported when its first, most frequent tier meets the threshold.
+ */
+export function detectCjkCoverage(
+  fontCodepoints: Set<number>,
+  charsets: CjkCharsets,
+  threshold = COVERAGE_THRESHOLD,
+): CjkCoverage[] {
+  return Object.entries(charsets).map(([key, { label, lang, tiers }]) => {
+    const tierCoverage = tiers.map(({ name, characters }): TierCoverage => {
+      const codepoints = [...characters].map(char => char.codePointAt(0) ?? 0);
+      const missing    = codepoints.filter(cp => !fontCodepoints.has(cp));
+      const total      = codepoints.length;
+      return {
+        name,
+        total,
+        covered: total - missing.length,
+        ratio:   total > 0 ? (total - missing.length) / total : 0,
+        missing,
+      };
+    });
+    return {
+      key,
+      label,
+      lang,
+      supported: (tierCoverage[0]?.ratio ?? 0) >= threshold,
+      tiers:     tierCoverage,
+    };
+  });
+}
+
+/**
+ * Characters of a supported set's first tier that the font covers, one per
+ * entry — WordMaster's proofing words for a CJK font.
+ */
+export function cjkProofCharacters(coverage: CjkCoverage, charsets: CjkCharsets): string[] {
+  const first   = charsets[coverage.key]?.tiers[0];
+  const missing = new Set(coverage.tiers[0]?.missing ?? []);
+  if (!first) return [];
+  return [...first.characters].filter(char => !missing.has(char.codePointAt(0) ?? 0));
+}
+
+// ---------------------------------------------------------------------------
+// Complex scripts
+// ---------------------------------------------------------------------------
+
+interface ComplexScript {
+  name:     string;
+  /** OpenType script tags, the current shaping model first. */
+  tags:     readonly string[];
+  /** Unicode block of the script's letters, signs and digits. */
+  range:    readonly [number, number];
+  /** GSUB and GPOS features the script's shaping model applies. */
+  features: readonly string[];
+}
+
+const INDIC_MARKS = ['abvm', 'blwm'];
+
+/**
+ * Shaping features per script follow the script development specifications
+ * of the OpenType spec; features a font may legitimately leave out (locl,
+ * cjct, calt …) are not listed.
+ */
+const COMPLEX_SCRIPTS: readonly ComplexScript[] = [
+  { name: 'Devanagari', tags: ['dev2', 'deva'], range: [0x0900, 0x097F], features: ['nukt', 'akhn', 'rphf', 'blwf', 'half', 'vatu', 'pres', 'abvs', 'blws', 'haln', ...INDIC_MARKS] },
+  { name: 'Bengali',    tags: ['bng2', 'beng'], range: [0x0980, 0x09FF], features: ['nukt', 'akhn', 'rphf', 'blwf', 'half', 'pstf', 'init', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Gurmukhi',   tags: ['gur2', 'guru'], range: [0x0A00, 0x0A7F], features: ['nukt', 'akhn', 'blwf', 'half', 'pstf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Gujarati',   tags: ['gjr2', 'gujr'], range: [0x0A80, 0x0AFF], features: ['nukt', 'akhn', 'rphf', 'blwf', 'half', 'vatu', 'pres', 'abvs', 'blws', 'haln', ...INDIC_MARKS] },
+  { name: 'Odia',       tags: ['ory2', 'orya'], range: [0x0B00, 0x0B7F], features: ['nukt', 'akhn', 'rphf', 'blwf', 'half', 'pstf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Tamil',      tags: ['tml2', 'taml'], range: [0x0B80, 0x0BFF], features: ['akhn', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Telugu',     tags: ['tel2', 'telu'], range: [0x0C00, 0x0C7F], features: ['akhn', 'blwf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Kannada',    tags: ['knd2', 'knda'], range: [0x0C80, 0x0CFF], features: ['akhn', 'rphf', 'blwf', 'pstf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Malayalam',  tags: ['mlm2', 'mlym'], range: [0x0D00, 0x0D7F], features: ['akhn', 'pref', 'blwf', 'pstf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Sinhala',    tags: ['sinh'],         range: [0x0D80, 0x0DFF], features: ['akhn', 'rphf', 'vatu', 'pstf', 'pres', 'abvs', 'blws', 'psts', 'haln', ...INDIC_MARKS] },
+  { name: 'Thai',       tags: ['thai'],         range: [0x0E00, 0x0E7F], features: ['ccmp', 'mark', 'mkmk'] },
+  { name: 'Myanmar',    tags: ['mym2'],         range: [0x1000, 0x109F], features: ['rphf', 'pref', 'blwf', 'pstf', 'pres', 'abvs', 'blws', 'psts', ...INDIC_MARKS, 'dist'] },
+  { name: 'Khmer',      tags: ['khmr'],         range: [0x1780, 0x17FF], features: ['pref', 'blwf', 'abvf', 'pstf', 'cfar', 'pres', 'abvs', 'blws', 'psts', ...INDIC_MARKS, 'dist'] },
+];
+
+/** Unassigned code points inside a block are not asked for. */
+const UNASSIGNED = /\p{Cn}/u;
+const LETTER     = /\p{L}/u;
+
+export interface ComplexScriptSupport {
+  name:      string;
+  /** Whether the letters meet the threshold and the font has a script tag for shaping */
+  supported: boolean;
+  total:     number;
+  covered:   number;
+  ratio:     number;
+  missing:   number[];
+  /** The script tag found in GSUB or GPOS, or null when shaping falls back to defaults */
+  scriptTag: string | null;
+  /** Shaping features registered for the script tag */
+  features:  string[];
+  /** Shaping features of the script model the font does not have */
+  missingFeatures: string[];
+}
+
+/**
+ * Checks the complex scripts the font maps at least one letter of: cmap
+ * coverage of the script's block, and whether GSUB or GPOS registers the
+ * script and its shaping features.
+ */
+export function detectComplexScripts(
+  font: opentype.Font,
+  fontCodepoints: Set<number>,
+  threshold = COVERAGE_THRESHOLD,
+): ComplexScriptSupport[] {
+  const results: ComplexScriptSupport[] = [];
+
+  for (const script of COMPLEX_SCRIPTS) {
+    const codepoints: number[] = [];
+    for (let cp = script.range[0]; cp <= script.range[1]; cp++) {
+      if (!UNASSIGNED.test(String.fromCodePoint(cp))) codepoints.push(cp);
+    }
+    // A baht sign or a danda borrowed by another script is no script support
+    if (!codepoints.some(cp => fontCodepoints.has(cp) && LETTER.test(String.fromCodePoint(cp)))) continue;
+    const missing = codepoints.filter(cp => !fontCodepoints.has(cp));
+
+    const { scriptTag, features } = scriptFeatures(font, script.tags);
+    const ratio = (codepoints.length - missing.length) / codepoints.length;
+    results.push({
+      name:      script.name,
+      supported: ratio >= threshold && scriptTag !== null,
+      total:     codepoints.length,
+      covered:   codepoints.length - missing.length,
+      ratio,
+      missing,
+      scriptTag,
+      features,
+      missingFeatures: script.features.filter(tag => !features.includes(tag)),
+    });
+  }
+  return results;
+}
+
+/** The first of `tags` registered in GSUB or GPOS, with the features of its language systems. */
+function scriptFeatures(font: opentype.Font, tags: readonly string[]): { scriptTag: string | null; features: string[] } {
+  const tables = [font.tables.gsub, font.tables.gpos];
+
+  for (const tag of tags) {
+    const features = new Set<string>();
+    let found = false;
+
+    for (const table of tables) {
+      const record = table?.scripts?.find(s => s.tag === tag);
+      if (!record || !table) continue;
+      found = true;
+
+      const langSystems = [record.script.defaultLangSys, ...record.script.langSysRecords.map(r => r.langSys)];
+      for (const langSys of langSystems) {
+        if (!langSys) continue;
+        const indexes = [...langSys.featureIndexes];
+        if (langSys.reqFeatureIndex !== 0xFFFF) indexes.push(langSys.reqFeatureIndex);
+        for (const index of indexes) {
+          const feature = table.features[index];
+          if (feature) features.add(feature.tag);
+        }
+      }
+    }
+    if (found) return { scriptTag: tag, features: [...features].sort() };
+  }
+  return { scriptTag: null, features: [] };
+}
@@ -2,30 +2,66 @@
 // wordmaster/WordMaster.ts
 // =============================================================================
 
-import { FontLoader }       from '../core/FontLoader.js';
-import { FontInfoRenderer } from '../core/FontInfo.js';
-import { VariationAxes }    from '../shared/VariationAxes.js';
-import { UIControls }       from '../shared/UIControls.js';
-import { DragAndDrop }      from '../shared/DragAndDrop.js';
-import { TextFitter }       from './TextFitter.js';
-import { OpenTypeFeatures } from './OpenTypeFeatures.js';
-import { initAppNav }       from '../shared/AppNav.js';
-import type { FontLoadResult } from '../core/Types.js';
+import { FontLoader }               from '../core/FontLoader.js';
+import { FontInfoRenderer }         from '../core/FontInfo.js';
+import { FontHealthRenderer }       from '../core/FontValidator.js';
+import { MetricsInspectorRenderer } from '../core/MetricsInspector.js';
+import { VariationAxes }            from '../shared/VariationAxes.js';
+import { UIControls }               from '../shared/UIControls.js';
+import { DragAndDrop }              from '../shared/DragAndDrop.js';
+import { StyleSwitcher }            from '../shared/StyleSwitcher.js';
+import { FontLibraryPanel }         from '../shared/FontLibraryPanel.js';
+import { EmbeddingBadge }           from '../shared/EmbeddingBadge.js';
+import { CoveragePanel }            from '../shared/CoveragePanel.js';
+import { CorpusPanel }              from '../shared/CorpusPanel.js';
+import { getCustomCorpus, corpusToText, corpusToWords } from '../shared/CustomCorpus.js';
+import { TextFitter }               from './TextFitter.js';
+import { OpenTypeFeatures }         from './OpenTypeFeatures.js';
+import { LanguageSupportPanel }     from './LanguageSupportPanel.js';
+import { LanguageSelector }         from './LanguageSelector.js';
+import { LanguageSystemSelect }     from './LanguageSystemSelect.js';
+import { initAppNav }               from '../shared/AppNav.js';
+import type { CustomCorpus, FontLoadResult } from '../core/Types.js';
 import {
+  BCP47_TAGS,
   buildFontCodepointSet,
   fetchLanguageCharsets,
+  fetchWordList,
   detectSupportedLanguages,
+  inferLanguage,
   langToBcp47,
+  languageLabel,
+  toWordEntry,
+  type DetectionResult,
   type WordEntry,
 } from './LanguageDetector.js';
+import {
+  cjkProofCharacters,
+  detectCjkCoverage,
+  detectComplexScripts,
+  fetchCjkCharsets,
+  isCjkFont,
+  type CjkCoverage,
+} from './ScriptSupport.js';
+
+const CORPUS_BASE = 'corpus/words';
+const CJK_BASE    = 'corpus/cjk';
 
 export class WordAnimator {
   public readonly fontLoader: FontLoader;
 
   private readonly uiControls:      UIControls;
   private readonly dragAndDrop:     DragAndDrop;
+  private readonly styleSwitcher:   StyleSwitcher;
+  private readonly fontLibrary:     FontLibraryPanel;
+  private readonly embeddingBadge:  EmbeddingBadge;
+  private readonly coveragePanel:   CoveragePanel;
+  private readonly corpusPanel:     CorpusPanel;
   private readonly textFitter:      TextFitter;
   private readonly openTypeFeatures: OpenTypeFeatures;
+  private readonly languageSystem:  LanguageSystemSelect;
+  private readonly languageSupport: LanguageSupportPanel;
+  private readonly languageSelector: LanguageSelector;
   private readonly variationAxes:   VariationAxes;
   private readonly container:       HTMLElement | null;
 
@@ -33,7 +69,13 @@ export class WordAnimator {
   private processedWordList:       WordEntry[] = [];
   private animationTimer:          ReturnType<typeof setTimeout> | null = null;
   private fadeTimer:               ReturnType<typeof setTimeout> | null = null;
+  private loadedUnicodes:          readonly number[] | null = null;
   private loadedFont:              opentype.Font | null = null;
+  private cjkCoverage:             CjkCoverage[] = [];
+  private shownEntry:              WordEntry | null = null;
+  private fontFamily               = '';
+  /** Bumped on every word list load so a slow run cannot overwrite a newer one. */
+  private wordListGeneration       = 0;
 
   // Navigation history — lets j/k step back and forward through shown words
   private history:      WordEntry[] = [];
@@ -58,20 +100,57 @@ export class WordAnimator {
     this.openTypeFeatures = new OpenTypeFeatures((featureString) => {
       this.updateFeatures(featureString);
     });
+    this.languageSystem = new LanguageSystemSelect((lang) => {
+      this.updateLanguageSystem(lang);
+    });
 
     this.uiControls  = new UIControls();
     this.textFitter  = new TextFitter({ paddingPercentage: this.paddingPercentage });
 
     this.fontLoader = new FontLoader({
-      onFontLoaded: (result) => { this.handleFontLoaded(result); },
+      onFontLoaded:   (result) => { this.handleFontLoaded(result); },
+      onStyleChanged: (result) => { this.handleStyleChanged(result); },
     });
 
     this.dragAndDrop = new DragAndDrop({
-      dropZone: document.body,
-      onDrop:   (buffer, filename) => {
+      dropZone:       document.body,
+      onDrop:         (buffer, filename) => {
         this.stop();
         void this.fontLoader.loadFont(buffer, filename);
       },
+      onDropMultiple: (files) => {
+        this.stop();
+        void this.fontLoader.loadFamily(files);
+      },
+      onDropText:     (text, filename) => { void this.corpusPanel.setText(text, filename); },
+    });
+
+    this.styleSwitcher  = new StyleSwitcher({ fontLoader: this.fontLoader });
+    this.fontLibrary    = new FontLibraryPanel({
+      onOpen: (files) => {
+        this.stop();
+        void this.fontLoader.loadFamily(files);
+      },
+    });
+    this.embeddingBadge = new EmbeddingBadge({ uiControls: this.uiControls });
+    this.coveragePanel  = new CoveragePanel();
+    this.corpusPanel    = new CorpusPanel({
+      target:   'wordmaster',
+      onChange: () => { void this.loadWordList(this.loadedUnicodes); },
+      language: {
+        languages: Object.keys(BCP47_TAGS),
+        label:     languageLabel,
+        infer:     async (text) => inferLanguage(text, await fetchLanguageCharsets(CORPUS_BASE)),
+      },
+    });
+
+    this.languageSupport = new LanguageSupportPanel({
+      container:  document.getElementById('language-support-content'),
+      corpusBase: CORPUS_BASE,
+    });
+    this.languageSelector = new LanguageSelector({
+      onThresholdChange: () => { void this.loadWordList(this.loadedUnicodes); },
+      onSelectionChange: () => { void this.loadWordList(this.loadedUnicodes); },
     });
 
     this.variationAxes = new VariationAxes({
@@ -105,6 +184,15 @@ export class WordAnimator {
     }
   }
 
+  /** Renders the word on screen with a language system's `lang`, or its own. */
+  private updateLanguageSystem(lang: string | null): void {
+    const firstChild = this.container?.firstElementChild as HTMLElement | null;
+    if (firstChild && this.container && this.shownEntry) {
+      firstChild.lang = lang ?? this.shownEntry.lang;
+      this.textFitter.fitText(firstChild, this.container);
+    }
+  }
+
   private initializeSliders(): void {
     const sliders = document.querySelectorAll<HTMLElement>('.slider-container');
 
@@ -186,77 +274,145 @@ export class WordAnimator {
     }
   }
 
-  private async loadWordList(font: opentype.Font | null): Promise<void> {
-    const CORPUS_BASE = 'corpus/words';
-
+  private async loadWordList(unicodes: readonly number[] | null): Promise<void> {
+    const isCurrent = this.nextWordListRun();
     try {
-      if (font === null) {
+      // A dropped or pasted word list replaces the bundled ones
+      const custom = await getCustomCorpus('wordmaster').catch(() => null);
+      if (custom && await this.loadCustomWordList(custom, isCurrent)) {
+        if (unicodes !== null) await this.detectLanguages(unicodes, isCurrent);
+        return;
+      }
+
+      if (unicodes === null) {
         // No font loaded yet — use English as a sensible default
-        const response = await fetch(`${CORPUS_BASE}/english.txt`);
-        const text     = await response.text();
-        this.wordList  = text.split('\n')
-          .map(w => w.trim()).filter(w => w.length > 0)
-          .map(word => ({ word, lang: 'en' }));
+        const words = await fetchWordList(CORPUS_BASE, 'english');
+        if (!isCurrent()) return;
+        this.wordList = words.map(word => toWordEntry(word, 'en'));
         this.processWordList();
         return;
       }
 
-      // Build the set of codepoints the font actually contains
-      const fontCodepoints = buildFontCodepointSet(font);
-
-      // Fetch the pre-built charset map (cached after first load)
-      const charsets = await fetchLanguageCharsets(CORPUS_BASE);
-
-      // Detect which language word lists this font fully supports
-      const { supportedLanguages, wordListFiles, coverageReport } =
-        detectSupportedLanguages(fontCodepoints, charsets);
+      // Detect which language word lists this font supports, then apply the
+      // languages ticked or forced in the control panel
+      const detection = await this.detectLanguages(unicodes, isCurrent);
+      if (!detection) return;
+      const { supportedLanguages } = detection;
+      const selectedLanguages      = this.languageSelector.selectLanguages(supportedLanguages);
 
       console.log('[WordMaster] Supported languages:', supportedLanguages);
-      console.table(coverageReport);
 
-      const filesToLoad = wordListFiles.length > 0
-        ? wordListFiles
-        : ['english.txt'];  // Fallback when no language matched
+      // CJK fonts cover no word list; proof the common characters of the
+      // character sets they support instead
+      const cjkSets = this.cjkCoverage.filter(set => set.supported);
+      if (selectedLanguages.length === 0 && cjkSets.length > 0) {
+        const charsets = await fetchCjkCharsets(CJK_BASE);
+        if (!isCurrent()) return;
+        this.wordList  = cjkSets.flatMap(set =>
+          cjkProofCharacters(set, charsets).map(char => toWordEntry(char, set.lang)));
+        this.processWordList();
+        return;
+      }
+
+      const languagesToLoad = selectedLanguages.length > 0
+        ? selectedLanguages
+        : ['english'];  // Fallback when no language matched or all were unticked
 
-      if (wordListFiles.length === 0) {
-        console.warn('[WordMaster] No language word lists matched — falling back to english.txt');
+      if (selectedLanguages.length === 0) {
+        console.warn('[WordMaster] No language word lists selected — falling back to english.txt');
       }
 
       // Fetch all matched word list files in parallel, keeping the language name
-      const fetches = filesToLoad.map((filename, i) => {
-        const language = (wordListFiles.length > 0 ? supportedLanguages[i] : 'english') ?? 'english';
-        const bcp47    = langToBcp47(language);
-        return fetch(`${CORPUS_BASE}/${filename}`)
-          .then(r => r.text())
-          .then(text =>
-            text.split('\n')
-              .map(w => w.trim()).filter(w => w.length > 0)
-              .map((word): WordEntry => ({ word, lang: bcp47 })),
-          );
+      const fetches = languagesToLoad.map(language => {
+        const bcp47 = langToBcp47(language);
+        return fetchWordList(CORPUS_BASE, language)
+          .then(words => words.map(word => toWordEntry(word, bcp47)));
       });
-      this.wordList = (await Promise.all(fetches)).flat();
+      const wordLists = await Promise.all(fetches);
+      if (!isCurrent()) return;
+      this.wordList = wordLists.flat();
       this.processWordList();
 
     } catch (err) {
+      if (!isCurrent()) return;
       console.error('[WordMaster] loadWordList failed:', err);
       this.wordList          = ['OpenType', 'Features', 'Typography', 'Design']
-        .map(word => ({ word, lang: 'en' }));
+        .map(word => toWordEntry(word, 'en'));
       this.processedWordList = this.wordList;
     }
   }
 
+  /** Starts a word list run; the function returned tells whether it is still the latest. */
+  private nextWordListRun(): () => boolean {
+    const generation = ++this.wordListGeneration;
+    return () => generation === this.wordListGeneration;
+  }
+
+  /**
+   * Uses the words of a custom corpus, tagged with the chosen or inferred
+   * language. Returns false when the text has no words; a stale run changes
+   * nothing.
+   */
+  private async loadCustomWordList(corpus: CustomCorpus, isCurrent: () => boolean): Promise<boolean> {
+    const words = corpusToWords(corpus);
+    if (words.length === 0) return false;
+
+    const language = corpus.language
+      ?? inferLanguage(corpusToText(corpus), await fetchLanguageCharsets(CORPUS_BASE));
+    if (!isCurrent()) return true;
+    const lang = language ? langToBcp47(language) : 'und';
+
+    this.wordList = words.map(word => toWordEntry(word, lang));
+    this.processWordList();
+    return true;
+  }
+
+  /**
+   * Compares the font's codepoints with every language's charset at the
+   * chosen threshold, and shows the result in the "Language support" panel
+   * and the language toggles. CJK tiers and complex scripts are checked too.
+   * Returns null, showing nothing, once a newer run has started.
+   */
+  private async detectLanguages(
+    unicodes:  readonly number[],
+    isCurrent: () => boolean,
+  ): Promise<DetectionResult | null> {
+    // Build the set of codepoints the font actually contains
+    const fontCodepoints = buildFontCodepointSet(unicodes);
+    const threshold      = this.languageSelector.threshold;
+
+    // Fetch the pre-built charset map (cached after first load)
+    const charsets  = await fetchLanguageCharsets(CORPUS_BASE);
+    const detection = detectSupportedLanguages(fontCodepoints, charsets, threshold);
+
+    // The CJK tiers are only fetched for fonts with CJK characters
+    const cjkCoverage = isCjkFont(fontCodepoints)
+      ? detectCjkCoverage(fontCodepoints, await fetchCjkCharsets(CJK_BASE), threshold)
+      : [];
+    if (!isCurrent()) return null;
+
+    this.cjkCoverage = cjkCoverage;
+    const scripts = this.loadedFont ? detectComplexScripts(this.loadedFont, fontCodepoints, threshold) : [];
+
+    this.languageSupport.update(detection.languages, this.fontFamily);
+    this.languageSupport.updateScripts(this.cjkCoverage, scripts);
+    this.languageSelector.setLanguages(detection.languages);
+    return detection;
+  }
+
   private processWordList(): void {
     // Clear navigation history whenever the word pool changes
     this.history      = [];
     this.historyIndex = -1;
 
-    this.processedWordList = this.wordList.map(({ word, lang }) => {
+    this.processedWordList = this.wordList.map((entry) => {
+      const { word, lang } = entry;
       if (word === word.toLowerCase()) {
         const random = Math.random();
-        if (random < 0.15) return { word: word.toUpperCase(), lang };
-        if (random < 0.50) return { word: this.capitaliseFirst(word, lang), lang };
+        if (random < 0.15) return { ...entry, word: word.toUpperCase() };
+        if (random < 0.50) return { ...entry, word: this.capitaliseFirst(word, lang) };
       }
-      return { word, lang };
+      return entry;
     });
   }
 
@@ -317,12 +473,14 @@ export class WordAnimator {
     if (!this.container) return;
     const wordElement = document.createElement('div');
     wordElement.textContent                  = entry.word;
-    wordElement.lang                         = entry.lang;
+    wordElement.lang                         = this.languageSystem.lang ?? entry.lang;
+    wordElement.dir                          = entry.dir;
     wordElement.style.whiteSpace             = 'nowrap';
     wordElement.style.fontFeatureSettings    = this.openTypeFeatures.getFeatureString();
     wordElement.style.fontVariationSettings  = this.currentVariationSettings;
     this.container.innerHTML = '';
     this.container.appendChild(wordElement);
+    this.shownEntry = entry;
     this.textFitter.fitText(wordElement, this.container);
   }
 
@@ -342,9 +500,33 @@ export class WordAnimator {
     });
   }
 
-  private handleFontLoaded({ font, fontInfo, fontFamily, buffer }: FontLoadResult): void {
+  private handleFontLoaded(result: FontLoadResult): void {
+    this.applyFont(result);
+    this.styleSwitcher.refresh();
+    void this.loadWordList(result.unicodes).then(() => { void this.start(); });
+  }
+
+  /**
+   * Swaps in another style of the loaded family. The word list and the word
+   * on screen are kept; the word is only refitted to the new metrics.
+   */
+  private handleStyleChanged(result: FontLoadResult): void {
+    this.applyFont(result);
+    this.detectLanguages(result.unicodes, this.nextWordListRun()).catch((err: unknown) => {
+      console.error('[WordMaster] Language detection failed:', err);
+    });
+    this._resizeHandler();
+  }
+
+  /** Shows a newly loaded font or style in the panels, the proof and the feature and axis controls. */
+  private applyFont({ font, fontInfo, fontFamily, buffer, unicodes, findings }: FontLoadResult): void {
     FontInfoRenderer.renderFontInfo(document.getElementById('font-info-content'), fontInfo);
+    FontHealthRenderer.renderFindings(document.getElementById('font-health-content'), findings);
+    MetricsInspectorRenderer.renderMetrics(document.getElementById('metrics-inspector-content'), fontInfo.metrics);
+    this.embeddingBadge.update(fontInfo);
+    this.coveragePanel.setFont(font, fontInfo);
 
+    this.fontFamily = fontFamily;
     if (this.container) {
       this.container.style.fontFamily = `"${fontFamily}"`;
     }
@@ -352,13 +534,14 @@ export class WordAnimator {
     this.openTypeFeatures.clear();
     this.openTypeFeatures.extractFeatures(fontInfo, font, buffer);
     this.openTypeFeatures.createButtons();
+    this.languageSystem.setFont(font);
 
     if (fontInfo.axes.length > 0) {
       this.variationAxes.createAxesControls(fontInfo.axes, fontInfo.instances);
     }
 
-    this.loadedFont = font;
-    void this.loadWordList(font).then(() => { void this.start(); });
+    this.loadedFont     = font;
+    this.loadedUnicodes = unicodes;
   }
 
   async start(interval: number = this.animationDelay): Promise<void> {
@@ -369,7 +552,7 @@ export class WordAnimator {
     this.animationDelay = interval;
 
     if (this.wordList.length === 0) {
-      await this.loadWordList(this.loadedFont);
+      await this.loadWordList(this.loadedUnicodes);
     }
 
     this.container?.classList.remove('fade-out');
@@ -411,7 +594,7 @@ export class WordAnimator {
 
   private getRandomWord(): WordEntry {
     const idx = Math.floor(Math.random() * this.processedWordList.length);
-    return this.processedWordList[idx] ?? { word: 'Typography', lang: 'en' };
+    return this.processedWordList[idx] ?? toWordEntry('Typography', 'en');
   }
 
   destroy(): void {
@@ -420,6 +603,12 @@ export class WordAnimator {
     window.removeEventListener('resize', this._resizeHandler);
     this.uiControls.destroy();
     this.dragAndDrop.destroy();
+    this.styleSwitcher.destroy();
+    this.fontLibrary.destroy();
+    this.embeddingBadge.destroy();
+    this.coveragePanel.destroy();
+    this.corpusPanel.destroy();
+    this.openTypeFeatures.destroy();
   }
 }
 